@@ -20,7 +20,8 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 // Request parsing middleware
@@ -0,0 +1,14 @@
+/**
+ * Cancellation policy used when no policy in cancellation_policies matches the
+ * appointment's branch, service and type (see CancellationPolicy model).
+ */
+const hours = (value, fallback) => (value ? parseInt(value, 10) : fallback);
+
+module.exports = {
+  id: null,
+  name: 'Default',
+  cancelNoticeHours: hours(process.env.CANCEL_NOTICE_HOURS, 24),
+  lateCancellationFee: null,
+  rescheduleNoticeHours: hours(process.env.RESCHEDULE_NOTICE_HOURS, 24),
+  maxPatientReschedules: null
+};
@@ -0,0 +1,22 @@
+// Días de descanso obligatorio (Ley Federal del Trabajo, art. 74).
+// Fixed dates use `day`; movable ones use the `nth` occurrence of `weekday` (0 = Sunday).
+const MEXICAN_HOLIDAYS = [
+  { name: 'Año Nuevo', month: 1, day: 1 },
+  { name: 'Día de la Constitución', month: 2, weekday: 1, nth: 1 },
+  { name: 'Natalicio de Benito Juárez', month: 3, weekday: 1, nth: 3 },
+  { name: 'Día del Trabajo', month: 5, day: 1 },
+  { name: 'Día de la Independencia', month: 9, day: 16 },
+  {
+    name: 'Transmisión del Poder Ejecutivo Federal',
+    month: 10,
+    day: 1,
+    everyYears: 6,
+    since: 2024
+  },
+  { name: 'Día de la Revolución', month: 11, weekday: 1, nth: 3 },
+  { name: 'Navidad', month: 12, day: 25 }
+];
+
+module.exports = {
+  MX: MEXICAN_HOLIDAYS
+};
@@ -0,0 +1,85 @@
+/**
+ * Chapters of the ICD-10 (CIE-10) classification. A code belongs to the chapter
+ * whose range contains its three-character category, e.g. M54.5 is in XIII.
+ */
+module.exports = [
+  {
+    chapter: 'I',
+    from: 'A00',
+    to: 'B99',
+    title: 'Ciertas enfermedades infecciosas y parasitarias'
+  },
+  { chapter: 'II', from: 'C00', to: 'D48', title: 'Neoplasias' },
+  {
+    chapter: 'III',
+    from: 'D50',
+    to: 'D89',
+    title: 'Enfermedades de la sangre y de los órganos hematopoyéticos, y ciertos ' +
+      'trastornos que afectan el mecanismo de la inmunidad'
+  },
+  {
+    chapter: 'IV',
+    from: 'E00',
+    to: 'E90',
+    title: 'Enfermedades endocrinas, nutricionales y metabólicas'
+  },
+  { chapter: 'V', from: 'F00', to: 'F99', title: 'Trastornos mentales y del comportamiento' },
+  { chapter: 'VI', from: 'G00', to: 'G99', title: 'Enfermedades del sistema nervioso' },
+  { chapter: 'VII', from: 'H00', to: 'H59', title: 'Enfermedades del ojo y sus anexos' },
+  {
+    chapter: 'VIII',
+    from: 'H60',
+    to: 'H95',
+    title: 'Enfermedades del oído y de la apófisis mastoides'
+  },
+  { chapter: 'IX', from: 'I00', to: 'I99', title: 'Enfermedades del sistema circulatorio' },
+  { chapter: 'X', from: 'J00', to: 'J99', title: 'Enfermedades del sistema respiratorio' },
+  { chapter: 'XI', from: 'K00', to: 'K93', title: 'Enfermedades del sistema digestivo' },
+  {
+    chapter: 'XII',
+    from: 'L00',
+    to: 'L99',
+    title: 'Enfermedades de la piel y del tejido subcutáneo'
+  },
+  {
+    chapter: 'XIII',
+    from: 'M00',
+    to: 'M99',
+    title: 'Enfermedades del sistema osteomuscular y del tejido conjuntivo'
+  },
+  { chapter: 'XIV', from: 'N00', to: 'N99', title: 'Enfermedades del sistema genitourinario' },
+  { chapter: 'XV', from: 'O00', to: 'O99', title: 'Embarazo, parto y puerperio' },
+  {
+    chapter: 'XVI',
+    from: 'P00',
+    to: 'P96',
+    title: 'Ciertas afecciones originadas en el período perinatal'
+  },
+  {
+    chapter: 'XVII',
+    from: 'Q00',
+    to: 'Q99',
+    title: 'Malformaciones congénitas, deformidades y anomalías cromosómicas'
+  },
+  {
+    chapter: 'XVIII',
+    from: 'R00',
+    to: 'R99',
+    title: 'Síntomas, signos y hallazgos anormales clínicos y de laboratorio, no ' +
+      'clasificados en otra parte'
+  },
+  {
+    chapter: 'XIX',
+    from: 'S00',
+    to: 'T98',
+    title: 'Traumatismos, envenenamientos y algunas otras consecuencias de causas externas'
+  },
+  { chapter: 'XX', from: 'V01', to: 'Y98', title: 'Causas externas de morbilidad y de mortalidad' },
+  {
+    chapter: 'XXI',
+    from: 'Z00',
+    to: 'Z99',
+    title: 'Factores que influyen en el estado de salud y contacto con los servicios de salud'
+  },
+  { chapter: 'XXII', from: 'U00', to: 'U99', title: 'Códigos para propósitos especiales' }
+];
@@ -0,0 +1,31 @@
+/**
+ * Medical records. Every change to a record is kept as a revision with its
+ * author and the reason for the amendment. The doctor who wrote a record can
+ * amend it for lockAfterHours after creating it; after that the record is
+ * signed and no longer changes.
+ */
+module.exports = {
+  lockAfterHours: parseFloat(process.env.MEDICAL_RECORD_LOCK_HOURS) || 72,
+  // Fields captured in each revision
+  clinicalFields: [
+    'bloodType',
+    'weight',
+    'height',
+    'allergies',
+    'chronicConditions',
+    'currentMedications',
+    'symptoms',
+    'diagnosis',
+    'diagnosisCodes',
+    'treatment',
+    'observations',
+    'oxygenSaturation',
+    'ozoneConcentration',
+    'ozoneVolume',
+    'treatmentDuration',
+    'treatmentRoute',
+    'followUpRequired',
+    'followUpNotes',
+    'nextAppointmentRecommended'
+  ]
+};
@@ -0,0 +1,16 @@
+/**
+ * No-show handling. Appointments that are still scheduled, confirmed or
+ * rescheduled graceMinutes after their start are marked as no-shows, and each
+ * no-show adds to the patient's count. Every rule whose threshold the count has
+ * reached applies to the patient's new bookings:
+ * - require_confirmation: the appointment must be confirmed before check-in
+ * - require_deposit: the front desk collects a deposit before the visit
+ * - block_online_booking: the patient cannot book online; staff can still book
+ */
+module.exports = {
+  graceMinutes: parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 30,
+  rules: [
+    { threshold: 2, action: 'require_confirmation' },
+    { threshold: 3, action: 'block_online_booking' }
+  ]
+};
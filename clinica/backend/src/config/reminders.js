@@ -0,0 +1,15 @@
+/**
+ * Appointment reminders. One reminder goes out on each channel at every offset
+ * before the start time. REMINDER_OFFSET_HOURS takes a comma-separated list of
+ * hours, e.g. "48,2"; reminders whose time has already passed when an
+ * appointment is booked or moved are skipped.
+ */
+const offsetMinutes = (process.env.REMINDER_OFFSET_HOURS || '48,2')
+  .split(',')
+  .map(hours => Math.round(parseFloat(hours) * 60))
+  .filter(minutes => minutes > 0);
+
+module.exports = {
+  offsetMinutes,
+  channels: ['email', 'sms']
+};
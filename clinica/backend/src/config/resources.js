@@ -0,0 +1,11 @@
+/**
+ * Resources each appointment type needs, one entry per resource held for the
+ * whole appointment. Kinds match Resource.KINDS. Appointments booked from the
+ * service catalog use the service's requiredResources instead.
+ */
+module.exports = {
+  requirements: {
+    first_visit: ['room'],
+    follow_up: ['room', 'ozone_generator']
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * Vital signs and measurements recorded as observations. Values are stored in
+ * the type's unit; the other units listed are converted when recorded. min and
+ * max bound what can be recorded at all, and referenceRange (adults) flags
+ * values as low or high unless the observation brings its own range.
+ */
+module.exports = {
+  systolic_pressure: {
+    label: 'Presión arterial sistólica',
+    unit: 'mmHg',
+    min: 40,
+    max: 300,
+    referenceRange: { low: 90, high: 129 }
+  },
+  diastolic_pressure: {
+    label: 'Presión arterial diastólica',
+    unit: 'mmHg',
+    min: 20,
+    max: 200,
+    referenceRange: { low: 60, high: 84 }
+  },
+  heart_rate: {
+    label: 'Frecuencia cardiaca',
+    unit: 'lpm',
+    min: 20,
+    max: 300,
+    referenceRange: { low: 60, high: 100 }
+  },
+  respiratory_rate: {
+    label: 'Frecuencia respiratoria',
+    unit: 'rpm',
+    min: 4,
+    max: 80,
+    referenceRange: { low: 12, high: 20 }
+  },
+  temperature: {
+    label: 'Temperatura',
+    unit: '°C',
+    min: 25,
+    max: 45,
+    referenceRange: { low: 36.1, high: 37.5 },
+    conversions: { '°F': value => (value - 32) * 5 / 9 }
+  },
+  oxygen_saturation: {
+    label: 'Saturación de oxígeno (SpO2)',
+    unit: '%',
+    min: 50,
+    max: 100,
+    referenceRange: { low: 95, high: 100 }
+  },
+  glucose: {
+    label: 'Glucosa',
+    unit: 'mg/dL',
+    min: 10,
+    max: 1000,
+    // Fasting
+    referenceRange: { low: 70, high: 99 },
+    conversions: { 'mmol/L': value => value * 18.016 }
+  },
+  pain_scale: {
+    label: 'Escala de dolor (EVA)',
+    unit: '/10',
+    min: 0,
+    max: 10,
+    referenceRange: { low: 0, high: 3 }
+  },
+  weight: {
+    label: 'Peso',
+    unit: 'kg',
+    min: 0.5,
+    max: 500,
+    referenceRange: null,
+    conversions: { lb: value => value * 0.45359237 }
+  },
+  height: {
+    label: 'Estatura',
+    unit: 'cm',
+    min: 20,
+    max: 250,
+    referenceRange: null,
+    conversions: { m: value => value * 100, in: value => value * 2.54 }
+  },
+  // Not recorded; derived from each weight and the latest height before it
+  bmi: {
+    label: 'Índice de masa corporal',
+    unit: 'kg/m²',
+    derived: true,
+    referenceRange: { low: 18.5, high: 24.9 }
+  }
+};
@@ -1,8 +1,24 @@
 const { Op } = require('sequelize');
 const { Appointment, User, Branch } = require('../models');
 const { APIError } = require('../middleware/error.middleware');
-const { sendAppointmentConfirmation, sendAppointmentReminder } = require('../services/email.service');
-const { sendSMSNotification } = require('../services/sms.service');
+const AgendaService = require('../services/agenda.service');
+const AppointmentNotificationService = require('../services/appointment-notification.service');
+const AppointmentLifecycleService = require('../services/appointment-lifecycle.service');
+const AvailabilityService = require('../services/availability.service');
+const BookingService = require('../services/booking.service');
+const BulkAppointmentService = require('../services/bulk-appointment.service');
+const CancellationPolicyService = require('../services/cancellation-policy.service');
+const ConcurrencyService = require('../services/concurrency.service');
+const ServiceCatalogService = require('../services/service-catalog.service');
+const SlotFinderService = require('../services/slot-finder.service');
+const UtilService = require('../services/util.service');
+const WaitlistService = require('../services/waitlist.service');
+const LoggerService = require('../services/logger.service');
+const NoShowService = require('../services/no-show.service');
+const TimezoneService = require('../services/timezone.service');
+
+// Branch fields returned with appointments; times are local to the branch's timezone
+const BRANCH_ATTRIBUTES = ['id', 'name', 'address', 'timezone'];
 
 class AppointmentController {
   /**
@@ -17,9 +33,9 @@ class AppointmentController {
         branchId,
         date,
         startTime,
-        endTime,
-        type
+        serviceId
       } = req.body;
+      let { endTime, type } = req.body;
 
       // Verify doctor exists and is active
       const doctor = await User.findOne({
@@ -31,41 +47,39 @@ class AppointmentController {
 
       // Verify branch exists and is active
       const branch = await Branch.findOne({
-        where: { id: branchId, status: 'active' }
+        where: { id: branchId, status: 'active' },
+        attributes: BRANCH_ATTRIBUTES
       });
       if (!branch) {
         throw new APIError(404, 'Branch not found or inactive');
       }
+      AppointmentController.assertFutureStart(date, startTime, branch);
 
-      // Check for scheduling conflicts
-      const conflictingAppointment = await Appointment.findOne({
-        where: {
-          doctorId,
-          date,
-          [Op.or]: [
-            {
-              startTime: {
-                [Op.between]: [startTime, endTime]
-              }
-            },
-            {
-              endTime: {
-                [Op.between]: [startTime, endTime]
-              }
-            }
-          ],
-          status: {
-            [Op.notIn]: ['cancelled']
-          }
-        }
-      });
+      // Patients with repeated no-shows may need confirmation, a deposit or staff booking
+      const patient = await NoShowService.findPatient(patientId);
+      const requirements = NoShowService.checkBooking(patient, req.user);
+
+      // Catalog services set the duration and appointment type
+      if (serviceId) {
+        const service = await ServiceCatalogService.resolve(serviceId, doctor, branchId);
+        endTime = ServiceCatalogService.getEndTime(service, startTime);
+        type = service.appointmentType;
+      }
 
-      if (conflictingAppointment) {
-        throw new APIError(409, 'Doctor is not available at this time');
+      // Verify the doctor works at this branch at the requested time
+      const withinWorkingHours = await AvailabilityService.isWithinWorkingHours(
+        doctorId,
+        branchId,
+        date,
+        startTime,
+        endTime
+      );
+      if (!withinWorkingHours) {
+        throw new APIError(409, 'Doctor does not work at this branch at the requested time');
       }
 
-      // Create appointment
-      const appointment = await Appointment.create({
+      // Book inside a transaction; the database rejects overlapping bookings
+      const appointment = await BookingService.book({
         patientId,
         doctorId,
         branchId,
@@ -73,21 +87,14 @@ class AppointmentController {
         startTime,
         endTime,
         type,
-        status: 'scheduled'
-      });
-
-      // Send confirmation notifications
-      await Promise.all([
-        sendAppointmentConfirmation(appointment),
-        sendSMSNotification(appointment)
-      ]);
+        serviceId: serviceId || null,
+        ...requirements
+      }, req.user);
+      appointment.setDataValue('branch', branch);
 
-      // Schedule reminder for 24 hours before appointment
-      const appointmentDate = new Date(date + ' ' + startTime);
-      const reminderDate = new Date(appointmentDate.getTime() - 24 * 60 * 60 * 1000);
-      
-      // TODO: Implement job scheduler for reminders
-      // scheduleJob(reminderDate, () => sendAppointmentReminder(appointment));
+      // Send confirmation notifications (the email carries a calendar invitation);
+      // reminders were queued when the booking was recorded
+      await AppointmentNotificationService.notify([appointment], 'booked');
 
       res.status(201).json({
         status: 'success',
@@ -154,7 +161,7 @@ class AppointmentController {
           {
             model: Branch,
             as: 'branch',
-            attributes: ['id', 'name', 'address']
+            attributes: BRANCH_ATTRIBUTES
           }
         ],
         order: [['date', 'ASC'], ['startTime', 'ASC']]
@@ -192,7 +199,7 @@ class AppointmentController {
           {
             model: Branch,
             as: 'branch',
-            attributes: ['id', 'name', 'address']
+            attributes: BRANCH_ATTRIBUTES
           }
         ]
       });
@@ -210,6 +217,7 @@ class AppointmentController {
         throw new APIError(403, 'Access denied');
       }
 
+      ConcurrencyService.setETag(res, appointment);
       res.json({
         status: 'success',
         data: {
@@ -222,35 +230,210 @@ class AppointmentController {
   }
 
   /**
-   * Update appointment status
+   * Update appointment status and notes; status changes follow the lifecycle
    * @route PATCH /api/appointments/:id
    */
   static async update(req, res, next) {
     try {
-      const { status, notes, cancellationReason } = req.body;
-      const appointment = await Appointment.findByPk(req.params.id);
+      const { status, notes, cancellationReason, overrideReason } = req.body;
+      const appointment = await AppointmentController.findWithBranch(req.params.id);
 
       if (!appointment) {
         throw new APIError(404, 'Appointment not found');
       }
+      // Reject edits made on a copy someone else has changed since
+      ConcurrencyService.assertMatch(req, res, appointment, 'appointment');
+
+      const changes = {};
+      if (notes) changes.notes = notes;
+      if (cancellationReason) changes.cancellationReason = cancellationReason;
 
-      // Validate status transition
-      if (status === 'cancelled' && !appointment.canBeCancelled()) {
-        throw new APIError(400, 'Appointment cannot be cancelled less than 24 hours before');
+      let policy = null;
+      if (status === 'cancelled') {
+        AppointmentLifecycleService.assertTransition(appointment, status, req.user);
+        policy = await CancellationPolicyService.enforce(appointment, 'cancel', {
+          user: req.user,
+          overrideReason
+        });
+        changes.cancellationFee = policy.fee;
       }
 
-      // Update appointment
-      appointment.status = status || appointment.status;
-      appointment.notes = notes || appointment.notes;
-      appointment.cancellationReason = cancellationReason || appointment.cancellationReason;
-      
-      await appointment.save();
+      await ConcurrencyService.save(res, appointment, 'appointment', async () => {
+        if (status && status !== appointment.status) {
+          await AppointmentLifecycleService.transition(appointment, status, {
+            user: req.user,
+            reason: cancellationReason,
+            metadata: policy ? { policy: CancellationPolicyService.toMetadata(policy) } : null,
+            changes
+          });
+        } else if (Object.keys(changes).length) {
+          await appointment.update(changes);
+        }
+      });
 
       // Send notifications based on status change
       if (status === 'cancelled') {
-        // TODO: Implement cancellation notifications
+        await AppointmentNotificationService.notify([appointment], 'cancelled');
+        await AppointmentController.offerToWaitlist(appointment);
+      }
+
+      res.json({
+        status: 'success',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel appointment
+   * @route POST /api/appointments/:id/cancel
+   */
+  static async cancel(req, res, next) {
+    try {
+      const { reason, overrideReason } = req.body;
+      const appointment = await AppointmentController.findWithBranch(req.params.id);
+
+      if (!appointment) {
+        throw new APIError(404, 'Appointment not found');
+      }
+
+      if (appointment.status === 'cancelled') {
+        throw new APIError(400, 'Appointment is already cancelled');
+      }
+
+      AppointmentLifecycleService.assertTransition(appointment, 'cancelled', req.user);
+      const policy = await CancellationPolicyService.enforce(appointment, 'cancel', {
+        user: req.user,
+        overrideReason
+      });
+
+      await AppointmentLifecycleService.transition(appointment, 'cancelled', {
+        user: req.user,
+        reason,
+        metadata: { policy: CancellationPolicyService.toMetadata(policy) },
+        changes: { cancellationReason: reason, cancellationFee: policy.fee }
+      });
+      await AppointmentNotificationService.notify([appointment], 'cancelled');
+
+      const offer = await AppointmentController.offerToWaitlist(appointment);
+
+      res.json({
+        status: 'success',
+        data: {
+          appointment,
+          offeredToWaitlist: Boolean(offer)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm appointment (also confirms the new time of a rescheduled one)
+   * @route POST /api/appointments/:id/confirm
+   */
+  static async confirm(req, res, next) {
+    try {
+      const appointment = await AppointmentController.findWithBranch(req.params.id);
+
+      if (!appointment) {
+        throw new APIError(404, 'Appointment not found');
       }
 
+      await AppointmentLifecycleService.transition(appointment, 'confirmed', { user: req.user });
+
+      res.json({
+        status: 'success',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reschedule appointment, moving its rooms and equipment with it
+   * @route POST /api/appointments/:id/reschedule
+   */
+  static async reschedule(req, res, next) {
+    try {
+      const { date, startTime, reason, overrideReason } = req.body;
+      let { endTime } = req.body;
+      const appointment = await AppointmentController.findWithBranch(req.params.id);
+
+      if (!appointment) {
+        throw new APIError(404, 'Appointment not found');
+      }
+
+      AppointmentLifecycleService.assertTransition(appointment, 'rescheduled', req.user);
+      const policy = await CancellationPolicyService.enforce(appointment, 'reschedule', {
+        user: req.user,
+        overrideReason
+      });
+
+      const branchId = req.body.branchId || appointment.branchId;
+      const branch = branchId === appointment.branchId
+        ? appointment.branch
+        : await Branch.findOne({
+          where: { id: branchId, status: 'active' },
+          attributes: BRANCH_ATTRIBUTES
+        });
+      if (!branch) {
+        throw new APIError(404, 'Branch not found or inactive');
+      }
+      AppointmentController.assertFutureStart(date, startTime, branch);
+
+      if (appointment.serviceId) {
+        const service = await ServiceCatalogService.resolve(appointment.serviceId, null, branchId);
+        endTime = endTime || ServiceCatalogService.getEndTime(service, startTime);
+      } else if (!endTime) {
+        // Keep the original length
+        const length = UtilService.timeToMinutes(appointment.endTime) -
+          UtilService.timeToMinutes(appointment.startTime);
+        endTime = UtilService.minutesToTime(UtilService.timeToMinutes(startTime) + length);
+      }
+      const withinWorkingHours = await AvailabilityService.isWithinWorkingHours(
+        appointment.doctorId,
+        branchId,
+        date,
+        startTime,
+        endTime
+      );
+      if (!withinWorkingHours) {
+        throw new APIError(409, 'Doctor does not work at this branch at the requested time');
+      }
+
+      const previous = {
+        id: appointment.id,
+        doctorId: appointment.doctorId,
+        branchId: appointment.branchId,
+        date: appointment.date,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime
+      };
+
+      await BookingService.reschedule(
+        appointment,
+        { branchId, date, startTime, endTime },
+        {
+          user: req.user,
+          reason,
+          metadata: { policy: CancellationPolicyService.toMetadata(policy) }
+        }
+      );
+      appointment.setDataValue('branch', branch);
+      await AppointmentNotificationService.notify([appointment], 'rescheduled');
+
+      // The old time is free again
+      await AppointmentController.offerToWaitlist(previous);
+
       res.json({
         status: 'success',
         data: {
@@ -262,65 +445,346 @@ class AppointmentController {
     }
   }
 
+  /**
+   * Get the status history of an appointment
+   * @route GET /api/appointments/:id/timeline
+   */
+  static async getTimeline(req, res, next) {
+    try {
+      const appointment = await Appointment.findByPk(req.params.id, {
+        attributes: ['id', 'patientId', 'doctorId', 'status']
+      });
+
+      if (!appointment) {
+        throw new APIError(404, 'Appointment not found');
+      }
+
+      // Check access permission
+      if (
+        req.user.role !== 'admin' &&
+        req.user.id !== appointment.doctorId &&
+        req.user.id !== appointment.patientId
+      ) {
+        throw new APIError(403, 'Access denied');
+      }
+
+      const timeline = await AppointmentLifecycleService.getTimeline(appointment.id);
+
+      res.json({
+        status: 'success',
+        data: {
+          status: appointment.status,
+          allowedTransitions: AppointmentLifecycleService.getAllowedTransitions(
+            appointment.status,
+            req.user.role
+          ),
+          timeline
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the cancellation policy that applies to an appointment and what it means
+   * for the current user cancelling or rescheduling now
+   * @route GET /api/appointments/:id/policy
+   */
+  static async getPolicy(req, res, next) {
+    try {
+      const appointment = await AppointmentController.findWithBranch(req.params.id);
+
+      if (!appointment) {
+        throw new APIError(404, 'Appointment not found');
+      }
+
+      const policy = await CancellationPolicyService.resolve(appointment);
+      const context = {
+        role: req.user.role,
+        patientReschedules: await CancellationPolicyService.countPatientReschedules(
+          appointment.id
+        )
+      };
+
+      res.json({
+        status: 'success',
+        data: {
+          policy,
+          cancel: CancellationPolicyService.evaluate(policy, appointment, 'cancel', context),
+          reschedule: CancellationPolicyService.evaluate(
+            policy,
+            appointment,
+            'reschedule',
+            context
+          )
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel every upcoming appointment matching a filter (e.g. a doctor's sick days)
+   * @route POST /api/appointments/bulk-cancel
+   */
+  static async bulkCancel(req, res, next) {
+    try {
+      const { filter, reason, dryRun, format } = req.body;
+
+      const report = await BulkAppointmentService.cancel(filter, {
+        reason,
+        dryRun,
+        user: req.user
+      });
+
+      AppointmentController.sendReport(res, report, format, 'bulk-cancel');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Move every upcoming appointment matching a filter to another doctor, branch or day
+   * @route POST /api/appointments/bulk-reschedule
+   */
+  static async bulkReschedule(req, res, next) {
+    try {
+      const { filter, changes, reason, dryRun, skipConflicts, format } = req.body;
+
+      await BulkAppointmentService.assertTarget(changes);
+      const report = await BulkAppointmentService.reschedule(filter, changes, {
+        reason,
+        dryRun,
+        skipConflicts,
+        user: req.user
+      });
+
+      AppointmentController.sendReport(res, report, format, 'bulk-reschedule');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a bulk action report as JSON or as a CSV download
+   * @private
+   * @param {Object} res - Express response
+   * @param {Object} report - Report from BulkAppointmentService
+   * @param {string} [format='json'] - json or csv
+   * @param {string} name - File name prefix
+   * @returns {void}
+   */
+  static sendReport(res, report, format, name) {
+    if (format === 'csv') {
+      const [day] = report.generatedAt.split('T');
+      const suffix = report.dryRun ? '-preview' : '';
+      res
+        .set('Content-Type', 'text/csv; charset=utf-8')
+        .set('Content-Disposition', `attachment; filename="${name}${suffix}-${day}.csv"`)
+        .send(BulkAppointmentService.toCsv(report));
+      return;
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        report
+      }
+    });
+  }
+
+  /**
+   * Load an appointment with the branch its times are local to
+   * @private
+   * @param {string} id - Appointment ID
+   * @returns {Promise<Object|null>} Appointment
+   */
+  static findWithBranch(id) {
+    return Appointment.findByPk(id, {
+      include: [
+        {
+          model: Branch,
+          as: 'branch',
+          attributes: BRANCH_ATTRIBUTES
+        }
+      ]
+    });
+  }
+
+  /**
+   * Reject start times that have already passed at the branch
+   * @private
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} startTime - Start time (HH:mm), local to the branch
+   * @param {Object} branch - Branch instance
+   * @returns {void}
+   */
+  static assertFutureStart(date, startTime, branch) {
+    if (TimezoneService.toInstant(date, startTime, branch.timezone) <= new Date()) {
+      throw new APIError(400, 'Appointment must start in the future');
+    }
+  }
+
+  /**
+   * Offer a freed slot to the waitlist
+   * @private
+   * @param {Object} appointment - Cancelled or moved appointment (its previous slot)
+   * @returns {Promise<Object|null>} Slot offer
+   */
+  static async offerToWaitlist(appointment) {
+    // The doctor stays busy with the rest of the group
+    if (appointment.groupSessionId) {
+      return null;
+    }
+
+    try {
+      return await WaitlistService.handleSlotReleased(appointment);
+    } catch (error) {
+      // The cancellation itself already succeeded
+      LoggerService.error('Error offering cancelled slot to the waitlist:', error);
+      return null;
+    }
+  }
+
   /**
    * Get available time slots for a doctor
    * @route GET /api/appointments/available-slots
    */
   static async getAvailableSlots(req, res, next) {
     try {
-      const { doctorId, date } = req.query;
+      const { doctorId, date, branchId, duration, type, serviceId } = req.query;
 
       if (!doctorId || !date) {
         throw new APIError(400, 'Doctor ID and date are required');
       }
 
-      // Get doctor's appointments for the date
-      const appointments = await Appointment.findAll({
-        where: {
-          doctorId,
+      let service = null;
+      if (serviceId) {
+        const doctor = await User.findOne({ where: { id: doctorId, role: 'doctor' } });
+        if (!doctor) {
+          throw new APIError(404, 'Doctor not found');
+        }
+        service = await ServiceCatalogService.resolve(serviceId, doctor, branchId);
+      }
+
+      const slots = await AvailabilityService.getAvailableSlots(doctorId, date, {
+        branchId,
+        service,
+        type,
+        duration: duration ? parseInt(duration, 10) : undefined
+      });
+
+      res.json({
+        status: 'success',
+        data: {
           date,
-          status: {
-            [Op.notIn]: ['cancelled']
-          }
-        },
-        order: [['startTime', 'ASC']]
+          doctorId,
+          branchId: branchId || null,
+          serviceId: serviceId || null,
+          availableSlots: slots
+        }
       });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Get doctor's working hours (from branch assignment)
-      // TODO: Implement proper working hours logic
-      const workingHours = {
-        start: '09:00',
-        end: '17:00',
-        slotDuration: 30 // minutes
-      };
+  /**
+   * Find the earliest slots for a service with any doctor at any branch
+   * @route GET /api/appointments/nearest-slots
+   */
+  static async findNearestSlots(req, res, next) {
+    try {
+      const {
+        serviceId,
+        limit,
+        specialization,
+        timeOfDay,
+        fromTime,
+        toTime,
+        latitude,
+        longitude,
+        maxDistanceKm,
+        sort
+      } = req.query;
+      const range = SlotFinderService.getRange(req.query.startDate, req.query.endDate);
+
+      const slots = await SlotFinderService.findSlots({
+        serviceId,
+        ...range,
+        limit,
+        specialization,
+        timeOfDay,
+        fromTime,
+        toTime,
+        latitude,
+        longitude,
+        maxDistanceKm,
+        sort
+      });
 
-      // Generate available slots
-      const slots = [];
-      let currentTime = workingHours.start;
+      res.json({
+        status: 'success',
+        data: {
+          serviceId,
+          ...range,
+          slots
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a doctor's agenda for a day or week: bookings, blocked time, free gaps and
+   * utilization at each branch
+   * @route GET /api/appointments/doctor/schedule
+   */
+  static async getDoctorSchedule(req, res, next) {
+    try {
+      const { view = 'day' } = req.query;
+      // Doctors see their own agenda, admins any doctor's
+      const doctorId = req.user.role === 'doctor' ? req.user.id : req.query.doctorId;
+      if (!doctorId) {
+        throw new APIError(400, 'Doctor ID is required');
+      }
 
-      while (currentTime < workingHours.end) {
-        const isAvailable = !appointments.some(apt => 
-          apt.startTime <= currentTime && apt.endTime > currentTime
-        );
+      const range = AgendaService.getRange(view, req.query.date || TimezoneService.today());
+      const agenda = await AgendaService.getAgenda(doctorId, range.startDate, range.endDate);
 
-        if (isAvailable) {
-          slots.push(currentTime);
+      res.json({
+        status: 'success',
+        data: {
+          doctorId,
+          view,
+          ...agenda
         }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-        // Add slot duration to current time
-        const [hours, minutes] = currentTime.split(':').map(Number);
-        const totalMinutes = hours * 60 + minutes + workingHours.slotDuration;
-        const newHours = Math.floor(totalMinutes / 60);
-        const newMinutes = totalMinutes % 60;
-        currentTime = `${String(newHours).padStart(2, '0')}:${String(newMinutes).padStart(2, '0')}`;
+  /**
+   * Get a doctor's next appointments
+   * @route GET /api/appointments/doctor/upcoming
+   */
+  static async getDoctorUpcoming(req, res, next) {
+    try {
+      const doctorId = req.user.role === 'doctor' ? req.user.id : req.query.doctorId;
+      if (!doctorId) {
+        throw new APIError(400, 'Doctor ID is required');
       }
 
+      const appointments = await AgendaService.getUpcoming(doctorId, req.query.limit);
+
       res.json({
         status: 'success',
         data: {
-          date,
-          doctorId,
-          availableSlots: slots
+          appointments
         }
       });
     } catch (error) {
@@ -0,0 +1,395 @@
+const { AppointmentSeries, Appointment, User, Branch } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+const AppointmentLifecycleService = require('../services/appointment-lifecycle.service');
+const AppointmentSeriesService = require('../services/appointment-series.service');
+const CancellationPolicyService = require('../services/cancellation-policy.service');
+const NoShowService = require('../services/no-show.service');
+const ServiceCatalogService = require('../services/service-catalog.service');
+
+class AppointmentSeriesController {
+  /**
+   * Preview the sessions of a series and their conflicts without booking
+   * @route POST /api/appointment-series/preview
+   */
+  static async preview(req, res, next) {
+    try {
+      const { data, occurrences } = await AppointmentSeriesController.planSeries(req);
+
+      res.json({
+        status: 'success',
+        data: {
+          series: data,
+          occurrences,
+          conflicts: occurrences.filter(occurrence => !occurrence.available).length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a series and book its sessions
+   * @route POST /api/appointment-series
+   */
+  static async create(req, res, next) {
+    try {
+      const { skipConflicts } = req.body;
+      const { data, occurrences } = await AppointmentSeriesController.planSeries(req);
+
+      const available = occurrences.filter(occurrence => occurrence.available);
+      if (!available.length) {
+        throw new APIError(409, 'None of the series sessions can be booked', { occurrences });
+      }
+      if (available.length < occurrences.length && !skipConflicts) {
+        throw new APIError(
+          409,
+          'Some sessions conflict; resolve them or retry with skipConflicts',
+          { occurrences }
+        );
+      }
+
+      // Patients with repeated no-shows may need confirmation, a deposit or staff booking
+      const patient = await NoShowService.findPatient(data.patientId);
+      const requirements = NoShowService.checkBooking(patient, req.user);
+
+      const series = await AppointmentSeriesService.createSeries(
+        data,
+        occurrences,
+        req.user,
+        requirements
+      );
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          series,
+          occurrences
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a series with its sessions
+   * @route GET /api/appointment-series/:id
+   */
+  static async getById(req, res, next) {
+    try {
+      await AppointmentSeriesController.findAccessibleSeries(req);
+
+      const series = await AppointmentSeries.findByPk(req.params.id, {
+        include: [
+          {
+            model: Appointment,
+            as: 'sessions'
+          },
+          {
+            model: User,
+            as: 'doctor',
+            attributes: ['id', 'firstName', 'lastName', 'specialization']
+          },
+          {
+            model: User,
+            as: 'patient',
+            attributes: ['id', 'firstName', 'lastName']
+          },
+          {
+            model: Branch,
+            as: 'branch',
+            attributes: ['id', 'name', 'address']
+          }
+        ],
+        order: [[{ model: Appointment, as: 'sessions' }, 'seriesIndex', 'ASC']]
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          series
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Move a session, or a session and all following ones
+   * @route PATCH /api/appointment-series/:id/sessions/:appointmentId
+   */
+  static async updateSession(req, res, next) {
+    try {
+      const { scope = 'this', date, startTime, endTime } = req.body;
+      const series = await AppointmentSeriesController.findAccessibleSeries(req);
+      const { appointmentId } = req.params;
+      const anchor = await AppointmentSeriesController.findSession(series, appointmentId);
+
+      const sessions = await AppointmentSeriesService.getAffectedSessions(series, anchor, scope);
+      if (!sessions.length) {
+        throw new APIError(400, 'No upcoming sessions to update');
+      }
+      const policies = await AppointmentSeriesController.enforcePolicy(
+        sessions,
+        'reschedule',
+        req
+      );
+
+      const moves = AppointmentSeriesService.buildMoves(anchor, sessions, {
+        date,
+        startTime,
+        endTime
+      });
+      const occurrences = await AppointmentSeriesService.checkOccurrences(series, moves, {
+        excludeIds: sessions.map(session => session.id)
+      });
+
+      if (occurrences.some(occurrence => !occurrence.available)) {
+        throw new APIError(409, 'Some sessions cannot be moved', { occurrences });
+      }
+
+      const seriesChanges = scope === 'following' && (startTime || endTime)
+        ? { startTime: startTime || series.startTime, endTime: endTime || series.endTime }
+        : null;
+      const updated = await AppointmentSeriesService.applyMoves(
+        series,
+        moves,
+        seriesChanges,
+        req.user,
+        policies
+      );
+
+      res.json({
+        status: 'success',
+        data: {
+          sessions: updated
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a session, or a session and all following ones
+   * @route POST /api/appointment-series/:id/sessions/:appointmentId/cancel
+   */
+  static async cancelSession(req, res, next) {
+    try {
+      const { scope = 'this', reason } = req.body;
+      const series = await AppointmentSeriesController.findAccessibleSeries(req);
+      const { appointmentId } = req.params;
+      const anchor = await AppointmentSeriesController.findSession(series, appointmentId);
+
+      const sessions = await AppointmentSeriesService.getAffectedSessions(series, anchor, scope);
+      if (!sessions.length) {
+        throw new APIError(400, 'No upcoming sessions to cancel');
+      }
+      const policies = await AppointmentSeriesController.enforcePolicy(sessions, 'cancel', req);
+
+      const cancelled = await AppointmentSeriesService.cancelSessions(
+        series,
+        sessions,
+        reason,
+        false,
+        req.user,
+        policies
+      );
+
+      res.json({
+        status: 'success',
+        data: {
+          sessions: cancelled
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel every upcoming session of a series
+   * @route POST /api/appointment-series/:id/cancel
+   */
+  static async cancel(req, res, next) {
+    try {
+      const { reason } = req.body;
+      const series = await AppointmentSeriesController.findAccessibleSeries(req);
+
+      if (series.status === 'cancelled') {
+        throw new APIError(400, 'Series is already cancelled');
+      }
+
+      const sessions = await AppointmentSeriesService.getAffectedSessions(series);
+      const policies = await AppointmentSeriesController.enforcePolicy(sessions, 'cancel', req);
+      const cancelled = await AppointmentSeriesService.cancelSessions(
+        series,
+        sessions,
+        reason,
+        true,
+        req.user,
+        policies
+      );
+
+      res.json({
+        status: 'success',
+        data: {
+          series,
+          sessions: cancelled
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Apply each session's cancellation policy, as cancelling or rescheduling a single
+   * appointment does. One session the policy refuses stops the whole change.
+   * @private
+   * @param {Array} sessions - Sessions with their branch
+   * @param {string} action - cancel or reschedule
+   * @param {Object} req - Express request (user, and an admin's overrideReason)
+   * @returns {Promise<Object>} Evaluations by appointment ID
+   */
+  static async enforcePolicy(sessions, action, req) {
+    const policies = {};
+    for (const session of sessions) {
+      AppointmentLifecycleService.assertTransition(
+        session,
+        action === 'cancel' ? 'cancelled' : 'rescheduled',
+        req.user
+      );
+      policies[session.id] = await CancellationPolicyService.enforce(session, action, {
+        user: req.user,
+        overrideReason: req.body.overrideReason
+      });
+    }
+
+    return policies;
+  }
+
+  /**
+   * Validate the request and expand the series into checked occurrences
+   * @private
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} Series data and occurrences
+   */
+  static async planSeries(req) {
+    const {
+      doctorId,
+      branchId,
+      serviceId,
+      startDate,
+      startTime,
+      weekdays,
+      interval,
+      count,
+      until,
+      notes
+    } = req.body;
+    let { patientId, endTime, type } = req.body;
+
+    if (req.user.role === 'patient') {
+      patientId = req.user.id;
+    }
+
+    // Verify doctor exists and is active
+    const doctor = await User.findOne({
+      where: { id: doctorId, role: 'doctor', status: 'active' }
+    });
+    if (!doctor) {
+      throw new APIError(404, 'Doctor not found or inactive');
+    }
+
+    // Verify branch exists and is active
+    const branch = await Branch.findOne({
+      where: { id: branchId, status: 'active' }
+    });
+    if (!branch) {
+      throw new APIError(404, 'Branch not found or inactive');
+    }
+
+    // Catalog services set the duration and appointment type of every session
+    if (serviceId) {
+      const service = await ServiceCatalogService.resolve(serviceId, doctor, branchId);
+      endTime = ServiceCatalogService.getEndTime(service, startTime);
+      type = service.appointmentType;
+    }
+
+    const data = {
+      patientId,
+      doctorId,
+      branchId,
+      serviceId: serviceId || null,
+      type,
+      startDate,
+      startTime,
+      endTime,
+      weekdays,
+      interval: interval || 1,
+      count: count || null,
+      until: until || null,
+      notes
+    };
+
+    const dates = AppointmentSeriesService.expandRule(data);
+    if (!dates.length) {
+      throw new APIError(400, 'The recurrence rule does not produce any sessions');
+    }
+
+    const occurrences = await AppointmentSeriesService.checkOccurrences(
+      data,
+      dates.map(date => ({ date, startTime, endTime }))
+    );
+
+    return { data, occurrences };
+  }
+
+  /**
+   * Find a series the current user may access
+   * @private
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} Series instance
+   */
+  static async findAccessibleSeries(req) {
+    const series = await AppointmentSeries.findByPk(req.params.id);
+
+    if (!series) {
+      throw new APIError(404, 'Appointment series not found');
+    }
+
+    if (
+      req.user.role !== 'admin' &&
+      req.user.id !== series.doctorId &&
+      req.user.id !== series.patientId
+    ) {
+      throw new APIError(403, 'Access denied');
+    }
+
+    return series;
+  }
+
+  /**
+   * Find a session belonging to a series
+   * @private
+   * @param {Object} series - Series instance
+   * @param {string} appointmentId - Appointment ID
+   * @returns {Promise<Object>} Appointment instance
+   */
+  static async findSession(series, appointmentId) {
+    const session = await Appointment.findOne({
+      where: { id: appointmentId, seriesId: series.id }
+    });
+
+    if (!session) {
+      throw new APIError(404, 'Session not found in this series');
+    }
+
+    return session;
+  }
+}
+
+module.exports = AppointmentSeriesController;
@@ -11,7 +11,16 @@ class AuthController {
    */
   static async register(req, res, next) {
     try {
-      const { firstName, lastName, email, password, phone, role, specialization } = req.body;
+      const {
+        firstName,
+        lastName,
+        email,
+        password,
+        phone,
+        role,
+        specialization,
+        licenseNumber
+      } = req.body;
 
       // Check if user already exists
       const existingUser = await User.findOne({ where: { email } });
@@ -27,7 +36,8 @@ class AuthController {
         password, // Password will be hashed by model hook
         phone,
         role,
-        specialization: role === 'doctor' ? specialization : null
+        specialization: role === 'doctor' ? specialization : null,
+        licenseNumber: role === 'doctor' ? licenseNumber : null
       });
 
       // Generate JWT token
@@ -115,6 +125,7 @@ class AuthController {
    */
   static async updateProfile(req, res, next) {
     try {
+      // The license number printed on prescriptions is set by an administrator
       const allowedUpdates = ['firstName', 'lastName', 'phone', 'specialization'];
       const updates = Object.keys(req.body)
         .filter(key => allowedUpdates.includes(key))
@@ -143,6 +154,30 @@ class AuthController {
     }
   }
 
+  /**
+   * Set a doctor's professional license number, printed on their prescriptions
+   * @route PATCH /api/auth/users/:id/license
+   */
+  static async updateLicense(req, res, next) {
+    try {
+      const doctor = await User.findOne({ where: { id: req.params.id, role: 'doctor' } });
+      if (!doctor) {
+        throw new APIError(404, 'Doctor not found');
+      }
+
+      await doctor.update({ licenseNumber: req.body.licenseNumber });
+
+      res.json({
+        status: 'success',
+        data: {
+          user: doctor.toJSON()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Change password
    * @route POST /api/auth/change-password
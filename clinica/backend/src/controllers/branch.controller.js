@@ -1,5 +1,13 @@
-const { Branch, User, Appointment, DoctorBranch } = require('../models');
+const {
+  sequelize,
+  Branch,
+  User,
+  Appointment,
+  DoctorBranch,
+  AvailabilityTemplate
+} = require('../models');
 const { APIError } = require('../middleware/error.middleware');
+const TimezoneService = require('../services/timezone.service');
 const { Op } = require('sequelize');
 
 class BranchController {
@@ -18,6 +26,7 @@ class BranchController {
         phone,
         email,
         operatingHours,
+        timezone,
         capacity,
         services,
         coordinates
@@ -38,6 +47,7 @@ class BranchController {
         phone,
         email,
         operatingHours,
+        timezone,
         capacity,
         services,
         coordinates,
@@ -154,6 +164,7 @@ class BranchController {
         'phone',
         'email',
         'operatingHours',
+        'timezone',
         'status',
         'capacity',
         'services',
@@ -246,12 +257,13 @@ class BranchController {
       const { id: branchId, doctorId } = req.params;
 
       // Check for future appointments
+      const branch = await Branch.findByPk(branchId, { attributes: ['id', 'timezone'] });
       const futureAppointments = await Appointment.findOne({
         where: {
           branchId,
           doctorId,
           date: {
-            [Op.gte]: new Date()
+            [Op.gte]: TimezoneService.today(branch ? branch.timezone : undefined)
           },
           status: {
             [Op.notIn]: ['cancelled']
@@ -293,10 +305,10 @@ class BranchController {
         throw new APIError(404, 'Branch not found');
       }
 
-      // Get appointments statistics
-      const today = new Date();
-      const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-      const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+      // Get appointments statistics for the current month in the branch's zone
+      const [year, month] = TimezoneService.today(branch.timezone).split('-').map(Number);
+      const startOfMonth = `${year}-${String(month).padStart(2, '0')}-01`;
+      const [endOfMonth] = new Date(Date.UTC(year, month, 0)).toISOString().split('T');
 
       const appointments = await Appointment.findAll({
         where: {
@@ -330,6 +342,132 @@ class BranchController {
       next(error);
     }
   }
+
+  /**
+   * Get doctors' availability templates for a branch
+   * @route GET /api/branches/:id/doctor-schedules
+   */
+  static async getDoctorSchedules(req, res, next) {
+    try {
+      const { date } = req.query;
+      const branch = await Branch.findByPk(req.params.id);
+
+      if (!branch) {
+        throw new APIError(404, 'Branch not found');
+      }
+
+      // Without a date, list the templates that are current or upcoming
+      const referenceDate = date || TimezoneService.today(branch.timezone);
+      const where = {
+        branchId: branch.id,
+        [Op.or]: [
+          { effectiveTo: null },
+          { effectiveTo: { [Op.gte]: referenceDate } }
+        ]
+      };
+      if (date) where.effectiveFrom = { [Op.lte]: date };
+      if (req.user.role === 'doctor') where.doctorId = req.user.id;
+
+      const schedules = await AvailabilityTemplate.findAll({
+        where,
+        include: [
+          {
+            model: User,
+            as: 'doctor',
+            attributes: ['id', 'firstName', 'lastName', 'specialization']
+          }
+        ],
+        order: [['doctorId', 'ASC'], ['effectiveFrom', 'ASC']]
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          operatingHours: branch.operatingHours,
+          timezone: branch.timezone,
+          schedules
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set a doctor's weekly availability template at a branch
+   * @route PATCH /api/branches/:id/doctor-schedules/:doctorId
+   */
+  static async updateDoctorSchedule(req, res, next) {
+    try {
+      const { id: branchId, doctorId } = req.params;
+      const { weeklySchedule, slotDuration, effectiveFrom, effectiveTo } = req.body;
+
+      const branch = await Branch.findByPk(branchId);
+      if (!branch) {
+        throw new APIError(404, 'Branch not found');
+      }
+
+      const assignment = await DoctorBranch.findOne({
+        where: { doctorId, branchId }
+      });
+      if (!assignment) {
+        throw new APIError(404, 'Doctor is not assigned to this branch');
+      }
+
+      const schedule = await sequelize.transaction(async (transaction) => {
+        const existing = await AvailabilityTemplate.findOne({
+          where: { doctorId, branchId, effectiveFrom },
+          transaction
+        });
+
+        if (existing) {
+          return existing.update({
+            weeklySchedule,
+            slotDuration: slotDuration || existing.slotDuration,
+            effectiveTo: effectiveTo || null
+          }, { transaction });
+        }
+
+        // Close the template that was in effect when the new one starts
+        const dayBefore = new Date(`${effectiveFrom}T00:00:00Z`);
+        dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+
+        await AvailabilityTemplate.update(
+          { effectiveTo: dayBefore.toISOString().split('T')[0] },
+          {
+            where: {
+              doctorId,
+              branchId,
+              effectiveFrom: { [Op.lt]: effectiveFrom },
+              [Op.or]: [
+                { effectiveTo: null },
+                { effectiveTo: { [Op.gte]: effectiveFrom } }
+              ]
+            },
+            transaction
+          }
+        );
+
+        return AvailabilityTemplate.create({
+          doctorId,
+          branchId,
+          weeklySchedule,
+          slotDuration,
+          effectiveFrom,
+          effectiveTo: effectiveTo || null
+        }, { transaction });
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          schedule
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = BranchController;
\ No newline at end of file
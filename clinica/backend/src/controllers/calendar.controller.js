@@ -0,0 +1,72 @@
+const CalendarService = require('../services/calendar.service');
+
+class CalendarController {
+  /**
+   * Get the user's iCalendar subscription link, creating it on first use
+   * @route GET /api/calendar/subscription
+   */
+  static async getSubscription(req, res, next) {
+    try {
+      const token = req.user.calendarToken || await CalendarService.issueFeedToken(req.user);
+
+      res.json({
+        status: 'success',
+        data: {
+          url: CalendarController.getFeedUrl(req, token)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the subscription link; calendars using the old one stop updating
+   * @route POST /api/calendar/subscription/reset
+   */
+  static async resetSubscription(req, res, next) {
+    try {
+      const token = await CalendarService.issueFeedToken(req.user);
+
+      res.json({
+        status: 'success',
+        data: {
+          url: CalendarController.getFeedUrl(req, token)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Serve a user's appointments as an iCalendar feed (the token identifies the user)
+   * @route GET /api/calendar/feed/:token.ics
+   */
+  static async getFeed(req, res, next) {
+    try {
+      const user = await CalendarService.findFeedOwner(req.params.token);
+      const appointments = await CalendarService.getFeedAppointments(user);
+
+      res
+        .set('Content-Type', 'text/calendar; charset=utf-8')
+        .set('Content-Disposition', 'inline; filename="citas.ics"')
+        .send(CalendarService.buildFeed(user, appointments));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Build the public URL of a feed
+   * @private
+   * @param {Object} req - Request the link is returned from
+   * @param {string} token - Feed token
+   * @returns {string} Feed URL
+   */
+  static getFeedUrl(req, token) {
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+  }
+}
+
+module.exports = CalendarController;
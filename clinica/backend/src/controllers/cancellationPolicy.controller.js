@@ -0,0 +1,166 @@
+const { CancellationPolicy, Branch, Service } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+const CancellationPolicyService = require('../services/cancellation-policy.service');
+const DEFAULT_POLICY = require('../config/cancellationPolicy');
+
+const POLICY_INCLUDE = [
+  { model: Branch, as: 'branch', attributes: ['id', 'name'] },
+  { model: Service, as: 'service', attributes: ['id', 'name'] }
+];
+
+const POLICY_FIELDS = [
+  'name',
+  'branchId',
+  'serviceId',
+  'appointmentType',
+  'cancelNoticeHours',
+  'lateCancellationFee',
+  'rescheduleNoticeHours',
+  'maxPatientReschedules',
+  'status'
+];
+
+class CancellationPolicyController {
+  /**
+   * Create a policy
+   * @route POST /api/cancellation-policies
+   */
+  static async create(req, res, next) {
+    try {
+      const data = CancellationPolicyController.pickFields(req.body);
+      await CancellationPolicyController.assertScopeExists(data);
+      await CancellationPolicyService.assertUniqueScope(data);
+
+      const policy = await CancellationPolicy.create({ ...data, createdBy: req.user.id });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          policy: await CancellationPolicy.findByPk(policy.id, { include: POLICY_INCLUDE })
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get policies (with filters), plus the default used when none matches
+   * @route GET /api/cancellation-policies
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { branchId, serviceId, status } = req.query;
+
+      const where = {};
+      if (branchId) where.branchId = branchId;
+      if (serviceId) where.serviceId = serviceId;
+      if (status) where.status = status;
+
+      const policies = await CancellationPolicy.findAll({
+        where,
+        include: POLICY_INCLUDE,
+        order: [['name', 'ASC']]
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          policies,
+          defaultPolicy: DEFAULT_POLICY
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get policy by ID
+   * @route GET /api/cancellation-policies/:id
+   */
+  static async getById(req, res, next) {
+    try {
+      const policy = await CancellationPolicy.findByPk(req.params.id, {
+        include: POLICY_INCLUDE
+      });
+
+      if (!policy) {
+        throw new APIError(404, 'Cancellation policy not found');
+      }
+
+      res.json({
+        status: 'success',
+        data: {
+          policy
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a policy
+   * @route PATCH /api/cancellation-policies/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const policy = await CancellationPolicy.findByPk(req.params.id);
+
+      if (!policy) {
+        throw new APIError(404, 'Cancellation policy not found');
+      }
+
+      const updates = CancellationPolicyController.pickFields(req.body);
+      const merged = { ...policy.get(), ...updates };
+      await CancellationPolicyController.assertScopeExists(updates);
+      if (merged.status === 'active') {
+        await CancellationPolicyService.assertUniqueScope(merged, policy.id);
+      }
+
+      await policy.update(updates);
+
+      res.json({
+        status: 'success',
+        data: {
+          policy: await CancellationPolicy.findByPk(policy.id, { include: POLICY_INCLUDE })
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Keep the policy fields of a request body
+   * @private
+   * @param {Object} body - Request body
+   * @returns {Object} Policy fields
+   */
+  static pickFields(body) {
+    return Object.keys(body)
+      .filter(key => POLICY_FIELDS.includes(key))
+      .reduce((obj, key) => {
+        obj[key] = body[key];
+        return obj;
+      }, {});
+  }
+
+  /**
+   * Check that the branch and service a policy is scoped to exist
+   * @private
+   * @param {Object} scope - Scope ({ branchId, serviceId })
+   * @returns {Promise<void>}
+   */
+  static async assertScopeExists(scope) {
+    if (scope.branchId && !(await Branch.findByPk(scope.branchId))) {
+      throw new APIError(404, 'Branch not found');
+    }
+    if (scope.serviceId && !(await Service.findByPk(scope.serviceId))) {
+      throw new APIError(404, 'Service not found');
+    }
+  }
+}
+
+module.exports = CancellationPolicyController;
@@ -0,0 +1,324 @@
+const { Op } = require('sequelize');
+const { GroupSession, Appointment, User, Branch, Service } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+const AppointmentNotificationService = require('../services/appointment-notification.service');
+const AvailabilityService = require('../services/availability.service');
+const GroupSessionService = require('../services/group-session.service');
+const NoShowService = require('../services/no-show.service');
+const ServiceCatalogService = require('../services/service-catalog.service');
+const TimezoneService = require('../services/timezone.service');
+
+const SESSION_INCLUDE = [
+  { model: User, as: 'doctor', attributes: ['id', 'firstName', 'lastName'] },
+  { model: Branch, as: 'branch', attributes: ['id', 'name', 'address', 'timezone'] },
+  { model: Service, as: 'service', attributes: ['id', 'name', 'route', 'price'] }
+];
+
+class GroupSessionController {
+  /**
+   * Open a group session
+   * @route POST /api/group-sessions
+   */
+  static async create(req, res, next) {
+    try {
+      const { branchId, serviceId, date, startTime, capacity, notes } = req.body;
+      // Doctors can only open sessions in their own agenda
+      const doctorId = req.user.role === 'doctor' ? req.user.id : req.body.doctorId;
+      if (!doctorId) {
+        throw new APIError(400, 'Doctor ID is required');
+      }
+
+      const doctor = await User.findOne({
+        where: { id: doctorId, role: 'doctor', status: 'active' }
+      });
+      if (!doctor) {
+        throw new APIError(404, 'Doctor not found or inactive');
+      }
+
+      const branch = await Branch.findOne({ where: { id: branchId, status: 'active' } });
+      if (!branch) {
+        throw new APIError(404, 'Branch not found or inactive');
+      }
+      if (TimezoneService.toInstant(date, startTime, branch.timezone) <= new Date()) {
+        throw new APIError(400, 'Group session must start in the future');
+      }
+
+      // The service sets the length, appointment type and the resources held
+      const service = await ServiceCatalogService.resolve(serviceId, doctor, branchId);
+      const endTime = ServiceCatalogService.getEndTime(service, startTime);
+
+      const withinWorkingHours = await AvailabilityService.isWithinWorkingHours(
+        doctorId,
+        branchId,
+        date,
+        startTime,
+        endTime
+      );
+      if (!withinWorkingHours) {
+        throw new APIError(409, 'Doctor does not work at this branch at the requested time');
+      }
+
+      const session = await GroupSessionService.create({
+        doctorId,
+        branchId,
+        serviceId,
+        type: service.appointmentType,
+        date,
+        startTime,
+        endTime,
+        capacity,
+        notes,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          groupSession: await GroupSessionController.describe(session.id)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get group sessions (with filters) and their free seats
+   * @route GET /api/group-sessions
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { branchId, serviceId, doctorId, startDate, endDate, status, available } = req.query;
+
+      const where = {};
+      if (branchId) where.branchId = branchId;
+      if (serviceId) where.serviceId = serviceId;
+      if (doctorId) where.doctorId = doctorId;
+      if (startDate && endDate) where.date = { [Op.between]: [startDate, endDate] };
+      // Patients only see sessions they can still join
+      where.status = req.user.role !== 'patient' && status ? status : 'scheduled';
+
+      const sessions = await GroupSession.findAll({
+        where,
+        include: SESSION_INCLUDE,
+        order: [['date', 'ASC'], ['startTime', 'ASC']]
+      });
+      const taken = sessions.length
+        ? await GroupSessionService.countSeats(sessions.map(session => session.id))
+        : {};
+
+      const groupSessions = sessions
+        .map(session => ({
+          ...session.toJSON(),
+          seats: GroupSessionService.getSeats(session, taken[session.id] || 0)
+        }))
+        .filter(session => available !== 'true' || session.seats.available > 0);
+
+      res.json({
+        status: 'success',
+        data: {
+          groupSessions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a group session; staff also see its participants
+   * @route GET /api/group-sessions/:id
+   */
+  static async getById(req, res, next) {
+    try {
+      const groupSession = await GroupSessionController.describe(
+        req.params.id,
+        req.user.role !== 'patient'
+      );
+
+      res.json({
+        status: 'success',
+        data: {
+          groupSession
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change a session's capacity or notes
+   * @route PATCH /api/group-sessions/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const { capacity, notes } = req.body;
+      const session = await GroupSessionController.findManageable(req);
+
+      if (capacity !== undefined) {
+        const taken = (await GroupSessionService.countSeats([session.id]))[session.id] || 0;
+        if (capacity < taken) {
+          throw new APIError(409, 'Capacity cannot be below the seats already taken', {
+            taken
+          });
+        }
+      }
+
+      const updates = {};
+      if (capacity !== undefined) updates.capacity = capacity;
+      if (notes !== undefined) updates.notes = notes;
+      await session.update(updates);
+
+      res.json({
+        status: 'success',
+        data: {
+          groupSession: await GroupSessionController.describe(session.id, true)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Book a seat for a patient
+   * @route POST /api/group-sessions/:id/participants
+   */
+  static async addParticipant(req, res, next) {
+    try {
+      // Patients book their own seat
+      const patientId = req.user.role === 'patient' ? req.user.id : req.body.patientId;
+      if (!patientId) {
+        throw new APIError(400, 'Patient ID is required');
+      }
+
+      const session = await GroupSessionService.find(req.params.id);
+      const patient = await NoShowService.findPatient(patientId);
+      const requirements = NoShowService.checkBooking(patient, req.user);
+
+      const appointment = await GroupSessionService.addParticipant(session, patientId, {
+        user: req.user,
+        requirements
+      });
+      appointment.setDataValue('branch', session.branch);
+
+      // Each participant gets their own confirmation and reminders
+      await AppointmentNotificationService.notify([appointment], 'booked');
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Take attendance
+   * @route POST /api/group-sessions/:id/attendance
+   */
+  static async recordAttendance(req, res, next) {
+    try {
+      const session = await GroupSessionController.findManageable(req);
+      if (session.status === 'cancelled') {
+        throw new APIError(409, 'Group session was cancelled');
+      }
+
+      const participants = await GroupSessionService.recordAttendance(
+        session,
+        req.body.attendance,
+        req.user
+      );
+
+      res.json({
+        status: 'success',
+        data: {
+          participants
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a session and all its seats
+   * @route POST /api/group-sessions/:id/cancel
+   */
+  static async cancel(req, res, next) {
+    try {
+      const { reason } = req.body;
+      const session = await GroupSessionController.findManageable(req);
+      if (session.status === 'cancelled') {
+        throw new APIError(400, 'Group session is already cancelled');
+      }
+
+      const cancelled = await GroupSessionService.cancel(session, { reason, user: req.user });
+      const notified = await AppointmentNotificationService.notify(cancelled, 'cancelled');
+
+      res.json({
+        status: 'success',
+        data: {
+          groupSession: session,
+          cancelledAppointments: cancelled.length,
+          notified: notified.length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Load a session with its doctor, branch, service and seats
+   * @private
+   * @param {string} id - Group session ID
+   * @param {boolean} [withParticipants=false] - Include the seat appointments
+   * @returns {Promise<Object>} Session data
+   */
+  static async describe(id, withParticipants = false) {
+    const session = await GroupSession.findByPk(id, { include: SESSION_INCLUDE });
+    if (!session) {
+      throw new APIError(404, 'Group session not found');
+    }
+
+    const taken = (await GroupSessionService.countSeats([session.id]))[session.id] || 0;
+    const data = {
+      ...session.toJSON(),
+      seats: GroupSessionService.getSeats(session, taken)
+    };
+
+    if (withParticipants) {
+      data.participants = await Appointment.findAll({
+        where: { groupSessionId: session.id },
+        attributes: ['id', 'patientId', 'status', 'checkedInAt', 'cancellationReason'],
+        include: [{ model: User, as: 'patient', attributes: ['id', 'firstName', 'lastName'] }],
+        order: [['created_at', 'ASC']]
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a session the current user may manage (its doctor or an admin)
+   * @private
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} Group session
+   */
+  static async findManageable(req) {
+    const session = await GroupSessionService.find(req.params.id);
+
+    if (req.user.role !== 'admin' && session.doctorId !== req.user.id) {
+      throw new APIError(403, 'Access denied');
+    }
+
+    return session;
+  }
+}
+
+module.exports = GroupSessionController;
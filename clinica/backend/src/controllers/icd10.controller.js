@@ -0,0 +1,62 @@
+const { Icd10Code } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+const Icd10Service = require('../services/icd10.service');
+
+class Icd10Controller {
+  /**
+   * Search ICD-10 codes by code or description
+   * @route GET /api/icd10
+   */
+  static async search(req, res, next) {
+    try {
+      const { q, chapter, limit } = req.query;
+      const codes = await Icd10Service.search(q, { chapter, limit });
+
+      res.json({
+        status: 'success',
+        data: {
+          codes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the chapters of the classification
+   * @route GET /api/icd10/chapters
+   */
+  static getChapters(req, res) {
+    res.json({
+      status: 'success',
+      data: {
+        chapters: Icd10Service.CHAPTERS
+      }
+    });
+  }
+
+  /**
+   * Get one code
+   * @route GET /api/icd10/:code
+   */
+  static async getByCode(req, res, next) {
+    try {
+      const code = await Icd10Code.findByPk(Icd10Service.normalizeCode(req.params.code));
+      if (!code) {
+        throw new APIError(404, 'ICD-10 code not found');
+      }
+
+      res.json({
+        status: 'success',
+        data: {
+          code
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = Icd10Controller;
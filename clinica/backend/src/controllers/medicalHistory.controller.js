@@ -1,6 +1,13 @@
 const { MedicalHistory, User, Appointment } = require('../models');
 const { APIError } = require('../middleware/error.middleware');
 const { analyzePatternsTrends } = require('../services/analysis.service');
+const AnalysisService = require('../services/analysis.service');
+const AppointmentLifecycleService = require('../services/appointment-lifecycle.service');
+const ConcurrencyService = require('../services/concurrency.service');
+const Icd10Service = require('../services/icd10.service');
+const MedicalRecordService = require('../services/medical-record.service');
+const ObservationService = require('../services/observation.service');
+const SearchService = require('../services/search.service');
 
 class MedicalHistoryController {
   /**
@@ -14,6 +21,7 @@ class MedicalHistoryController {
         appointmentId,
         symptoms,
         diagnosis,
+        diagnosisCodes,
         treatment,
         bloodType,
         weight,
@@ -24,8 +32,10 @@ class MedicalHistoryController {
         observations,
         oxygenSaturation,
         ozoneConcentration,
+        ozoneVolume,
         treatmentDuration,
         treatmentRoute,
+        treatmentPlanStepId,
         followUpRequired,
         followUpNotes,
         nextAppointmentRecommended
@@ -47,13 +57,20 @@ class MedicalHistoryController {
         throw new APIError(404, 'Appointment not found');
       }
 
-      // Create medical history record
-      const medicalHistory = await MedicalHistory.create({
+      // The record completes the visit, so the patient must have checked in
+      const completesVisit = appointment.status !== 'completed';
+      if (completesVisit) {
+        AppointmentLifecycleService.assertTransition(appointment, 'completed', req.user);
+      }
+
+      // Create medical history record (revision 1); it also delivers its plan session
+      const medicalHistory = await MedicalRecordService.create({
         patientId,
         doctorId: req.user.id, // Current authenticated doctor
         appointmentId,
         symptoms,
         diagnosis,
+        diagnosisCodes: await Icd10Service.resolve(diagnosisCodes),
         treatment,
         bloodType,
         weight,
@@ -64,15 +81,22 @@ class MedicalHistoryController {
         observations,
         oxygenSaturation,
         ozoneConcentration,
+        ozoneVolume,
         treatmentDuration,
         treatmentRoute,
+        treatmentPlanStepId,
         followUpRequired,
         followUpNotes,
         nextAppointmentRecommended
       });
 
       // Update appointment status to completed
-      await appointment.update({ status: 'completed' });
+      if (completesVisit) {
+        await AppointmentLifecycleService.transition(appointment, 'completed', {
+          user: req.user,
+          metadata: { medicalHistoryId: medicalHistory.id }
+        });
+      }
 
       res.status(201).json({
         status: 'success',
@@ -136,6 +160,36 @@ class MedicalHistoryController {
     }
   }
 
+  /**
+   * Get a patient's vital signs as chart series with out-of-range flags
+   * @route GET /api/medical-history/patient/:patientId/progress
+   */
+  static async getPatientProgress(req, res, next) {
+    try {
+      const { patientId } = req.params;
+
+      // Check access permission
+      if (req.user.role === 'patient' && req.user.id !== patientId) {
+        throw new APIError(403, 'Access denied');
+      }
+
+      const series = await ObservationService.getSeries(patientId, {
+        types: req.query.type,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          series
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get specific medical history record
    * @route GET /api/medical-history/:id
@@ -174,6 +228,7 @@ class MedicalHistoryController {
         throw new APIError(403, 'Access denied');
       }
 
+      ConcurrencyService.setETag(res, medicalHistory);
       res.json({
         status: 'success',
         data: {
@@ -186,7 +241,7 @@ class MedicalHistoryController {
   }
 
   /**
-   * Update medical history record
+   * Amend a medical history record; the change is kept as a new revision
    * @route PATCH /api/medical-history/:id
    */
   static async update(req, res, next) {
@@ -205,10 +260,14 @@ class MedicalHistoryController {
       const allowedUpdates = [
         'symptoms',
         'diagnosis',
+        'diagnosisCodes',
         'treatment',
         'observations',
+        'weight',
+        'height',
         'oxygenSaturation',
         'ozoneConcentration',
+        'ozoneVolume',
         'treatmentDuration',
         'treatmentRoute',
         'followUpRequired',
@@ -226,13 +285,27 @@ class MedicalHistoryController {
       if (Object.keys(updates).length === 0) {
         throw new APIError(400, 'No valid update fields provided');
       }
+      if (updates.diagnosisCodes) {
+        updates.diagnosisCodes = await Icd10Service.resolve(updates.diagnosisCodes);
+      }
 
-      await medicalHistory.update(updates);
+      // Two doctors' edits must not silently overwrite each other
+      ConcurrencyService.assertMatch(req, res, medicalHistory, 'medicalHistory');
+      const revision = await ConcurrencyService.save(
+        res,
+        medicalHistory,
+        'medicalHistory',
+        () => MedicalRecordService.amend(medicalHistory, updates, {
+          reason: req.body.reason,
+          user: req.user
+        })
+      );
 
       res.json({
         status: 'success',
         data: {
-          medicalHistory
+          medicalHistory,
+          revision
         }
       });
     } catch (error) {
@@ -241,57 +314,134 @@ class MedicalHistoryController {
   }
 
   /**
-   * Get medical history statistics
-   * @route GET /api/medical-history/statistics
+   * Sign a medical history record, ending its amendment period
+   * @route POST /api/medical-history/:id/sign
    */
-  static async getStatistics(req, res, next) {
+  static async sign(req, res, next) {
     try {
-      // This endpoint is only accessible by doctors and admins
-      if (!['doctor', 'admin'].includes(req.user.role)) {
+      const medicalHistory = await MedicalHistory.findByPk(req.params.id);
+
+      if (!medicalHistory) {
+        throw new APIError(404, 'Medical history record not found');
+      }
+
+      // Only the doctor who created the record can sign it
+      if (medicalHistory.doctorId !== req.user.id) {
         throw new APIError(403, 'Access denied');
       }
 
-      const statistics = await MedicalHistory.findAll({
-        attributes: [
-          'diagnosis',
-          'treatmentRoute',
-          [sequelize.fn('COUNT', sequelize.col('id')), 'count']
-        ],
-        group: ['diagnosis', 'treatmentRoute'],
-        raw: true
+      await MedicalRecordService.sign(medicalHistory, req.user);
+
+      ConcurrencyService.setETag(res, medicalHistory);
+      res.json({
+        status: 'success',
+        data: {
+          medicalHistory
+        }
       });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Process statistics to get insights
-      const insights = {
-        commonDiagnoses: statistics
-          .reduce((acc, curr) => {
-            if (!acc[curr.diagnosis]) {
-              acc[curr.diagnosis] = 0;
-            }
-            acc[curr.diagnosis] += parseInt(curr.count);
-            return acc;
-          }, {}),
-        treatmentRoutes: statistics
-          .reduce((acc, curr) => {
-            if (!acc[curr.treatmentRoute]) {
-              acc[curr.treatmentRoute] = 0;
-            }
-            acc[curr.treatmentRoute] += parseInt(curr.count);
-            return acc;
-          }, {})
-      };
+  /**
+   * List the revisions of a medical history record
+   * @route GET /api/medical-history/:id/revisions
+   */
+  static async getRevisions(req, res, next) {
+    try {
+      const revisions = await MedicalRecordService.getRevisions(req.medicalHistory.id);
+
+      res.json({
+        status: 'success',
+        data: {
+          signedAt: req.medicalHistory.signedAt,
+          signedById: req.medicalHistory.signedById,
+          revisions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Compare two revisions of a medical history record
+   * @route GET /api/medical-history/:id/revisions/diff
+   */
+  static async diffRevisions(req, res, next) {
+    try {
+      const { id } = req.medicalHistory;
+      const from = await MedicalRecordService.findRevision(id, req.query.from);
+      const to = await MedicalRecordService.findRevision(id, req.query.to);
 
       res.json({
         status: 'success',
         data: {
-          statistics,
-          insights
+          from,
+          to,
+          changes: MedicalRecordService.diff(from, to)
         }
       });
     } catch (error) {
       next(error);
     }
   }
+
+  /**
+   * Get medical history statistics by ICD-10 code and chapter
+   * @route GET /api/medical-history/statistics
+   */
+  static async getStatistics(req, res, next) {
+    try {
+      const where = {};
+      if (req.query.doctorId) where.doctorId = req.query.doctorId;
+
+      const records = await MedicalHistory.findAll({
+        where,
+        attributes: ['id', 'diagnosisCodes', 'treatmentRoute']
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          total: records.length,
+          ...AnalysisService.summarizeDiagnoses(records)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Search medical history records by text, ICD-10 code or chapter
+   * @route GET /api/medical-history/search
+   */
+  static async search(req, res, next) {
+    try {
+      const {
+        q,
+        code,
+        chapter,
+        page,
+        limit
+      } = req.query;
+      const results = await SearchService.searchMedicalHistories(q, {
+        code,
+        chapter,
+        page,
+        limit
+      });
+
+      res.json({
+        status: 'success',
+        data: results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = MedicalHistoryController;
\ No newline at end of file
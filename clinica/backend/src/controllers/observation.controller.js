@@ -0,0 +1,102 @@
+const { APIError } = require('../middleware/error.middleware');
+const ObservationService = require('../services/observation.service');
+
+class ObservationController {
+  /**
+   * Record vital signs of a patient
+   * @route POST /api/observations
+   */
+  static async create(req, res, next) {
+    try {
+      const {
+        patientId,
+        appointmentId,
+        medicalHistoryId,
+        observedAt,
+        observations
+      } = req.body;
+
+      const created = await ObservationService.record(patientId, observations, {
+        user: req.user,
+        appointmentId,
+        medicalHistoryId,
+        observedAt
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          observations: created
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List a patient's observations
+   * @route GET /api/observations
+   */
+  static async list(req, res, next) {
+    try {
+      const patientId = ObservationController.getPatientId(req);
+      const observations = await ObservationService.list(patientId, {
+        types: req.query.type,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          observations
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the observation types with their units and reference ranges
+   * @route GET /api/observations/types
+   */
+  static getTypes(req, res) {
+    const types = Object.entries(ObservationService.TYPES)
+      .map(([type, { label, unit, conversions, referenceRange, derived }]) => ({
+        type,
+        label,
+        unit,
+        units: [unit, ...Object.keys(conversions || {})],
+        referenceRange,
+        derived: Boolean(derived)
+      }));
+
+    res.json({
+      status: 'success',
+      data: {
+        types
+      }
+    });
+  }
+
+  /**
+   * Patients see their own observations; staff name the patient
+   * @private
+   * @param {Object} req - Express request
+   * @returns {string} Patient ID
+   * @throws {APIError} 400 when staff do not name a patient
+   */
+  static getPatientId(req) {
+    if (req.user.role === 'patient') {
+      return req.user.id;
+    }
+    if (!req.query.patientId) {
+      throw new APIError(400, 'Patient ID is required');
+    }
+    return req.query.patientId;
+  }
+}
+
+module.exports = ObservationController;
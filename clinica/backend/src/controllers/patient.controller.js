@@ -0,0 +1,48 @@
+const NoShowService = require('../services/no-show.service');
+
+class PatientController {
+  /**
+   * Get a patient's standing under the no-show policy
+   * @route GET /api/patients/:id/no-show-standing
+   */
+  static async getNoShowStanding(req, res, next) {
+    try {
+      const patient = await NoShowService.findPatient(req.params.id);
+      const noShows = await NoShowService.getCountedNoShows(patient);
+
+      res.json({
+        status: 'success',
+        data: {
+          standing: NoShowService.getStanding(patient),
+          noShows
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Clear a patient's no-show count
+   * @route POST /api/patients/:id/no-show-standing/reset
+   */
+  static async resetNoShowStanding(req, res, next) {
+    try {
+      const { reason } = req.body;
+      const patient = await NoShowService.findPatient(req.params.id);
+
+      await NoShowService.resetStanding(patient, req.user, reason);
+
+      res.json({
+        status: 'success',
+        data: {
+          standing: NoShowService.getStanding(patient)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = PatientController;
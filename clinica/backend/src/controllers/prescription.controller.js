@@ -0,0 +1,131 @@
+const { MedicalHistory } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+const PrescriptionService = require('../services/prescription.service');
+
+class PrescriptionController {
+  /**
+   * Prescribe a medication in a medical record
+   * @route POST /api/prescriptions
+   */
+  static async create(req, res, next) {
+    try {
+      const medicalHistory = await MedicalHistory.findByPk(req.body.medicalHistoryId);
+      if (!medicalHistory) {
+        throw new APIError(404, 'Medical history record not found');
+      }
+
+      const prescription = await PrescriptionService.create(medicalHistory, req.body, req.user);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          prescription
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List a patient's active prescriptions
+   * @route GET /api/prescriptions/active
+   */
+  static async getActive(req, res, next) {
+    try {
+      // Patients see their own; doctors and admins name the patient
+      const patientId = req.user.role === 'patient' ? req.user.id : req.query.patientId;
+      if (!patientId) {
+        throw new APIError(400, 'Patient ID is required');
+      }
+
+      const prescriptions = await PrescriptionService.getActive(patientId);
+
+      res.json({
+        status: 'success',
+        data: {
+          prescriptions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a prescription
+   * @route GET /api/prescriptions/:id
+   */
+  static async getById(req, res, next) {
+    try {
+      const prescription = await PrescriptionService.findById(req.params.id);
+      PrescriptionController.assertAccess(prescription, req.user);
+
+      res.json({
+        status: 'success',
+        data: {
+          prescription
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download the printable prescription
+   * @route GET /api/prescriptions/:id/pdf
+   */
+  static async getPdf(req, res, next) {
+    try {
+      const prescription = await PrescriptionService.findById(req.params.id);
+      PrescriptionController.assertAccess(prescription, req.user);
+
+      const pdf = await PrescriptionService.renderPdf(prescription);
+      res
+        .set('Content-Type', 'application/pdf')
+        .set('Content-Disposition', `inline; filename="receta-${prescription.startDate}.pdf"`)
+        .send(pdf);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the prescriptions of a medical history record
+   * @route GET /api/medical-history/:id/prescriptions
+   */
+  static async getByMedicalHistory(req, res, next) {
+    try {
+      const prescriptions = await PrescriptionService.getByMedicalHistory(req.medicalHistory.id);
+
+      res.json({
+        status: 'success',
+        data: {
+          prescriptions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Only the patient, the prescribing doctor and admins see a prescription
+   * @private
+   * @param {Object} prescription - Prescription
+   * @param {Object} user - Authenticated user
+   * @throws {APIError} 403 for anyone else
+   */
+  static assertAccess(prescription, user) {
+    if (
+      user.role !== 'admin' &&
+      user.id !== prescription.patientId &&
+      user.id !== prescription.doctorId
+    ) {
+      throw new APIError(403, 'Access denied');
+    }
+  }
+}
+
+module.exports = PrescriptionController;
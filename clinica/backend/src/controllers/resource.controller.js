@@ -0,0 +1,140 @@
+const { Resource, ResourceBooking, Appointment, Branch } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+
+class ResourceController {
+  /**
+   * Create a room or piece of equipment
+   * @route POST /api/resources
+   */
+  static async create(req, res, next) {
+    try {
+      const { branchId, name, kind, notes } = req.body;
+
+      const branch = await Branch.findByPk(branchId);
+      if (!branch) {
+        throw new APIError(404, 'Branch not found');
+      }
+
+      const resource = await Resource.create({ branchId, name, kind, notes });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          resource
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get resources (with filters)
+   * @route GET /api/resources
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { branchId, kind, status } = req.query;
+
+      const where = {};
+      if (branchId) where.branchId = branchId;
+      if (kind) where.kind = kind;
+      if (status) where.status = status;
+
+      const resources = await Resource.findAll({
+        where,
+        include: [
+          {
+            model: Branch,
+            as: 'branch',
+            attributes: ['id', 'name']
+          }
+        ],
+        order: [['branchId', 'ASC'], ['kind', 'ASC'], ['name', 'ASC']]
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          resources
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a resource (rename, maintenance, retire)
+   * @route PATCH /api/resources/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const resource = await Resource.findByPk(req.params.id);
+
+      if (!resource) {
+        throw new APIError(404, 'Resource not found');
+      }
+
+      const { name, status, notes } = req.body;
+      await resource.update({
+        name: name || resource.name,
+        status: status || resource.status,
+        notes: notes !== undefined ? notes : resource.notes
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          resource
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a resource's bookings on a date
+   * @route GET /api/resources/:id/bookings
+   */
+  static async getBookings(req, res, next) {
+    try {
+      const { date } = req.query;
+
+      if (!date) {
+        throw new APIError(400, 'Date is required');
+      }
+
+      const resource = await Resource.findByPk(req.params.id);
+      if (!resource) {
+        throw new APIError(404, 'Resource not found');
+      }
+
+      const bookings = await ResourceBooking.findAll({
+        where: { resourceId: resource.id, date },
+        include: [
+          {
+            model: Appointment,
+            as: 'appointment',
+            attributes: ['id', 'doctorId', 'patientId', 'type', 'status']
+          }
+        ],
+        order: [['startTime', 'ASC']]
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          resource,
+          date,
+          bookings
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ResourceController;
@@ -0,0 +1,203 @@
+const { Service, Branch } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+const ServiceCatalogService = require('../services/service-catalog.service');
+
+const BRANCH_INCLUDE = {
+  model: Branch,
+  as: 'branches',
+  attributes: ['id', 'name'],
+  through: { attributes: [] }
+};
+
+class ServiceCatalogController {
+  /**
+   * Create a service
+   * @route POST /api/services
+   */
+  static async create(req, res, next) {
+    try {
+      const {
+        name,
+        description,
+        appointmentType,
+        duration,
+        bufferBefore,
+        bufferAfter,
+        price,
+        route,
+        specialization,
+        requiredResources,
+        branchIds
+      } = req.body;
+
+      const service = await Service.create({
+        name,
+        description,
+        appointmentType,
+        duration,
+        bufferBefore,
+        bufferAfter,
+        price,
+        route: route || null,
+        specialization: specialization || null,
+        requiredResources
+      });
+      await ServiceCatalogController.setBranches(service, branchIds);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          service: await Service.findByPk(service.id, { include: [BRANCH_INCLUDE] })
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get services (with filters)
+   * @route GET /api/services
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { branchId, specialization, status } = req.query;
+
+      const where = {};
+      if (specialization) where.specialization = specialization;
+      // Only staff can see retired services
+      where.status = req.user.role === 'admin' && status ? status : 'active';
+
+      const services = await Service.findAll({
+        where,
+        include: [
+          branchId
+            ? { ...BRANCH_INCLUDE, where: { id: branchId } }
+            : BRANCH_INCLUDE
+        ],
+        order: [['name', 'ASC']]
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          services
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get service by ID
+   * @route GET /api/services/:id
+   */
+  static async getById(req, res, next) {
+    try {
+      const service = await Service.findByPk(req.params.id, { include: [BRANCH_INCLUDE] });
+
+      if (!service) {
+        throw new APIError(404, 'Service not found');
+      }
+
+      res.json({
+        status: 'success',
+        data: {
+          service
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a service
+   * @route PATCH /api/services/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const service = await Service.findByPk(req.params.id);
+
+      if (!service) {
+        throw new APIError(404, 'Service not found');
+      }
+
+      const allowedUpdates = [
+        'name',
+        'description',
+        'appointmentType',
+        'duration',
+        'bufferBefore',
+        'bufferAfter',
+        'price',
+        'route',
+        'specialization',
+        'requiredResources',
+        'status'
+      ];
+      const updates = Object.keys(req.body)
+        .filter(key => allowedUpdates.includes(key))
+        .reduce((obj, key) => {
+          obj[key] = req.body[key];
+          return obj;
+        }, {});
+
+      await service.update(updates);
+      if (req.body.branchIds) {
+        await ServiceCatalogController.setBranches(service, req.body.branchIds);
+      }
+
+      res.json({
+        status: 'success',
+        data: {
+          service: await Service.findByPk(service.id, { include: [BRANCH_INCLUDE] })
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get doctors who can perform a service
+   * @route GET /api/services/:id/doctors
+   */
+  static async getDoctors(req, res, next) {
+    try {
+      const { branchId } = req.query;
+      const service = await ServiceCatalogService.resolve(req.params.id, null, branchId);
+      const doctors = await ServiceCatalogService.getEligibleDoctors(service, branchId);
+
+      res.json({
+        status: 'success',
+        data: {
+          service,
+          doctors
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the branches offering a service
+   * @private
+   * @param {Object} service - Service instance
+   * @param {Array<string>} [branchIds] - Branch IDs
+   * @returns {Promise<void>}
+   */
+  static async setBranches(service, branchIds = []) {
+    const branches = await Branch.findAll({ where: { id: branchIds } });
+
+    if (branches.length !== branchIds.length) {
+      throw new APIError(404, 'One or more branches not found');
+    }
+
+    await service.setBranches(branches);
+  }
+}
+
+module.exports = ServiceCatalogController;
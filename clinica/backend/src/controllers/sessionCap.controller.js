@@ -0,0 +1,151 @@
+const { DoctorSessionCap, User } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+
+const DOCTOR_INCLUDE = {
+  model: User,
+  as: 'doctor',
+  attributes: ['id', 'firstName', 'lastName']
+};
+
+class SessionCapController {
+  /**
+   * Cap a doctor's sessions for an administration route
+   * @route POST /api/session-caps
+   */
+  static async create(req, res, next) {
+    try {
+      const { route, maxPerDay, maxPerWeek } = req.body;
+      // Doctors can only cap their own agenda
+      const doctorId = req.user.role === 'doctor' ? req.user.id : req.body.doctorId;
+      if (!doctorId) {
+        throw new APIError(400, 'Doctor ID is required');
+      }
+
+      const doctor = await User.findOne({ where: { id: doctorId, role: 'doctor' } });
+      if (!doctor) {
+        throw new APIError(404, 'Doctor not found');
+      }
+
+      const existing = await DoctorSessionCap.findOne({ where: { doctorId, route } });
+      if (existing) {
+        throw new APIError(409, 'This route is already capped for the doctor', {
+          sessionCapId: existing.id
+        });
+      }
+
+      const cap = await DoctorSessionCap.create({
+        doctorId,
+        route,
+        maxPerDay: maxPerDay || null,
+        maxPerWeek: maxPerWeek || null,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          sessionCap: await DoctorSessionCap.findByPk(cap.id, { include: [DOCTOR_INCLUDE] })
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get session caps (with filters)
+   * @route GET /api/session-caps
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { route } = req.query;
+      const doctorId = req.user.role === 'doctor' ? req.user.id : req.query.doctorId;
+
+      const where = {};
+      if (doctorId) where.doctorId = doctorId;
+      if (route) where.route = route;
+
+      const sessionCaps = await DoctorSessionCap.findAll({
+        where,
+        include: [DOCTOR_INCLUDE],
+        order: [['doctorId', 'ASC'], ['route', 'ASC']]
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          sessionCaps
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change a cap's limits
+   * @route PATCH /api/session-caps/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const cap = await SessionCapController.findAccessible(req);
+
+      const updates = ['maxPerDay', 'maxPerWeek']
+        .filter(key => req.body[key] !== undefined)
+        .reduce((obj, key) => {
+          obj[key] = req.body[key];
+          return obj;
+        }, {});
+      await cap.update(updates);
+
+      res.json({
+        status: 'success',
+        data: {
+          sessionCap: await DoctorSessionCap.findByPk(cap.id, { include: [DOCTOR_INCLUDE] })
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a cap
+   * @route DELETE /api/session-caps/:id
+   */
+  static async remove(req, res, next) {
+    try {
+      const cap = await SessionCapController.findAccessible(req);
+      await cap.destroy();
+
+      res.json({
+        status: 'success',
+        message: 'Session cap removed successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Find a cap the current user may manage
+   * @private
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} Session cap
+   */
+  static async findAccessible(req) {
+    const cap = await DoctorSessionCap.findByPk(req.params.id);
+
+    if (!cap) {
+      throw new APIError(404, 'Session cap not found');
+    }
+
+    if (req.user.role !== 'admin' && cap.doctorId !== req.user.id) {
+      throw new APIError(403, 'Access denied');
+    }
+
+    return cap;
+  }
+}
+
+module.exports = SessionCapController;
@@ -0,0 +1,231 @@
+const { Op } = require('sequelize');
+const { TimeOff, User, Branch } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+const TimeOffService = require('../services/time-off.service');
+
+class TimeOffController {
+  /**
+   * Create a time-off block or branch closure
+   * @route POST /api/time-off
+   */
+  static async create(req, res, next) {
+    try {
+      const {
+        branchId,
+        type,
+        reason,
+        startDate,
+        endDate,
+        startTime,
+        endTime,
+        recurrence,
+        recurrenceUntil
+      } = req.body;
+      let { doctorId } = req.body;
+
+      // Doctors can only block their own agenda
+      if (req.user.role === 'doctor') {
+        if (['holiday', 'closure'].includes(type)) {
+          throw new APIError(403, 'Only administrators can close a branch');
+        }
+        doctorId = req.user.id;
+      }
+
+      if (doctorId) {
+        const doctor = await User.findOne({ where: { id: doctorId, role: 'doctor' } });
+        if (!doctor) {
+          throw new APIError(404, 'Doctor not found');
+        }
+      }
+
+      if (branchId) {
+        const branch = await Branch.findByPk(branchId);
+        if (!branch) {
+          throw new APIError(404, 'Branch not found');
+        }
+      }
+
+      const timeOff = await TimeOff.create({
+        doctorId: doctorId || null,
+        branchId: branchId || null,
+        type,
+        reason,
+        startDate,
+        endDate: endDate || startDate,
+        startTime: startTime || null,
+        endTime: endTime || null,
+        recurrence,
+        recurrenceUntil: recurrenceUntil || null,
+        createdBy: req.user.id
+      });
+
+      const conflicts = await TimeOffService.findConflicts(timeOff);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          timeOff,
+          conflicts
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get time-off blocks (with filters)
+   * @route GET /api/time-off
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { branchId, type, startDate, endDate } = req.query;
+      let { doctorId } = req.query;
+
+      if (req.user.role === 'doctor') {
+        doctorId = req.user.id;
+      }
+
+      const where = {};
+      if (doctorId) where.doctorId = doctorId;
+      if (branchId) where.branchId = branchId;
+      if (type) where.type = type;
+
+      // Recurring blocks stay relevant after their first occurrence
+      if (startDate) {
+        where[Op.or] = [
+          { endDate: { [Op.gte]: startDate } },
+          {
+            recurrence: { [Op.ne]: 'none' },
+            [Op.or]: [
+              { recurrenceUntil: null },
+              { recurrenceUntil: { [Op.gte]: startDate } }
+            ]
+          }
+        ];
+      }
+      if (endDate) where.startDate = { [Op.lte]: endDate };
+
+      const timeOff = await TimeOff.findAll({
+        where,
+        include: [
+          {
+            model: User,
+            as: 'doctor',
+            attributes: ['id', 'firstName', 'lastName']
+          },
+          {
+            model: Branch,
+            as: 'branch',
+            attributes: ['id', 'name']
+          }
+        ],
+        order: [['startDate', 'ASC']]
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          timeOff
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get appointments that conflict with a block
+   * @route GET /api/time-off/:id/conflicts
+   */
+  static async getConflicts(req, res, next) {
+    try {
+      const timeOff = await TimeOffController.findAccessible(req);
+      const conflicts = await TimeOffService.findConflicts(timeOff);
+
+      res.json({
+        status: 'success',
+        data: {
+          timeOff,
+          conflicts
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a time-off block
+   * @route DELETE /api/time-off/:id
+   */
+  static async remove(req, res, next) {
+    try {
+      const timeOff = await TimeOffController.findAccessible(req);
+      await timeOff.destroy();
+
+      res.json({
+        status: 'success',
+        message: 'Time off removed successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Load public holidays as branch closures
+   * @route POST /api/time-off/holidays
+   */
+  static async loadHolidays(req, res, next) {
+    try {
+      const { year, branchIds, country } = req.body;
+
+      const created = await TimeOffService.loadHolidays(parseInt(year, 10), {
+        branchIds,
+        country,
+        createdBy: req.user.id
+      });
+
+      const conflicts = [];
+      for (const timeOff of created) {
+        const appointments = await TimeOffService.findConflicts(timeOff);
+        appointments.forEach(appointment => {
+          conflicts.push({ timeOffId: timeOff.id, reason: timeOff.reason, appointment });
+        });
+      }
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          timeOff: created,
+          conflicts
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Find a block the current user may manage
+   * @private
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} Time-off record
+   */
+  static async findAccessible(req) {
+    const timeOff = await TimeOff.findByPk(req.params.id);
+
+    if (!timeOff) {
+      throw new APIError(404, 'Time off not found');
+    }
+
+    if (req.user.role !== 'admin' && timeOff.doctorId !== req.user.id) {
+      throw new APIError(403, 'Access denied');
+    }
+
+    return timeOff;
+  }
+}
+
+module.exports = TimeOffController;
@@ -0,0 +1,131 @@
+const { APIError } = require('../middleware/error.middleware');
+const TreatmentPlanService = require('../services/treatment-plan.service');
+
+class TreatmentPlanController {
+  /**
+   * Plan a course of treatment for a patient
+   * @route POST /api/treatment-plans
+   */
+  static async create(req, res, next) {
+    try {
+      const treatmentPlan = await TreatmentPlanService.create(req.body, req.user);
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          treatmentPlan
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List a patient's treatment plans
+   * @route GET /api/treatment-plans
+   */
+  static async list(req, res, next) {
+    try {
+      // Patients see their own; staff name the patient
+      const patientId = req.user.role === 'patient' ? req.user.id : req.query.patientId;
+      if (!patientId) {
+        throw new APIError(400, 'Patient ID is required');
+      }
+
+      const treatmentPlans = await TreatmentPlanService.list(patientId, req.query.status);
+
+      res.json({
+        status: 'success',
+        data: {
+          treatmentPlans
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a treatment plan with its sessions
+   * @route GET /api/treatment-plans/:id
+   */
+  static async getById(req, res, next) {
+    try {
+      const treatmentPlan = await TreatmentPlanService.findById(req.params.id);
+      TreatmentPlanController.assertAccess(treatmentPlan, req.user);
+
+      res.json({
+        status: 'success',
+        data: {
+          treatmentPlan
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Planned vs delivered dose, missed sessions, adherence and target outcomes
+   * @route GET /api/treatment-plans/:id/progress
+   */
+  static async getProgress(req, res, next) {
+    try {
+      const treatmentPlan = await TreatmentPlanService.findById(req.params.id);
+      TreatmentPlanController.assertAccess(treatmentPlan, req.user);
+
+      const progress = await TreatmentPlanService.getProgress(treatmentPlan);
+
+      res.json({
+        status: 'success',
+        data: {
+          treatmentPlanId: treatmentPlan.id,
+          status: treatmentPlan.status,
+          ...progress
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a treatment plan
+   * @route POST /api/treatment-plans/:id/cancel
+   */
+  static async cancel(req, res, next) {
+    try {
+      const treatmentPlan = await TreatmentPlanService.findById(req.params.id);
+      if (req.user.role !== 'admin' && req.user.id !== treatmentPlan.doctorId) {
+        throw new APIError(403, 'Access denied');
+      }
+
+      await TreatmentPlanService.cancel(treatmentPlan, req.body.reason);
+
+      res.json({
+        status: 'success',
+        data: {
+          treatmentPlan
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Patients only see their own plans
+   * @private
+   * @param {Object} treatmentPlan - Treatment plan
+   * @param {Object} user - Authenticated user
+   * @throws {APIError} 403 for another patient's plan
+   */
+  static assertAccess(treatmentPlan, user) {
+    if (user.role === 'patient' && user.id !== treatmentPlan.patientId) {
+      throw new APIError(403, 'Access denied');
+    }
+  }
+}
+
+module.exports = TreatmentPlanController;
@@ -0,0 +1,154 @@
+const { Appointment, Branch, User } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+const CheckInCodeService = require('../services/check-in-code.service');
+const WaitingRoomService = require('../services/waiting-room.service');
+
+// Streams also refresh on this interval so waiting times keep counting
+const STREAM_REFRESH_MS = 60 * 1000;
+
+class WaitingRoomController {
+  /**
+   * Check a patient in, by appointment ID or by the code in the confirmation's QR
+   * @route POST /api/waiting-room/:branchId/check-in
+   */
+  static async checkIn(req, res, next) {
+    try {
+      const { code } = req.body;
+      const branch = await WaitingRoomController.findBranch(req.params.branchId);
+      const appointmentId = code ? CheckInCodeService.verify(code) : req.body.appointmentId;
+
+      const appointment = await Appointment.findByPk(appointmentId, {
+        include: [
+          { model: User, as: 'patient', attributes: ['id', 'firstName', 'lastName'] },
+          { model: Branch, as: 'branch', attributes: ['id', 'name', 'timezone'] }
+        ]
+      });
+      if (!appointment) {
+        throw new APIError(404, 'Appointment not found');
+      }
+
+      await WaitingRoomService.checkIn(branch, appointment, {
+        user: req.user,
+        method: code ? 'qr' : 'manual'
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          appointment,
+          latenessMinutes: WaitingRoomService.getLatenessMinutes(
+            appointment,
+            appointment.checkedInAt
+          )
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a branch's waiting room
+   * @route GET /api/waiting-room/:branchId
+   */
+  static async getQueue(req, res, next) {
+    try {
+      const branch = await WaitingRoomController.findBranch(req.params.branchId);
+      const queue = await WaitingRoomService.getQueue(branch, {
+        doctorId: req.query.doctorId
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          queue
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stream a branch's waiting room as server-sent events; a 'queue' event carries
+   * the whole queue on connect and after every change
+   * @route GET /api/waiting-room/:branchId/stream
+   */
+  static async stream(req, res, next) {
+    try {
+      const branch = await WaitingRoomController.findBranch(req.params.branchId);
+      const { doctorId } = req.query;
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Keep proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      const send = () => WaitingRoomService.getQueue(branch, { doctorId })
+        .then(queue => {
+          res.write(`event: queue\ndata: ${JSON.stringify(queue)}\n\n`);
+          // Compression buffers output unless flushed
+          if (res.flush) res.flush();
+        })
+        .catch(() => null);
+
+      const unsubscribe = WaitingRoomService.subscribe(branch.id, send);
+      const timer = setInterval(send, STREAM_REFRESH_MS);
+      req.on('close', () => {
+        clearInterval(timer);
+        unsubscribe();
+      });
+
+      await send();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Call the doctor's next waiting patient in (or the one given)
+   * @route POST /api/waiting-room/:branchId/call-next
+   */
+  static async callNext(req, res, next) {
+    try {
+      const branch = await WaitingRoomController.findBranch(req.params.branchId);
+      const appointment = await WaitingRoomService.callNext(
+        branch,
+        req.user,
+        req.body.appointmentId
+      );
+
+      res.json({
+        status: 'success',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Load an active branch
+   * @private
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object>} Branch
+   */
+  static async findBranch(branchId) {
+    const branch = await Branch.findOne({
+      where: { id: branchId, status: 'active' },
+      attributes: ['id', 'name', 'timezone']
+    });
+    if (!branch) {
+      throw new APIError(404, 'Branch not found or inactive');
+    }
+    return branch;
+  }
+}
+
+module.exports = WaitingRoomController;
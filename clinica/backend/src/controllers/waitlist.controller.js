@@ -0,0 +1,312 @@
+const twilio = require('twilio');
+const { WaitlistEntry, SlotOffer, User, Branch } = require('../models');
+const { APIError } = require('../middleware/error.middleware');
+const WaitlistService = require('../services/waitlist.service');
+
+class WaitlistController {
+  /**
+   * Join the waitlist
+   * @route POST /api/waitlist
+   */
+  static async create(req, res, next) {
+    try {
+      const {
+        doctorId,
+        branchId,
+        startDate,
+        endDate,
+        timeFrom,
+        timeTo,
+        type,
+        notes
+      } = req.body;
+      let { patientId, priority } = req.body;
+
+      // Patients register themselves; only staff can set the priority
+      if (req.user.role === 'patient') {
+        patientId = req.user.id;
+        priority = 0;
+      }
+
+      const patient = await User.findOne({ where: { id: patientId, role: 'patient' } });
+      if (!patient) {
+        throw new APIError(404, 'Patient not found');
+      }
+
+      if (doctorId) {
+        const doctor = await User.findOne({
+          where: { id: doctorId, role: 'doctor', status: 'active' }
+        });
+        if (!doctor) {
+          throw new APIError(404, 'Doctor not found or inactive');
+        }
+      }
+
+      if (branchId) {
+        const branch = await Branch.findOne({ where: { id: branchId, status: 'active' } });
+        if (!branch) {
+          throw new APIError(404, 'Branch not found or inactive');
+        }
+      }
+
+      const entry = await WaitlistEntry.create({
+        patientId,
+        doctorId: doctorId || null,
+        branchId: branchId || null,
+        startDate,
+        endDate,
+        timeFrom: timeFrom || null,
+        timeTo: timeTo || null,
+        type,
+        priority: priority || 0,
+        notes
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          entry
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get waitlist entries (with filters)
+   * @route GET /api/waitlist
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { status, doctorId, branchId, patientId } = req.query;
+
+      const where = {};
+      if (status) where.status = status;
+      if (doctorId) where.doctorId = doctorId;
+      if (branchId) where.branchId = branchId;
+      if (patientId) where.patientId = patientId;
+
+      // Add role-based filters
+      if (req.user.role === 'doctor') {
+        where.doctorId = req.user.id;
+      } else if (req.user.role === 'patient') {
+        where.patientId = req.user.id;
+      }
+
+      const entries = await WaitlistEntry.findAll({
+        where,
+        include: [
+          {
+            model: User,
+            as: 'patient',
+            attributes: ['id', 'firstName', 'lastName']
+          },
+          {
+            model: User,
+            as: 'doctor',
+            attributes: ['id', 'firstName', 'lastName', 'specialization']
+          },
+          {
+            model: Branch,
+            as: 'branch',
+            attributes: ['id', 'name']
+          }
+        ],
+        order: [['priority', 'DESC'], ['created_at', 'ASC']]
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          entries
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Leave the waitlist
+   * @route DELETE /api/waitlist/:id
+   */
+  static async remove(req, res, next) {
+    try {
+      const entry = await WaitlistEntry.findByPk(req.params.id);
+
+      if (!entry) {
+        throw new APIError(404, 'Waitlist entry not found');
+      }
+
+      if (req.user.role !== 'admin' && req.user.id !== entry.patientId) {
+        throw new APIError(403, 'Access denied');
+      }
+
+      // A slot currently held for this patient moves on to the next one
+      const offer = await SlotOffer.findOne({
+        where: { waitlistEntryId: entry.id, status: 'pending' }
+      });
+      if (offer) {
+        await WaitlistService.declineOffer(offer);
+      }
+
+      await entry.update({ status: 'cancelled' });
+
+      res.json({
+        status: 'success',
+        message: 'Waitlist entry cancelled successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an offer from its link
+   * @route GET /api/waitlist/offers/:token
+   */
+  static async getOffer(req, res, next) {
+    try {
+      const offer = await WaitlistController.findOffer(req.params.token, true);
+
+      res.json({
+        status: 'success',
+        data: {
+          offer
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept an offer from its link
+   * @route POST /api/waitlist/offers/:token/accept
+   */
+  static async acceptOffer(req, res, next) {
+    try {
+      const offer = await WaitlistController.findOpenOffer(req.params.token);
+      const appointment = await WaitlistService.acceptOffer(offer, 'link');
+
+      if (!appointment) {
+        throw new APIError(409, 'This slot is no longer available');
+      }
+
+      res.status(201).json({
+        status: 'success',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Decline an offer from its link
+   * @route POST /api/waitlist/offers/:token/decline
+   */
+  static async declineOffer(req, res, next) {
+    try {
+      const offer = await WaitlistController.findOpenOffer(req.params.token);
+      await WaitlistService.declineOffer(offer, 'link');
+
+      res.json({
+        status: 'success',
+        message: 'Offer declined; you remain on the waitlist'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept or decline an offer by SMS reply (Twilio webhook)
+   * @route POST /api/waitlist/sms-reply
+   */
+  static async smsReply(req, res, next) {
+    try {
+      const { From, Body } = req.body;
+      const reply = WaitlistService.parseReply(Body);
+      const offer = reply && await WaitlistService.findOfferForReply(From, reply.code);
+
+      let message;
+      if (!reply) {
+        message = 'No entendimos tu respuesta. Responde SI o NO seguido del código de la oferta.';
+      } else if (!offer || !offer.isOpen()) {
+        message = 'No encontramos una oferta vigente para este número.';
+      } else if (!reply.accept) {
+        await WaitlistService.declineOffer(offer, 'sms');
+        message = 'Rechazaste el espacio. Sigues en la lista de espera.';
+      } else if (await WaitlistService.acceptOffer(offer, 'sms')) {
+        message = `Cita agendada el ${offer.date} a las ${offer.startTime.slice(0, 5)}.`;
+      } else {
+        message = 'Lo sentimos, el espacio ya no está disponible. Sigues en la lista de espera.';
+      }
+
+      const twiml = new twilio.twiml.MessagingResponse();
+      twiml.message(message);
+
+      res.type('text/xml').send(twiml.toString());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Find an offer by its token
+   * @private
+   * @param {string} token - Offer token
+   * @param {boolean} [withDetails=false] - Include doctor and branch
+   * @returns {Promise<Object>} Slot offer
+   */
+  static async findOffer(token, withDetails = false) {
+    const offer = await SlotOffer.findOne({
+      where: { token },
+      include: withDetails
+        ? [
+          {
+            model: User,
+            as: 'doctor',
+            attributes: ['id', 'firstName', 'lastName', 'specialization']
+          },
+          {
+            model: Branch,
+            as: 'branch',
+            attributes: ['id', 'name', 'address']
+          }
+        ]
+        : []
+    });
+
+    if (!offer) {
+      throw new APIError(404, 'Offer not found');
+    }
+
+    return offer;
+  }
+
+  /**
+   * Find an offer that can still be answered
+   * @private
+   * @param {string} token - Offer token
+   * @returns {Promise<Object>} Slot offer
+   */
+  static async findOpenOffer(token) {
+    const offer = await WaitlistController.findOffer(token);
+
+    if (offer.status !== 'pending') {
+      throw new APIError(409, `Offer was already ${offer.status}`);
+    }
+    if (!offer.isOpen()) {
+      throw new APIError(410, 'Offer has expired');
+    }
+
+    return offer;
+  }
+}
+
+module.exports = WaitlistController;
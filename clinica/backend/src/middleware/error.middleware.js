@@ -1,11 +1,19 @@
-const { ValidationError, DatabaseError, UniqueConstraintError } = require('sequelize');
+const {
+  ValidationError,
+  DatabaseError,
+  UniqueConstraintError,
+  ExclusionConstraintError,
+  OptimisticLockError
+} = require('sequelize');
 
 // Custom error class for API errors
 class APIError extends Error {
-  constructor(statusCode, message) {
+  constructor(statusCode, message, details = null) {
     super(message);
     this.statusCode = statusCode;
     this.status = 'error';
+    // Optional structured context for the client (e.g. conflicting appointments)
+    this.details = details;
   }
 }
 
@@ -41,6 +49,22 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Handle Sequelize exclusion constraint errors (overlapping bookings)
+  if (err instanceof ExclusionConstraintError) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'The requested time overlaps an existing booking'
+    });
+  }
+
+  // Handle versioned records saved concurrently by someone else
+  if (err instanceof OptimisticLockError) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'Record was changed by someone else; reload it and try again'
+    });
+  }
+
   // Handle Sequelize database errors
   if (err instanceof DatabaseError) {
     return res.status(500).json({
@@ -69,7 +93,8 @@ const errorHandler = (err, req, res, next) => {
   if (err instanceof APIError) {
     return res.status(err.statusCode).json({
       status: err.status,
-      message: err.message
+      message: err.message,
+      ...(err.details && { details: err.details })
     });
   }
 
@@ -1,4 +1,18 @@
-const { validationResult, body } = require('express-validator');
+const { validationResult, body, query } = require('express-validator');
+const TimezoneService = require('../services/timezone.service');
+const icd10Chapters = require('../config/icd10Chapters');
+const vitalSigns = require('../config/vitalSigns');
+
+// Administration routes of catalog services (see the Service model)
+const SERVICE_ROUTES = [
+  'intravenous',
+  'intramuscular',
+  'subcutaneous',
+  'intra_articular',
+  'rectal',
+  'vaginal',
+  'topical'
+];
 
 // Middleware to check for validation errors
 const validateRequest = (req, res, next) => {
@@ -25,12 +39,13 @@ const userValidationRules = {
       .withMessage('Password must contain at least one number'),
     body('phone').notEmpty().withMessage('Phone number is required'),
     body('role')
-      .isIn(['patient', 'doctor', 'admin'])
+      .isIn(['patient', 'doctor', 'nurse', 'admin'])
       .withMessage('Invalid role specified'),
     body('specialization')
       .if(body('role').equals('doctor'))
       .notEmpty()
-      .withMessage('Specialization is required for doctors')
+      .withMessage('Specialization is required for doctors'),
+    body('licenseNumber').optional().trim().notEmpty().withMessage('License number cannot be empty')
   ],
   update: [
     body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
@@ -42,9 +57,58 @@ const userValidationRules = {
       .if(body('role').equals('doctor'))
       .notEmpty()
       .withMessage('Specialization is required for doctors')
+  ],
+  license: [
+    body('licenseNumber').trim().notEmpty().withMessage('License number is required')
   ]
 };
 
+// Filters of a patient's vital signs (?type=heart_rate&type=glucose)
+function observationFilterRules() {
+  return [
+    query('type').optional().toArray(),
+    query('type.*').isIn(Object.keys(vitalSigns)).withMessage('Invalid observation type'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+  ];
+}
+
+// Filter and output options shared by the bulk appointment actions
+function bulkFilterRules() {
+  return [
+    body('filter').isObject().withMessage('Filter is required'),
+    body('filter.doctorId').optional().isUUID().withMessage('Invalid doctor ID'),
+    body('filter.branchId').optional().isUUID().withMessage('Invalid branch ID'),
+    body('filter').custom(filter => {
+      if (!filter.doctorId && !filter.branchId) {
+        throw new Error('Filter by doctor, branch or both');
+      }
+      return true;
+    }),
+    body('filter.startDate').isISO8601().withMessage('Invalid start date'),
+    body('filter.endDate')
+      .isISO8601()
+      .withMessage('Invalid end date')
+      .custom((endDate, { req }) => {
+        if (endDate < req.body.filter.startDate) {
+          throw new Error('End date must not be before start date');
+        }
+        return true;
+      }),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+    body('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+  ];
+}
+
+// Reason an admin gives for overriding the cancellation policy
+function overrideReasonRule() {
+  return body('overrideReason')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Override reason cannot be empty');
+}
+
 // Appointment validation rules
 const appointmentValidationRules = {
   create: [
@@ -61,25 +125,134 @@ const appointmentValidationRules = {
       .withMessage('Start time is required')
       .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
       .withMessage('Invalid time format (HH:MM)'),
+    body('serviceId').optional().isUUID().withMessage('Invalid service ID'),
+    // Without a catalog service the client sends the end time and type
     body('endTime')
+      .if(body('serviceId').not().exists())
       .notEmpty()
       .withMessage('End time is required')
       .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
       .withMessage('Invalid time format (HH:MM)'),
     body('type')
+      .if(body('serviceId').not().exists())
       .isIn(['first_visit', 'follow_up'])
       .withMessage('Invalid appointment type')
   ],
   update: [
     body('status')
       .optional()
-      .isIn(['scheduled', 'confirmed', 'completed', 'cancelled'])
+      // Rescheduling goes through POST /:id/reschedule
+      .isIn(['confirmed', 'checked_in', 'in_progress', 'completed', 'cancelled', 'no_show'])
       .withMessage('Invalid status'),
     body('notes').optional().trim(),
     body('cancellationReason')
       .if(body('status').equals('cancelled'))
       .notEmpty()
-      .withMessage('Cancellation reason is required when cancelling appointment')
+      .withMessage('Cancellation reason is required when cancelling appointment'),
+    overrideReasonRule()
+  ],
+  cancel: [
+    body('reason').trim().notEmpty().withMessage('Cancellation reason is required'),
+    overrideReasonRule()
+  ],
+  reschedule: [
+    body('reason').optional().trim(),
+    overrideReasonRule(),
+    body('branchId').optional().isUUID().withMessage('Invalid branch ID'),
+    body('date')
+      .notEmpty()
+      .withMessage('Date is required')
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    body('startTime')
+      .notEmpty()
+      .withMessage('Start time is required')
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    body('endTime')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)')
+  ],
+  nearestSlots: [
+    query('serviceId').isUUID().withMessage('Service ID is required'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+      .toInt(),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('specialization').optional().trim(),
+    query('timeOfDay')
+      .optional()
+      .isIn(['morning', 'afternoon', 'evening'])
+      .withMessage('Time of day must be morning, afternoon or evening'),
+    query('fromTime')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    query('toTime')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    query('latitude')
+      .if(query('longitude').exists())
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90')
+      .toFloat(),
+    query('longitude')
+      .if(query('latitude').exists())
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+      .toFloat(),
+    query('maxDistanceKm')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Maximum distance must be a positive number')
+      .toFloat(),
+    query('maxDistanceKm')
+      .if(query('maxDistanceKm').exists())
+      .custom((value, { req }) => req.query.latitude !== undefined &&
+        req.query.longitude !== undefined)
+      .withMessage('Latitude and longitude are required to filter by distance'),
+    query('sort')
+      .optional()
+      .isIn(['time', 'distance'])
+      .withMessage('Sort must be time or distance')
+  ],
+  doctorSchedule: [
+    query('doctorId').optional().isUUID().withMessage('Invalid doctor ID'),
+    query('date').optional().isISO8601().withMessage('Invalid date'),
+    query('view')
+      .optional()
+      .isIn(['day', 'week'])
+      .withMessage('View must be day or week')
+  ],
+  doctorUpcoming: [
+    query('doctorId').optional().isUUID().withMessage('Invalid doctor ID'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+      .toInt()
+  ],
+  bulkCancel: [
+    ...bulkFilterRules(),
+    body('reason').trim().notEmpty().withMessage('Cancellation reason is required')
+  ],
+  bulkReschedule: [
+    ...bulkFilterRules(),
+    body('reason').optional().trim(),
+    body('changes').isObject().withMessage('Changes are required'),
+    body('changes.doctorId').optional().isUUID().withMessage('Invalid doctor ID'),
+    body('changes.branchId').optional().isUUID().withMessage('Invalid branch ID'),
+    body('changes.shiftDays')
+      .optional()
+      .isInt({ min: -365, max: 365 })
+      .withMessage('Day shift must be between -365 and 365')
+      .toInt(),
+    body('skipConflicts').optional().isBoolean().withMessage('skipConflicts must be a boolean')
   ]
 };
 
@@ -88,6 +261,12 @@ const medicalHistoryValidationRules = {
   create: [
     body('symptoms').notEmpty().withMessage('Symptoms are required'),
     body('diagnosis').notEmpty().withMessage('Diagnosis is required'),
+    body('diagnosisCodes')
+      .optional()
+      .isArray()
+      .withMessage('Diagnosis codes must be an array'),
+    body('diagnosisCodes.*.code').notEmpty().withMessage('Diagnosis code is required'),
+    body('diagnosisCodes.*.primary').optional().isBoolean().toBoolean(),
     body('treatment').notEmpty().withMessage('Treatment is required'),
     body('bloodType')
       .optional()
@@ -109,6 +288,14 @@ const medicalHistoryValidationRules = {
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Ozone concentration must be a positive number'),
+    body('ozoneVolume')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Ozone volume must be a positive number'),
+    body('treatmentPlanStepId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid treatment plan session ID'),
     body('treatmentDuration')
       .optional()
       .isInt({ min: 0 })
@@ -121,12 +308,173 @@ const medicalHistoryValidationRules = {
   update: [
     body('symptoms').optional().notEmpty().withMessage('Symptoms cannot be empty'),
     body('diagnosis').optional().notEmpty().withMessage('Diagnosis cannot be empty'),
+    body('diagnosisCodes')
+      .optional()
+      .isArray()
+      .withMessage('Diagnosis codes must be an array'),
+    body('diagnosisCodes.*.code').notEmpty().withMessage('Diagnosis code is required'),
+    body('diagnosisCodes.*.primary').optional().isBoolean().toBoolean(),
     body('treatment').optional().notEmpty().withMessage('Treatment cannot be empty'),
+    body('weight')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Weight must be a positive number'),
+    body('height')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Height must be a positive number'),
+    body('oxygenSaturation')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Oxygen saturation must be between 0 and 100'),
+    body('ozoneConcentration')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Ozone concentration must be a positive number'),
+    body('ozoneVolume')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Ozone volume must be a positive number'),
     body('followUpNotes').optional().trim(),
     body('nextAppointmentRecommended')
       .optional()
       .isISO8601()
-      .withMessage('Invalid date format for next appointment')
+      .withMessage('Invalid date format for next appointment'),
+    body('reason').trim().notEmpty().withMessage('Amendment reason is required')
+  ],
+  progress: observationFilterRules(),
+  search: [
+    query('q').optional().trim(),
+    query('code').optional().trim().toUpperCase(),
+    query('chapter')
+      .optional()
+      .isIn(icd10Chapters.map(({ chapter }) => chapter))
+      .withMessage('Invalid ICD-10 chapter'),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  statistics: [
+    query('doctorId').optional().isUUID().withMessage('Invalid doctor ID')
+  ],
+  diff: [
+    query('from').isInt({ min: 1 }).withMessage('From revision is required').toInt(),
+    query('to').isInt({ min: 1 }).withMessage('To revision is required').toInt()
+  ]
+};
+
+// Treatment plan validation rules
+const treatmentPlanValidationRules = {
+  create: [
+    body('patientId').isUUID().withMessage('Invalid patient ID'),
+    body('protocol').trim().notEmpty().withMessage('Protocol is required'),
+    body('treatmentRoute')
+      .isIn(['intravenosa', 'intramuscular', 'subcutánea', 'tópica', 'rectal', 'otro'])
+      .withMessage('Invalid treatment route'),
+    body('startDate').isISO8601().withMessage('Invalid start date'),
+    body('intervalDays')
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .withMessage('Interval must be between 1 and 90 days')
+      .toInt(),
+    body('steps')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Between 1 and 100 planned sessions are required'),
+    body('steps.*.concentration')
+      .isFloat({ min: 0 })
+      .withMessage('Concentration must be a positive number')
+      .toFloat(),
+    body('steps.*.volume')
+      .isFloat({ min: 0 })
+      .withMessage('Volume must be a positive number')
+      .toFloat(),
+    body('steps.*.notes').optional().trim(),
+    body('targetOutcomes').optional().isArray().withMessage('Target outcomes must be an array'),
+    body('targetOutcomes.*.description')
+      .trim()
+      .notEmpty()
+      .withMessage('Outcome description is required'),
+    body('targetOutcomes.*.observationType')
+      .optional()
+      .isIn(Object.keys(vitalSigns).filter(type => !vitalSigns[type].derived))
+      .withMessage('Invalid observation type'),
+    body('targetOutcomes.*').custom(outcome => {
+      const measured = !outcome.observationType || (
+        ['at_most', 'at_least'].includes(outcome.comparison) &&
+        typeof outcome.target === 'number'
+      );
+      if (!measured) {
+        throw new Error('A measured outcome needs a comparison (at_most or at_least) and a target');
+      }
+      return true;
+    }),
+    body('notes').optional().trim()
+  ],
+  list: [
+    query('patientId').optional().isUUID().withMessage('Invalid patient ID'),
+    query('status')
+      .optional()
+      .isIn(['active', 'completed', 'cancelled'])
+      .withMessage('Invalid status')
+  ],
+  cancel: [
+    body('reason').trim().notEmpty().withMessage('Cancellation reason is required')
+  ]
+};
+
+// Prescription validation rules
+const prescriptionValidationRules = {
+  create: [
+    body('medicalHistoryId').isUUID().withMessage('Invalid medical history ID'),
+    body('medication').trim().notEmpty().withMessage('Medication is required'),
+    body('dose').trim().notEmpty().withMessage('Dose is required'),
+    body('frequency').trim().notEmpty().withMessage('Frequency is required'),
+    body('durationDays')
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Duration must be between 1 and 365 days')
+      .toInt(),
+    body('instructions').optional().trim(),
+    body('startDate').optional().isISO8601().withMessage('Invalid start date')
+  ],
+  active: [
+    query('patientId').optional().isUUID().withMessage('Invalid patient ID')
+  ]
+};
+
+// Observation validation rules
+const observationValidationRules = {
+  create: [
+    body('patientId').isUUID().withMessage('Invalid patient ID'),
+    body('appointmentId').optional().isUUID().withMessage('Invalid appointment ID'),
+    body('medicalHistoryId').optional().isUUID().withMessage('Invalid medical history ID'),
+    body('observedAt').optional().isISO8601().withMessage('Invalid observation time').toDate(),
+    body('observations')
+      .isArray({ min: 1 })
+      .withMessage('At least one observation is required'),
+    body('observations.*.type').notEmpty().withMessage('Observation type is required'),
+    body('observations.*.value')
+      .isFloat()
+      .withMessage('Observation value must be a number')
+      .toFloat(),
+    body('observations.*.unit').optional().isString(),
+    body('observations.*.referenceRange.low').optional().isFloat().toFloat(),
+    body('observations.*.referenceRange.high').optional().isFloat().toFloat(),
+    body('observations.*.notes').optional().trim()
+  ],
+  list: [
+    query('patientId').optional().isUUID().withMessage('Invalid patient ID'),
+    ...observationFilterRules()
+  ]
+};
+
+// ICD-10 catalog validation rules
+const icd10ValidationRules = {
+  search: [
+    query('q').trim().notEmpty().withMessage('Search text is required'),
+    query('chapter')
+      .optional()
+      .isIn(icd10Chapters.map(({ chapter }) => chapter))
+      .withMessage('Invalid ICD-10 chapter'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
   ]
 };
 
@@ -146,11 +494,19 @@ const branchValidationRules = {
     body('coordinates')
       .optional()
       .isObject()
-      .withMessage('Coordinates must be an object with latitude and longitude')
+      .withMessage('Coordinates must be an object with latitude and longitude'),
+    body('timezone')
+      .optional()
+      .custom(value => TimezoneService.isValid(value))
+      .withMessage('Timezone must be an IANA name such as America/Tijuana')
   ],
   update: [
     body('name').optional().trim().notEmpty().withMessage('Branch name cannot be empty'),
     body('address').optional().trim().notEmpty().withMessage('Address cannot be empty'),
+    body('timezone')
+      .optional()
+      .custom(value => TimezoneService.isValid(value))
+      .withMessage('Timezone must be an IANA name such as America/Tijuana'),
     body('status')
       .optional()
       .isIn(['active', 'inactive', 'maintenance'])
@@ -159,6 +515,400 @@ const branchValidationRules = {
       .optional()
       .isInt({ min: 1 })
       .withMessage('Capacity must be a positive integer')
+  ],
+  updateDoctorSchedule: [
+    body('weeklySchedule')
+      .isObject()
+      .withMessage('Weekly schedule must be an object with intervals per weekday'),
+    body('slotDuration')
+      .optional()
+      .isInt({ min: 5 })
+      .withMessage('Slot duration must be at least 5 minutes'),
+    body('effectiveFrom')
+      .notEmpty()
+      .withMessage('Effective start date is required')
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    body('effectiveTo')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Invalid date format')
+  ]
+};
+
+// Appointment series validation rules
+const appointmentSeriesValidationRules = {
+  create: [
+    body('doctorId').notEmpty().withMessage('Doctor ID is required'),
+    body('branchId').notEmpty().withMessage('Branch ID is required'),
+    body('patientId')
+      .if((value, { req }) => req.user.role !== 'patient')
+      .notEmpty()
+      .withMessage('Patient ID is required'),
+    body('serviceId').optional().isUUID().withMessage('Invalid service ID'),
+    // Without a catalog service the client sends the end time and type
+    body('type')
+      .if(body('serviceId').not().exists())
+      .optional()
+      .isIn(['first_visit', 'follow_up'])
+      .withMessage('Invalid appointment type'),
+    body('startDate')
+      .notEmpty()
+      .withMessage('Start date is required')
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    body('startTime')
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    body('endTime')
+      .if(body('serviceId').not().exists())
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    body('weekdays')
+      .isArray({ min: 1 })
+      .withMessage('At least one weekday is required'),
+    body('weekdays.*')
+      .isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'])
+      .withMessage('Invalid weekday'),
+    body('interval')
+      .optional()
+      .isInt({ min: 1, max: 8 })
+      .withMessage('Interval must be between 1 and 8 weeks'),
+    body('count')
+      .optional()
+      .isInt({ min: 1, max: 52 })
+      .withMessage('Session count must be between 1 and 52'),
+    body('until').optional().isISO8601().withMessage('Invalid date format'),
+    body().custom(value => {
+      if (!value.count && !value.until) {
+        throw new Error('Either a session count or an end date is required');
+      }
+      return true;
+    }),
+    body('skipConflicts').optional().isBoolean().withMessage('skipConflicts must be a boolean')
+  ],
+  updateSession: [
+    body('scope')
+      .optional()
+      .isIn(['this', 'following'])
+      .withMessage('Scope must be "this" or "following"'),
+    body('date').optional().isISO8601().withMessage('Invalid date format'),
+    body('startTime')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    body('endTime')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    overrideReasonRule()
+  ],
+  cancel: [
+    body('scope')
+      .optional()
+      .isIn(['this', 'following'])
+      .withMessage('Scope must be "this" or "following"'),
+    body('reason').trim().notEmpty().withMessage('Cancellation reason is required'),
+    overrideReasonRule()
+  ]
+};
+
+// Time off validation rules
+const timeOffValidationRules = {
+  create: [
+    body('doctorId').optional().isUUID().withMessage('Invalid doctor ID'),
+    body('branchId').optional().isUUID().withMessage('Invalid branch ID'),
+    body('type')
+      .isIn(['vacation', 'congress', 'sick_leave', 'holiday', 'closure', 'other'])
+      .withMessage('Invalid time off type'),
+    body('startDate')
+      .notEmpty()
+      .withMessage('Start date is required')
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    body('endDate').optional().isISO8601().withMessage('Invalid date format'),
+    body('startTime')
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    body('endTime')
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    body('recurrence')
+      .optional()
+      .isIn(['none', 'weekly', 'yearly'])
+      .withMessage('Invalid recurrence'),
+    body('recurrenceUntil')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Invalid date format')
+  ],
+  loadHolidays: [
+    body('year')
+      .isInt({ min: 2000, max: 2100 })
+      .withMessage('Year must be a valid calendar year'),
+    body('branchIds').optional().isArray().withMessage('Branch IDs must be an array'),
+    body('country').optional().isIn(['MX']).withMessage('Unsupported holiday set')
+  ]
+};
+
+// Waitlist validation rules
+const waitlistValidationRules = {
+  create: [
+    body('patientId').optional().isUUID().withMessage('Invalid patient ID'),
+    body('doctorId').optional({ nullable: true }).isUUID().withMessage('Invalid doctor ID'),
+    body('branchId').optional({ nullable: true }).isUUID().withMessage('Invalid branch ID'),
+    body('startDate')
+      .notEmpty()
+      .withMessage('Start date is required')
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    body('endDate')
+      .notEmpty()
+      .withMessage('End date is required')
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    body('timeFrom')
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    body('timeTo')
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    body('type')
+      .optional()
+      .isIn(['first_visit', 'follow_up'])
+      .withMessage('Invalid appointment type'),
+    body('priority')
+      .optional()
+      .isInt({ min: 0, max: 10 })
+      .withMessage('Priority must be between 0 and 10')
+  ]
+};
+
+// Resource validation rules
+const resourceValidationRules = {
+  create: [
+    body('branchId').isUUID().withMessage('Invalid branch ID'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('kind')
+      .isIn(['room', 'ozone_generator', 'autohemotherapy_station'])
+      .withMessage('Invalid resource kind'),
+    body('notes').optional().trim()
+  ],
+  update: [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('status')
+      .optional()
+      .isIn(['active', 'maintenance', 'inactive'])
+      .withMessage('Invalid status'),
+    body('notes').optional().trim()
+  ]
+};
+
+// Service catalog validation rules
+const serviceValidationRules = {
+  create: [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('appointmentType')
+      .optional()
+      .isIn(['first_visit', 'follow_up'])
+      .withMessage('Invalid appointment type'),
+    body('duration')
+      .isInt({ min: 5, max: 480 })
+      .withMessage('Duration must be between 5 and 480 minutes'),
+    body('bufferBefore')
+      .optional()
+      .isInt({ min: 0, max: 120 })
+      .withMessage('Buffer must be between 0 and 120 minutes'),
+    body('bufferAfter')
+      .optional()
+      .isInt({ min: 0, max: 120 })
+      .withMessage('Buffer must be between 0 and 120 minutes'),
+    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('specialization').optional({ nullable: true }).trim(),
+    body('route')
+      .optional({ nullable: true })
+      .isIn(SERVICE_ROUTES)
+      .withMessage('Invalid administration route'),
+    body('requiredResources')
+      .optional()
+      .isArray()
+      .withMessage('Required resources must be an array'),
+    body('requiredResources.*')
+      .isIn(['room', 'ozone_generator', 'autohemotherapy_station'])
+      .withMessage('Invalid resource kind'),
+    body('branchIds').isArray({ min: 1 }).withMessage('At least one branch is required'),
+    body('branchIds.*').isUUID().withMessage('Invalid branch ID')
+  ],
+  update: [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('appointmentType')
+      .optional()
+      .isIn(['first_visit', 'follow_up'])
+      .withMessage('Invalid appointment type'),
+    body('duration')
+      .optional()
+      .isInt({ min: 5, max: 480 })
+      .withMessage('Duration must be between 5 and 480 minutes'),
+    body('bufferBefore')
+      .optional()
+      .isInt({ min: 0, max: 120 })
+      .withMessage('Buffer must be between 0 and 120 minutes'),
+    body('bufferAfter')
+      .optional()
+      .isInt({ min: 0, max: 120 })
+      .withMessage('Buffer must be between 0 and 120 minutes'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('route')
+      .optional({ nullable: true })
+      .isIn(SERVICE_ROUTES)
+      .withMessage('Invalid administration route'),
+    body('requiredResources')
+      .optional()
+      .isArray()
+      .withMessage('Required resources must be an array'),
+    body('requiredResources.*')
+      .isIn(['room', 'ozone_generator', 'autohemotherapy_station'])
+      .withMessage('Invalid resource kind'),
+    body('status').optional().isIn(['active', 'inactive']).withMessage('Invalid status'),
+    body('branchIds').optional().isArray({ min: 1 }).withMessage('At least one branch is required'),
+    body('branchIds.*').isUUID().withMessage('Invalid branch ID')
+  ]
+};
+
+// Cancellation policy validation rules; updates may leave out the name
+function cancellationPolicyRules(optional) {
+  return [
+    optional
+      ? body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+      : body('name').trim().notEmpty().withMessage('Name is required'),
+    body('branchId').optional({ nullable: true }).isUUID().withMessage('Invalid branch ID'),
+    body('serviceId').optional({ nullable: true }).isUUID().withMessage('Invalid service ID'),
+    body('appointmentType')
+      .optional({ nullable: true })
+      .isIn(['first_visit', 'follow_up'])
+      .withMessage('Invalid appointment type'),
+    body('cancelNoticeHours')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Cancellation notice must be a whole number of hours'),
+    body('lateCancellationFee')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Late cancellation fee must be a positive number'),
+    body('rescheduleNoticeHours')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Reschedule notice must be a whole number of hours'),
+    body('maxPatientReschedules')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Reschedule limit must be a whole number'),
+    body('status').optional().isIn(['active', 'inactive']).withMessage('Invalid status')
+  ];
+}
+
+const cancellationPolicyValidationRules = {
+  create: cancellationPolicyRules(false),
+  update: cancellationPolicyRules(true)
+};
+
+// Session cap validation rules
+const sessionCapValidationRules = {
+  create: [
+    body('doctorId').optional().isUUID().withMessage('Invalid doctor ID'),
+    body('route').isIn(SERVICE_ROUTES).withMessage('Invalid administration route'),
+    body('maxPerDay')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Daily limit must be a positive whole number'),
+    body('maxPerWeek')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Weekly limit must be a positive whole number'),
+    body()
+      .custom(value => Boolean(value.maxPerDay || value.maxPerWeek))
+      .withMessage('A daily or weekly limit is required')
+  ],
+  update: [
+    body('maxPerDay')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Daily limit must be a positive whole number'),
+    body('maxPerWeek')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Weekly limit must be a positive whole number')
+  ]
+};
+
+// Group session validation rules
+const groupSessionValidationRules = {
+  create: [
+    body('doctorId').optional().isUUID().withMessage('Invalid doctor ID'),
+    body('branchId').isUUID().withMessage('Invalid branch ID'),
+    body('serviceId').isUUID().withMessage('Invalid service ID'),
+    body('date')
+      .notEmpty()
+      .withMessage('Date is required')
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    body('startTime')
+      .notEmpty()
+      .withMessage('Start time is required')
+      .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .withMessage('Invalid time format (HH:MM)'),
+    body('capacity')
+      .isInt({ min: 2, max: 30 })
+      .withMessage('Capacity must be between 2 and 30 seats')
+      .toInt(),
+    body('notes').optional().trim()
+  ],
+  update: [
+    body('capacity')
+      .optional()
+      .isInt({ min: 2, max: 30 })
+      .withMessage('Capacity must be between 2 and 30 seats')
+      .toInt(),
+    body('notes').optional().trim()
+  ],
+  addParticipant: [
+    body('patientId').optional().isUUID().withMessage('Invalid patient ID')
+  ],
+  attendance: [
+    body('attendance').isArray({ min: 1 }).withMessage('Attendance must be a non-empty array'),
+    body('attendance.*.appointmentId').isUUID().withMessage('Invalid appointment ID'),
+    body('attendance.*.attended')
+      .isBoolean()
+      .withMessage('Attended must be true or false')
+      .toBoolean()
+  ],
+  cancel: [
+    body('reason').trim().notEmpty().withMessage('Reason is required')
+  ]
+};
+
+// Waiting room validation rules
+const waitingRoomValidationRules = {
+  checkIn: [
+    body('code').optional().isString().withMessage('Invalid check-in code'),
+    body('appointmentId')
+      .if(body('code').not().exists())
+      .isUUID()
+      .withMessage('Appointment ID or check-in code is required')
+  ],
+  callNext: [
+    body('appointmentId').optional().isUUID().withMessage('Invalid appointment ID')
+  ]
+};
+
+// Patient standing validation rules
+const patientValidationRules = {
+  resetNoShowStanding: [
+    body('reason').trim().notEmpty().withMessage('Reason is required')
   ]
 };
 
@@ -167,5 +917,19 @@ module.exports = {
   userValidationRules,
   appointmentValidationRules,
   medicalHistoryValidationRules,
-  branchValidationRules
+  icd10ValidationRules,
+  prescriptionValidationRules,
+  treatmentPlanValidationRules,
+  observationValidationRules,
+  branchValidationRules,
+  appointmentSeriesValidationRules,
+  timeOffValidationRules,
+  waitlistValidationRules,
+  resourceValidationRules,
+  serviceValidationRules,
+  cancellationPolicyValidationRules,
+  waitingRoomValidationRules,
+  sessionCapValidationRules,
+  groupSessionValidationRules,
+  patientValidationRules
 };
\ No newline at end of file
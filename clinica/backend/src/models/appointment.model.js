@@ -1,5 +1,44 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const TimezoneService = require('../services/timezone.service');
+
+// A doctor cannot have two live appointments whose time ranges overlap, except the
+// seats of one group session
+const OVERLAP_CONSTRAINT = 'appointment_doctor_no_overlap';
+
+// Lifecycle statuses; allowed moves live in AppointmentLifecycleService
+const STATUSES = [
+  'scheduled',
+  'confirmed',
+  'rescheduled',
+  'checked_in',
+  'in_progress',
+  'completed',
+  'cancelled',
+  'no_show'
+];
+
+// Changes that calendar clients must see as a new revision of the event
+const CALENDAR_FIELDS = ['branchId', 'date', 'startTime', 'endTime'];
+
+// Field stamped when an appointment first reaches a status
+const STATUS_TIMESTAMPS = {
+  checked_in: 'checkedInAt',
+  in_progress: 'calledAt'
+};
+
+// Zone of the branch when it was loaded with the appointment
+const getLoadedTimezone = (appointment) => {
+  const { branch } = appointment.dataValues;
+  return branch && branch.timezone ? branch.timezone : null;
+};
+
+// UTC instant of one of the appointment's local times, when its branch is loaded
+const getLoadedInstant = (appointment, time) => {
+  const timezone = getLoadedTimezone(appointment);
+  if (!timezone || !appointment.date || !time) return undefined;
+  return TimezoneService.toInstant(appointment.date, time, timezone).toISOString();
+};
 
 const Appointment = sequelize.define('Appointment', {
   id: {
@@ -43,14 +82,43 @@ const Appointment = sequelize.define('Appointment', {
     type: DataTypes.TIME,
     allowNull: false
   },
+  // date, startTime and endTime are wall-clock values in the branch's zone;
+  // these expose the zone and the matching UTC instants
+  timezone: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return getLoadedTimezone(this) || undefined;
+    }
+  },
+  startsAt: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return getLoadedInstant(this, this.getDataValue('startTime'));
+    }
+  },
+  endsAt: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return getLoadedInstant(this, this.getDataValue('endTime'));
+    }
+  },
   status: {
-    type: DataTypes.ENUM('scheduled', 'confirmed', 'completed', 'cancelled'),
+    type: DataTypes.ENUM(...STATUSES),
     defaultValue: 'scheduled'
   },
   type: {
     type: DataTypes.ENUM('first_visit', 'follow_up'),
     allowNull: false
   },
+  // Catalog service booked; sets the duration and resources
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'services',
+      key: 'id'
+    }
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -59,11 +127,64 @@ const Appointment = sequelize.define('Appointment', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  // Charged under the cancellation policy for a late cancellation
+  cancellationFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  // Arrival at the branch and when the doctor called the patient in
+  checkedInAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  calledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   reminderSent: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
+  },
+  // iCalendar SEQUENCE; clients only apply updates with a higher value
+  calendarSequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Set at booking by the patient's no-show policy
+  confirmationRequired: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  depositRequired: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Treatment course this session belongs to, if any
+  seriesId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointment_series',
+      key: 'id'
+    }
+  },
+  seriesIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Group session this appointment is a seat in, if any
+  groupSessionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'group_sessions',
+      key: 'id'
+    }
   }
 }, {
+  // Bumped on every save; exposed as the ETag for conditional updates
+  version: true,
   indexes: [
     {
       fields: ['date', 'doctorId'],
@@ -72,8 +193,41 @@ const Appointment = sequelize.define('Appointment', {
     {
       fields: ['patientId'],
       name: 'appointment_patient'
+    },
+    {
+      fields: ['seriesId', 'seriesIndex'],
+      name: 'appointment_series_index'
+    },
+    {
+      fields: ['groupSessionId'],
+      name: 'appointment_group_session'
     }
   ],
+  hooks: {
+    beforeUpdate: (appointment, options) => {
+      const save = (field) => {
+        if (options.fields && !options.fields.includes(field)) {
+          options.fields.push(field);
+        }
+      };
+
+      const moved = CALENDAR_FIELDS.some(field => appointment.changed(field));
+      const cancelled = appointment.changed('status') && appointment.status === 'cancelled';
+      // Rides on the save that moves or cancels, so it never adds a version of its own
+      if (moved || cancelled) {
+        appointment.calendarSequence += 1;
+        save('calendarSequence');
+      }
+
+      // Timestamp the waiting room steps however the status was changed
+      const field = appointment.changed('status') && STATUS_TIMESTAMPS[appointment.status];
+      if (field && !appointment[field]) {
+        appointment[field] = new Date();
+        save(field);
+      }
+    },
+    afterSync: () => Appointment.ensureOverlapConstraint()
+  },
   validate: {
     timeOrder() {
       if (this.startTime >= this.endTime) {
@@ -81,20 +235,57 @@ const Appointment = sequelize.define('Appointment', {
       }
     },
     futureDate() {
-      if (this.date < new Date().toISOString().split('T')[0]) {
+      // Past appointments still move through their lifecycle (completed, no-show).
+      // The exact start is checked against the branch's clock when booking.
+      if (this.changed('date') && this.date < TimezoneService.earliestToday()) {
         throw new Error('Appointment date must be in the future');
       }
     }
   }
 });
 
-// Instance method to check if appointment can be cancelled
-Appointment.prototype.canBeCancelled = function() {
-  const appointmentDate = new Date(this.date + ' ' + this.startTime);
-  const now = new Date();
-  const hoursDifference = (appointmentDate - now) / (1000 * 60 * 60);
-  
-  return hoursDifference >= 24 && this.status === 'scheduled';
+Appointment.OVERLAP_CONSTRAINT = OVERLAP_CONSTRAINT;
+Appointment.STATUSES = STATUSES;
+
+// Create the exclusion constraint that rules out double booking. Runs after sync
+// and on every server start, so databases that are never synced get it too.
+Appointment.ensureOverlapConstraint = async () => {
+  await sequelize.query('CREATE EXTENSION IF NOT EXISTS btree_gist');
+  // Seats of the same group share a key, so only they may overlap each other.
+  // Databases created before group sessions get the constraint replaced.
+  await sequelize.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = '${OVERLAP_CONSTRAINT}'
+          AND pg_get_constraintdef(oid) NOT LIKE '%group_session_id%'
+      ) THEN
+        ALTER TABLE appointments DROP CONSTRAINT ${OVERLAP_CONSTRAINT};
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = '${OVERLAP_CONSTRAINT}') THEN
+        ALTER TABLE appointments ADD CONSTRAINT ${OVERLAP_CONSTRAINT}
+          EXCLUDE USING gist (
+            doctor_id WITH =,
+            (COALESCE(group_session_id, id)) WITH <>,
+            tsrange(date + start_time, date + end_time, '[)') WITH &&
+          )
+          WHERE (status <> 'cancelled' AND deleted_at IS NULL);
+      END IF;
+    END
+    $$;
+  `);
+};
+
+// Instance method to get the zone the appointment's times are in
+// (the default zone when the branch was not loaded)
+Appointment.prototype.getTimezone = function () {
+  return getLoadedTimezone(this) || TimezoneService.getDefault();
+};
+
+// Instance method to get the UTC instant the appointment starts at
+Appointment.prototype.getStartInstant = function () {
+  return TimezoneService.toInstant(this.date, this.startTime, this.getTimezone());
 };
 
 // Instance method to format appointment details
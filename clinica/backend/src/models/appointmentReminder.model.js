@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One row per appointment, channel and offset (see config/reminders.js); the row
+// records whether that reminder went out, so redelivered jobs do not send it twice
+const AppointmentReminder = sequelize.define('AppointmentReminder', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    }
+  },
+  channel: {
+    type: DataTypes.ENUM('email', 'sms'),
+    allowNull: false
+  },
+  // How long before the start the reminder goes out
+  offsetMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  scheduledFor: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // skipped: the send time had already passed when the appointment was booked or moved
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'skipped', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'appointment_reminders',
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['appointmentId', 'channel', 'offsetMinutes'],
+      name: 'appointment_reminder_offset'
+    },
+    {
+      fields: ['status', 'scheduledFor'],
+      name: 'appointment_reminder_pending'
+    }
+  ]
+});
+
+module.exports = AppointmentReminder;
@@ -0,0 +1,143 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const AppointmentSeries = sequelize.define('AppointmentSeries', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  branchId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'branches',
+      key: 'id'
+    }
+  },
+  // Catalog service of every session; sets the duration, buffers and resources
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'services',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('first_visit', 'follow_up'),
+    allowNull: false,
+    defaultValue: 'follow_up'
+  },
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  endTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  // Regla de recurrencia: días de la semana, cada N semanas, N sesiones o hasta una fecha
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  weekdays: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    validate: {
+      isValidWeekdays(value) {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error('At least one weekday is required');
+        }
+        if (value.some(day => !WEEKDAYS.includes(day))) {
+          throw new Error('Invalid weekday');
+        }
+      }
+    }
+  },
+  interval: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  until: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'completed', 'cancelled'),
+    defaultValue: 'active'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  cancellationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'appointment_series',
+  indexes: [
+    {
+      fields: ['patientId'],
+      name: 'appointment_series_patient'
+    }
+  ],
+  validate: {
+    hasEnd() {
+      if (!this.count && !this.until) {
+        throw new Error('A series needs a session count or an end date');
+      }
+    },
+    timeOrder() {
+      if (this.startTime >= this.endTime) {
+        throw new Error('End time must be after start time');
+      }
+    }
+  }
+});
+
+AppointmentSeries.WEEKDAYS = WEEKDAYS;
+
+// Instance method to get the recurrence rule
+AppointmentSeries.prototype.getRule = function () {
+  return {
+    startDate: this.startDate,
+    weekdays: this.weekdays,
+    interval: this.interval,
+    count: this.count,
+    until: this.until
+  };
+};
+
+module.exports = AppointmentSeries;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One row per status change; the log is append-only
+const AppointmentTransition = sequelize.define('AppointmentTransition', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    }
+  },
+  // Null for the booking itself
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Null when the change was made by the system (jobs, waitlist)
+  changedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  role: {
+    type: DataTypes.ENUM('admin', 'doctor', 'patient', 'system'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Extra context, e.g. the previous slot of a rescheduled appointment
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'appointment_transitions',
+  updatedAt: false,
+  paranoid: false,
+  indexes: [
+    {
+      // Index fields are column names; underscored does not rename them
+      fields: ['appointment_id', 'created_at'],
+      name: 'appointment_transition_appointment'
+    }
+  ]
+});
+
+module.exports = AppointmentTransition;
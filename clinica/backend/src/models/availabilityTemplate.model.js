@@ -0,0 +1,112 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const AvailabilityTemplate = sequelize.define('AvailabilityTemplate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  branchId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'branches',
+      key: 'id'
+    }
+  },
+  // Working intervals per weekday, e.g. { monday: [{ start: '09:00', end: '13:00' }] }
+  weeklySchedule: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {
+      monday: [],
+      tuesday: [],
+      wednesday: [],
+      thursday: [],
+      friday: [],
+      saturday: [],
+      sunday: []
+    },
+    validate: {
+      isValidSchedule(value) {
+        const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+        for (const day of DAYS) {
+          const intervals = value[day];
+          if (!Array.isArray(intervals)) {
+            throw new Error(`Missing intervals for ${day}`);
+          }
+
+          const sorted = [...intervals].sort((a, b) => (a.start < b.start ? -1 : 1));
+          sorted.forEach(({ start, end }, index) => {
+            if (!timeRegex.test(start) || !timeRegex.test(end)) {
+              throw new Error(`Invalid time format for ${day}`);
+            }
+            if (start >= end) {
+              throw new Error(`Interval end must be after start for ${day}`);
+            }
+            if (index > 0 && start < sorted[index - 1].end) {
+              throw new Error(`Overlapping intervals for ${day}`);
+            }
+          });
+        }
+      }
+    }
+  },
+  slotDuration: {
+    type: DataTypes.INTEGER, // en minutos
+    allowNull: false,
+    defaultValue: 30,
+    validate: {
+      min: 5
+    }
+  },
+  effectiveFrom: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  effectiveTo: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    {
+      fields: ['doctorId', 'branchId', 'effectiveFrom'],
+      name: 'availability_template_doctor_branch'
+    }
+  ],
+  validate: {
+    effectiveRange() {
+      if (this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+        throw new Error('Effective end date must not be before effective start date');
+      }
+    }
+  }
+});
+
+AvailabilityTemplate.DAYS = DAYS;
+
+// Instance method to get the working intervals for a given date (YYYY-MM-DD)
+AvailabilityTemplate.prototype.getIntervalsFor = function (date) {
+  const day = DAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+  return this.weeklySchedule[day] || [];
+};
+
+// Instance method to check whether the template applies on a given date
+AvailabilityTemplate.prototype.isEffectiveOn = function (date) {
+  return this.effectiveFrom <= date && (!this.effectiveTo || this.effectiveTo >= date);
+};
+
+module.exports = AvailabilityTemplate;
@@ -1,5 +1,6 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
+const TimezoneService = require('../services/timezone.service');
 
 const Branch = sequelize.define('Branch', {
   id: {
@@ -95,6 +96,19 @@ const Branch = sequelize.define('Branch', {
       }
     }
   },
+  // IANA zone the branch's dates and times are expressed in
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: TimezoneService.getDefault(),
+    validate: {
+      isValidTimezone(value) {
+        if (!TimezoneService.isValid(value)) {
+          throw new Error(`Unknown timezone ${value}`);
+        }
+      }
+    }
+  },
   status: {
     type: DataTypes.ENUM('active', 'inactive', 'maintenance'),
     defaultValue: 'active'
@@ -134,25 +148,51 @@ const Branch = sequelize.define('Branch', {
   }
 });
 
-// Instance method to check if branch is open at a specific time
-Branch.prototype.isOpenAt = function(date) {
-  const dayOfWeek = date.toLocaleLowerCase();
-  const time = date.toTimeString().slice(0, 5);
-  const schedule = this.operatingHours[dayOfWeek];
+// Instance method to check if branch is open at a specific instant (in the branch's zone)
+Branch.prototype.isOpenAt = function (instant = new Date()) {
+  const { day, time } = TimezoneService.getLocalParts(instant, this.timezone);
+  const schedule = this.operatingHours[day];
 
   if (!schedule.open || !schedule.close) {
     return false;
   }
 
-  return time >= schedule.open && time <= schedule.close;
+  return time.slice(0, 5) >= schedule.open && time.slice(0, 5) <= schedule.close;
 };
 
 // Instance method to get current capacity status
+// Branches with rooms configured report room occupancy; otherwise the capacity figure is used
 Branch.prototype.getCurrentCapacity = async function() {
+  const { date: today, time } = TimezoneService.now(this.timezone);
+
+  const rooms = await this.getResources({
+    where: { kind: 'room', status: 'active' },
+    include: [
+      {
+        association: 'bookings',
+        required: false,
+        where: {
+          date: today,
+          startTime: { [Op.lte]: time },
+          endTime: { [Op.gt]: time }
+        }
+      }
+    ]
+  });
+
+  if (rooms.length) {
+    const occupied = rooms.filter(room => room.bookings.length > 0).length;
+    return {
+      total: rooms.length,
+      occupied,
+      available: rooms.length - occupied
+    };
+  }
+
   const currentAppointments = await this.getAppointments({
     where: {
-      date: new Date(),
-      status: 'scheduled'
+      date: today,
+      status: ['scheduled', 'confirmed', 'rescheduled', 'checked_in', 'in_progress']
     }
   });
 
@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Cancellation and rescheduling rules. A policy applies to the appointments of its
+// branch, service and appointment type; null scope fields match any value.
+const CancellationPolicy = sequelize.define('CancellationPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  branchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'branches',
+      key: 'id'
+    }
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'services',
+      key: 'id'
+    }
+  },
+  // e.g. stricter rules for first visits
+  appointmentType: {
+    type: DataTypes.ENUM('first_visit', 'follow_up'),
+    allowNull: true
+  },
+  // Minimum notice for cancelling
+  cancelNoticeHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 24,
+    validate: {
+      min: 0
+    }
+  },
+  // Late cancellations are charged this fee instead of being refused; null refuses them
+  lateCancellationFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  // Minimum notice for moving to another time
+  rescheduleNoticeHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 24,
+    validate: {
+      min: 0
+    }
+  },
+  // Times the patient may reschedule the appointment themselves; null is unlimited
+  maxPatientReschedules: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'inactive'),
+    defaultValue: 'active'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'cancellation_policies',
+  indexes: [
+    {
+      fields: ['branchId', 'serviceId', 'appointmentType'],
+      name: 'cancellation_policy_scope'
+    }
+  ]
+});
+
+module.exports = CancellationPolicy;
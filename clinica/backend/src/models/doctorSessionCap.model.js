@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Service = require('./service.model');
+
+// Most sessions a doctor takes per day and/or week for one administration route
+// (e.g. at most 8 intravenous sessions a day). Null limits are not enforced.
+const DoctorSessionCap = sequelize.define('DoctorSessionCap', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  route: {
+    type: DataTypes.ENUM(...Service.ROUTES),
+    allowNull: false
+  },
+  maxPerDay: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  // Weeks run Monday to Sunday
+  maxPerWeek: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'doctor_session_caps',
+  // Removed caps are gone for good, so the route can be capped again
+  paranoid: false,
+  validate: {
+    hasLimit() {
+      if (!this.maxPerDay && !this.maxPerWeek) {
+        throw new Error('A daily or weekly limit is required');
+      }
+    }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['doctorId', 'route'],
+      name: 'doctor_session_cap_route'
+    }
+  ]
+});
+
+module.exports = DoctorSessionCap;
@@ -0,0 +1,106 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A session several patients attend together (e.g. topical ozone bagging). Each
+// participant holds a seat through their own appointment, which carries their
+// status, notifications, medical history and billing; the session holds the doctor's
+// time and the rooms and equipment.
+const GroupSession = sequelize.define('GroupSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  branchId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'branches',
+      key: 'id'
+    }
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'services',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('first_visit', 'follow_up'),
+    allowNull: false,
+    defaultValue: 'follow_up'
+  },
+  // Local to the branch, like appointment times
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  endTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  // Seats; every participant whose appointment is not cancelled takes one
+  capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 2,
+      max: 30
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'cancelled'),
+    defaultValue: 'scheduled'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  cancellationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'group_sessions',
+  indexes: [
+    {
+      fields: ['date', 'doctorId'],
+      name: 'group_session_date_doctor'
+    },
+    {
+      fields: ['branchId', 'date'],
+      name: 'group_session_branch_date'
+    }
+  ],
+  validate: {
+    timeOrder() {
+      if (this.startTime >= this.endTime) {
+        throw new Error('End time must be after start time');
+      }
+    }
+  }
+});
+
+module.exports = GroupSession;
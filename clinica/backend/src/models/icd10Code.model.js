@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// ICD-10 (CIE-10) catalog in Spanish, loaded with `npm run import:icd10`
+const Icd10Code = sequelize.define('Icd10Code', {
+  // Category (M54) or subcategory (M54.5)
+  code: {
+    type: DataTypes.STRING(10),
+    primaryKey: true,
+    validate: {
+      is: /^[A-Z]\d{2}(\.\d{1,2})?$/
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Roman numeral, see src/config/icd10Chapters.js
+  chapter: {
+    type: DataTypes.STRING(5),
+    allowNull: false
+  }
+}, {
+  tableName: 'icd10_codes',
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['chapter'],
+      name: 'icd10_code_chapter'
+    }
+  ],
+  hooks: {
+    afterSync: () => Icd10Code.ensureExtensions()
+  }
+});
+
+// Searches ignore accents ("cronica" finds "crónica"); runs after sync and on every
+// server start
+Icd10Code.ensureExtensions = async () => {
+  await sequelize.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+};
+
+module.exports = Icd10Code;
@@ -2,7 +2,26 @@ const sequelize = require('../config/database');
 const User = require('./user.model');
 const Appointment = require('./appointment.model');
 const MedicalHistory = require('./medicalHistory.model');
+const MedicalHistoryRevision = require('./medicalHistoryRevision.model');
+const Prescription = require('./prescription.model');
+const Observation = require('./observation.model');
+const TreatmentPlan = require('./treatmentPlan.model');
+const TreatmentPlanStep = require('./treatmentPlanStep.model');
 const Branch = require('./branch.model');
+const AvailabilityTemplate = require('./availabilityTemplate.model');
+const TimeOff = require('./timeOff.model');
+const AppointmentSeries = require('./appointmentSeries.model');
+const WaitlistEntry = require('./waitlistEntry.model');
+const SlotOffer = require('./slotOffer.model');
+const Resource = require('./resource.model');
+const ResourceBooking = require('./resourceBooking.model');
+const Service = require('./service.model');
+const AppointmentTransition = require('./appointmentTransition.model');
+const AppointmentReminder = require('./appointmentReminder.model');
+const CancellationPolicy = require('./cancellationPolicy.model');
+const DoctorSessionCap = require('./doctorSessionCap.model');
+const GroupSession = require('./groupSession.model');
+const Icd10Code = require('./icd10Code.model');
 
 // User - Appointment Associations
 User.hasMany(Appointment, {
@@ -49,6 +68,10 @@ MedicalHistory.belongsTo(User, {
   foreignKey: 'doctorId',
   as: 'doctor'
 });
+MedicalHistory.belongsTo(User, {
+  foreignKey: 'signedById',
+  as: 'signedBy'
+});
 
 // Appointment - MedicalHistory Associations
 Appointment.hasOne(MedicalHistory, {
@@ -60,6 +83,336 @@ MedicalHistory.belongsTo(Appointment, {
   as: 'appointment'
 });
 
+// Revisions of a medical record (append-only)
+MedicalHistory.hasMany(MedicalHistoryRevision, {
+  foreignKey: 'medicalHistoryId',
+  as: 'revisions'
+});
+MedicalHistoryRevision.belongsTo(MedicalHistory, {
+  foreignKey: 'medicalHistoryId',
+  as: 'medicalHistory'
+});
+MedicalHistoryRevision.belongsTo(User, {
+  foreignKey: 'authorId',
+  as: 'author'
+});
+
+// Prescriptions written in a medical record
+MedicalHistory.hasMany(Prescription, {
+  foreignKey: 'medicalHistoryId',
+  as: 'prescriptions'
+});
+Prescription.belongsTo(MedicalHistory, {
+  foreignKey: 'medicalHistoryId',
+  as: 'medicalHistory'
+});
+Prescription.belongsTo(User, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+Prescription.belongsTo(User, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+User.hasMany(Prescription, {
+  foreignKey: 'patientId',
+  as: 'prescriptions'
+});
+
+// Vital signs observations, optionally taken at an appointment or record
+User.hasMany(Observation, {
+  foreignKey: 'patientId',
+  as: 'observations'
+});
+Observation.belongsTo(User, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+Observation.belongsTo(User, {
+  foreignKey: 'recordedById',
+  as: 'recordedBy'
+});
+Observation.belongsTo(Appointment, {
+  foreignKey: 'appointmentId',
+  as: 'appointment'
+});
+Observation.belongsTo(MedicalHistory, {
+  foreignKey: 'medicalHistoryId',
+  as: 'medicalHistory'
+});
+MedicalHistory.hasMany(Observation, {
+  foreignKey: 'medicalHistoryId',
+  as: 'vitalSigns'
+});
+
+// Treatment plans: planned sessions, each delivered by at most one record
+User.hasMany(TreatmentPlan, {
+  foreignKey: 'patientId',
+  as: 'treatmentPlans'
+});
+TreatmentPlan.belongsTo(User, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+TreatmentPlan.belongsTo(User, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+TreatmentPlan.hasMany(TreatmentPlanStep, {
+  foreignKey: 'treatmentPlanId',
+  as: 'steps'
+});
+TreatmentPlanStep.belongsTo(TreatmentPlan, {
+  foreignKey: 'treatmentPlanId',
+  as: 'treatmentPlan'
+});
+TreatmentPlanStep.hasOne(MedicalHistory, {
+  foreignKey: 'treatmentPlanStepId',
+  as: 'medicalHistory'
+});
+MedicalHistory.belongsTo(TreatmentPlanStep, {
+  foreignKey: 'treatmentPlanStepId',
+  as: 'treatmentPlanStep'
+});
+
+// Doctor availability templates (per doctor and branch)
+User.hasMany(AvailabilityTemplate, {
+  foreignKey: 'doctorId',
+  as: 'availabilityTemplates'
+});
+AvailabilityTemplate.belongsTo(User, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+Branch.hasMany(AvailabilityTemplate, {
+  foreignKey: 'branchId',
+  as: 'availabilityTemplates'
+});
+AvailabilityTemplate.belongsTo(Branch, {
+  foreignKey: 'branchId',
+  as: 'branch'
+});
+
+// Appointment series (treatment courses)
+AppointmentSeries.hasMany(Appointment, {
+  foreignKey: 'seriesId',
+  as: 'sessions'
+});
+Appointment.belongsTo(AppointmentSeries, {
+  foreignKey: 'seriesId',
+  as: 'series'
+});
+AppointmentSeries.belongsTo(User, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+AppointmentSeries.belongsTo(User, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+AppointmentSeries.belongsTo(Branch, {
+  foreignKey: 'branchId',
+  as: 'branch'
+});
+AppointmentSeries.belongsTo(Service, {
+  foreignKey: 'serviceId',
+  as: 'service'
+});
+
+// Waitlist and slot offers
+WaitlistEntry.belongsTo(User, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+WaitlistEntry.belongsTo(User, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+WaitlistEntry.belongsTo(Branch, {
+  foreignKey: 'branchId',
+  as: 'branch'
+});
+WaitlistEntry.hasMany(SlotOffer, {
+  foreignKey: 'waitlistEntryId',
+  as: 'offers'
+});
+SlotOffer.belongsTo(WaitlistEntry, {
+  foreignKey: 'waitlistEntryId',
+  as: 'waitlistEntry'
+});
+SlotOffer.belongsTo(User, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+SlotOffer.belongsTo(User, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+SlotOffer.belongsTo(Branch, {
+  foreignKey: 'branchId',
+  as: 'branch'
+});
+SlotOffer.belongsTo(Appointment, {
+  foreignKey: 'appointmentId',
+  as: 'appointment'
+});
+
+// Service catalog
+Service.hasMany(Appointment, {
+  foreignKey: 'serviceId',
+  as: 'appointments'
+});
+Appointment.belongsTo(Service, {
+  foreignKey: 'serviceId',
+  as: 'service'
+});
+
+// Rooms and equipment booked together with appointments
+Branch.hasMany(Resource, {
+  foreignKey: 'branchId',
+  as: 'resources'
+});
+Resource.belongsTo(Branch, {
+  foreignKey: 'branchId',
+  as: 'branch'
+});
+Resource.hasMany(ResourceBooking, {
+  foreignKey: 'resourceId',
+  as: 'bookings'
+});
+ResourceBooking.belongsTo(Resource, {
+  foreignKey: 'resourceId',
+  as: 'resource'
+});
+Appointment.hasMany(ResourceBooking, {
+  foreignKey: 'appointmentId',
+  as: 'resourceBookings'
+});
+ResourceBooking.belongsTo(Appointment, {
+  foreignKey: 'appointmentId',
+  as: 'appointment'
+});
+
+// Cancelled appointments give their rooms and equipment back
+Appointment.addHook('afterUpdate', 'releaseResources', async (appointment, options) => {
+  if (appointment.changed('status') && appointment.status === 'cancelled') {
+    await ResourceBooking.destroy({
+      where: { appointmentId: appointment.id },
+      transaction: options.transaction
+    });
+  }
+});
+
+// Appointment status history
+Appointment.hasMany(AppointmentTransition, {
+  foreignKey: 'appointmentId',
+  as: 'transitions'
+});
+AppointmentTransition.belongsTo(Appointment, {
+  foreignKey: 'appointmentId',
+  as: 'appointment'
+});
+AppointmentTransition.belongsTo(User, {
+  foreignKey: 'changedBy',
+  as: 'changedByUser'
+});
+
+// Scheduled reminders
+Appointment.hasMany(AppointmentReminder, {
+  foreignKey: 'appointmentId',
+  as: 'reminders'
+});
+AppointmentReminder.belongsTo(Appointment, {
+  foreignKey: 'appointmentId',
+  as: 'appointment'
+});
+
+// Cancellation policies (per branch, service and/or appointment type)
+Branch.hasMany(CancellationPolicy, {
+  foreignKey: 'branchId',
+  as: 'cancellationPolicies'
+});
+CancellationPolicy.belongsTo(Branch, {
+  foreignKey: 'branchId',
+  as: 'branch'
+});
+Service.hasMany(CancellationPolicy, {
+  foreignKey: 'serviceId',
+  as: 'cancellationPolicies'
+});
+CancellationPolicy.belongsTo(Service, {
+  foreignKey: 'serviceId',
+  as: 'service'
+});
+
+// Doctors' session caps (per administration route)
+User.hasMany(DoctorSessionCap, {
+  foreignKey: 'doctorId',
+  as: 'sessionCaps'
+});
+DoctorSessionCap.belongsTo(User, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+
+// Group sessions; each seat is an appointment
+GroupSession.hasMany(Appointment, {
+  foreignKey: 'groupSessionId',
+  as: 'participants'
+});
+Appointment.belongsTo(GroupSession, {
+  foreignKey: 'groupSessionId',
+  as: 'groupSession'
+});
+GroupSession.belongsTo(User, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+GroupSession.belongsTo(Branch, {
+  foreignKey: 'branchId',
+  as: 'branch'
+});
+GroupSession.belongsTo(Service, {
+  foreignKey: 'serviceId',
+  as: 'service'
+});
+GroupSession.hasMany(ResourceBooking, {
+  foreignKey: 'groupSessionId',
+  as: 'resourceBookings'
+});
+ResourceBooking.belongsTo(GroupSession, {
+  foreignKey: 'groupSessionId',
+  as: 'groupSession'
+});
+
+// No-shows count against the patient's standing
+Appointment.addHook('afterUpdate', 'countNoShow', async (appointment, options) => {
+  if (appointment.changed('status') && appointment.status === 'no_show') {
+    await User.increment('noShowCount', {
+      where: { id: appointment.patientId },
+      transaction: options.transaction
+    });
+  }
+});
+
+// Time off and closures (per doctor and/or branch)
+User.hasMany(TimeOff, {
+  foreignKey: 'doctorId',
+  as: 'timeOff'
+});
+TimeOff.belongsTo(User, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+Branch.hasMany(TimeOff, {
+  foreignKey: 'branchId',
+  as: 'closures'
+});
+TimeOff.belongsTo(Branch, {
+  foreignKey: 'branchId',
+  as: 'branch'
+});
+
 // Branch - Doctor Association (Many-to-Many)
 const DoctorBranch = sequelize.define('DoctorBranch', {}, { timestamps: true });
 User.belongsToMany(Branch, {
@@ -76,11 +429,54 @@ Branch.belongsToMany(User, {
   constraints: false
 });
 
+// Branch - Service Association (Many-to-Many)
+const BranchService = sequelize.define('BranchService', {}, { timestamps: true });
+Service.belongsToMany(Branch, {
+  through: BranchService,
+  foreignKey: 'serviceId',
+  as: 'branches'
+});
+Branch.belongsToMany(Service, {
+  through: BranchService,
+  foreignKey: 'branchId',
+  as: 'offeredServices'
+});
+
+// Extensions and constraints sync() cannot declare, such as the exclusion
+// constraints that rule out double booking. server.js runs this on every start,
+// so environments that never sync the models still get them.
+const ensureDatabaseObjects = async () => {
+  await Appointment.ensureOverlapConstraint();
+  await ResourceBooking.ensureOverlapConstraint();
+  await Icd10Code.ensureExtensions();
+};
+
 module.exports = {
   sequelize,
+  ensureDatabaseObjects,
   User,
   Appointment,
   MedicalHistory,
+  MedicalHistoryRevision,
+  Prescription,
+  Observation,
+  TreatmentPlan,
+  TreatmentPlanStep,
   Branch,
-  DoctorBranch
+  DoctorBranch,
+  AvailabilityTemplate,
+  TimeOff,
+  AppointmentSeries,
+  WaitlistEntry,
+  SlotOffer,
+  Resource,
+  ResourceBooking,
+  Service,
+  BranchService,
+  AppointmentTransition,
+  AppointmentReminder,
+  CancellationPolicy,
+  DoctorSessionCap,
+  GroupSession,
+  Icd10Code
 };
\ No newline at end of file
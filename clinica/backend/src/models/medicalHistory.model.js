@@ -1,5 +1,8 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { lockAfterHours } = require('../config/medicalRecords');
+
+const HOUR_MS = 60 * 60 * 1000;
 
 const MedicalHistory = sequelize.define('MedicalHistory', {
   id: {
@@ -84,6 +87,16 @@ const MedicalHistory = sequelize.define('MedicalHistory', {
     type: DataTypes.TEXT,
     allowNull: false
   },
+  // ICD-10 codes, e.g. [{ code: 'M54.5', description, chapter: 'XIII', primary: true }];
+  // diagnosis stays as the doctor's free-text note
+  diagnosisCodes: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    get() {
+      const value = this.getDataValue('diagnosisCodes');
+      return value ? JSON.parse(JSON.stringify(value)) : [];
+    }
+  },
   treatment: {
     type: DataTypes.TEXT,
     allowNull: false
@@ -108,6 +121,13 @@ const MedicalHistory = sequelize.define('MedicalHistory', {
       min: 0
     }
   },
+  ozoneVolume: {
+    type: DataTypes.FLOAT, // en mL
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
   treatmentDuration: {
     type: DataTypes.INTEGER, // en minutos
     allowNull: true,
@@ -119,6 +139,16 @@ const MedicalHistory = sequelize.define('MedicalHistory', {
     type: DataTypes.ENUM('intravenosa', 'intramuscular', 'subcutánea', 'tópica', 'rectal', 'otro'),
     allowNull: true
   },
+  // Sesión del plan de tratamiento que este registro entrega
+  treatmentPlanStepId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'treatment_plan_steps',
+      key: 'id'
+    }
+  },
   // Seguimiento
   followUpRequired: {
     type: DataTypes.BOOLEAN,
@@ -131,8 +161,24 @@ const MedicalHistory = sequelize.define('MedicalHistory', {
   nextAppointmentRecommended: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  // Set when the author signs the record, or when it locks lockAfterHours after it
+  // was written; a signed record can no longer be amended
+  signedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  signedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
   }
 }, {
+  // Bumped on every save; exposed as the ETag for conditional updates
+  version: true,
   indexes: [
     {
       fields: ['patientId'],
@@ -141,6 +187,11 @@ const MedicalHistory = sequelize.define('MedicalHistory', {
     {
       fields: ['appointmentId'],
       name: 'medical_history_appointment'
+    },
+    {
+      fields: ['diagnosisCodes'],
+      using: 'gin',
+      name: 'medical_history_diagnosis_codes'
     }
   ]
 });
@@ -154,6 +205,18 @@ MedicalHistory.prototype.calculateBMI = function() {
   return null;
 };
 
+// Método para saber si el registro ya está firmado
+MedicalHistory.prototype.isSigned = function () {
+  return Boolean(this.signedAt);
+};
+
+// Método para saber si terminó el plazo de enmiendas de un registro sin firmar
+MedicalHistory.prototype.isLockDue = function (now = new Date()) {
+  const createdAt = this.getDataValue('created_at');
+  return !this.signedAt && Boolean(createdAt) &&
+    new Date(createdAt).getTime() + lockAfterHours * HOUR_MS <= now.getTime();
+};
+
 // Método para obtener resumen del historial
 MedicalHistory.prototype.getSummary = function() {
   return {
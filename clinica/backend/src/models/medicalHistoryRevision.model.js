@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const immutable = () => {
+  throw new Error('Medical history revisions cannot be changed');
+};
+
+// One row per version of a medical record; revision 1 is the record as written
+const MedicalHistoryRevision = sequelize.define('MedicalHistoryRevision', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  medicalHistoryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'medical_histories',
+      key: 'id'
+    }
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  // Clinical fields of the record after this revision
+  snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  changedFields: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Required for every amendment; null for revision 1
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  authorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'medical_history_revisions',
+  updatedAt: false,
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['medicalHistoryId', 'revision'],
+      name: 'medical_history_revision_number'
+    }
+  ],
+  hooks: {
+    beforeUpdate: immutable,
+    beforeDestroy: immutable,
+    beforeBulkUpdate: immutable,
+    beforeBulkDestroy: immutable
+  }
+});
+
+module.exports = MedicalHistoryRevision;
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const vitalSigns = require('../config/vitalSigns');
+
+const RECORDED_TYPES = Object.keys(vitalSigns).filter(type => !vitalSigns[type].derived);
+
+// One measured vital sign of a patient (see config/vitalSigns.js)
+const Observation = sequelize.define('Observation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(...RECORDED_TYPES),
+    allowNull: false
+  },
+  // In the type's unit
+  value: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  unit: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Range in effect when the value was recorded
+  referenceLow: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  referenceHigh: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  // low or high when outside the reference range; null without a range
+  flag: {
+    type: DataTypes.ENUM('low', 'normal', 'high'),
+    allowNull: true
+  },
+  observedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Encounter the observation was taken at, when any
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    }
+  },
+  medicalHistoryId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'medical_histories',
+      key: 'id'
+    }
+  },
+  recordedById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'observations',
+  indexes: [
+    {
+      fields: ['patientId', 'type', 'observedAt'],
+      name: 'observation_patient_type_time'
+    },
+    {
+      fields: ['appointmentId'],
+      name: 'observation_appointment'
+    }
+  ]
+});
+
+Observation.TYPES = RECORDED_TYPES;
+
+module.exports = Observation;
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One medication prescribed in a medical record; it is active until endDate
+const Prescription = sequelize.define('Prescription', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  medicalHistoryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'medical_histories',
+      key: 'id'
+    }
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  medication: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // e.g. '500 mg', '20 mL de ozono a 25 µg/mL'
+  dose: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // e.g. 'Cada 8 horas'
+  frequency: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  durationDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  instructions: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Last day of the treatment (startDate + durationDays - 1)
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  }
+}, {
+  tableName: 'prescriptions',
+  indexes: [
+    {
+      fields: ['patientId', 'endDate'],
+      name: 'prescription_patient_end'
+    },
+    {
+      fields: ['medicalHistoryId'],
+      name: 'prescription_medical_history'
+    }
+  ]
+});
+
+module.exports = Prescription;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const KINDS = ['room', 'ozone_generator', 'autohemotherapy_station'];
+
+const Resource = sequelize.define('Resource', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  branchId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'branches',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  kind: {
+    type: DataTypes.ENUM(...KINDS),
+    allowNull: false
+  },
+  // Only active resources can be booked
+  status: {
+    type: DataTypes.ENUM('active', 'maintenance', 'inactive'),
+    defaultValue: 'active'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    {
+      fields: ['branchId', 'kind'],
+      name: 'resource_branch_kind'
+    },
+    {
+      unique: true,
+      fields: ['branchId', 'name'],
+      name: 'resource_branch_name'
+    }
+  ]
+});
+
+Resource.KINDS = KINDS;
+
+module.exports = Resource;
@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A resource cannot be held by two live bookings whose time ranges overlap
+const OVERLAP_CONSTRAINT = 'resource_booking_no_overlap';
+
+const ResourceBooking = sequelize.define('ResourceBooking', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  resourceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'resources',
+      key: 'id'
+    }
+  },
+  // Held for an appointment, or for a group session on behalf of all its seats
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    }
+  },
+  groupSessionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'group_sessions',
+      key: 'id'
+    }
+  },
+  // Copied from the appointment so the constraint can be enforced on this table
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  endTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  }
+}, {
+  indexes: [
+    {
+      fields: ['resourceId', 'date'],
+      name: 'resource_booking_resource_date'
+    },
+    {
+      fields: ['appointmentId'],
+      name: 'resource_booking_appointment'
+    },
+    {
+      fields: ['groupSessionId'],
+      name: 'resource_booking_group_session'
+    }
+  ],
+  validate: {
+    hasOwner() {
+      if (!this.appointmentId === !this.groupSessionId) {
+        throw new Error('A booking belongs to either an appointment or a group session');
+      }
+    }
+  },
+  hooks: {
+    afterSync: () => ResourceBooking.ensureOverlapConstraint()
+  }
+});
+
+ResourceBooking.OVERLAP_CONSTRAINT = OVERLAP_CONSTRAINT;
+
+// Create the exclusion constraint that keeps a room or device from being booked
+// twice; runs after sync and on every server start
+ResourceBooking.ensureOverlapConstraint = async () => {
+  await sequelize.query('CREATE EXTENSION IF NOT EXISTS btree_gist');
+  await sequelize.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = '${OVERLAP_CONSTRAINT}') THEN
+        ALTER TABLE resource_bookings ADD CONSTRAINT ${OVERLAP_CONSTRAINT}
+          EXCLUDE USING gist (
+            resource_id WITH =,
+            tsrange(date + start_time, date + end_time, '[)') WITH &&
+          )
+          WHERE (deleted_at IS NULL);
+      END IF;
+    END
+    $$;
+  `);
+};
+
+module.exports = ResourceBooking;
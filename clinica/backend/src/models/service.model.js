@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// How the ozone (or other treatment) is administered; doctors' session caps are per route
+const ROUTES = [
+  'intravenous',
+  'intramuscular',
+  'subcutaneous',
+  'intra_articular',
+  'rectal',
+  'vaginal',
+  'topical'
+];
+
+// Catalog of bookable treatments (autohemotherapy, insufflation, bagging, consultation...)
+const Service = sequelize.define('Service', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Appointment type recorded on bookings of this service
+  appointmentType: {
+    type: DataTypes.ENUM('first_visit', 'follow_up'),
+    allowNull: false,
+    defaultValue: 'follow_up'
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 5,
+      max: 480
+    }
+  },
+  // Preparation time before the session; rooms and equipment are already blocked
+  bufferBefore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 120
+    }
+  },
+  // Cleanup time after the session; rooms and equipment stay blocked
+  bufferAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 120
+    }
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  // Administration route; null for consultations and other services without one
+  route: {
+    type: DataTypes.ENUM(...ROUTES),
+    allowNull: true
+  },
+  // Doctors must have this specialization; null means any doctor
+  specialization: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Resource kinds held for the session, one entry per resource
+  requiredResources: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [],
+    validate: {
+      isValidKinds(value) {
+        const kinds = ['room', 'ozone_generator', 'autohemotherapy_station'];
+        if (value && value.some(kind => !kinds.includes(kind))) {
+          throw new Error('Invalid resource kind');
+        }
+      }
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'inactive'),
+    defaultValue: 'active'
+  }
+});
+
+// Instance method to check whether a doctor can perform the service
+Service.prototype.isEligibleDoctor = function (doctor) {
+  return !this.specialization || doctor.specialization === this.specialization;
+};
+
+Service.ROUTES = ROUTES;
+
+module.exports = Service;
@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SlotOffer = sequelize.define('SlotOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  waitlistEntryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'waitlist_entries',
+      key: 'id'
+    }
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  branchId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'branches',
+      key: 'id'
+    }
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  endTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  // Cancelled appointment that freed the slot
+  sourceAppointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    }
+  },
+  // Appointment booked when the offer is accepted
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    }
+  },
+  token: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined', 'expired'),
+    defaultValue: 'pending'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  respondedVia: {
+    type: DataTypes.ENUM('link', 'sms'),
+    allowNull: true
+  }
+}, {
+  indexes: [
+    {
+      fields: ['doctorId', 'date', 'status'],
+      name: 'slot_offer_doctor_date'
+    },
+    {
+      fields: ['patientId', 'status'],
+      name: 'slot_offer_patient'
+    }
+  ]
+});
+
+// Instance method to check whether the offer can still be answered
+SlotOffer.prototype.isOpen = function () {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+module.exports = SlotOffer;
@@ -0,0 +1,140 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TimeOff = sequelize.define('TimeOff', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Doctor-level block; when branchId is also set it only applies at that branch
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Branch-level block (closure or holiday) when doctorId is null
+  branchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'branches',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('vacation', 'congress', 'sick_leave', 'holiday', 'closure', 'other'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Partial-day block, applied on every day of the range; null means the whole day
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: true
+  },
+  endTime: {
+    type: DataTypes.TIME,
+    allowNull: true
+  },
+  recurrence: {
+    type: DataTypes.ENUM('none', 'weekly', 'yearly'),
+    allowNull: false,
+    defaultValue: 'none'
+  },
+  recurrenceUntil: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  indexes: [
+    {
+      fields: ['doctorId', 'startDate'],
+      name: 'time_off_doctor_start'
+    },
+    {
+      fields: ['branchId', 'startDate'],
+      name: 'time_off_branch_start'
+    }
+  ],
+  validate: {
+    hasOwner() {
+      if (!this.doctorId && !this.branchId) {
+        throw new Error('Time off must belong to a doctor or a branch');
+      }
+    },
+    dateOrder() {
+      if (this.endDate < this.startDate) {
+        throw new Error('End date must not be before start date');
+      }
+    },
+    timeOrder() {
+      if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+        throw new Error('Partial-day blocks need both start and end time');
+      }
+      if (this.startTime && this.startTime >= this.endTime) {
+        throw new Error('End time must be after start time');
+      }
+    },
+    weeklySpan() {
+      const span = (new Date(this.endDate) - new Date(this.startDate)) / DAY_MS;
+      if (this.recurrence === 'weekly' && span >= 7) {
+        throw new Error('Weekly blocks must span less than a week');
+      }
+    }
+  }
+});
+
+// Instance method to check whether the block applies on a given date (YYYY-MM-DD)
+TimeOff.prototype.occursOn = function (date) {
+  if (date < this.startDate) return false;
+  if (this.recurrenceUntil && date > this.recurrenceUntil) return false;
+
+  switch (this.recurrence) {
+    case 'weekly': {
+      const offset = Math.round((new Date(date) - new Date(this.startDate)) / DAY_MS);
+      const span = Math.round((new Date(this.endDate) - new Date(this.startDate)) / DAY_MS);
+      return offset % 7 <= span;
+    }
+    case 'yearly': {
+      const monthDay = date.slice(5);
+      const from = this.startDate.slice(5);
+      const to = this.endDate.slice(5);
+      return from <= to
+        ? monthDay >= from && monthDay <= to
+        : monthDay >= from || monthDay <= to;
+    }
+    default:
+      return date <= this.endDate;
+  }
+};
+
+// Instance method to check whether the block covers the whole day
+TimeOff.prototype.isFullDay = function () {
+  return !this.startTime;
+};
+
+module.exports = TimeOff;
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const TREATMENT_ROUTES = ['intravenosa', 'intramuscular', 'subcutánea', 'tópica', 'rectal', 'otro'];
+
+// A patient's course of treatment: the protocol, its sessions and what it aims for
+const TreatmentPlan = sequelize.define('TreatmentPlan', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // e.g. 'Autohemoterapia mayor', 'Infiltración paravertebral'
+  protocol: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  treatmentRoute: {
+    type: DataTypes.ENUM(...TREATMENT_ROUTES),
+    allowNull: false
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Days between planned sessions
+  intervalDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7,
+    validate: {
+      min: 1
+    }
+  },
+  plannedSessions: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  // e.g. [{ description: 'Dolor ≤ 3', observationType: 'pain_scale', comparison: 'at_most', target: 3 }]
+  targetOutcomes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    get() {
+      const value = this.getDataValue('targetOutcomes');
+      return value ? JSON.parse(JSON.stringify(value)) : [];
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'completed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Sessions planned from this date on are no longer due
+  cancelledOn: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  cancellationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'treatment_plans',
+  indexes: [
+    {
+      fields: ['patientId', 'status'],
+      name: 'treatment_plan_patient_status'
+    }
+  ]
+});
+
+TreatmentPlan.TREATMENT_ROUTES = TREATMENT_ROUTES;
+
+module.exports = TreatmentPlan;
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One planned session of a treatment plan with the ozone dose to give
+const TreatmentPlanStep = sequelize.define('TreatmentPlanStep', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  treatmentPlanId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'treatment_plans',
+      key: 'id'
+    }
+  },
+  sessionNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  plannedDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // µg/mL
+  concentration: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  // mL
+  volume: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'treatment_plan_steps',
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['treatmentPlanId', 'sessionNumber'],
+      name: 'treatment_plan_step_number'
+    }
+  ]
+});
+
+// Ozone given in the session (µg)
+TreatmentPlanStep.prototype.getDose = function () {
+  return Math.round(this.concentration * this.volume * 100) / 100;
+};
+
+module.exports = TreatmentPlanStep;
@@ -42,7 +42,7 @@ const User = sequelize.define('User', {
     }
   },
   role: {
-    type: DataTypes.ENUM('patient', 'doctor', 'admin'),
+    type: DataTypes.ENUM('patient', 'doctor', 'nurse', 'admin'),
     allowNull: false,
     defaultValue: 'patient'
   },
@@ -58,9 +58,30 @@ const User = sequelize.define('User', {
       }
     }
   },
+  // Professional license (cédula profesional) printed on prescriptions
+  licenseNumber: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
   status: {
     type: DataTypes.ENUM('active', 'inactive'),
     defaultValue: 'active'
+  },
+  // Missed appointments since the last reset (see config/noShowPolicy.js)
+  noShowCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  noShowResetAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Secret in the user's iCalendar subscription link
+  calendarToken: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true
   }
 }, {
   hooks: {
@@ -82,10 +103,11 @@ User.prototype.validatePassword = async function(password) {
   return bcrypt.compare(password, this.password);
 };
 
-// Instance method to generate JSON response (excluding password)
+// Instance method to generate JSON response (excluding password and feed token)
 User.prototype.toJSON = function() {
   const values = { ...this.get() };
   delete values.password;
+  delete values.calendarToken;
   return values;
 };
 
@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const WaitlistEntry = sequelize.define('WaitlistEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Preferred doctor and branch; null means any
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  branchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'branches',
+      key: 'id'
+    }
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Time-of-day window; null means any time
+  timeFrom: {
+    type: DataTypes.TIME,
+    allowNull: true
+  },
+  timeTo: {
+    type: DataTypes.TIME,
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.ENUM('first_visit', 'follow_up'),
+    allowNull: false,
+    defaultValue: 'follow_up'
+  },
+  // Higher priority is offered first; ties go to whoever registered first
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'offered', 'booked', 'expired', 'cancelled'),
+    defaultValue: 'waiting'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    {
+      fields: ['status', 'startDate', 'endDate'],
+      name: 'waitlist_entry_status_dates'
+    },
+    {
+      fields: ['patientId'],
+      name: 'waitlist_entry_patient'
+    }
+  ],
+  validate: {
+    dateOrder() {
+      if (this.endDate < this.startDate) {
+        throw new Error('End date must not be before start date');
+      }
+    },
+    timeWindow() {
+      if (this.timeFrom && this.timeTo && this.timeFrom >= this.timeTo) {
+        throw new Error('Time window end must be after its start');
+      }
+    }
+  }
+});
+
+// Instance method to check whether a freed slot matches the patient's preferences
+WaitlistEntry.prototype.matches = function (slot) {
+  if (this.doctorId && this.doctorId !== slot.doctorId) return false;
+  if (this.branchId && this.branchId !== slot.branchId) return false;
+  if (slot.date < this.startDate || slot.date > this.endDate) return false;
+  if (this.timeFrom && slot.startTime.slice(0, 5) < this.timeFrom.slice(0, 5)) return false;
+  if (this.timeTo && slot.endTime.slice(0, 5) > this.timeTo.slice(0, 5)) return false;
+
+  return true;
+};
+
+module.exports = WaitlistEntry;
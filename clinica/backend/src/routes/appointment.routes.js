@@ -31,6 +31,16 @@ router.get(
   asyncHandler(AppointmentController.getAvailableSlots)
 );
 
+// Earliest slots for a service with any doctor, optionally near the patient
+router.get(
+  '/nearest-slots',
+  [
+    appointmentValidationRules.nearestSlots,
+    validateRequest
+  ],
+  asyncHandler(AppointmentController.findNearestSlots)
+);
+
 // Get specific appointment
 router.get(
   '/:id',
@@ -38,6 +48,20 @@ router.get(
   asyncHandler(AppointmentController.getById)
 );
 
+// Get the status history of an appointment
+router.get(
+  '/:id/timeline',
+  checkAppointmentAccess,
+  asyncHandler(AppointmentController.getTimeline)
+);
+
+// Cancellation policy that applies to the appointment
+router.get(
+  '/:id/policy',
+  checkAppointmentAccess,
+  asyncHandler(AppointmentController.getPolicy)
+);
+
 // Update appointment
 router.patch(
   '/:id',
@@ -81,16 +105,24 @@ router.post(
   asyncHandler(AppointmentController.reschedule)
 );
 
-// Doctor-specific routes
+// Doctor-specific routes (admins pass doctorId)
 router.get(
   '/doctor/schedule',
-  checkRole('doctor'),
+  [
+    checkRole('doctor', 'admin'),
+    appointmentValidationRules.doctorSchedule,
+    validateRequest
+  ],
   asyncHandler(AppointmentController.getDoctorSchedule)
 );
 
 router.get(
   '/doctor/upcoming',
-  checkRole('doctor'),
+  [
+    checkRole('doctor', 'admin'),
+    appointmentValidationRules.doctorUpcoming,
+    validateRequest
+  ],
   asyncHandler(AppointmentController.getDoctorUpcoming)
 );
 
@@ -114,15 +146,24 @@ router.get(
   asyncHandler(AppointmentController.getStatistics)
 );
 
+// Cancel or move every appointment matching a filter; dryRun previews the result
 router.post(
   '/bulk-cancel',
-  checkRole('admin'),
+  [
+    checkRole('admin'),
+    appointmentValidationRules.bulkCancel,
+    validateRequest
+  ],
   asyncHandler(AppointmentController.bulkCancel)
 );
 
 router.post(
   '/bulk-reschedule',
-  checkRole('admin'),
+  [
+    checkRole('admin'),
+    appointmentValidationRules.bulkReschedule,
+    validateRequest
+  ],
   asyncHandler(AppointmentController.bulkReschedule)
 );
 
@@ -0,0 +1,71 @@
+const express = require('express');
+const AppointmentSeriesController = require('../controllers/appointmentSeries.controller');
+const { auth } = require('../middleware/auth.middleware');
+const {
+  validateRequest,
+  appointmentSeriesValidationRules
+} = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Preview sessions and conflicts without booking
+router.post(
+  '/preview',
+  [
+    appointmentSeriesValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(AppointmentSeriesController.preview)
+);
+
+// Create series
+router.post(
+  '/',
+  [
+    appointmentSeriesValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(AppointmentSeriesController.create)
+);
+
+// Get series with its sessions
+router.get(
+  '/:id',
+  asyncHandler(AppointmentSeriesController.getById)
+);
+
+// Cancel the whole series
+router.post(
+  '/:id/cancel',
+  [
+    appointmentSeriesValidationRules.cancel,
+    validateRequest
+  ],
+  asyncHandler(AppointmentSeriesController.cancel)
+);
+
+// Move "this session" or "this and following"
+router.patch(
+  '/:id/sessions/:appointmentId',
+  [
+    appointmentSeriesValidationRules.updateSession,
+    validateRequest
+  ],
+  asyncHandler(AppointmentSeriesController.updateSession)
+);
+
+// Cancel "this session" or "this and following"
+router.post(
+  '/:id/sessions/:appointmentId/cancel',
+  [
+    appointmentSeriesValidationRules.cancel,
+    validateRequest
+  ],
+  asyncHandler(AppointmentSeriesController.cancelSession)
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const AuthController = require('../controllers/auth.controller');
-const { auth } = require('../middleware/auth.middleware');
+const { auth, checkRole } = require('../middleware/auth.middleware');
 const { validateRequest, userValidationRules } = require('../middleware/validation.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
 
@@ -58,6 +58,18 @@ router.patch(
   asyncHandler(AuthController.updateProfile)
 );
 
+// Doctors' license numbers are managed by administrators
+router.patch(
+  '/users/:id/license',
+  [
+    auth,
+    checkRole('admin'),
+    userValidationRules.license,
+    validateRequest
+  ],
+  asyncHandler(AuthController.updateLicense)
+);
+
 router.post(
   '/change-password',
   [
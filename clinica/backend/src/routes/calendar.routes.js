@@ -0,0 +1,31 @@
+const express = require('express');
+const CalendarController = require('../controllers/calendar.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// Public feed for calendar apps (the token identifies the user)
+router.get(
+  '/feed/:token.ics',
+  asyncHandler(CalendarController.getFeed)
+);
+
+// Remaining routes require authentication
+router.use(auth);
+
+// Get the subscription link to the user's appointments
+router.get(
+  '/subscription',
+  checkRole('doctor', 'patient'),
+  asyncHandler(CalendarController.getSubscription)
+);
+
+// Replace the subscription link
+router.post(
+  '/subscription/reset',
+  checkRole('doctor', 'patient'),
+  asyncHandler(CalendarController.resetSubscription)
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const CancellationPolicyController = require('../controllers/cancellationPolicy.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const {
+  validateRequest,
+  cancellationPolicyValidationRules
+} = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Admin-only routes
+router.get(
+  '/',
+  checkRole('admin'),
+  asyncHandler(CancellationPolicyController.getAll)
+);
+
+router.get(
+  '/:id',
+  checkRole('admin'),
+  asyncHandler(CancellationPolicyController.getById)
+);
+
+router.post(
+  '/',
+  [
+    checkRole('admin'),
+    cancellationPolicyValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(CancellationPolicyController.create)
+);
+
+router.patch(
+  '/:id',
+  [
+    checkRole('admin'),
+    cancellationPolicyValidationRules.update,
+    validateRequest
+  ],
+  asyncHandler(CancellationPolicyController.update)
+);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const GroupSessionController = require('../controllers/groupSession.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const {
+  validateRequest,
+  groupSessionValidationRules
+} = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Browse sessions and their free seats
+router.get(
+  '/',
+  asyncHandler(GroupSessionController.getAll)
+);
+
+router.get(
+  '/:id',
+  asyncHandler(GroupSessionController.getById)
+);
+
+// Open a session (doctors in their own agenda, admins for anyone)
+router.post(
+  '/',
+  [
+    checkRole('doctor', 'admin'),
+    groupSessionValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(GroupSessionController.create)
+);
+
+router.patch(
+  '/:id',
+  [
+    checkRole('doctor', 'admin'),
+    groupSessionValidationRules.update,
+    validateRequest
+  ],
+  asyncHandler(GroupSessionController.update)
+);
+
+// Book a seat (patients for themselves)
+router.post(
+  '/:id/participants',
+  [groupSessionValidationRules.addParticipant, validateRequest],
+  asyncHandler(GroupSessionController.addParticipant)
+);
+
+router.post(
+  '/:id/attendance',
+  [
+    checkRole('doctor', 'admin'),
+    groupSessionValidationRules.attendance,
+    validateRequest
+  ],
+  asyncHandler(GroupSessionController.recordAttendance)
+);
+
+router.post(
+  '/:id/cancel',
+  [
+    checkRole('doctor', 'admin'),
+    groupSessionValidationRules.cancel,
+    validateRequest
+  ],
+  asyncHandler(GroupSessionController.cancel)
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const Icd10Controller = require('../controllers/icd10.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const { validateRequest, icd10ValidationRules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication; coding diagnoses is for clinical staff
+router.use(auth);
+router.use(checkRole('doctor', 'admin'));
+
+// Search codes by code prefix or description
+router.get(
+  '/',
+  [icd10ValidationRules.search, validateRequest],
+  asyncHandler(Icd10Controller.search)
+);
+
+router.get(
+  '/chapters',
+  Icd10Controller.getChapters
+);
+
+router.get(
+  '/:code',
+  asyncHandler(Icd10Controller.getByCode)
+);
+
+module.exports = router;
@@ -1,8 +1,23 @@
 const express = require('express');
 const authRoutes = require('./auth.routes');
 const appointmentRoutes = require('./appointment.routes');
+const appointmentSeriesRoutes = require('./appointmentSeries.routes');
 const medicalHistoryRoutes = require('./medicalHistory.routes');
 const branchRoutes = require('./branch.routes');
+const timeOffRoutes = require('./timeOff.routes');
+const waitlistRoutes = require('./waitlist.routes');
+const resourceRoutes = require('./resource.routes');
+const serviceCatalogRoutes = require('./serviceCatalog.routes');
+const patientRoutes = require('./patient.routes');
+const calendarRoutes = require('./calendar.routes');
+const cancellationPolicyRoutes = require('./cancellationPolicy.routes');
+const waitingRoomRoutes = require('./waitingRoom.routes');
+const sessionCapRoutes = require('./sessionCap.routes');
+const groupSessionRoutes = require('./groupSession.routes');
+const icd10Routes = require('./icd10.routes');
+const prescriptionRoutes = require('./prescription.routes');
+const observationRoutes = require('./observation.routes');
+const treatmentPlanRoutes = require('./treatmentPlan.routes');
 const { notFoundHandler } = require('../middleware/error.middleware');
 
 const router = express.Router();
@@ -28,8 +43,23 @@ router.get('/version', (req, res) => {
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/appointments', appointmentRoutes);
+router.use('/appointment-series', appointmentSeriesRoutes);
 router.use('/medical-history', medicalHistoryRoutes);
 router.use('/branches', branchRoutes);
+router.use('/time-off', timeOffRoutes);
+router.use('/waitlist', waitlistRoutes);
+router.use('/resources', resourceRoutes);
+router.use('/services', serviceCatalogRoutes);
+router.use('/patients', patientRoutes);
+router.use('/calendar', calendarRoutes);
+router.use('/cancellation-policies', cancellationPolicyRoutes);
+router.use('/waiting-room', waitingRoomRoutes);
+router.use('/session-caps', sessionCapRoutes);
+router.use('/group-sessions', groupSessionRoutes);
+router.use('/icd10', icd10Routes);
+router.use('/prescriptions', prescriptionRoutes);
+router.use('/observations', observationRoutes);
+router.use('/treatment-plans', treatmentPlanRoutes);
 
 // Handle 404 routes
 router.use(notFoundHandler);
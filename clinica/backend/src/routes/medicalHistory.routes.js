@@ -1,5 +1,6 @@
 const express = require('express');
 const MedicalHistoryController = require('../controllers/medicalHistory.controller');
+const PrescriptionController = require('../controllers/prescription.controller');
 const { auth, checkRole, checkMedicalHistoryAccess } = require('../middleware/auth.middleware');
 const { validateRequest, medicalHistoryValidationRules } = require('../middleware/validation.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
@@ -30,6 +31,28 @@ router.get(
   asyncHandler(MedicalHistoryController.getPatientHistory)
 );
 
+// Statistics and search by ICD-10 code and chapter (doctors and admins only);
+// declared before /:id so the paths are not taken as record IDs
+router.get(
+  '/statistics',
+  [
+    checkRole('doctor', 'admin'),
+    medicalHistoryValidationRules.statistics,
+    validateRequest
+  ],
+  asyncHandler(MedicalHistoryController.getStatistics)
+);
+
+router.get(
+  '/search',
+  [
+    checkRole('doctor', 'admin'),
+    medicalHistoryValidationRules.search,
+    validateRequest
+  ],
+  asyncHandler(MedicalHistoryController.search)
+);
+
 // Get specific medical history record
 router.get(
   '/:id',
@@ -37,7 +60,7 @@ router.get(
   asyncHandler(MedicalHistoryController.getById)
 );
 
-// Update medical history record (doctors only)
+// Amend medical history record (doctors only; each change is a new revision)
 router.patch(
   '/:id',
   [
@@ -49,11 +72,38 @@ router.patch(
   asyncHandler(MedicalHistoryController.update)
 );
 
-// Get medical history statistics (doctors and admins only)
+// Sign a record before its amendment period is over (its author only)
+router.post(
+  '/:id/sign',
+  [
+    checkRole('doctor'),
+    checkMedicalHistoryAccess
+  ],
+  asyncHandler(MedicalHistoryController.sign)
+);
+
+// Revisions of a record and the differences between two of them
 router.get(
-  '/statistics',
-  checkRole('doctor', 'admin'),
-  asyncHandler(MedicalHistoryController.getStatistics)
+  '/:id/revisions',
+  checkMedicalHistoryAccess,
+  asyncHandler(MedicalHistoryController.getRevisions)
+);
+
+router.get(
+  '/:id/revisions/diff',
+  [
+    checkMedicalHistoryAccess,
+    medicalHistoryValidationRules.diff,
+    validateRequest
+  ],
+  asyncHandler(MedicalHistoryController.diffRevisions)
+);
+
+// Prescriptions written in a record
+router.get(
+  '/:id/prescriptions',
+  checkMedicalHistoryAccess,
+  asyncHandler(PrescriptionController.getByMedicalHistory)
 );
 
 // Analysis routes
@@ -85,24 +135,7 @@ router.post(
   asyncHandler(MedicalHistoryController.exportRecords)
 );
 
-// Bulk operations (admin only)
-router.post(
-  '/bulk-update',
-  [
-    checkRole('admin'),
-    medicalHistoryValidationRules.bulkUpdate,
-    validateRequest
-  ],
-  asyncHandler(MedicalHistoryController.bulkUpdate)
-);
-
-// Search and filter routes
-router.get(
-  '/search',
-  checkRole('doctor', 'admin'),
-  asyncHandler(MedicalHistoryController.search)
-);
-
+// Filter routes
 router.get(
   '/filter',
   checkRole('doctor', 'admin'),
@@ -116,10 +149,14 @@ router.get(
   asyncHandler(MedicalHistoryController.getPatientSummary)
 );
 
-// Treatment progress tracking
+// Vital signs over time, ready for charting
 router.get(
   '/patient/:patientId/progress',
-  checkRole('doctor', 'patient', 'admin'),
+  [
+    checkRole('doctor', 'nurse', 'patient', 'admin'),
+    medicalHistoryValidationRules.progress,
+    validateRequest
+  ],
   asyncHandler(MedicalHistoryController.getPatientProgress)
 );
 
@@ -0,0 +1,43 @@
+const express = require('express');
+const ObservationController = require('../controllers/observation.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const {
+  validateRequest,
+  observationValidationRules
+} = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Observation types, units and reference ranges
+router.get(
+  '/types',
+  ObservationController.getTypes
+);
+
+// Record vital signs (doctors and nurses)
+router.post(
+  '/',
+  [
+    checkRole('doctor', 'nurse'),
+    observationValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(ObservationController.create)
+);
+
+// List observations (patients see their own)
+router.get(
+  '/',
+  [
+    checkRole('patient', 'doctor', 'nurse', 'admin'),
+    observationValidationRules.list,
+    validateRequest
+  ],
+  asyncHandler(ObservationController.list)
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const PatientController = require('../controllers/patient.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const { validateRequest, patientValidationRules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// View a patient's no-show standing (admin only)
+router.get(
+  '/:id/no-show-standing',
+  checkRole('admin'),
+  asyncHandler(PatientController.getNoShowStanding)
+);
+
+// Reset a patient's no-show count (admin only)
+router.post(
+  '/:id/no-show-standing/reset',
+  [
+    checkRole('admin'),
+    patientValidationRules.resetNoShowStanding,
+    validateRequest
+  ],
+  asyncHandler(PatientController.resetNoShowStanding)
+);
+
+module.exports = router;
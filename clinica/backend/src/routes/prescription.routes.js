@@ -0,0 +1,48 @@
+const express = require('express');
+const PrescriptionController = require('../controllers/prescription.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const {
+  validateRequest,
+  prescriptionValidationRules
+} = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Prescribe in a medical record (the doctor who wrote it only)
+router.post(
+  '/',
+  [
+    checkRole('doctor'),
+    prescriptionValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(PrescriptionController.create)
+);
+
+// Active prescriptions (patients see their own)
+router.get(
+  '/active',
+  [
+    checkRole('patient', 'doctor', 'admin'),
+    prescriptionValidationRules.active,
+    validateRequest
+  ],
+  asyncHandler(PrescriptionController.getActive)
+);
+
+router.get(
+  '/:id',
+  asyncHandler(PrescriptionController.getById)
+);
+
+// Printable prescription
+router.get(
+  '/:id/pdf',
+  asyncHandler(PrescriptionController.getPdf)
+);
+
+module.exports = router;
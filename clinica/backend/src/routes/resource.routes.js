@@ -0,0 +1,48 @@
+const express = require('express');
+const ResourceController = require('../controllers/resource.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const { validateRequest, resourceValidationRules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// List rooms and equipment
+router.get(
+  '/',
+  checkRole('admin', 'doctor'),
+  asyncHandler(ResourceController.getAll)
+);
+
+// Create resource (admin only)
+router.post(
+  '/',
+  [
+    checkRole('admin'),
+    resourceValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(ResourceController.create)
+);
+
+// Update resource (admin only)
+router.patch(
+  '/:id',
+  [
+    checkRole('admin'),
+    resourceValidationRules.update,
+    validateRequest
+  ],
+  asyncHandler(ResourceController.update)
+);
+
+// Bookings of a resource on a date
+router.get(
+  '/:id/bookings',
+  checkRole('admin', 'doctor'),
+  asyncHandler(ResourceController.getBookings)
+);
+
+module.exports = router;
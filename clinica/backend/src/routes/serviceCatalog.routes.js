@@ -0,0 +1,50 @@
+const express = require('express');
+const ServiceCatalogController = require('../controllers/serviceCatalog.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const { validateRequest, serviceValidationRules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Browse the catalog
+router.get(
+  '/',
+  asyncHandler(ServiceCatalogController.getAll)
+);
+
+router.get(
+  '/:id',
+  asyncHandler(ServiceCatalogController.getById)
+);
+
+// Doctors who can perform a service
+router.get(
+  '/:id/doctors',
+  asyncHandler(ServiceCatalogController.getDoctors)
+);
+
+// Admin-only routes
+router.post(
+  '/',
+  [
+    checkRole('admin'),
+    serviceValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(ServiceCatalogController.create)
+);
+
+router.patch(
+  '/:id',
+  [
+    checkRole('admin'),
+    serviceValidationRules.update,
+    validateRequest
+  ],
+  asyncHandler(ServiceCatalogController.update)
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const SessionCapController = require('../controllers/sessionCap.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const {
+  validateRequest,
+  sessionCapValidationRules
+} = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// List session caps (doctors see their own)
+router.get(
+  '/',
+  checkRole('doctor', 'admin'),
+  asyncHandler(SessionCapController.getAll)
+);
+
+// Cap sessions per route (doctors for themselves, admins for anyone)
+router.post(
+  '/',
+  [
+    checkRole('doctor', 'admin'),
+    sessionCapValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(SessionCapController.create)
+);
+
+router.patch(
+  '/:id',
+  [
+    checkRole('doctor', 'admin'),
+    sessionCapValidationRules.update,
+    validateRequest
+  ],
+  asyncHandler(SessionCapController.update)
+);
+
+router.delete(
+  '/:id',
+  checkRole('doctor', 'admin'),
+  asyncHandler(SessionCapController.remove)
+);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const TimeOffController = require('../controllers/timeOff.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const { validateRequest, timeOffValidationRules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// List time off and closures
+router.get(
+  '/',
+  checkRole('doctor', 'admin'),
+  asyncHandler(TimeOffController.getAll)
+);
+
+// Create time off (doctors for themselves, admins for anyone or a branch)
+router.post(
+  '/',
+  [
+    checkRole('doctor', 'admin'),
+    timeOffValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(TimeOffController.create)
+);
+
+// Load public holidays as branch closures (admin only)
+router.post(
+  '/holidays',
+  [
+    checkRole('admin'),
+    timeOffValidationRules.loadHolidays,
+    validateRequest
+  ],
+  asyncHandler(TimeOffController.loadHolidays)
+);
+
+// Appointments affected by a block
+router.get(
+  '/:id/conflicts',
+  checkRole('doctor', 'admin'),
+  asyncHandler(TimeOffController.getConflicts)
+);
+
+// Remove time off
+router.delete(
+  '/:id',
+  checkRole('doctor', 'admin'),
+  asyncHandler(TimeOffController.remove)
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const TreatmentPlanController = require('../controllers/treatmentPlan.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const {
+  validateRequest,
+  treatmentPlanValidationRules
+} = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Plan a course of treatment (doctors only)
+router.post(
+  '/',
+  [
+    checkRole('doctor'),
+    treatmentPlanValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(TreatmentPlanController.create)
+);
+
+// List plans (patients see their own)
+router.get(
+  '/',
+  [
+    checkRole('patient', 'doctor', 'nurse', 'admin'),
+    treatmentPlanValidationRules.list,
+    validateRequest
+  ],
+  asyncHandler(TreatmentPlanController.list)
+);
+
+router.get(
+  '/:id',
+  checkRole('patient', 'doctor', 'nurse', 'admin'),
+  asyncHandler(TreatmentPlanController.getById)
+);
+
+// Planned vs delivered dose, missed sessions and adherence
+router.get(
+  '/:id/progress',
+  checkRole('patient', 'doctor', 'nurse', 'admin'),
+  asyncHandler(TreatmentPlanController.getProgress)
+);
+
+// Cancel a plan (its doctor or an admin)
+router.post(
+  '/:id/cancel',
+  [
+    checkRole('doctor', 'admin'),
+    treatmentPlanValidationRules.cancel,
+    validateRequest
+  ],
+  asyncHandler(TreatmentPlanController.cancel)
+);
+
+module.exports = router;
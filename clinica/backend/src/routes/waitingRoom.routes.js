@@ -0,0 +1,50 @@
+const express = require('express');
+const WaitingRoomController = require('../controllers/waitingRoom.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const {
+  validateRequest,
+  waitingRoomValidationRules
+} = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Front desk: check a patient in manually or by scanning the confirmation's QR code
+router.post(
+  '/:branchId/check-in',
+  [
+    checkRole('admin', 'doctor'),
+    waitingRoomValidationRules.checkIn,
+    validateRequest
+  ],
+  asyncHandler(WaitingRoomController.checkIn)
+);
+
+// Waiting room queue, as a snapshot or as a live event stream
+router.get(
+  '/:branchId',
+  checkRole('admin', 'doctor'),
+  asyncHandler(WaitingRoomController.getQueue)
+);
+
+router.get(
+  '/:branchId/stream',
+  checkRole('admin', 'doctor'),
+  asyncHandler(WaitingRoomController.stream)
+);
+
+// Doctors call their next patient in
+router.post(
+  '/:branchId/call-next',
+  [
+    checkRole('doctor'),
+    waitingRoomValidationRules.callNext,
+    validateRequest
+  ],
+  asyncHandler(WaitingRoomController.callNext)
+);
+
+module.exports = router;
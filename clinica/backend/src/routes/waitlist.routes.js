@@ -0,0 +1,60 @@
+const express = require('express');
+const twilio = require('twilio');
+const WaitlistController = require('../controllers/waitlist.controller');
+const { auth, checkRole } = require('../middleware/auth.middleware');
+const { validateRequest, waitlistValidationRules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+const router = express.Router();
+
+// Public offer links (the token identifies the patient)
+router.get(
+  '/offers/:token',
+  asyncHandler(WaitlistController.getOffer)
+);
+
+router.post(
+  '/offers/:token/accept',
+  asyncHandler(WaitlistController.acceptOffer)
+);
+
+router.post(
+  '/offers/:token/decline',
+  asyncHandler(WaitlistController.declineOffer)
+);
+
+// SMS replies (Twilio webhook; the signature is checked in every environment so
+// nobody can accept or decline an offer with a forged reply)
+router.post(
+  '/sms-reply',
+  twilio.webhook({ validate: true }),
+  asyncHandler(WaitlistController.smsReply)
+);
+
+// Remaining routes require authentication
+router.use(auth);
+
+// List waitlist entries
+router.get(
+  '/',
+  asyncHandler(WaitlistController.getAll)
+);
+
+// Join the waitlist (patients for themselves, staff for any patient)
+router.post(
+  '/',
+  [
+    waitlistValidationRules.create,
+    validateRequest
+  ],
+  asyncHandler(WaitlistController.create)
+);
+
+// Leave the waitlist
+router.delete(
+  '/:id',
+  checkRole('patient', 'admin'),
+  asyncHandler(WaitlistController.remove)
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Load the ICD-10 (CIE-10) catalog from a CSV file with the code and its
+ * Spanish description on each line. Running it again updates the descriptions.
+ * Usage: npm run import:icd10 -- path/to/cie10.csv
+ */
+require('dotenv').config();
+const fs = require('fs');
+const Icd10Service = require('../services/icd10.service');
+const { sequelize, Icd10Code } = require('../models');
+
+const run = async (file) => {
+  if (!file) {
+    throw new Error('Usage: npm run import:icd10 -- <file.csv>');
+  }
+
+  const codes = Icd10Service.parseCsv(fs.readFileSync(file, 'utf8'));
+  if (!codes.length) {
+    throw new Error(`No ICD-10 codes found in ${file}`);
+  }
+
+  await Icd10Code.sync();
+  await Icd10Service.importCodes(codes);
+};
+
+run(process.argv[2])
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -1,5 +1,8 @@
 const app = require('./app');
-const { sequelize } = require('./models');
+const { sequelize, ensureDatabaseObjects } = require('./models');
+const QueueService = require('./services/queue.service');
+const ReminderService = require('./services/reminder.service');
+const LoggerService = require('./services/logger.service');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -27,6 +30,16 @@ async function startServer() {
       console.log('Database models synchronized.');
     }
 
+    // Constraints that prevent double booking, needed in every environment
+    await ensureDatabaseObjects();
+    LoggerService.info('Database constraints verified.');
+
+    // Start background jobs; reminders are queued again in case Redis lost them
+    QueueService.init();
+    ReminderService.restorePending().catch((error) => {
+      LoggerService.error('Error restoring appointment reminders:', error);
+    });
+
     // Start server
     const server = app.listen(PORT, () => {
       console.log(`
@@ -49,6 +62,7 @@ Database: Connected
 
       // Close database connection
       try {
+        await QueueService.closeQueues();
         await sequelize.close();
         console.log('Database connection closed.');
         process.exit(0);
@@ -0,0 +1,238 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const UtilService = require('./util.service');
+const AvailabilityService = require('./availability.service');
+const SessionCapService = require('./session-cap.service');
+const TimeOffService = require('./time-off.service');
+const TimezoneService = require('./timezone.service');
+const { Appointment, Branch, GroupSession, Service, User } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UPCOMING_STATUSES = ['scheduled', 'confirmed', 'rescheduled', 'checked_in', 'in_progress'];
+
+const APPOINTMENT_INCLUDE = [
+  { model: User, as: 'patient', attributes: ['id', 'firstName', 'lastName'] },
+  { model: Service, as: 'service', attributes: ['id', 'name', 'duration'] },
+  { model: Branch, as: 'branch', attributes: ['id', 'name', 'timezone'] }
+];
+
+class AgendaService {
+  /**
+   * Get the dates an agenda view covers
+   * @param {string} view - 'day' or 'week' (Monday to Sunday)
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Object} Range ({ startDate, endDate })
+   */
+  static getRange(view, date) {
+    return view === 'week'
+      ? SessionCapService.getWeekRange(date)
+      : { startDate: date, endDate: date };
+  }
+
+  /**
+   * Build a doctor's agenda: bookings, working hours, blocked time, free gaps and
+   * utilization at each branch, per day and for the whole range
+   * @param {string} doctorId - Doctor ID
+   * @param {string} startDate - First date (YYYY-MM-DD)
+   * @param {string} endDate - Last date (YYYY-MM-DD)
+   * @returns {Promise<Object>} Agenda ({ startDate, endDate, days, branches })
+   */
+  static async getAgenda(doctorId, startDate, endDate) {
+    try {
+      const date = { [Op.between]: [startDate, endDate] };
+      const [appointments, groupSessions] = await Promise.all([
+        Appointment.findAll({
+          where: { doctorId, date, status: { [Op.ne]: 'cancelled' } },
+          include: APPOINTMENT_INCLUDE,
+          order: [['date', 'ASC'], ['startTime', 'ASC']]
+        }),
+        GroupSession.findAll({
+          where: { doctorId, date, status: 'scheduled' },
+          include: [{ model: Service, as: 'service', attributes: ['id', 'name'] }],
+          order: [['date', 'ASC'], ['startTime', 'ASC']]
+        })
+      ]);
+
+      const days = [];
+      const last = new Date(`${endDate}T00:00:00Z`).getTime();
+      for (let time = new Date(`${startDate}T00:00:00Z`).getTime(); time <= last; time += DAY_MS) {
+        const [current] = new Date(time).toISOString().split('T');
+        days.push(await this.getDay(doctorId, current, {
+          appointments: appointments.filter(appointment => appointment.date === current),
+          groupSessions: groupSessions.filter(session => session.date === current)
+        }));
+      }
+
+      return {
+        startDate,
+        endDate,
+        days,
+        branches: this.summarize(days.flatMap(day => day.branches))
+      };
+    } catch (error) {
+      LoggerService.error('Error building doctor agenda:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a doctor's next appointments, patients already in the clinic included
+   * @param {string} doctorId - Doctor ID
+   * @param {number} [limit=10] - Maximum appointments
+   * @returns {Promise<Array>} Appointments with patient, service and branch
+   */
+  static getUpcoming(doctorId, limit = 10) {
+    // Earlier appointments still scheduled become no-shows, so statuses bound the list
+    return Appointment.findAll({
+      where: {
+        doctorId,
+        date: { [Op.gte]: TimezoneService.earliestToday() },
+        status: { [Op.in]: UPCOMING_STATUSES }
+      },
+      include: APPOINTMENT_INCLUDE,
+      order: [['date', 'ASC'], ['startTime', 'ASC']],
+      limit
+    });
+  }
+
+  /**
+   * Lay out one day of the agenda
+   * @private
+   * @param {string} doctorId - Doctor ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Object} booked - The day's appointments and group sessions
+   * @returns {Promise<Object>} Day ({ date, appointments, groupSessions, branches })
+   */
+  static async getDay(doctorId, date, booked) {
+    const templates = await AvailabilityService.getEffectiveTemplates(doctorId, date);
+    const blocks = templates.length
+      ? await TimeOffService.getBlocksOn(doctorId, templates.map(t => t.branchId), date)
+      : [];
+    const busy = AvailabilityService.toMinuteIntervals(
+      [...booked.appointments, ...booked.groupSessions]
+        .map(item => ({ start: item.startTime, end: item.endTime }))
+    );
+
+    // Most recent template wins when several are in effect for the same branch
+    const seenBranches = new Set();
+    const branches = [];
+    templates.forEach(template => {
+      if (seenBranches.has(template.branchId)) return;
+      seenBranches.add(template.branchId);
+
+      const working = AvailabilityService.intersectIntervals(
+        AvailabilityService.toMinuteIntervals(template.getIntervalsFor(date)),
+        AvailabilityService.getBranchIntervals(template.branch, date)
+      );
+      if (!working.length) return;
+
+      const applying = blocks.filter(block =>
+        !block.branchId || block.branchId === template.branchId);
+      const available = AvailabilityService.subtractIntervals(
+        working,
+        TimeOffService.getBlockedIntervals(applying, template.branchId)
+      );
+      const gaps = AvailabilityService.subtractIntervals(available, busy);
+
+      const workingMinutes = this.sumMinutes(working);
+      const availableMinutes = this.sumMinutes(available);
+      const bookedMinutes = availableMinutes - this.sumMinutes(gaps);
+      branches.push({
+        branchId: template.branchId,
+        name: template.branch.name,
+        timezone: template.branch.timezone,
+        working: working.map(this.toTimes),
+        blocked: applying.flatMap(block => AvailabilityService.intersectIntervals(
+          TimeOffService.getBlockedIntervals([block], template.branchId),
+          working
+        ).map(interval => ({
+          timeOffId: block.id,
+          type: block.type,
+          reason: block.reason,
+          ...this.toTimes(interval)
+        }))),
+        gaps: gaps.map(this.toTimes),
+        workingMinutes,
+        blockedMinutes: workingMinutes - availableMinutes,
+        availableMinutes,
+        bookedMinutes,
+        utilization: this.getUtilization({ availableMinutes, bookedMinutes })
+      });
+    });
+
+    return {
+      date,
+      appointments: booked.appointments,
+      groupSessions: booked.groupSessions,
+      branches
+    };
+  }
+
+  /**
+   * Add up the minutes of each branch over several days
+   * @private
+   * @param {Array} branchDays - Branch entries of every day
+   * @returns {Array} Totals per branch, with utilization
+   */
+  static summarize(branchDays) {
+    const totals = {};
+
+    branchDays.forEach(day => {
+      const total = totals[day.branchId] || {
+        branchId: day.branchId,
+        name: day.name,
+        workingMinutes: 0,
+        blockedMinutes: 0,
+        availableMinutes: 0,
+        bookedMinutes: 0
+      };
+      total.workingMinutes += day.workingMinutes;
+      total.blockedMinutes += day.blockedMinutes;
+      total.availableMinutes += day.availableMinutes;
+      total.bookedMinutes += day.bookedMinutes;
+      totals[day.branchId] = total;
+    });
+
+    return Object.values(totals).map(total => ({
+      ...total,
+      utilization: this.getUtilization(total)
+    }));
+  }
+
+  /**
+   * Percentage of the hours left after blocked time that is booked
+   * @private
+   * @param {Object} minutes - Minutes ({ availableMinutes, bookedMinutes })
+   * @returns {number|null} Percentage with one decimal, or null with no hours left
+   */
+  static getUtilization({ availableMinutes, bookedMinutes }) {
+    return availableMinutes
+      ? Math.round((bookedMinutes / availableMinutes) * 1000) / 10
+      : null;
+  }
+
+  /**
+   * Total length of intervals
+   * @private
+   * @param {Array} intervals - Non-overlapping intervals in minutes
+   * @returns {number} Minutes
+   */
+  static sumMinutes(intervals) {
+    return intervals.reduce((total, interval) => total + interval.end - interval.start, 0);
+  }
+
+  /**
+   * Convert a minute interval to local times
+   * @private
+   * @param {Object} interval - Interval in minutes
+   * @returns {Object} Times ({ startTime, endTime })
+   */
+  static toTimes(interval) {
+    return {
+      startTime: UtilService.minutesToTime(interval.start),
+      endTime: UtilService.minutesToTime(interval.end)
+    };
+  }
+}
+
+module.exports = AgendaService;
@@ -1,4 +1,5 @@
 const { LoggerService } = require('./logger.service');
+const chapters = require('../config/icd10Chapters');
 const { MedicalHistory, Appointment, User } = require('../models');
 const { Op } = require('sequelize');
 
@@ -59,7 +60,7 @@ class AnalysisService {
       const total = appointments.length;
       const attended = appointments.filter(app => app.status === 'completed').length;
       const cancelled = appointments.filter(app => app.status === 'cancelled').length;
-      const missed = appointments.filter(app => app.status === 'missed').length;
+      const missed = appointments.filter(app => app.status === 'no_show').length;
 
       return {
         total,
@@ -158,10 +159,82 @@ class AnalysisService {
     }
   }
 
+  /**
+   * Count diagnoses by ICD-10 code and chapter. A record counts once per code and
+   * once per chapter however many of its codes fall in it.
+   * @param {Array} records - Medical history records
+   * @returns {Object} Summary ({ byCode, byChapter, uncoded, treatmentRoutes })
+   */
+  static summarizeDiagnoses(records) {
+    const byCode = {};
+    const byChapter = {};
+    const treatmentRoutes = {};
+    let uncoded = 0;
+
+    records.forEach(record => {
+      const codes = record.diagnosisCodes || [];
+      if (!codes.length) uncoded++;
+
+      codes.forEach(({ code, description, chapter, primary }) => {
+        const entry = byCode[code] || { code, description, chapter, count: 0, primary: 0 };
+        entry.count++;
+        if (primary) entry.primary++;
+        byCode[code] = entry;
+      });
+      new Set(codes.map(({ chapter }) => chapter)).forEach(chapter => {
+        byChapter[chapter] = (byChapter[chapter] || 0) + 1;
+      });
+
+      if (record.treatmentRoute) {
+        treatmentRoutes[record.treatmentRoute] = (treatmentRoutes[record.treatmentRoute] || 0) + 1;
+      }
+    });
+
+    return {
+      byCode: Object.values(byCode)
+        .sort((a, b) => b.count - a.count || a.code.localeCompare(b.code)),
+      byChapter: chapters
+        .filter(({ chapter }) => byChapter[chapter])
+        .map(({ chapter, title }) => ({ chapter, title, count: byChapter[chapter] }))
+        .sort((a, b) => b.count - a.count),
+      uncoded,
+      treatmentRoutes
+    };
+  }
+
   /**
    * Private helper methods
    */
 
+  static groupTreatmentsByCondition(treatments) {
+    // Records are grouped by their primary ICD-10 code; uncoded ones keep their own group
+    return treatments.reduce((groups, treatment) => {
+      const primary = (treatment.diagnosisCodes || []).find(entry => entry.primary);
+      const key = primary ? primary.code : 'uncoded';
+      const group = groups[key] || {
+        code: primary ? primary.code : null,
+        description: primary ? primary.description : null,
+        count: 0,
+        treatmentRoutes: {}
+      };
+      group.count++;
+      const route = treatment.treatmentRoute;
+      if (route) {
+        group.treatmentRoutes[route] = (group.treatmentRoutes[route] || 0) + 1;
+      }
+      groups[key] = group;
+      return groups;
+    }, {});
+  }
+
+  static getMostCommonConditions(treatments, limit = 5) {
+    return this.summarizeDiagnoses(treatments).byCode
+      .filter(entry => entry.primary)
+      .sort((a, b) => b.primary - a.primary || a.code.localeCompare(b.code))
+      .slice(0, limit)
+      .map(({ code, description, primary }) => ({ code, description, count: primary }));
+  }
+
   static analyzeSymptoms(medicalHistory) {
     const initialSymptoms = medicalHistory[0].symptoms;
     const latestSymptoms = medicalHistory[medicalHistory.length - 1].symptoms;
@@ -248,7 +321,7 @@ class AnalysisService {
       byStatus: {
         completed: appointments.filter(a => a.status === 'completed').length,
         cancelled: appointments.filter(a => a.status === 'cancelled').length,
-        missed: appointments.filter(a => a.status === 'missed').length,
+        missed: appointments.filter(a => a.status === 'no_show').length,
         scheduled: appointments.filter(a => a.status === 'scheduled').length
       },
       byType: {
@@ -0,0 +1,234 @@
+const EventEmitter = require('events');
+const LoggerService = require('./logger.service');
+const ReminderService = require('./reminder.service');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, AppointmentTransition, User } = require('../models');
+
+// Emits 'transition' ({ appointment, from, to }) once a status change is committed
+const events = new EventEmitter();
+
+const STAFF = ['doctor', 'admin'];
+const EVERYONE = ['patient', 'doctor', 'admin'];
+
+// Allowed status changes and the roles that may make them ('system' covers jobs)
+const TRANSITIONS = {
+  scheduled: {
+    confirmed: EVERYONE,
+    rescheduled: EVERYONE,
+    cancelled: EVERYONE,
+    checked_in: STAFF,
+    no_show: [...STAFF, 'system']
+  },
+  confirmed: {
+    rescheduled: EVERYONE,
+    cancelled: EVERYONE,
+    checked_in: STAFF,
+    no_show: [...STAFF, 'system']
+  },
+  // A moved appointment waits for the patient to confirm the new time
+  rescheduled: {
+    confirmed: EVERYONE,
+    rescheduled: EVERYONE,
+    cancelled: EVERYONE,
+    checked_in: STAFF,
+    no_show: [...STAFF, 'system']
+  },
+  checked_in: {
+    in_progress: STAFF,
+    completed: STAFF
+  },
+  in_progress: {
+    completed: STAFF
+  },
+  completed: {},
+  cancelled: {},
+  no_show: {}
+};
+
+class AppointmentLifecycleService {
+  /**
+   * Role a status change is made as
+   * @param {Object} [user] - Authenticated user (none for automated changes)
+   * @returns {string} Role
+   */
+  static getRole(user) {
+    return user ? user.role : 'system';
+  }
+
+  /**
+   * Check whether a role may move an appointment between two statuses
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @param {string} role - Role of whoever makes the change
+   * @returns {boolean} True when allowed
+   */
+  static canTransition(from, to, role) {
+    const roles = (TRANSITIONS[from] || {})[to];
+    return Boolean(roles && roles.includes(role));
+  }
+
+  /**
+   * Statuses a role may move an appointment to
+   * @param {string} from - Current status
+   * @param {string} role - Role of whoever makes the change
+   * @returns {Array<string>} Target statuses
+   */
+  static getAllowedTransitions(from, role) {
+    return Object.keys(TRANSITIONS[from] || {}).filter(to => this.canTransition(from, to, role));
+  }
+
+  /**
+   * Reject a status change the lifecycle or the user's role does not allow
+   * @param {Object} appointment - Appointment instance
+   * @param {string} to - Target status
+   * @param {Object} [user] - User making the change (system when omitted)
+   * @returns {void}
+   * @throws {APIError} 409 when the move is not part of the lifecycle, 403 when the role may not make it
+   */
+  static assertTransition(appointment, to, user = null) {
+    const from = appointment.status;
+    const role = this.getRole(user);
+
+    if (!(TRANSITIONS[from] || {})[to]) {
+      throw new APIError(409, `Appointment cannot go from ${from} to ${to}`, {
+        allowedTransitions: this.getAllowedTransitions(from, role)
+      });
+    }
+    if (!this.canTransition(from, to, role)) {
+      throw new APIError(403, `A ${role} cannot move an appointment from ${from} to ${to}`);
+    }
+    // Set by the no-show policy for patients who missed earlier appointments
+    if (to === 'checked_in' && appointment.confirmationRequired && from !== 'confirmed') {
+      throw new APIError(409, 'Appointment must be confirmed before check-in');
+    }
+  }
+
+  /**
+   * Change an appointment's status and log who did it
+   * @param {Object} appointment - Appointment instance
+   * @param {string} to - Target status
+   * @param {Object} [options] - Options
+   * @param {Object} [options.user] - User making the change (system when omitted)
+   * @param {string} [options.reason] - Reason shown in the timeline
+   * @param {Object} [options.metadata] - Extra context stored with the log entry
+   * @param {Object} [options.changes] - Other appointment fields to update at the same time
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object>} Updated appointment
+   * @throws {APIError} When the change is not allowed (see assertTransition)
+   */
+  static async transition(appointment, to, options = {}) {
+    const from = appointment.status;
+    this.assertTransition(appointment, to, options.user);
+
+    const apply = async (transaction) => {
+      await appointment.update({ ...options.changes, status: to }, { transaction });
+      await this.log(appointment, from, to, options, transaction);
+      await this.syncReminders(appointment, transaction);
+      this.announce(appointment, from, to, transaction);
+      return appointment;
+    };
+
+    try {
+      return options.transaction
+        ? await apply(options.transaction)
+        : await sequelize.transaction(apply);
+    } catch (error) {
+      LoggerService.error('Error changing appointment status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Log the booking of a new appointment as the first timeline entry
+   * @param {Object} appointment - Created appointment
+   * @param {Object} [options] - Options ({ user, reason, metadata, transaction })
+   * @returns {Promise<Object>} Transition log entry
+   */
+  static async recordBooking(appointment, options = {}) {
+    const { transaction } = options;
+    const entry = await this.log(appointment, null, appointment.status, options, transaction);
+    await this.syncReminders(appointment, transaction);
+    return entry;
+  }
+
+  /**
+   * Get the status history of an appointment, oldest first
+   * @param {string} appointmentId - Appointment ID
+   * @returns {Promise<Array>} Transition log entries
+   */
+  static getTimeline(appointmentId) {
+    return AppointmentTransition.findAll({
+      where: { appointmentId },
+      include: [
+        {
+          model: User,
+          as: 'changedByUser',
+          attributes: ['id', 'firstName', 'lastName', 'role']
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Schedule, move or withdraw the appointment's reminders once the change is
+   * committed. Failures are logged by ReminderService and do not undo the change.
+   * @private
+   * @param {Object} appointment - Appointment instance
+   * @param {Object} [transaction] - Transaction the change was made in
+   * @returns {Promise<void>}
+   */
+  static syncReminders(appointment, transaction) {
+    const sync = () => ReminderService.sync(appointment.id).catch(() => null);
+    if (transaction) {
+      transaction.afterCommit(sync);
+      return Promise.resolve();
+    }
+    return sync();
+  }
+
+  /**
+   * Tell listeners about a status change once it is committed
+   * @private
+   * @param {Object} appointment - Appointment instance
+   * @param {string} from - Previous status
+   * @param {string} to - New status
+   * @param {Object} transaction - Transaction the change was made in
+   * @returns {void}
+   */
+  static announce(appointment, from, to, transaction) {
+    transaction.afterCommit(() => {
+      try {
+        events.emit('transition', { appointment, from, to });
+      } catch (error) {
+        LoggerService.error('Error handling appointment status change:', error);
+      }
+    });
+  }
+
+  /**
+   * Write a transition log entry
+   * @private
+   * @param {Object} appointment - Appointment instance
+   * @param {string|null} from - Previous status
+   * @param {string} to - New status
+   * @param {Object} options - Options ({ user, reason, metadata })
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object>} Transition log entry
+   */
+  static log(appointment, from, to, options, transaction) {
+    return AppointmentTransition.create({
+      appointmentId: appointment.id,
+      fromStatus: from,
+      toStatus: to,
+      changedBy: options.user ? options.user.id : null,
+      role: this.getRole(options.user),
+      reason: options.reason || null,
+      metadata: options.metadata || null
+    }, { transaction });
+  }
+}
+
+AppointmentLifecycleService.events = events;
+
+module.exports = AppointmentLifecycleService;
@@ -0,0 +1,87 @@
+const LoggerService = require('./logger.service');
+const EmailService = require('./email.service');
+const SMSService = require('./sms.service');
+const { Appointment, Branch, Service, User } = require('../models');
+
+class AppointmentNotificationService {
+  /**
+   * Tell each appointment's patient about a booking, reschedule or cancellation.
+   * The email carries a calendar invitation that keeps the entry in the patient's
+   * calendar up to date. A failed notification is logged and does not stop the others.
+   * @param {Array<Object>} appointments - Appointments (only their IDs are used)
+   * @param {string} notification - booked, rescheduled or cancelled
+   * @returns {Promise<Array<string>>} IDs of the appointments whose patient was notified
+   */
+  static async notify(appointments, notification) {
+    const notified = [];
+    if (!appointments.length) {
+      return notified;
+    }
+
+    try {
+      const details = await Appointment.findAll({
+        where: { id: appointments.map(appointment => appointment.id) },
+        include: [
+          {
+            model: User,
+            as: 'patient',
+            attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+          },
+          {
+            model: User,
+            as: 'doctor',
+            attributes: ['id', 'firstName', 'lastName']
+          },
+          {
+            model: Branch,
+            as: 'branch',
+            attributes: ['id', 'name', 'address', 'timezone']
+          },
+          {
+            model: Service,
+            as: 'service',
+            attributes: ['id', 'name']
+          }
+        ]
+      });
+
+      for (const appointment of details) {
+        try {
+          await this.send(appointment, notification);
+          notified.push(appointment.id);
+        } catch (error) {
+          LoggerService.error(
+            `Error sending ${notification} notification for appointment ${appointment.id}:`,
+            error
+          );
+        }
+      }
+    } catch (error) {
+      LoggerService.error(`Error loading appointments for ${notification} notifications:`, error);
+    }
+
+    return notified;
+  }
+
+  /**
+   * Send one notification
+   * @private
+   * @param {Object} appointment - Appointment with patient, doctor, branch and service
+   * @param {string} notification - booked, rescheduled or cancelled
+   * @returns {Promise<void>}
+   */
+  static async send(appointment, notification) {
+    if (notification === 'cancelled') {
+      await EmailService.sendAppointmentCancellation(appointment);
+    } else if (notification === 'rescheduled') {
+      await EmailService.sendAppointmentRescheduled(appointment);
+    } else {
+      await Promise.all([
+        EmailService.sendAppointmentConfirmation(appointment),
+        SMSService.sendAppointmentConfirmation(appointment)
+      ]);
+    }
+  }
+}
+
+module.exports = AppointmentNotificationService;
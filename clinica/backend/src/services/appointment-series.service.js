@@ -0,0 +1,415 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const AppointmentLifecycleService = require('./appointment-lifecycle.service');
+const AppointmentNotificationService = require('./appointment-notification.service');
+const AvailabilityService = require('./availability.service');
+const BookingService = require('./booking.service');
+const CancellationPolicyService = require('./cancellation-policy.service');
+const ResourceService = require('./resource.service');
+const TimezoneService = require('./timezone.service');
+const WaitlistService = require('./waitlist.service');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, Appointment, AppointmentSeries, Branch, Service } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SESSIONS = 52;
+const MAX_SPAN_DAYS = 730;
+const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+class AppointmentSeriesService {
+  /**
+   * Expand a recurrence rule into session dates
+   * @param {Object} rule - Recurrence rule
+   * @param {string} rule.startDate - First possible date (YYYY-MM-DD)
+   * @param {Array<string>} rule.weekdays - Weekdays (monday..sunday)
+   * @param {number} [rule.interval=1] - Repeat every N weeks
+   * @param {number} [rule.count] - Number of sessions
+   * @param {string} [rule.until] - Last possible date (YYYY-MM-DD)
+   * @returns {Array<string>} Session dates
+   * @throws {APIError} 400 when the rule expands past MAX_SESSIONS sessions or
+   *   MAX_SPAN_DAYS days; such a series would otherwise be created short
+   */
+  static expandRule(rule) {
+    const { startDate, weekdays, interval = 1, count, until } = rule;
+    if (count > MAX_SESSIONS) {
+      throw this.tooLongError();
+    }
+
+    // One session past the cap is enough to tell that an end date is too far
+    const limit = count || MAX_SESSIONS + 1;
+    const start = new Date(`${startDate}T00:00:00Z`);
+    // Weeks are counted from the Monday of the first week
+    const weekStart = start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+    const [lastDate] = new Date(start.getTime() + MAX_SPAN_DAYS * DAY_MS).toISOString().split('T');
+    const dates = [];
+
+    for (let offset = 0; offset <= MAX_SPAN_DAYS && dates.length < limit; offset++) {
+      const current = new Date(start.getTime() + offset * DAY_MS);
+      const [date] = current.toISOString().split('T');
+      if (until && date > until) break;
+
+      const week = Math.floor((current.getTime() - weekStart) / (7 * DAY_MS));
+      const day = AppointmentSeries.WEEKDAYS[(current.getUTCDay() + 6) % 7];
+      if (week % interval === 0 && weekdays.includes(day)) {
+        dates.push(date);
+      }
+    }
+
+    const cutShort = count ? dates.length < count : until > lastDate;
+    if (dates.length > MAX_SESSIONS || cutShort) {
+      throw this.tooLongError();
+    }
+
+    return dates;
+  }
+
+  /**
+   * Build the 400 error for a rule longer than a series may be
+   * @private
+   * @returns {APIError} Error naming both limits
+   */
+  static tooLongError() {
+    return new APIError(
+      400,
+      `A series can have at most ${MAX_SESSIONS} sessions within ${MAX_SPAN_DAYS} days; ` +
+        'shorten the rule or split the course into several series',
+      { maxSessions: MAX_SESSIONS, maxSpanDays: MAX_SPAN_DAYS }
+    );
+  }
+
+  /**
+   * Check each proposed session for conflicts
+   * @param {Object} base - Shared session data ({ patientId, doctorId, branchId, type,
+   *   serviceId })
+   * @param {Array<Object>} proposals - Sessions ({ date, startTime, endTime })
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.excludeIds] - Appointments being moved
+   * @returns {Promise<Array>} Proposals with { available, reason, conflictingAppointmentId }
+   */
+  static async checkOccurrences(base, proposals, options = {}) {
+    // Session times are local to the branch
+    const branch = await Branch.findByPk(base.branchId, { attributes: ['id', 'timezone'] });
+    const timezone = branch ? branch.timezone : undefined;
+    const service = base.serviceId
+      ? await Service.findByPk(base.serviceId, {
+        attributes: ['id', 'requiredResources', 'bufferBefore', 'bufferAfter']
+      })
+      : null;
+
+    const results = [];
+    for (const proposal of proposals) {
+      const conflict = await this.findConflict(base, proposal, { ...options, timezone, service });
+      results.push({
+        ...proposal,
+        available: !conflict,
+        reason: conflict ? conflict.reason : null,
+        conflictingAppointmentId: conflict ? conflict.appointmentId : null
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Find why a single session cannot be booked. The doctor's side (waitlist holds,
+   * other appointments, group sessions, session caps) is checked exactly as
+   * BookingService checks it when the session is written.
+   * @private
+   * @param {Object} base - Shared session data ({ patientId, doctorId, branchId, type,
+   *   serviceId })
+   * @param {Object} proposal - Session ({ date, startTime, endTime })
+   * @param {Object} [options] - Options ({ excludeIds, timezone, service })
+   * @returns {Promise<Object|null>} Conflict ({ reason, appointmentId }) or null
+   */
+  static async findConflict(base, proposal, options = {}) {
+    const { doctorId, branchId, patientId } = base;
+    const { date, startTime, endTime } = proposal;
+    const { excludeIds } = options;
+
+    if (TimezoneService.toInstant(date, startTime, options.timezone) <= new Date()) {
+      return { reason: 'Date is in the past', appointmentId: null };
+    }
+
+    const working = await AvailabilityService.isWithinWorkingHours(
+      doctorId,
+      branchId,
+      date,
+      startTime,
+      endTime
+    );
+    if (!working) {
+      return {
+        reason: 'Doctor is not available at this branch (working hours, time off or closure)',
+        appointmentId: null
+      };
+    }
+
+    try {
+      await BookingService.checkSlot(
+        { doctorId, patientId, serviceId: base.serviceId, date, startTime, endTime },
+        { excludeIds }
+      );
+    } catch (error) {
+      if (!(error instanceof APIError) || error.statusCode !== 409) throw error;
+
+      const conflict = error.details && error.details.conflictingAppointment;
+      return { reason: error.message, appointmentId: conflict ? conflict.id : null };
+    }
+
+    const patientConflict = await AvailabilityService.findOverlappingAppointment(
+      { patientId }, date, startTime, endTime, { excludeIds }
+    );
+    if (patientConflict) {
+      return {
+        reason: 'Patient already has an appointment at this time',
+        appointmentId: patientConflict.id
+      };
+    }
+
+    const kinds = ResourceService.getRequirements(base.type, options.service);
+    if (kinds.length) {
+      const resources = await ResourceService.getResourceState(branchId, date, {
+        kinds,
+        excludeAppointmentIds: excludeIds
+      });
+      const held = ResourceService.getHeldRange(startTime, endTime, options.service);
+      const { missing } = ResourceService.allocate(kinds, resources, held.start, held.end);
+      if (missing) {
+        return {
+          reason: `No ${missing.replace(/_/g, ' ')} is free at this time`,
+          appointmentId: null
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a series and book its available sessions. Each session's patient gets
+   * the booking confirmation with its calendar invitation once they are committed.
+   * @param {Object} data - Series data
+   * @param {Array<Object>} occurrences - Checked occurrences (from checkOccurrences)
+   * @param {Object} [user] - User booking the series (logged in each session's timeline)
+   * @param {Object} [requirements] - No-show policy fields for each session
+   * @returns {Promise<Object>} Created series with its sessions
+   * @throws {APIError} 409 when a session was taken, or a cap or resource ran out,
+   *   since it was checked; no session is booked then
+   */
+  static async createSeries(data, occurrences, user = null, requirements = {}) {
+    let series;
+    try {
+      series = await sequelize.transaction(async (transaction) => {
+        const created = await AppointmentSeries.create(data, { transaction });
+
+        // Every session goes through the same checks as a single booking
+        const sessions = [];
+        for (const [index, occurrence] of occurrences.entries()) {
+          if (!occurrence.available) continue;
+
+          sessions.push(await BookingService.book({
+            patientId: created.patientId,
+            doctorId: created.doctorId,
+            branchId: created.branchId,
+            serviceId: created.serviceId,
+            type: created.type,
+            date: occurrence.date,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            seriesId: created.id,
+            seriesIndex: index + 1,
+            ...requirements
+          }, user, { transaction }));
+        }
+
+        created.setDataValue('sessions', sessions);
+        return created;
+      });
+    } catch (error) {
+      LoggerService.error('Error creating appointment series:', error);
+      throw error;
+    }
+
+    await AppointmentNotificationService.notify(series.get('sessions'), 'booked');
+
+    return series;
+  }
+
+  /**
+   * Get the upcoming sessions affected by a change
+   * @param {Object} series - Series instance
+   * @param {Object} [fromAppointment] - Session to start from (whole series when omitted)
+   * @param {string} [scope='following'] - 'this' or 'following'
+   * @returns {Promise<Array>} Sessions ordered by index
+   */
+  static async getAffectedSessions(series, fromAppointment = null, scope = 'following') {
+    const branch = await Branch.findByPk(series.branchId, { attributes: ['id', 'timezone'] });
+    const today = TimezoneService.today(branch ? branch.timezone : undefined);
+    const where = {
+      seriesId: series.id,
+      status: { [Op.in]: ACTIVE_STATUSES },
+      date: { [Op.gte]: today }
+    };
+
+    if (fromAppointment && scope === 'this') {
+      where.id = fromAppointment.id;
+    } else if (fromAppointment) {
+      where.seriesIndex = { [Op.gte]: fromAppointment.seriesIndex };
+    }
+
+    // The branch gives the timezone cancellation policies measure notice in
+    return Appointment.findAll({
+      where,
+      include: [{ model: Branch, as: 'branch', attributes: ['id', 'timezone'] }],
+      order: [['seriesIndex', 'ASC']]
+    });
+  }
+
+  /**
+   * Build the new date/time for each session being moved
+   * @param {Object} anchor - Session the change was requested on
+   * @param {Array} sessions - Sessions to move
+   * @param {Object} changes - Requested values ({ date, startTime, endTime })
+   * @returns {Array<Object>} Proposals ({ appointmentId, date, startTime, endTime })
+   */
+  static buildMoves(anchor, sessions, changes) {
+    const dayShift = changes.date
+      ? Math.round((new Date(changes.date) - new Date(anchor.date)) / DAY_MS)
+      : 0;
+
+    return sessions.map(session => {
+      const [date] = new Date(new Date(`${session.date}T00:00:00Z`).getTime() + dayShift * DAY_MS)
+        .toISOString()
+        .split('T');
+
+      return {
+        appointmentId: session.id,
+        date,
+        startTime: changes.startTime || session.startTime.slice(0, 5),
+        endTime: changes.endTime || session.endTime.slice(0, 5)
+      };
+    });
+  }
+
+  /**
+   * Apply moves to sessions and send each patient the updated calendar invitation
+   * @param {Object} series - Series instance
+   * @param {Array} moves - Proposals from buildMoves
+   * @param {Object} [seriesChanges] - Series fields to update ("this and following")
+   * @param {Object} [user] - User moving the sessions
+   * @param {Object} [policies] - Cancellation policy evaluations by appointment ID,
+   *   logged in each session's timeline
+   * @returns {Promise<Array>} Updated sessions
+   * @throws {APIError} 409 when a new time was taken since it was checked; no session
+   *   moves then
+   */
+  static async applyMoves(series, moves, seriesChanges = null, user = null, policies = {}) {
+    let updated;
+    try {
+      updated = await sequelize.transaction(async (transaction) => {
+        const pending = [];
+        for (const move of moves) {
+          pending.push({
+            move,
+            session: await Appointment.findByPk(move.appointmentId, { transaction })
+          });
+        }
+        // Move later sessions first when shifting forward so no session lands on one
+        // that has not moved yet
+        const forward = pending.length && pending[0].move.date > pending[0].session.date;
+        const ordered = forward ? [...pending].reverse() : pending;
+
+        for (const { move, session } of ordered) {
+          await BookingService.reschedule(
+            session,
+            { date: move.date, startTime: move.startTime, endTime: move.endTime },
+            { user, metadata: this.getPolicyMetadata(policies[session.id]), transaction }
+          );
+        }
+
+        if (seriesChanges) {
+          await series.update(seriesChanges, { transaction });
+        }
+
+        return pending.map(({ session }) => session);
+      });
+    } catch (error) {
+      LoggerService.error('Error moving series sessions:', error);
+      throw error;
+    }
+
+    await AppointmentNotificationService.notify(updated, 'rescheduled');
+
+    return updated;
+  }
+
+  /**
+   * Cancel sessions of a series, tell each patient (the calendar invitation removes
+   * the event) and offer the freed slots to the waitlist
+   * @param {Object} series - Series instance
+   * @param {Array} sessions - Sessions to cancel
+   * @param {string} reason - Cancellation reason
+   * @param {boolean} [wholeSeries=false] - Also mark the series as cancelled
+   * @param {Object} [user] - User cancelling the sessions
+   * @param {Object} [policies] - Cancellation policy evaluations by appointment ID; their
+   *   late cancellation fees are charged to the sessions
+   * @returns {Promise<Array>} Cancelled sessions
+   */
+  static async cancelSessions(
+    series,
+    sessions,
+    reason,
+    wholeSeries = false,
+    user = null,
+    policies = {}
+  ) {
+    try {
+      const cancelled = await sequelize.transaction(async (transaction) => {
+        const updated = [];
+        for (const session of sessions) {
+          const policy = policies[session.id];
+          updated.push(await AppointmentLifecycleService.transition(session, 'cancelled', {
+            user,
+            reason,
+            metadata: this.getPolicyMetadata(policy),
+            changes: {
+              cancellationReason: reason,
+              cancellationFee: policy ? policy.fee : null
+            },
+            transaction
+          }));
+        }
+
+        if (wholeSeries) {
+          await series.update({ status: 'cancelled', cancellationReason: reason }, { transaction });
+        }
+
+        return updated;
+      });
+
+      await AppointmentNotificationService.notify(cancelled, 'cancelled');
+
+      // Failures are logged by the waitlist and do not undo the cancellation
+      for (const session of cancelled) {
+        await WaitlistService.handleSlotReleased(session).catch(() => null);
+      }
+
+      return cancelled;
+    } catch (error) {
+      LoggerService.error('Error cancelling series sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Timeline metadata for the policy applied to a session, including an admin override
+   * @private
+   * @param {Object} [policy] - Evaluation from CancellationPolicyService.enforce
+   * @returns {Object|null} Metadata ({ policy }), or null when no policy was applied
+   */
+  static getPolicyMetadata(policy) {
+    return policy ? { policy: CancellationPolicyService.toMetadata(policy) } : null;
+  }
+}
+
+module.exports = AppointmentSeriesService;
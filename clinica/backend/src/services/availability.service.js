@@ -0,0 +1,455 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const UtilService = require('./util.service');
+const TimezoneService = require('./timezone.service');
+const TimeOffService = require('./time-off.service');
+const ResourceService = require('./resource.service');
+const SessionCapService = require('./session-cap.service');
+const {
+  Appointment,
+  Branch,
+  AvailabilityTemplate,
+  GroupSession,
+  SlotOffer
+} = require('../models');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+class AvailabilityService {
+  /**
+   * Get the availability templates in effect for a doctor on a date
+   * @param {string} doctorId - Doctor ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} [branchId] - Restrict to a single branch
+   * @returns {Promise<Array>} Effective templates with their branch
+   */
+  static getEffectiveTemplates(doctorId, date, branchId = null) {
+    const where = {
+      doctorId,
+      effectiveFrom: { [Op.lte]: date },
+      [Op.or]: [
+        { effectiveTo: null },
+        { effectiveTo: { [Op.gte]: date } }
+      ]
+    };
+    if (branchId) where.branchId = branchId;
+
+    return AvailabilityTemplate.findAll({
+      where,
+      include: [
+        {
+          model: Branch,
+          as: 'branch',
+          where: { status: 'active' }
+        }
+      ],
+      order: [['effectiveFrom', 'DESC']]
+    });
+  }
+
+  /**
+   * Get a doctor's working intervals on a date, clipped to branch operating hours
+   * and with time off, holidays and branch closures removed
+   * @param {string} doctorId - Doctor ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Object} [options] - Options
+   * @param {string} [options.branchId] - Restrict to a single branch
+   * @returns {Promise<Array>} Intervals ({ branchId, timezone, start, end, slotDuration }) in minutes
+   */
+  static async getWorkingIntervals(doctorId, date, options = {}) {
+    try {
+      const templates = await this.getEffectiveTemplates(doctorId, date, options.branchId);
+      const blocks = templates.length
+        ? await TimeOffService.getBlocksOn(doctorId, templates.map(t => t.branchId), date)
+        : [];
+
+      // Most recent template wins when several are in effect for the same branch
+      const seenBranches = new Set();
+      const intervals = [];
+
+      templates.forEach(template => {
+        if (seenBranches.has(template.branchId)) return;
+        seenBranches.add(template.branchId);
+
+        const doctorIntervals = this.toMinuteIntervals(template.getIntervalsFor(date));
+        const branchIntervals = this.getBranchIntervals(template.branch, date);
+        const working = this.subtractIntervals(
+          this.intersectIntervals(doctorIntervals, branchIntervals),
+          TimeOffService.getBlockedIntervals(blocks, template.branchId)
+        );
+
+        working.forEach(interval => {
+          intervals.push({
+            branchId: template.branchId,
+            timezone: template.branch.timezone,
+            slotDuration: template.slotDuration,
+            ...interval
+          });
+        });
+      });
+
+      return intervals.sort((a, b) => a.start - b.start);
+    } catch (error) {
+      LoggerService.error('Error getting working intervals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get bookable slots for a doctor
+   * @param {string} doctorId - Doctor ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Object} [options] - Options
+   * @param {string} [options.branchId] - Restrict to a single branch
+   * @param {Object} [options.service] - Catalog service (with its branches); sets the
+   *   duration, the branches and the rooms and equipment each slot needs; a doctor at
+   *   their cap for its route has no slots
+   * @param {number} [options.duration] - Slot length in minutes (defaults to the template's)
+   * @param {string} [options.type] - Appointment type; slots also need its rooms and equipment
+   * @param {string} [options.excludeAppointmentId] - Appointment to ignore (rescheduling)
+   * @returns {Promise<Array>} Future slots ({ branchId, startTime, endTime, timezone, startsAt }),
+   *   times local to the branch and startsAt in UTC
+   */
+  static async getAvailableSlots(doctorId, date, options = {}) {
+    try {
+      const { service } = options;
+      if (service && service.route) {
+        const capped = await SessionCapService.check(doctorId, service.route, date, {
+          excludeIds: options.excludeAppointmentId ? [options.excludeAppointmentId] : []
+        });
+        if (capped) return [];
+      }
+
+      const [intervals, busy] = await Promise.all([
+        this.getWorkingIntervals(doctorId, date, options),
+        this.getBusyIntervals(doctorId, date, options.excludeAppointmentId)
+      ]);
+      const kinds = options.type || service
+        ? ResourceService.getRequirements(options.type, service)
+        : [];
+      const offeredBranchIds = service && service.branches
+        ? service.branches.map(branch => branch.id)
+        : null;
+      const resourcesByBranch = {};
+      const now = new Date();
+
+      const slots = [];
+      for (const interval of intervals) {
+        if (offeredBranchIds && !offeredBranchIds.includes(interval.branchId)) continue;
+
+        const duration = options.duration || (service && service.duration) || interval.slotDuration;
+        const free = this.subtractIntervals([interval], busy);
+
+        if (kinds.length && !resourcesByBranch[interval.branchId]) {
+          resourcesByBranch[interval.branchId] = await ResourceService.getResourceState(
+            interval.branchId,
+            date,
+            {
+              kinds,
+              excludeAppointmentIds: options.excludeAppointmentId
+                ? [options.excludeAppointmentId]
+                : []
+            }
+          );
+        }
+
+        this.generateSlots(free, duration, interval.slotDuration)
+          .filter(slot => {
+            if (!kinds.length) return true;
+            const held = ResourceService.getHeldRange(
+              UtilService.minutesToTime(slot.start),
+              UtilService.minutesToTime(slot.end),
+              service
+            );
+            return !ResourceService.allocate(
+              kinds,
+              resourcesByBranch[interval.branchId],
+              held.start,
+              held.end
+            ).missing;
+          })
+          .forEach(slot => {
+            const startTime = UtilService.minutesToTime(slot.start);
+            const startsAt = TimezoneService.toInstant(date, startTime, interval.timezone);
+            if (startsAt <= now) return;
+
+            slots.push({
+              branchId: interval.branchId,
+              startTime,
+              endTime: UtilService.minutesToTime(slot.end),
+              timezone: interval.timezone,
+              startsAt: startsAt.toISOString()
+            });
+          });
+      }
+
+      return slots;
+    } catch (error) {
+      LoggerService.error('Error getting available slots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a time range falls inside the doctor's working hours at a branch
+   * @param {string} doctorId - Doctor ID
+   * @param {string} branchId - Branch ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} startTime - Start time (HH:mm)
+   * @param {string} endTime - End time (HH:mm)
+   * @returns {Promise<boolean>} Whether the range is within working hours
+   */
+  static async isWithinWorkingHours(doctorId, branchId, date, startTime, endTime) {
+    const intervals = await this.getWorkingIntervals(doctorId, date, { branchId });
+    const start = UtilService.timeToMinutes(startTime);
+    const end = UtilService.timeToMinutes(endTime);
+
+    return intervals.some(interval => interval.start <= start && interval.end >= end);
+  }
+
+  /**
+   * Find a non-cancelled appointment overlapping a time range
+   * @param {Object} owner - Whose agenda to check ({ doctorId } or { patientId })
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} startTime - Start time (HH:mm)
+   * @param {string} endTime - End time (HH:mm)
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.excludeIds] - Appointments to ignore (being moved)
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} Overlapping appointment
+   */
+  static findOverlappingAppointment(owner, date, startTime, endTime, options = {}) {
+    const where = {
+      ...owner,
+      date,
+      status: {
+        [Op.notIn]: ['cancelled']
+      },
+      startTime: {
+        [Op.lt]: endTime
+      },
+      endTime: {
+        [Op.gt]: startTime
+      }
+    };
+    if (options.excludeIds && options.excludeIds.length) {
+      where.id = { [Op.notIn]: options.excludeIds };
+    }
+
+    return Appointment.findOne({ where, transaction: options.transaction });
+  }
+
+  /**
+   * Find a doctor's group session overlapping a time range; it holds the doctor's
+   * time even before anyone has taken a seat
+   * @param {string} doctorId - Doctor ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} startTime - Start time (HH:mm)
+   * @param {string} endTime - End time (HH:mm)
+   * @param {Object} [options] - Options
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} Overlapping group session
+   */
+  static findOverlappingGroupSession(doctorId, date, startTime, endTime, options = {}) {
+    return GroupSession.findOne({
+      where: {
+        doctorId,
+        date,
+        status: 'scheduled',
+        startTime: {
+          [Op.lt]: endTime
+        },
+        endTime: {
+          [Op.gt]: startTime
+        }
+      },
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Find a slot held for a waitlisted patient that overlaps a time range
+   * @param {string} doctorId - Doctor ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} startTime - Start time (HH:mm)
+   * @param {string} endTime - End time (HH:mm)
+   * @param {Object} [options] - Options
+   * @param {string} [options.patientId] - Patient the hold may belong to (not a conflict)
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} Pending slot offer
+   */
+  static findActiveHold(doctorId, date, startTime, endTime, options = {}) {
+    const where = {
+      doctorId,
+      date,
+      status: 'pending',
+      expiresAt: {
+        [Op.gt]: new Date()
+      },
+      startTime: {
+        [Op.lt]: endTime
+      },
+      endTime: {
+        [Op.gt]: startTime
+      }
+    };
+    if (options.patientId) where.patientId = { [Op.ne]: options.patientId };
+
+    return SlotOffer.findOne({ where, transaction: options.transaction });
+  }
+
+  /**
+   * Get the doctor's booked and held intervals on a date, group sessions included
+   * @private
+   * @param {string} doctorId - Doctor ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} [excludeAppointmentId] - Appointment to ignore
+   * @returns {Promise<Array>} Intervals in minutes
+   */
+  static async getBusyIntervals(doctorId, date, excludeAppointmentId = null) {
+    const where = {
+      doctorId,
+      date,
+      status: {
+        [Op.notIn]: ['cancelled']
+      }
+    };
+    if (excludeAppointmentId) where.id = { [Op.ne]: excludeAppointmentId };
+
+    // Slots held for waitlisted patients are not bookable until the offer lapses
+    const [appointments, holds, groupSessions] = await Promise.all([
+      Appointment.findAll({
+        where,
+        attributes: ['startTime', 'endTime'],
+        order: [['startTime', 'ASC']]
+      }),
+      SlotOffer.findAll({
+        where: {
+          doctorId,
+          date,
+          status: 'pending',
+          expiresAt: { [Op.gt]: new Date() }
+        },
+        attributes: ['startTime', 'endTime']
+      }),
+      GroupSession.findAll({
+        where: { doctorId, date, status: 'scheduled' },
+        attributes: ['startTime', 'endTime']
+      })
+    ]);
+
+    return this.toMinuteIntervals(
+      [...appointments, ...holds, ...groupSessions]
+        .map(busy => ({ start: busy.startTime, end: busy.endTime }))
+    );
+  }
+
+  /**
+   * Get a branch's operating hours on a date
+   * @param {Object} branch - Branch instance
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Array} Intervals in minutes (empty when closed)
+   */
+  static getBranchIntervals(branch, date) {
+    const day = this.getDayName(date);
+    const schedule = branch.operatingHours && branch.operatingHours[day];
+
+    if (!schedule || !schedule.open || !schedule.close) {
+      return [];
+    }
+
+    return this.toMinuteIntervals([{ start: schedule.open, end: schedule.close }]);
+  }
+
+  /**
+   * Get weekday name for a date
+   * @private
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} Weekday name (monday..sunday)
+   */
+  static getDayName(date) {
+    return DAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+  }
+
+  /**
+   * Convert HH:mm intervals to minute intervals
+   * @param {Array} intervals - Intervals ({ start, end }) as HH:mm strings
+   * @returns {Array} Intervals in minutes, sorted by start
+   */
+  static toMinuteIntervals(intervals) {
+    return intervals
+      .map(({ start, end }) => ({
+        start: UtilService.timeToMinutes(start),
+        end: UtilService.timeToMinutes(end)
+      }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Intersect two sorted lists of intervals
+   * @param {Array} first - Intervals in minutes
+   * @param {Array} second - Intervals in minutes
+   * @returns {Array} Intersection
+   */
+  static intersectIntervals(first, second) {
+    const result = [];
+
+    first.forEach(a => {
+      second.forEach(b => {
+        const start = Math.max(a.start, b.start);
+        const end = Math.min(a.end, b.end);
+        if (start < end) result.push({ start, end });
+      });
+    });
+
+    return result.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Remove blocked ranges from a list of intervals
+   * @param {Array} intervals - Intervals in minutes
+   * @param {Array} blocks - Blocked intervals in minutes
+   * @returns {Array} Remaining free intervals
+   */
+  static subtractIntervals(intervals, blocks) {
+    return blocks.reduce((free, block) => {
+      const next = [];
+      free.forEach(interval => {
+        if (block.end <= interval.start || block.start >= interval.end) {
+          next.push(interval);
+          return;
+        }
+        if (block.start > interval.start) {
+          next.push({ start: interval.start, end: block.start });
+        }
+        if (block.end < interval.end) {
+          next.push({ start: block.end, end: interval.end });
+        }
+      });
+      return next;
+    }, intervals.map(interval => ({ start: interval.start, end: interval.end })));
+  }
+
+  /**
+   * Split free intervals into fixed-length slots
+   * @param {Array} intervals - Free intervals in minutes
+   * @param {number} duration - Slot length in minutes
+   * @param {number} [step] - Minutes between slot starts (defaults to duration)
+   * @returns {Array} Slots in minutes
+   */
+  static generateSlots(intervals, duration, step = duration) {
+    const slots = [];
+
+    intervals.forEach(interval => {
+      let slotStart = interval.start;
+      while (slotStart + duration <= interval.end) {
+        slots.push({ start: slotStart, end: slotStart + duration });
+        slotStart += step;
+      }
+    });
+
+    return slots;
+  }
+}
+
+module.exports = AvailabilityService;
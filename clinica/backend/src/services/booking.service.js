@@ -0,0 +1,239 @@
+const { ExclusionConstraintError } = require('sequelize');
+const LoggerService = require('./logger.service');
+const AppointmentLifecycleService = require('./appointment-lifecycle.service');
+const AvailabilityService = require('./availability.service');
+const ResourceService = require('./resource.service');
+const SessionCapService = require('./session-cap.service');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, Appointment, ResourceBooking } = require('../models');
+
+class BookingService {
+  /**
+   * Book an appointment and its rooms and equipment without risking a double booking.
+   * The overlap read gives a clear error in the common case; exclusion
+   * constraints on appointments and resource bookings catch bookings that race past it.
+   * @param {Object} data - Appointment data
+   * @param {Object} [user] - User booking it (logged in the appointment timeline)
+   * @param {Object} [options] - Options ({ reason, metadata }) for the timeline, plus an
+   *   outer transaction when the booking is part of a larger change
+   * @returns {Promise<Object>} Created appointment
+   * @throws {APIError} 409 naming the conflicting appointment or missing resource
+   */
+  static async book(data, user = null, options = {}) {
+    const create = async (transaction) => {
+      await this.checkSlot(data, { transaction });
+
+      const appointment = await Appointment.create(
+        { status: 'scheduled', ...data },
+        { transaction }
+      );
+      await this.reserveResources(appointment, transaction);
+      await AppointmentLifecycleService.recordBooking(appointment, {
+        user,
+        reason: options.reason,
+        metadata: options.metadata,
+        transaction
+      });
+
+      return appointment;
+    };
+
+    try {
+      return options.transaction
+        ? await create(options.transaction)
+        : await sequelize.transaction(create);
+    } catch (error) {
+      throw await this.handleError(error, data, 'Error booking appointment:');
+    }
+  }
+
+  /**
+   * Move an appointment, swapping its rooms and equipment in the same transaction.
+   * The appointment becomes 'rescheduled' until the new time is confirmed.
+   * @param {Object} appointment - Appointment instance
+   * @param {Object} changes - New values ({ doctorId, branchId, date, startTime, endTime })
+   * @param {Object} [options] - Options ({ user, reason, metadata }) for the timeline,
+   *   plus an outer transaction when several appointments move together
+   * @returns {Promise<Object>} Updated appointment
+   * @throws {APIError} 409 naming the conflicting appointment or missing resource, or
+   *   for a seat in a group session
+   */
+  static async reschedule(appointment, changes, options = {}) {
+    if (appointment.groupSessionId) {
+      throw new APIError(409, 'A group session seat cannot be moved; cancel it and book ' +
+        'another session', { groupSessionId: appointment.groupSessionId });
+    }
+
+    const data = {
+      id: appointment.id,
+      patientId: appointment.patientId,
+      doctorId: changes.doctorId || appointment.doctorId,
+      branchId: changes.branchId || appointment.branchId,
+      serviceId: appointment.serviceId,
+      date: changes.date,
+      startTime: changes.startTime,
+      endTime: changes.endTime
+    };
+
+    const move = async (transaction) => {
+      await this.checkSlot(data, { transaction, excludeIds: [appointment.id] });
+
+      await ResourceService.release(appointment.id, transaction);
+      await AppointmentLifecycleService.transition(appointment, 'rescheduled', {
+        user: options.user,
+        reason: options.reason,
+        metadata: {
+          ...options.metadata,
+          previous: {
+            doctorId: appointment.doctorId,
+            branchId: appointment.branchId,
+            date: appointment.date,
+            startTime: appointment.startTime,
+            endTime: appointment.endTime
+          }
+        },
+        changes: {
+          doctorId: data.doctorId,
+          branchId: data.branchId,
+          date: data.date,
+          startTime: data.startTime,
+          endTime: data.endTime
+        },
+        transaction
+      });
+      await this.reserveResources(appointment, transaction);
+
+      return appointment;
+    };
+
+    try {
+      return options.transaction
+        ? await move(options.transaction)
+        : await sequelize.transaction(move);
+    } catch (error) {
+      throw await this.handleError(error, data, 'Error rescheduling appointment:');
+    }
+  }
+
+  /**
+   * Reject a time held for the waitlist or taken by another appointment or group
+   * session, and a session over the doctor's cap for the service's route. Series
+   * previews run the same checks before anything is written.
+   * @param {Object} data - Appointment data ({ doctorId, patientId, serviceId, date,
+   *   startTime, endTime })
+   * @param {Object} options - Options ({ transaction, excludeIds })
+   * @returns {Promise<void>}
+   */
+  static async checkSlot(data, options) {
+    const { doctorId, patientId, date, startTime, endTime } = data;
+
+    const hold = await AvailabilityService.findActiveHold(doctorId, date, startTime, endTime, {
+      patientId,
+      transaction: options.transaction
+    });
+    if (hold) {
+      throw new APIError(409, 'This time is held for a waitlisted patient', {
+        heldUntil: hold.expiresAt
+      });
+    }
+
+    const conflict = await AvailabilityService.findOverlappingAppointment(
+      { doctorId }, date, startTime, endTime, options
+    );
+    if (conflict) {
+      throw this.conflictError(conflict);
+    }
+
+    const groupSession = await AvailabilityService.findOverlappingGroupSession(
+      doctorId, date, startTime, endTime, options
+    );
+    if (groupSession) {
+      throw new APIError(409, 'Doctor has a group session at this time', {
+        groupSessionId: groupSession.id
+      });
+    }
+
+    await SessionCapService.assert(data, options);
+  }
+
+  /**
+   * Reserve the appointment's resources or abort the transaction
+   * @param {Object} appointment - Appointment instance
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} Resource bookings
+   */
+  static async reserveResources(appointment, transaction) {
+    const { bookings, missing } = await ResourceService.reserve(appointment, transaction);
+
+    if (missing) {
+      throw new APIError(409, `No ${missing.replace(/_/g, ' ')} is free at this time`, {
+        missingResource: missing
+      });
+    }
+
+    return bookings;
+  }
+
+  /**
+   * Map booking failures to API errors
+   * @param {Error} error - Error raised while booking
+   * @param {Object} data - Appointment being written
+   * @param {string} message - Log message for unexpected errors
+   * @returns {Promise<Error>} Error to throw
+   */
+  static handleError(error, data, message) {
+    if (error instanceof ExclusionConstraintError) {
+      return this.toConflictError(error, data);
+    }
+    if (!(error instanceof APIError)) {
+      LoggerService.error(message, error);
+    }
+    return Promise.resolve(error);
+  }
+
+  /**
+   * Translate an exclusion constraint violation into a conflict error
+   * @param {Error} error - ExclusionConstraintError raised by the database
+   * @param {Object} data - Appointment being written ({ id, doctorId, date, startTime, endTime })
+   * @returns {Promise<Error>} 409 APIError, or the original error for other constraints
+   */
+  static async toConflictError(error, data) {
+    if (error.constraint === ResourceBooking.OVERLAP_CONSTRAINT) {
+      return new APIError(409, 'A room or device was just booked by someone else; try again');
+    }
+    if (error.constraint !== Appointment.OVERLAP_CONSTRAINT) {
+      return error;
+    }
+
+    const conflict = await AvailabilityService.findOverlappingAppointment(
+      { doctorId: data.doctorId },
+      data.date,
+      data.startTime,
+      data.endTime,
+      { excludeIds: data.id ? [data.id] : [] }
+    );
+
+    return this.conflictError(conflict);
+  }
+
+  /**
+   * Build the 409 error for a doctor's overlapping appointment
+   * @param {Object|null} conflict - Conflicting appointment, if still found
+   * @returns {APIError} Conflict error
+   */
+  static conflictError(conflict) {
+    return new APIError(409, 'Doctor already has an appointment at this time', {
+      conflictingAppointment: conflict
+        ? {
+          id: conflict.id,
+          date: conflict.date,
+          startTime: conflict.startTime,
+          endTime: conflict.endTime,
+          status: conflict.status
+        }
+        : null
+    });
+  }
+}
+
+module.exports = BookingService;
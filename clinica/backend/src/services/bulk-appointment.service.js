@@ -0,0 +1,394 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const AppointmentLifecycleService = require('./appointment-lifecycle.service');
+const AppointmentNotificationService = require('./appointment-notification.service');
+const AppointmentSeriesService = require('./appointment-series.service');
+const BookingService = require('./booking.service');
+const WaitlistService = require('./waitlist.service');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, Appointment, Branch, User } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Keeps a single transaction (and its locks) reasonably short
+const MAX_APPOINTMENTS = 500;
+const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+const REPORT_COLUMNS = [
+  'appointmentId',
+  'patient',
+  'patientEmail',
+  'doctor',
+  'branch',
+  'date',
+  'startTime',
+  'endTime',
+  'timezone',
+  'newDoctorId',
+  'newBranchId',
+  'newDate',
+  'newStartTime',
+  'newEndTime',
+  'result',
+  'reason',
+  'conflictingAppointmentId',
+  'notified'
+];
+
+class BulkAppointmentService {
+  /**
+   * Find the upcoming appointments an admin action applies to
+   * @param {Object} filter - Filter ({ doctorId, branchId, startDate, endDate })
+   * @returns {Promise<Array>} Appointments with patient, doctor and branch, in start order
+   * @throws {APIError} 400 when the filter matches too many appointments
+   */
+  static async findAppointments(filter) {
+    const where = {
+      date: { [Op.between]: [filter.startDate, filter.endDate] },
+      status: { [Op.in]: ACTIVE_STATUSES }
+    };
+    if (filter.doctorId) where.doctorId = filter.doctorId;
+    if (filter.branchId) where.branchId = filter.branchId;
+
+    const appointments = await Appointment.findAll({
+      where,
+      include: [
+        { model: User, as: 'patient', attributes: ['id', 'firstName', 'lastName', 'email'] },
+        { model: User, as: 'doctor', attributes: ['id', 'firstName', 'lastName'] },
+        { model: Branch, as: 'branch', attributes: ['id', 'name', 'timezone'] }
+      ],
+      order: [['date', 'ASC'], ['startTime', 'ASC']]
+    });
+
+    // Appointments already under way are left alone
+    const now = new Date();
+    const upcoming = appointments.filter(appointment => appointment.getStartInstant() > now);
+    if (upcoming.length > MAX_APPOINTMENTS) {
+      throw new APIError(400, `The filter matches more than ${MAX_APPOINTMENTS} appointments`, {
+        matched: upcoming.length
+      });
+    }
+
+    return upcoming;
+  }
+
+  /**
+   * Cancel every matching appointment in one transaction
+   * @param {Object} filter - Filter (see findAppointments)
+   * @param {Object} options - Options
+   * @param {string} options.reason - Cancellation reason given to patients
+   * @param {Object} options.user - Admin cancelling
+   * @param {boolean} [options.dryRun=false] - Only report what would be cancelled
+   * @returns {Promise<Object>} Report ({ dryRun, summary, results })
+   */
+  static async cancel(filter, options) {
+    const appointments = await this.findAppointments(filter);
+    const results = appointments.map(appointment => this.describe(appointment, {
+      result: options.dryRun ? 'would_cancel' : 'cancelled'
+    }));
+
+    if (options.dryRun || !appointments.length) {
+      return this.buildReport(results, options.dryRun);
+    }
+
+    try {
+      // The clinic cancels, so the patients' 24-hour notice does not apply
+      await sequelize.transaction(async (transaction) => {
+        for (const appointment of appointments) {
+          await AppointmentLifecycleService.transition(appointment, 'cancelled', {
+            user: options.user,
+            reason: options.reason,
+            metadata: { bulk: true },
+            changes: { cancellationReason: options.reason },
+            transaction
+          });
+        }
+      });
+    } catch (error) {
+      LoggerService.error('Error cancelling appointments in bulk:', error);
+      throw error;
+    }
+
+    const notified = await AppointmentNotificationService.notify(appointments, 'cancelled');
+    const offered = await this.offerToWaitlist(appointments);
+    LoggerService.info(
+      `Bulk-cancelled ${appointments.length} appointments by ${options.user.id}; ` +
+      `${offered} slots offered to the waitlist`
+    );
+
+    return this.buildReport(this.markNotified(results, notified), false);
+  }
+
+  /**
+   * Offer the slots of cancelled appointments to the waitlist, as a single
+   * cancellation does. Slots the doctor can no longer work (time off, closures)
+   * are left out by the waitlist's availability check.
+   * @private
+   * @param {Array} appointments - Cancelled appointments
+   * @returns {Promise<number>} Number of slots offered
+   */
+  static async offerToWaitlist(appointments) {
+    let offered = 0;
+    for (const appointment of appointments) {
+      // The doctor stays busy with the rest of the group
+      if (appointment.groupSessionId) continue;
+
+      try {
+        if (await WaitlistService.handleSlotReleased(appointment)) {
+          offered += 1;
+        }
+      } catch (error) {
+        // The cancellations themselves already succeeded
+        LoggerService.error(`Error offering slot of appointment ${appointment.id}:`, error);
+      }
+    }
+
+    return offered;
+  }
+
+  /**
+   * Move every matching appointment to another doctor, branch and/or day in one
+   * transaction. Appointments whose new time conflicts are reported; the move is
+   * refused unless skipConflicts leaves them where they are.
+   * @param {Object} filter - Filter (see findAppointments)
+   * @param {Object} changes - Changes ({ doctorId, branchId, shiftDays })
+   * @param {Object} options - Options
+   * @param {Object} options.user - Admin moving the appointments
+   * @param {string} [options.reason] - Reason given to patients
+   * @param {boolean} [options.dryRun=false] - Only report the moves and conflicts
+   * @param {boolean} [options.skipConflicts=false] - Move the rest when some conflict
+   * @returns {Promise<Object>} Report ({ dryRun, summary, results })
+   * @throws {APIError} 409 with the report when some moves conflict
+   */
+  static async reschedule(filter, changes, options) {
+    const appointments = await this.findAppointments(filter);
+    const moves = this.buildMoves(appointments, changes);
+
+    // The appointments being moved do not block each other
+    const excludeIds = appointments.map(appointment => appointment.id);
+    for (const move of moves) {
+      // Seats stay with their group session
+      if (move.appointment.groupSessionId) {
+        move.check = {
+          available: false,
+          reason: 'Appointment is a seat in a group session',
+          conflictingAppointmentId: null
+        };
+        continue;
+      }
+
+      const [checked] = await AppointmentSeriesService.checkOccurrences(
+        {
+          patientId: move.appointment.patientId,
+          doctorId: move.doctorId,
+          branchId: move.branchId,
+          type: move.appointment.type,
+          serviceId: move.appointment.serviceId
+        },
+        [{ date: move.date, startTime: move.startTime, endTime: move.endTime }],
+        { excludeIds }
+      );
+      move.check = checked;
+    }
+
+    const refused = moves.some(move => !move.check.available) && !options.skipConflicts;
+    const preview = Boolean(options.dryRun || refused);
+    const results = moves.map(move => this.describe(move.appointment, {
+      move,
+      result: this.getMoveResult(move.check.available, preview),
+      reason: move.check.reason,
+      conflictingAppointmentId: move.check.conflictingAppointmentId
+    }));
+
+    if (options.dryRun) {
+      return this.buildReport(results, true);
+    }
+    if (refused) {
+      throw new APIError(
+        409,
+        'Some appointments cannot be moved; resolve them or retry with skipConflicts',
+        this.buildReport(results, true)
+      );
+    }
+
+    const moved = moves.filter(move => move.check.available);
+    try {
+      await sequelize.transaction(async (transaction) => {
+        // Move later appointments first when shifting forward (and earlier ones first
+        // when shifting back) so no appointment lands on one that has not moved yet
+        const ordered = changes.shiftDays > 0 ? [...moved].reverse() : moved;
+        for (const move of ordered) {
+          await BookingService.reschedule(
+            move.appointment,
+            {
+              doctorId: move.doctorId,
+              branchId: move.branchId,
+              date: move.date,
+              startTime: move.startTime,
+              endTime: move.endTime
+            },
+            { user: options.user, reason: options.reason, transaction }
+          );
+        }
+      });
+    } catch (error) {
+      LoggerService.error('Error rescheduling appointments in bulk:', error);
+      throw error;
+    }
+
+    const notified = await AppointmentNotificationService.notify(
+      moved.map(move => move.appointment),
+      'rescheduled'
+    );
+    LoggerService.info(`Bulk-rescheduled ${moved.length} appointments by ${options.user.id}`);
+
+    return this.buildReport(this.markNotified(results, notified), false);
+  }
+
+  /**
+   * Work out where each appointment moves; times stay local to the new branch
+   * @param {Array} appointments - Appointments to move
+   * @param {Object} changes - Changes ({ doctorId, branchId, shiftDays })
+   * @returns {Array<Object>} Moves ({ appointment, doctorId, branchId, date, startTime, endTime })
+   */
+  static buildMoves(appointments, changes) {
+    const shiftDays = changes.shiftDays || 0;
+
+    return appointments.map(appointment => {
+      const [date] = new Date(
+        new Date(`${appointment.date}T00:00:00Z`).getTime() + shiftDays * DAY_MS
+      ).toISOString().split('T');
+
+      return {
+        appointment,
+        doctorId: changes.doctorId || appointment.doctorId,
+        branchId: changes.branchId || appointment.branchId,
+        date,
+        startTime: appointment.startTime.slice(0, 5),
+        endTime: appointment.endTime.slice(0, 5)
+      };
+    });
+  }
+
+  /**
+   * Result of a planned move
+   * @private
+   * @param {boolean} available - Whether the new time is free
+   * @param {boolean} preview - Whether nothing is being changed
+   * @returns {string} Result
+   */
+  static getMoveResult(available, preview) {
+    if (!available) return preview ? 'conflict' : 'skipped';
+    return preview ? 'would_move' : 'moved';
+  }
+
+  /**
+   * Describe an appointment's outcome for the report
+   * @private
+   * @param {Object} appointment - Appointment with patient, doctor and branch
+   * @param {Object} outcome - Outcome ({ result, reason, move, conflictingAppointmentId })
+   * @returns {Object} Report row
+   */
+  static describe(appointment, outcome) {
+    const { patient, doctor, branch } = appointment;
+    const { move } = outcome;
+
+    return {
+      appointmentId: appointment.id,
+      patient: `${patient.firstName} ${patient.lastName}`,
+      patientEmail: patient.email,
+      doctor: `Dr. ${doctor.firstName} ${doctor.lastName}`,
+      branch: branch.name,
+      date: appointment.date,
+      startTime: appointment.startTime.slice(0, 5),
+      endTime: appointment.endTime.slice(0, 5),
+      timezone: branch.timezone,
+      newDoctorId: move ? move.doctorId : null,
+      newBranchId: move ? move.branchId : null,
+      newDate: move ? move.date : null,
+      newStartTime: move ? move.startTime : null,
+      newEndTime: move ? move.endTime : null,
+      result: outcome.result,
+      reason: outcome.reason || null,
+      conflictingAppointmentId: outcome.conflictingAppointmentId || null,
+      notified: false
+    };
+  }
+
+  /**
+   * Flag the rows whose patient was notified
+   * @private
+   * @param {Array<Object>} results - Report rows
+   * @param {Array<string>} notified - Notified appointment IDs
+   * @returns {Array<Object>} Report rows
+   */
+  static markNotified(results, notified) {
+    return results.map(row => ({ ...row, notified: notified.includes(row.appointmentId) }));
+  }
+
+  /**
+   * Summarize report rows
+   * @private
+   * @param {Array<Object>} results - Report rows
+   * @param {boolean} dryRun - Whether nothing was changed
+   * @returns {Object} Report ({ dryRun, summary, results })
+   */
+  static buildReport(results, dryRun) {
+    const summary = { matched: results.length };
+    results.forEach(row => {
+      summary[row.result] = (summary[row.result] || 0) + 1;
+    });
+    summary.notified = results.filter(row => row.notified).length;
+
+    return {
+      dryRun: Boolean(dryRun),
+      generatedAt: new Date().toISOString(),
+      summary,
+      results
+    };
+  }
+
+  /**
+   * Render a report as CSV
+   * @param {Object} report - Report from cancel or reschedule
+   * @returns {string} CSV with a header row
+   */
+  static toCsv(report) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = report.results.map(row => REPORT_COLUMNS
+      .map(column => escape(row[column]))
+      .join(','));
+
+    return `${[REPORT_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Check the target of a bulk reschedule
+   * @param {Object} changes - Changes ({ doctorId, branchId, shiftDays })
+   * @returns {Promise<void>}
+   * @throws {APIError} 400 when nothing changes, 404 for an inactive doctor or branch
+   */
+  static async assertTarget(changes) {
+    if (!changes.doctorId && !changes.branchId && !changes.shiftDays) {
+      throw new APIError(400, 'A new doctor, branch or day shift is required');
+    }
+    if (changes.doctorId) {
+      const doctor = await User.findOne({
+        where: { id: changes.doctorId, role: 'doctor', status: 'active' }
+      });
+      if (!doctor) {
+        throw new APIError(404, 'Doctor not found or inactive');
+      }
+    }
+    if (changes.branchId) {
+      const branch = await Branch.findOne({ where: { id: changes.branchId, status: 'active' } });
+      if (!branch) {
+        throw new APIError(404, 'Branch not found or inactive');
+      }
+    }
+  }
+}
+
+module.exports = BulkAppointmentService;
@@ -0,0 +1,282 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const TimezoneService = require('./timezone.service');
+const UtilService = require('./util.service');
+const { APIError } = require('../middleware/error.middleware');
+const { Appointment, Branch, Service, User } = require('../models');
+
+const PRODUCT_ID = '-//Clinica de Ozonoterapia//Citas//ES';
+const UID_DOMAIN = 'clinica-ozonoterapia';
+// Past appointments kept in subscription feeds
+const FEED_PAST_DAYS = 90;
+// RFC 5545 lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+const TYPE_LABELS = {
+  first_visit: 'Primera consulta',
+  follow_up: 'Consulta de seguimiento'
+};
+
+class CalendarService {
+  /**
+   * Build the subscription feed of a doctor's or patient's appointments
+   * @param {Object} user - Feed owner
+   * @param {Array} appointments - Appointments with patient, doctor, branch and service
+   * @returns {string} iCalendar document (METHOD:PUBLISH)
+   */
+  static buildFeed(user, appointments) {
+    const name = user.role === 'doctor'
+      ? `Agenda Dr. ${user.firstName} ${user.lastName}`
+      : `Citas de ${user.firstName} ${user.lastName}`;
+
+    const events = appointments.map(appointment => this.buildEvent(appointment, {
+      audience: user.role
+    }));
+
+    return this.buildCalendar('PUBLISH', events, [
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H'
+    ]);
+  }
+
+  /**
+   * Build the invitation sent to the patient; later invitations for the same
+   * appointment update or remove the entry in the patient's calendar
+   * @param {Object} appointment - Appointment with patient, doctor and branch
+   * @param {string} [method='REQUEST'] - iTIP method (REQUEST or CANCEL)
+   * @returns {string} iCalendar document
+   */
+  static buildInvitation(appointment, method = 'REQUEST') {
+    return this.buildCalendar(method, [
+      this.buildEvent(appointment, { audience: 'patient', method })
+    ]);
+  }
+
+  /**
+   * Build a VEVENT for an appointment
+   * @param {Object} appointment - Appointment with patient, doctor and branch
+   * @param {Object} [options] - Options ({ audience: doctor|patient, method })
+   * @returns {Array<string>} Unfolded content lines
+   */
+  static buildEvent(appointment, options = {}) {
+    const { patient, doctor, branch, service } = appointment;
+    const timezone = appointment.getTimezone();
+    const cancelled = options.method === 'CANCEL' || appointment.status === 'cancelled';
+    const what = service ? service.name : TYPE_LABELS[appointment.type];
+    const summary = options.audience === 'doctor'
+      ? `${what}: ${patient.firstName} ${patient.lastName}`
+      : `${what} con Dr. ${doctor.firstName} ${doctor.lastName}`;
+    const organizer = this.getOrganizer();
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${appointment.id}@${UID_DOMAIN}`,
+      `SEQUENCE:${appointment.calendarSequence || 0}`,
+      `DTSTAMP:${this.formatInstant(new Date())}`,
+      `DTSTART:${this.formatInstant(
+        TimezoneService.toInstant(appointment.date, appointment.startTime, timezone)
+      )}`,
+      `DTEND:${this.formatInstant(
+        TimezoneService.toInstant(appointment.date, appointment.endTime, timezone)
+      )}`,
+      `SUMMARY:${this.escapeText(summary)}`
+    ];
+
+    if (branch) {
+      lines.push(`LOCATION:${this.escapeText(`${branch.name}, ${branch.address}`)}`);
+    }
+    lines.push(`DESCRIPTION:${this.escapeText(
+      `${what}\nDoctor: Dr. ${doctor.firstName} ${doctor.lastName}\n` +
+      `Paciente: ${patient.firstName} ${patient.lastName}`
+    )}`);
+    lines.push(`STATUS:${this.getEventStatus(appointment.status, cancelled)}`);
+
+    // Invitations name who sends them and who they are for (RFC 5546)
+    if (options.method) {
+      lines.push(`ORGANIZER;CN=${this.quoteParam(organizer.name)}:mailto:${organizer.email}`);
+      lines.push(
+        `ATTENDEE;CN=${this.quoteParam(`${patient.firstName} ${patient.lastName}`)};` +
+        `ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${patient.email}`
+      );
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Wrap events in a VCALENDAR and serialize it
+   * @private
+   * @param {string} method - iTIP method
+   * @param {Array<Array<string>>} events - Events as content lines
+   * @param {Array<string>} [properties] - Extra calendar properties
+   * @returns {string} iCalendar document with CRLF line endings
+   */
+  static buildCalendar(method, events, properties = []) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`,
+      ...properties,
+      ...events.flat(),
+      'END:VCALENDAR'
+    ];
+
+    return `${lines.map(line => this.foldLine(line)).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Map an appointment status to a VEVENT status
+   * @private
+   * @param {string} status - Appointment status
+   * @param {boolean} cancelled - Whether the event is being cancelled
+   * @returns {string} TENTATIVE, CONFIRMED or CANCELLED
+   */
+  static getEventStatus(status, cancelled) {
+    if (cancelled) return 'CANCELLED';
+    return ['scheduled', 'rescheduled'].includes(status) ? 'TENTATIVE' : 'CONFIRMED';
+  }
+
+  /**
+   * Sender of invitations, taken from EMAIL_FROM ("Name <address>")
+   * @private
+   * @returns {Object} Organizer ({ name, email })
+   */
+  static getOrganizer() {
+    const from = process.env.EMAIL_FROM || '';
+    const match = from.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+
+    return match
+      ? { name: match[1] || match[2], email: match[2] }
+      : { name: from, email: from };
+  }
+
+  /**
+   * Format an instant as a UTC DATE-TIME (e.g. 20240115T150000Z)
+   * @param {Date} instant - Instant
+   * @returns {string} iCalendar UTC time
+   */
+  static formatInstant(instant) {
+    return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape a TEXT value
+   * @param {string} value - Text
+   * @returns {string} Escaped text
+   */
+  static escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Quote a parameter value (parameters cannot contain double quotes)
+   * @private
+   * @param {string} value - Parameter value
+   * @returns {string} Quoted value
+   */
+  static quoteParam(value) {
+    return `"${String(value).replace(/"/g, '\'')}"`;
+  }
+
+  /**
+   * Fold a content line into 75-octet chunks without splitting characters
+   * @param {string} line - Content line
+   * @returns {string} Folded line
+   */
+  static foldLine(line) {
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      // Continuation lines start with a space, which counts towards the limit
+      const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+      if (octets + size > limit) {
+        chunks.push(chunk);
+        chunk = '';
+        octets = 0;
+      }
+      chunk += char;
+      octets += size;
+    }
+    chunks.push(chunk);
+
+    return chunks.join('\r\n ');
+  }
+
+  /**
+   * Get the appointments published in a user's feed
+   * @param {Object} user - Doctor or patient
+   * @returns {Promise<Array>} Appointments, oldest first
+   */
+  static async getFeedAppointments(user) {
+    try {
+      const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+      const [from] = since.toISOString().split('T');
+      const where = {
+        date: { [Op.gte]: from },
+        status: { [Op.ne]: 'cancelled' }
+      };
+      where[user.role === 'doctor' ? 'doctorId' : 'patientId'] = user.id;
+
+      return await Appointment.findAll({
+        where,
+        include: [
+          { model: User, as: 'doctor', attributes: ['id', 'firstName', 'lastName'] },
+          { model: User, as: 'patient', attributes: ['id', 'firstName', 'lastName'] },
+          { model: Branch, as: 'branch', attributes: ['id', 'name', 'address', 'timezone'] },
+          { model: Service, as: 'service', attributes: ['id', 'name'] }
+        ],
+        order: [['date', 'ASC'], ['startTime', 'ASC']]
+      });
+    } catch (error) {
+      LoggerService.error('Error loading calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the owner of a feed token
+   * @param {string} token - Feed token
+   * @returns {Promise<Object>} User
+   * @throws {APIError} 404 when no active user has the token
+   */
+  static async findFeedOwner(token) {
+    const user = await User.findOne({
+      where: { calendarToken: token, status: 'active' }
+    });
+    if (!user) {
+      throw new APIError(404, 'Calendar feed not found');
+    }
+    return user;
+  }
+
+  /**
+   * Give a user a feed token, replacing the old one so earlier links stop working
+   * @param {Object} user - User instance
+   * @returns {Promise<string>} New token
+   */
+  static async issueFeedToken(user) {
+    try {
+      const calendarToken = UtilService.generateRandomString(24);
+      await user.update({ calendarToken });
+
+      LoggerService.info(`Calendar feed token issued for user ${user.id}`);
+      return calendarToken;
+    } catch (error) {
+      LoggerService.error('Error issuing calendar feed token:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CalendarService;
@@ -0,0 +1,223 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const { APIError } = require('../middleware/error.middleware');
+const DEFAULT_POLICY = require('../config/cancellationPolicy');
+const { AppointmentTransition, CancellationPolicy } = require('../models');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class CancellationPolicyService {
+  /**
+   * Find the policy that governs an appointment: the active policy matching the
+   * most of its service, branch and type (in that order of weight), or the default
+   * @param {Object} appointment - Appointment instance
+   * @returns {Promise<Object>} Policy
+   */
+  static async resolve(appointment) {
+    const policies = await CancellationPolicy.findAll({
+      where: {
+        status: 'active',
+        branchId: { [Op.or]: [appointment.branchId, null] },
+        serviceId: appointment.serviceId
+          ? { [Op.or]: [appointment.serviceId, null] }
+          : null,
+        appointmentType: { [Op.or]: [appointment.type, null] }
+      }
+    });
+
+    return this.select(policies);
+  }
+
+  /**
+   * Pick the most specific of the policies matching an appointment
+   * @param {Array<Object>} policies - Matching policies
+   * @returns {Object} Policy (the default when none match)
+   */
+  static select(policies) {
+    return [...policies]
+      .sort((a, b) => this.getSpecificity(b) - this.getSpecificity(a))[0] || DEFAULT_POLICY;
+  }
+
+  /**
+   * Weight of a policy's scope; a service policy beats a branch policy, which
+   * beats one for an appointment type
+   * @param {Object} policy - Policy
+   * @returns {number} Specificity
+   */
+  static getSpecificity(policy) {
+    return (policy.serviceId ? 4 : 0) + (policy.branchId ? 2 : 0) +
+      (policy.appointmentType ? 1 : 0);
+  }
+
+  /**
+   * Evaluate a policy's rules for cancelling or rescheduling an appointment
+   * @param {Object} policy - Policy
+   * @param {Object} appointment - Appointment with its branch (for the timezone)
+   * @param {string} action - cancel or reschedule
+   * @param {Object} context - Context
+   * @param {string} context.role - Role of whoever acts
+   * @param {number} [context.patientReschedules=0] - Times the patient already rescheduled
+   * @param {Date} [context.now] - Current time
+   * @returns {Object} Evaluation ({ policy, action, allowed, violations, fee })
+   */
+  static evaluate(policy, appointment, action, context) {
+    const now = context.now || new Date();
+    const hoursBefore = (appointment.getStartInstant() - now) / HOUR_MS;
+    const violations = [];
+    let fee = null;
+
+    if (action === 'cancel' && hoursBefore < policy.cancelNoticeHours) {
+      if (policy.lateCancellationFee === null || policy.lateCancellationFee === undefined) {
+        violations.push({
+          rule: 'cancel_notice',
+          message: `Appointments must be cancelled at least ${policy.cancelNoticeHours} ` +
+            'hours before',
+          noticeHours: policy.cancelNoticeHours
+        });
+      } else {
+        fee = Number(policy.lateCancellationFee);
+      }
+    }
+
+    if (action === 'reschedule') {
+      if (hoursBefore < policy.rescheduleNoticeHours) {
+        violations.push({
+          rule: 'reschedule_notice',
+          message: `Appointments must be rescheduled at least ${policy.rescheduleNoticeHours} ` +
+            'hours before',
+          noticeHours: policy.rescheduleNoticeHours
+        });
+      }
+      const limit = policy.maxPatientReschedules;
+      const used = context.patientReschedules || 0;
+      if (context.role === 'patient' && limit !== null && limit !== undefined && used >= limit) {
+        violations.push({
+          rule: 'reschedule_limit',
+          message: `Patients may reschedule this appointment ${limit} times`,
+          limit,
+          used
+        });
+      }
+    }
+
+    return {
+      policy: { id: policy.id, name: policy.name },
+      action,
+      allowed: !violations.length,
+      violations,
+      fee
+    };
+  }
+
+  /**
+   * Apply the appointment's policy to a cancellation or reschedule. Admins may
+   * override it with a reason, which waives both refusals and fees.
+   * @param {Object} appointment - Appointment with its branch
+   * @param {string} action - cancel or reschedule
+   * @param {Object} options - Options
+   * @param {Object} options.user - User acting
+   * @param {string} [options.overrideReason] - Reason for overriding the policy (admins)
+   * @returns {Promise<Object>} Evaluation, with the override when one was applied
+   * @throws {APIError} 403 naming the rule that blocks the action, or when a
+   *   non-admin tries to override
+   */
+  static async enforce(appointment, action, options) {
+    const { user, overrideReason } = options;
+    if (overrideReason && user.role !== 'admin') {
+      throw new APIError(403, 'Only admins can override the cancellation policy');
+    }
+
+    const policy = await this.resolve(appointment);
+    const patientReschedules = action === 'reschedule' && user.role === 'patient'
+      ? await this.countPatientReschedules(appointment.id)
+      : 0;
+    const evaluation = this.evaluate(policy, appointment, action, {
+      role: user.role,
+      patientReschedules
+    });
+
+    if (evaluation.allowed && evaluation.fee === null) {
+      return evaluation;
+    }
+
+    if (overrideReason) {
+      const waived = evaluation.violations.map(violation => violation.rule);
+      if (evaluation.fee !== null) waived.push('late_cancellation_fee');
+
+      LoggerService.info(
+        `Cancellation policy ${policy.name} overridden for appointment ${appointment.id} ` +
+        `by ${user.id} (${waived.join(', ')}): ${overrideReason}`
+      );
+      return {
+        ...evaluation,
+        allowed: true,
+        fee: null,
+        override: { reason: overrideReason, waived, by: user.id }
+      };
+    }
+
+    if (!evaluation.allowed) {
+      const [violation] = evaluation.violations;
+      throw new APIError(403, violation.message, {
+        rule: violation.rule,
+        policy: evaluation.policy,
+        violations: evaluation.violations
+      });
+    }
+
+    return evaluation;
+  }
+
+  /**
+   * Summarize an evaluation for the appointment's timeline
+   * @param {Object} evaluation - Result of enforce
+   * @returns {Object} Timeline metadata
+   */
+  static toMetadata(evaluation) {
+    return {
+      id: evaluation.policy.id,
+      name: evaluation.policy.name,
+      fee: evaluation.fee,
+      override: evaluation.override || null
+    };
+  }
+
+  /**
+   * Count the times the patient moved an appointment themselves
+   * @param {string} appointmentId - Appointment ID
+   * @returns {Promise<number>} Patient reschedules
+   */
+  static countPatientReschedules(appointmentId) {
+    return AppointmentTransition.count({
+      where: { appointmentId, toStatus: 'rescheduled', role: 'patient' }
+    });
+  }
+
+  /**
+   * Reject a second active policy for the same scope; it would make the choice
+   * between them arbitrary
+   * @param {Object} scope - Scope ({ branchId, serviceId, appointmentType })
+   * @param {string} [excludeId] - Policy being updated
+   * @returns {Promise<void>}
+   * @throws {APIError} 409 naming the existing policy
+   */
+  static async assertUniqueScope(scope, excludeId = null) {
+    const where = {
+      status: 'active',
+      branchId: scope.branchId || null,
+      serviceId: scope.serviceId || null,
+      appointmentType: scope.appointmentType || null
+    };
+    if (excludeId) where.id = { [Op.ne]: excludeId };
+
+    const existing = await CancellationPolicy.findOne({ where });
+    if (existing) {
+      throw new APIError(409, 'An active policy already covers this scope', {
+        policyId: existing.id,
+        name: existing.name
+      });
+    }
+  }
+}
+
+module.exports = CancellationPolicyService;
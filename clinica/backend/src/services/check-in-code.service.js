@@ -0,0 +1,63 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const TimezoneService = require('./timezone.service');
+const { APIError } = require('../middleware/error.middleware');
+
+// Codes stay valid until this long after the appointment ends
+const VALID_AFTER_END_MS = 12 * 60 * 60 * 1000;
+const PURPOSE = 'check_in';
+
+class CheckInCodeService {
+  /**
+   * Sign the check-in code shown as a QR code in the confirmation
+   * @param {Object} appointment - Appointment with its branch
+   * @returns {string} Code
+   */
+  static issue(appointment) {
+    const endsAt = TimezoneService.toInstant(
+      appointment.date,
+      appointment.endTime,
+      appointment.getTimezone()
+    );
+
+    return jwt.sign(
+      {
+        appointmentId: appointment.id,
+        purpose: PURPOSE,
+        exp: Math.floor((endsAt.getTime() + VALID_AFTER_END_MS) / 1000)
+      },
+      process.env.JWT_SECRET
+    );
+  }
+
+  /**
+   * Read the appointment from a scanned check-in code
+   * @param {string} code - Code from the QR
+   * @returns {string} Appointment ID
+   * @throws {APIError} 400 when the code is invalid or expired
+   */
+  static verify(code) {
+    let decoded;
+    try {
+      decoded = jwt.verify(code, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new APIError(400, 'Invalid or expired check-in code');
+    }
+    // Login and password reset tokens are signed with the same secret
+    if (decoded.purpose !== PURPOSE) {
+      throw new APIError(400, 'Invalid or expired check-in code');
+    }
+    return decoded.appointmentId;
+  }
+
+  /**
+   * Render an appointment's check-in code as a QR code
+   * @param {Object} appointment - Appointment with its branch
+   * @returns {Promise<Buffer>} PNG image
+   */
+  static toQr(appointment) {
+    return QRCode.toBuffer(this.issue(appointment), { width: 240, margin: 1 });
+  }
+}
+
+module.exports = CheckInCodeService;
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { OptimisticLockError } = require('sequelize');
+const { APIError } = require('../middleware/error.middleware');
+
+class ConcurrencyService {
+  /**
+   * Get the ETag of a versioned record: its version followed by a digest of the
+   * record as serialized, so a change to an included association (e.g. the branch
+   * or the doctor's name) also refreshes cached copies
+   * @param {Object} record - Model instance with a version attribute
+   * @returns {string} Strong ETag (e.g. "3-5f2b9c0e1a7d4b36")
+   */
+  static getETag(record) {
+    const digest = crypto.createHash('sha1')
+      .update(JSON.stringify(record))
+      .digest('hex')
+      .slice(0, 16);
+    return `"${record.version}-${digest}"`;
+  }
+
+  /**
+   * Send a record's ETag. Express answers a GET with 304 on its own when the
+   * request's If-None-Match lists it.
+   * @param {Object} res - Express response
+   * @param {Object} record - Versioned record
+   * @returns {void}
+   */
+  static setETag(res, record) {
+    res.set('ETag', this.getETag(record));
+  }
+
+  /**
+   * Check the request's If-Match header against the record's current version.
+   * Only the version is compared: the same record read with other associations,
+   * or after bookkeeping writes that leave the version alone (reminder flags),
+   * can still be saved.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} record - Versioned record
+   * @param {string} name - Key of the record in the error details (e.g. 'appointment')
+   * @returns {void}
+   * @throws {APIError} 428 without If-Match, 412 with the current record when it is stale
+   */
+  static assertMatch(req, res, record, name) {
+    const header = req.get('If-Match');
+    if (!header) {
+      throw new APIError(428, 'If-Match header is required');
+    }
+
+    const matches = header.split(',').some((tag) => {
+      const value = tag.trim();
+      return value === '*' || this.getVersion(value) === record.version;
+    });
+    if (!matches) {
+      throw this.staleError(res, record, name);
+    }
+  }
+
+  /**
+   * Write a record checked with assertMatch. The update only applies while the
+   * version is unchanged, so a save that raced ours also ends in a 412.
+   * @param {Object} res - Express response
+   * @param {Object} record - Versioned record
+   * @param {string} name - Key of the record in the error details
+   * @param {Function} write - Async function performing the update
+   * @returns {Promise<*>} Result of write
+   * @throws {APIError} 412 with the reloaded record when another save got there first
+   */
+  static async save(res, record, name, write) {
+    try {
+      const result = await write();
+      this.setETag(res, record);
+      return result;
+    } catch (error) {
+      if (!(error instanceof OptimisticLockError)) {
+        throw error;
+      }
+      await record.reload();
+      throw this.staleError(res, record, name);
+    }
+  }
+
+  /**
+   * Read the version out of an ETag sent back by a client
+   * @private
+   * @param {string} etag - ETag (e.g. "3-5f2b9c0e1a7d4b36")
+   * @returns {number|null} Version, or null when the ETag is not one of ours
+   */
+  static getVersion(etag) {
+    const match = /^"(\d+)(?:-[0-9a-f]+)?"$/.exec(etag);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Build the error for a stale write, sending the current ETag with it
+   * @private
+   * @param {Object} res - Express response
+   * @param {Object} record - Record as currently stored
+   * @param {string} name - Key of the record in the error details
+   * @returns {APIError} 412 error
+   */
+  static staleError(res, record, name) {
+    this.setETag(res, record);
+    return new APIError(412, 'Record was changed by someone else; review it and try again', {
+      [name]: record
+    });
+  }
+}
+
+module.exports = ConcurrencyService;
@@ -1,5 +1,11 @@
 const nodemailer = require('nodemailer');
-const { LoggerService } = require('./logger.service');
+const LoggerService = require('./logger.service');
+const CalendarService = require('./calendar.service');
+const CheckInCodeService = require('./check-in-code.service');
+const TimezoneService = require('./timezone.service');
+
+// Content ID of the check-in QR code embedded in appointment emails
+const CHECK_IN_QR_CID = 'check-in-qr';
 
 class EmailService {
   static transporter = null;
@@ -75,6 +81,33 @@ class EmailService {
     });
   }
 
+  /**
+   * Build the calendar invitation attached to appointment emails
+   * @param {Object} appointment - Appointment with patient, doctor and branch
+   * @param {string} method - iTIP method (REQUEST or CANCEL)
+   * @returns {Object} Nodemailer icalEvent
+   */
+  static getCalendarEvent(appointment, method) {
+    return {
+      method,
+      filename: 'cita.ics',
+      content: CalendarService.buildInvitation(appointment, method)
+    };
+  }
+
+  /**
+   * Build the check-in QR code attached to appointment emails
+   * @param {Object} appointment - Appointment with its branch
+   * @returns {Promise<Object>} Nodemailer inline attachment
+   */
+  static async getCheckInAttachment(appointment) {
+    return {
+      filename: 'check-in.png',
+      content: await CheckInCodeService.toQr(appointment),
+      cid: CHECK_IN_QR_CID
+    };
+  }
+
   /**
    * Send appointment confirmation
    * @param {Object} appointment - Appointment object
@@ -85,6 +118,8 @@ class EmailService {
     return this.sendEmail({
       to: patient.email,
       subject: 'Confirmación de Cita',
+      icalEvent: this.getCalendarEvent(appointment, 'REQUEST'),
+      attachments: [await this.getCheckInAttachment(appointment)],
       html: `
         <h1>Cita Confirmada</h1>
         <p>Tu cita ha sido confirmada con los siguientes detalles:</p>
@@ -96,7 +131,39 @@ class EmailService {
           <li>Dirección: ${branch.address}</li>
         </ul>
         <p>Por favor llega 10 minutos antes de tu cita.</p>
-        <p>Si necesitas cancelar o reprogramar, hazlo con al menos 24 horas de anticipación.</p>
+        <p>Al llegar, muestra este código en recepción para registrar tu llegada:</p>
+        <p><img src="cid:${CHECK_IN_QR_CID}" alt="Código de registro" width="240" height="240"></p>
+        <p>Si necesitas cancelar o reprogramar, hazlo con anticipación; las cancelaciones tardías pueden tener un cargo.</p>
+      `
+    });
+  }
+
+  /**
+   * Send the new time of a rescheduled appointment; the invitation moves the
+   * existing entry in the patient's calendar
+   * @param {Object} appointment - Appointment object
+   * @returns {Promise<Object>} Send result
+   */
+  static async sendAppointmentRescheduled(appointment) {
+    const { patient, doctor, branch } = appointment;
+    return this.sendEmail({
+      to: patient.email,
+      subject: 'Cita Reprogramada',
+      icalEvent: this.getCalendarEvent(appointment, 'REQUEST'),
+      attachments: [await this.getCheckInAttachment(appointment)],
+      html: `
+        <h1>Cita Reprogramada</h1>
+        <p>Tu cita se cambió a:</p>
+        <ul>
+          <li>Fecha: ${appointment.date}</li>
+          <li>Hora: ${appointment.startTime}</li>
+          <li>Doctor: Dr. ${doctor.firstName} ${doctor.lastName}</li>
+          <li>Sucursal: ${branch.name}</li>
+          <li>Dirección: ${branch.address}</li>
+        </ul>
+        <p>Por favor confirma el nuevo horario desde tu cuenta.</p>
+        <p>Al llegar, muestra este código en recepción para registrar tu llegada:</p>
+        <p><img src="cid:${CHECK_IN_QR_CID}" alt="Código de registro" width="240" height="240"></p>
       `
     });
   }
@@ -113,7 +180,7 @@ class EmailService {
       subject: 'Recordatorio de Cita',
       html: `
         <h1>Recordatorio de Cita</h1>
-        <p>Te recordamos que tienes una cita programada para mañana:</p>
+        <p>Te recordamos que tienes una cita programada:</p>
         <ul>
           <li>Fecha: ${appointment.date}</li>
           <li>Hora: ${appointment.startTime}</li>
@@ -122,7 +189,7 @@ class EmailService {
           <li>Dirección: ${branch.address}</li>
         </ul>
         <p>Por favor llega 10 minutos antes de tu cita.</p>
-        <p>Si necesitas cancelar o reprogramar, hazlo con al menos 24 horas de anticipación.</p>
+        <p>Si necesitas cancelar o reprogramar, hazlo con anticipación; las cancelaciones tardías pueden tener un cargo.</p>
       `
     });
   }
@@ -137,6 +204,7 @@ class EmailService {
     return this.sendEmail({
       to: patient.email,
       subject: 'Cita Cancelada',
+      icalEvent: this.getCalendarEvent(appointment, 'CANCEL'),
       html: `
         <h1>Cita Cancelada</h1>
         <p>Tu cita ha sido cancelada:</p>
@@ -145,11 +213,43 @@ class EmailService {
           <li>Hora: ${appointment.startTime}</li>
           <li>Doctor: Dr. ${doctor.firstName} ${doctor.lastName}</li>
         </ul>
+        ${appointment.cancellationFee
+    ? `<p>Por cancelación tardía se aplica un cargo de $${appointment.cancellationFee}.</p>`
+    : ''}
         <p>Si deseas reagendar tu cita, por favor contáctanos o agenda una nueva cita desde tu cuenta.</p>
       `
     });
   }
 
+  /**
+   * Send a freed slot offered to a waitlisted patient
+   * @param {Object} offer - Slot offer with patient, doctor and branch
+   * @param {string} url - Link to accept or decline the offer
+   * @returns {Promise<Object>} Send result
+   */
+  static async sendWaitlistOffer(offer, url) {
+    const { patient, doctor, branch } = offer;
+    // The hold ends at an instant; show it on the branch's clock like the slot
+    const expires = TimezoneService.getLocalParts(offer.expiresAt, branch.timezone || undefined);
+    return this.sendEmail({
+      to: patient.email,
+      subject: 'Se liberó un espacio para tu cita',
+      html: `
+        <h1>Hay un espacio disponible</h1>
+        <p>Hola ${patient.firstName}, se liberó un espacio que coincide con tu lista de espera:</p>
+        <ul>
+          <li>Fecha: ${offer.date}</li>
+          <li>Hora: ${offer.startTime}</li>
+          <li>Doctor: Dr. ${doctor.firstName} ${doctor.lastName}</li>
+          <li>Sucursal: ${branch.name}</li>
+          <li>Dirección: ${branch.address}</li>
+        </ul>
+        <p>Lo apartamos para ti hasta el ${expires.date} a las ${expires.time.slice(0, 5)}.</p>
+        <p><a href="${url}">Aceptar o rechazar el espacio</a></p>
+      `
+    });
+  }
+
   /**
    * Send medical record update
    * @param {Object} medicalHistory - Medical history object
@@ -169,6 +269,36 @@ class EmailService {
     });
   }
 
+  /**
+   * Send a new prescription with its printable PDF
+   * @param {Object} prescription - Prescription with patient and doctor
+   * @param {Buffer} pdf - Rendered prescription
+   * @returns {Promise<Object>} Send result
+   */
+  static async sendPrescriptionNotification(prescription, pdf) {
+    const { patient, doctor } = prescription;
+    return this.sendEmail({
+      to: patient.email,
+      subject: 'Nueva Receta Médica',
+      attachments: [{
+        filename: 'receta.pdf',
+        content: pdf,
+        contentType: 'application/pdf'
+      }],
+      html: `
+        <h1>Nueva Receta Médica</h1>
+        <p>El Dr. ${doctor.firstName} ${doctor.lastName} te ha prescrito:</p>
+        <ul>
+          <li>Medicamento: ${prescription.medication}</li>
+          <li>Dosis: ${prescription.dose}</li>
+          <li>Frecuencia: ${prescription.frequency}</li>
+          <li>Duración: ${prescription.durationDays} días</li>
+        </ul>
+        <p>Adjuntamos la receta en PDF. También puedes consultarla iniciando sesión en tu cuenta.</p>
+      `
+    });
+  }
+
   /**
    * Send password reset
    * @param {Object} user - User object
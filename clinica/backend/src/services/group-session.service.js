@@ -0,0 +1,300 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const AppointmentLifecycleService = require('./appointment-lifecycle.service');
+const AvailabilityService = require('./availability.service');
+const BookingService = require('./booking.service');
+const ResourceService = require('./resource.service');
+const SessionCapService = require('./session-cap.service');
+const TimezoneService = require('./timezone.service');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, Appointment, Branch, GroupSession } = require('../models');
+
+class GroupSessionService {
+  /**
+   * Open a group session: hold the doctor's time and the rooms and equipment the
+   * service needs, once for every seat
+   * @param {Object} data - Session data ({ doctorId, branchId, serviceId, type, date,
+   *   startTime, endTime, capacity, notes, createdBy })
+   * @returns {Promise<Object>} Created session
+   * @throws {APIError} 409 when the doctor is busy, over their session cap, or a
+   *   resource is not free
+   */
+  static async create(data) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const { doctorId, date, startTime, endTime } = data;
+
+        const conflict = await AvailabilityService.findOverlappingAppointment(
+          { doctorId }, date, startTime, endTime, { transaction }
+        );
+        if (conflict) {
+          throw BookingService.conflictError(conflict);
+        }
+        const overlapping = await AvailabilityService.findOverlappingGroupSession(
+          doctorId, date, startTime, endTime, { transaction }
+        );
+        if (overlapping) {
+          throw new APIError(409, 'Doctor has a group session at this time', {
+            groupSessionId: overlapping.id
+          });
+        }
+        await SessionCapService.assert(data, { transaction });
+
+        const session = await GroupSession.create(data, { transaction });
+        const { missing } = await ResourceService.reserveForGroup(session, transaction);
+        if (missing) {
+          throw new APIError(409, `No ${missing.replace(/_/g, ' ')} is free at this time`, {
+            missingResource: missing
+          });
+        }
+
+        return session;
+      });
+    } catch (error) {
+      throw await BookingService.handleError(error, data, 'Error creating group session:');
+    }
+  }
+
+  /**
+   * Count the seats taken in sessions
+   * @param {Array<string>} sessionIds - Session IDs
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object>} Seats taken by session ID
+   */
+  static async countSeats(sessionIds, transaction = null) {
+    const rows = await Appointment.count({
+      where: {
+        groupSessionId: { [Op.in]: sessionIds },
+        status: { [Op.ne]: 'cancelled' }
+      },
+      group: ['groupSessionId'],
+      transaction
+    });
+
+    return rows.reduce((seats, row) => ({
+      ...seats,
+      [row.groupSessionId]: Number(row.count)
+    }), {});
+  }
+
+  /**
+   * Describe a session's seats
+   * @param {Object} session - Group session instance
+   * @param {number} taken - Seats taken
+   * @returns {Object} Seats ({ capacity, taken, available })
+   */
+  static getSeats(session, taken) {
+    return {
+      capacity: session.capacity,
+      taken,
+      available: session.status === 'scheduled' ? Math.max(session.capacity - taken, 0) : 0
+    };
+  }
+
+  /**
+   * Give a patient a seat. The seat is an ordinary appointment in the session's
+   * time slot, so the patient gets their own reminders, status and bill.
+   * @param {Object} session - Group session with its branch
+   * @param {string} patientId - Patient ID
+   * @param {Object} [options] - Options
+   * @param {Object} [options.user] - User booking the seat
+   * @param {Object} [options.requirements] - No-show policy fields for the appointment
+   * @returns {Promise<Object>} Seat appointment
+   * @throws {APIError} 409 when the session is cancelled, started or full, or the
+   *   patient is already in it or busy
+   */
+  static async addParticipant(session, patientId, options = {}) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        // Seats are counted under a lock so two bookings cannot take the last one
+        const locked = await GroupSession.findByPk(session.id, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+        this.assertOpen(locked, session.branch);
+
+        const { date, startTime, endTime } = locked;
+        const seats = await this.countSeats([locked.id], transaction);
+        const taken = seats[locked.id] || 0;
+        if (taken >= locked.capacity) {
+          throw new APIError(409, 'Group session is full', { capacity: locked.capacity });
+        }
+
+        const patientConflict = await AvailabilityService.findOverlappingAppointment(
+          { patientId }, date, startTime, endTime, { transaction }
+        );
+        if (patientConflict) {
+          throw new APIError(409, patientConflict.groupSessionId === locked.id
+            ? 'Patient already has a seat in this session'
+            : 'Patient already has an appointment at this time', {
+            conflictingAppointmentId: patientConflict.id
+          });
+        }
+
+        const appointment = await Appointment.create({
+          patientId,
+          doctorId: locked.doctorId,
+          branchId: locked.branchId,
+          serviceId: locked.serviceId,
+          type: locked.type,
+          date,
+          startTime,
+          endTime,
+          status: 'scheduled',
+          groupSessionId: locked.id,
+          ...options.requirements
+        }, { transaction });
+        await AppointmentLifecycleService.recordBooking(appointment, {
+          user: options.user,
+          metadata: { groupSessionId: locked.id },
+          transaction
+        });
+
+        return appointment;
+      });
+    } catch (error) {
+      if (!(error instanceof APIError)) {
+        LoggerService.error('Error booking group session seat:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record who came to a session: present participants are checked in (and go on
+   * to their own consultation and medical history), absent ones become no-shows
+   * @param {Object} session - Group session instance
+   * @param {Array<Object>} attendance - Entries ({ appointmentId, attended })
+   * @param {Object} user - Staff member taking attendance
+   * @returns {Promise<Array>} Updated seat appointments
+   * @throws {APIError} 404 for an appointment that is not a seat in the session,
+   *   409 when a participant's status does not allow the change
+   */
+  static async recordAttendance(session, attendance, user) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const participants = await Appointment.findAll({
+          where: {
+            groupSessionId: session.id,
+            id: { [Op.in]: attendance.map(entry => entry.appointmentId) }
+          },
+          transaction
+        });
+
+        const updated = [];
+        for (const entry of attendance) {
+          const appointment = participants.find(seat => seat.id === entry.appointmentId);
+          if (!appointment) {
+            throw new APIError(404, 'Appointment is not a seat in this session', {
+              appointmentId: entry.appointmentId
+            });
+          }
+
+          // Taking attendance again leaves participants already marked alone
+          const to = entry.attended ? 'checked_in' : 'no_show';
+          const marked = entry.attended
+            ? ['checked_in', 'in_progress', 'completed'].includes(appointment.status)
+            : appointment.status === 'no_show';
+          if (!marked) {
+            await AppointmentLifecycleService.transition(appointment, to, {
+              user,
+              metadata: { groupSessionId: session.id, method: 'attendance' },
+              transaction
+            });
+          }
+          updated.push(appointment);
+        }
+
+        return updated;
+      });
+    } catch (error) {
+      if (!(error instanceof APIError)) {
+        LoggerService.error('Error recording group session attendance:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a session with every active seat, and free its rooms and equipment
+   * @param {Object} session - Group session instance
+   * @param {Object} options - Options
+   * @param {string} options.reason - Reason given to participants
+   * @param {Object} options.user - User cancelling
+   * @returns {Promise<Array>} Cancelled seat appointments (to notify)
+   */
+  static async cancel(session, options) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const participants = await Appointment.findAll({
+          where: {
+            groupSessionId: session.id,
+            status: { [Op.in]: ['scheduled', 'confirmed', 'rescheduled'] }
+          },
+          transaction
+        });
+
+        // The clinic cancels, so cancellation policies and fees do not apply
+        for (const appointment of participants) {
+          await AppointmentLifecycleService.transition(appointment, 'cancelled', {
+            user: options.user,
+            reason: options.reason,
+            metadata: { groupSessionId: session.id },
+            changes: { cancellationReason: options.reason },
+            transaction
+          });
+        }
+        await session.update(
+          { status: 'cancelled', cancellationReason: options.reason },
+          { transaction }
+        );
+        await ResourceService.releaseGroup(session.id, transaction);
+
+        LoggerService.info(
+          `Group session ${session.id} cancelled by ${options.user.id} ` +
+          `(${participants.length} seats)`
+        );
+        return participants;
+      });
+    } catch (error) {
+      LoggerService.error('Error cancelling group session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a session with its branch
+   * @param {string} id - Group session ID
+   * @returns {Promise<Object>} Group session
+   * @throws {APIError} 404 when it does not exist
+   */
+  static async find(id) {
+    const session = await GroupSession.findByPk(id, {
+      include: [{ model: Branch, as: 'branch', attributes: ['id', 'name', 'timezone'] }]
+    });
+    if (!session) {
+      throw new APIError(404, 'Group session not found');
+    }
+    return session;
+  }
+
+  /**
+   * Check that a session still takes bookings
+   * @private
+   * @param {Object} session - Group session instance
+   * @param {Object} branch - Session's branch (for the timezone)
+   * @returns {void}
+   * @throws {APIError} 409 when it was cancelled or has started
+   */
+  static assertOpen(session, branch) {
+    if (session.status !== 'scheduled') {
+      throw new APIError(409, 'Group session was cancelled');
+    }
+    if (TimezoneService.toInstant(session.date, session.startTime, branch.timezone) <=
+      new Date()) {
+      throw new APIError(409, 'Group session has already started');
+    }
+  }
+}
+
+module.exports = GroupSessionService;
@@ -0,0 +1,156 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const chapters = require('../config/icd10Chapters');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, Icd10Code } = require('../models');
+
+const CODE_PATTERN = /^([A-Z]\d{2})\.?(\d{1,2})?$/;
+const IMPORT_BATCH = 1000;
+
+class Icd10Service {
+  /**
+   * Normalize a code as written by hand or in a catalog file (m545, M54.5, "M54.5 ")
+   * @param {string} code - ICD-10 code
+   * @returns {string|null} Code with its dot (M54.5), or null when it is not a code
+   */
+  static normalizeCode(code) {
+    const match = String(code || '').trim().toUpperCase().replace(/[^A-Z0-9.]/g, '')
+      .match(CODE_PATTERN);
+    if (!match) {
+      return null;
+    }
+    return match[2] ? `${match[1]}.${match[2]}` : match[1];
+  }
+
+  /**
+   * Get the chapter a code belongs to
+   * @param {string} code - Normalized code
+   * @returns {Object|null} Chapter ({ chapter, from, to, title })
+   */
+  static getChapter(code) {
+    const category = code.slice(0, 3);
+    return chapters.find(({ from, to }) => category >= from && category <= to) || null;
+  }
+
+  /**
+   * Search the catalog by code prefix or by words of the description
+   * @param {string} query - Code (M54, m545) or text (lumbalgia)
+   * @param {Object} [options] - Options
+   * @param {string} [options.chapter] - Restrict to a chapter (roman numeral)
+   * @param {number} [options.limit=20] - Maximum results
+   * @returns {Promise<Array>} Codes ordered by code
+   */
+  static search(query, options = {}) {
+    const text = String(query).trim();
+    const code = this.normalizeCode(text);
+    const where = {
+      [Op.or]: [
+        sequelize.where(
+          sequelize.fn('unaccent', sequelize.col('description')),
+          { [Op.iLike]: sequelize.fn('unaccent', `%${text.replace(/[%_\\]/g, '\\$&')}%`) }
+        ),
+        ...(code ? [{ code: { [Op.startsWith]: code } }] : [])
+      ]
+    };
+    if (options.chapter) where.chapter = options.chapter;
+
+    return Icd10Code.findAll({
+      where,
+      order: [['code', 'ASC']],
+      limit: options.limit || 20
+    });
+  }
+
+  /**
+   * Read a catalog file: one code per line with its description, separated by a
+   * comma or semicolon. A header line and lines without a valid code are skipped.
+   * @param {string} text - CSV contents
+   * @returns {Array} Codes ({ code, description, chapter })
+   */
+  static parseCsv(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    const delimiter = lines.length && lines[0].includes(';') ? ';' : ',';
+    const field = new RegExp(`\\s*("(?:[^"]|"")*"|[^${delimiter}]*)\\s*(?:${delimiter}|$)`, 'g');
+
+    return lines.reduce((codes, line) => {
+      const [rawCode, ...rest] = [...line.matchAll(field)]
+        .map(([, value]) => value.replace(/^"|"$/g, '').replace(/""/g, '"').trim());
+      const code = this.normalizeCode(rawCode);
+      const description = rest.filter(Boolean).join(delimiter === ';' ? '; ' : ', ');
+      const chapter = code && this.getChapter(code);
+      if (chapter && description) {
+        codes.push({ code, description, chapter: chapter.chapter });
+      }
+      return codes;
+    }, []);
+  }
+
+  /**
+   * Load codes into the catalog; codes already there get the new description
+   * @param {Array} codes - Codes ({ code, description, chapter })
+   * @returns {Promise<number>} Codes imported
+   */
+  static async importCodes(codes) {
+    try {
+      for (let start = 0; start < codes.length; start += IMPORT_BATCH) {
+        // The updatedAt attribute is named by the database config; one that is not an
+        // attribute of the model would be dropped and never refreshed
+        await Icd10Code.bulkCreate(codes.slice(start, start + IMPORT_BATCH), {
+          updateOnDuplicate: ['description', 'chapter', Icd10Code.options.updatedAt]
+        });
+      }
+
+      LoggerService.info(`Imported ${codes.length} ICD-10 codes`);
+      return codes.length;
+    } catch (error) {
+      LoggerService.error('Error importing ICD-10 codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the coded diagnoses of a record against the catalog. The first code is
+   * the primary diagnosis unless another is marked as primary.
+   * @param {Array} entries - Diagnoses ({ code, primary })
+   * @returns {Promise<Array>} Diagnoses ({ code, description, chapter, primary })
+   * @throws {APIError} 400 for unknown or repeated codes, or more than one primary
+   */
+  static async resolve(entries) {
+    if (!entries || !entries.length) {
+      return [];
+    }
+
+    const normalized = entries.map(entry => ({
+      code: this.normalizeCode(entry.code),
+      primary: Boolean(entry.primary)
+    }));
+    const codes = normalized.map(entry => entry.code);
+    if (new Set(codes).size !== codes.length) {
+      throw new APIError(400, 'A diagnosis code is repeated');
+    }
+    const primaries = normalized.filter(entry => entry.primary).length;
+    if (primaries > 1) {
+      throw new APIError(400, 'Only one diagnosis can be primary');
+    }
+
+    const found = await Icd10Code.findAll({ where: { code: { [Op.in]: codes } } });
+    const unknown = codes.filter(code => !found.some(row => row.code === code));
+    if (unknown.length) {
+      throw new APIError(400, 'Unknown ICD-10 codes', { unknown });
+    }
+
+    return normalized.map((entry, index) => {
+      const row = found.find(item => item.code === entry.code);
+      return {
+        code: row.code,
+        description: row.description,
+        chapter: row.chapter,
+        primary: primaries ? entry.primary : index === 0
+      };
+    });
+  }
+}
+
+Icd10Service.CHAPTERS = chapters;
+
+module.exports = Icd10Service;
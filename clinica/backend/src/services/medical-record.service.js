@@ -0,0 +1,276 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const ObservationService = require('./observation.service');
+const TreatmentPlanService = require('./treatment-plan.service');
+const { APIError } = require('../middleware/error.middleware');
+const { clinicalFields, lockAfterHours } = require('../config/medicalRecords');
+const {
+  sequelize,
+  MedicalHistory,
+  MedicalHistoryRevision,
+  Observation,
+  User
+} = require('../models');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class MedicalRecordService {
+  /**
+   * Write a medical record together with its first revision. Weight, height and
+   * oxygen saturation written on it are also recorded as observations. A record
+   * that delivers a treatment plan session completes the plan with its last one.
+   * @param {Object} data - Record data (doctorId is the author)
+   * @returns {Promise<Object>} Created record
+   * @throws {APIError} When the plan session cannot be delivered (see
+   *   TreatmentPlanService.assertDeliverable)
+   */
+  static async create(data) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        // A session of a treatment plan is delivered by one record only
+        const step = data.treatmentPlanStepId
+          ? await TreatmentPlanService.assertDeliverable(
+            data.treatmentPlanStepId, data.patientId, transaction
+          )
+          : null;
+
+        const record = await MedicalHistory.create(data, { transaction });
+        await MedicalHistoryRevision.create({
+          medicalHistoryId: record.id,
+          revision: 1,
+          snapshot: this.snapshot(record),
+          changedFields: [],
+          authorId: record.doctorId
+        }, { transaction });
+
+        const observations = ObservationService.fromMedicalHistory(record);
+        if (observations.length) {
+          await Observation.bulkCreate(observations, { transaction });
+        }
+
+        if (step) {
+          await TreatmentPlanService.completeIfDelivered(step.treatmentPlanId, transaction);
+        }
+
+        return record;
+      });
+    } catch (error) {
+      LoggerService.error('Error creating medical record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Amend a record. The record keeps its current values and every amendment is
+   * stored as a new revision with its author and reason. Corrected weight, height
+   * or oxygen saturation replace the record's observations.
+   * @param {Object} record - Medical history instance
+   * @param {Object} updates - Clinical fields to change
+   * @param {Object} options - Options
+   * @param {string} options.reason - Why the record is amended
+   * @param {Object} options.user - Doctor amending the record
+   * @returns {Promise<Object>} New revision
+   * @throws {APIError} 409 once the record is signed, 400 when nothing changes
+   */
+  static async amend(record, updates, options) {
+    // The lock job may not have reached a record whose amendment period is over
+    if (record.isLockDue()) {
+      await this.lock(record);
+    }
+    if (record.isSigned()) {
+      throw this.signedError(record);
+    }
+
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const before = this.snapshot(record);
+        record.set(updates);
+        const changedFields = clinicalFields.filter(field => record.changed(field));
+        if (!changedFields.length) {
+          throw new APIError(400, 'Amendment does not change the record');
+        }
+
+        // Records written before revisions were kept start with their current values
+        const latest = await MedicalHistoryRevision.max('revision', {
+          where: { medicalHistoryId: record.id },
+          transaction
+        }) || 0;
+        if (!latest) {
+          await MedicalHistoryRevision.create({
+            medicalHistoryId: record.id,
+            revision: 1,
+            snapshot: before,
+            changedFields: [],
+            authorId: record.doctorId
+          }, { transaction });
+        }
+
+        await record.save({ transaction });
+        await ObservationService.replaceFromMedicalHistory(record, changedFields, {
+          user: options.user,
+          transaction
+        });
+        return MedicalHistoryRevision.create({
+          medicalHistoryId: record.id,
+          revision: Math.max(latest, 1) + 1,
+          snapshot: this.snapshot(record),
+          changedFields,
+          reason: options.reason,
+          authorId: options.user.id
+        }, { transaction });
+      });
+    } catch (error) {
+      // Leave the instance as stored when the amendment is rejected
+      record.set(record.previous());
+      if (!(error instanceof APIError)) {
+        LoggerService.error('Error amending medical record:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sign a record before its amendment period is over
+   * @param {Object} record - Medical history instance
+   * @param {Object} user - Doctor who wrote the record
+   * @returns {Promise<Object>} Signed record
+   * @throws {APIError} 409 when the record is already signed
+   */
+  static async sign(record, user) {
+    if (record.isLockDue()) {
+      await this.lock(record);
+    }
+    if (record.isSigned()) {
+      throw new APIError(409, 'Medical record is already signed', {
+        signedAt: record.signedAt,
+        signedById: record.signedById
+      });
+    }
+
+    return record.update({ signedAt: new Date(), signedById: user.id });
+  }
+
+  /**
+   * Sign every record whose amendment period is over in its author's name
+   * @returns {Promise<number>} Number of records locked
+   */
+  static async lockExpired() {
+    try {
+      const [count] = await MedicalHistory.update(
+        { signedAt: new Date(), signedById: sequelize.col('doctor_id') },
+        {
+          where: {
+            signedAt: null,
+            created_at: { [Op.lte]: new Date(Date.now() - lockAfterHours * HOUR_MS) }
+          }
+        }
+      );
+
+      if (count) {
+        LoggerService.info(`Locked ${count} medical records after the amendment period`);
+      }
+      return count;
+    } catch (error) {
+      LoggerService.error('Error locking medical records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock one record whose amendment period is over, as lockExpired does
+   * @private
+   * @param {Object} record - Medical history instance
+   * @returns {Promise<void>}
+   */
+  static async lock(record) {
+    const signedAt = new Date();
+    const [count] = await MedicalHistory.update(
+      { signedAt, signedById: record.doctorId },
+      { where: { id: record.id, signedAt: null } }
+    );
+
+    // Otherwise the lock job got there first; read the signature it stored
+    if (count) {
+      record.set({ signedAt, signedById: record.doctorId }, { raw: true });
+    } else {
+      await record.reload();
+    }
+  }
+
+  /**
+   * Build the error for an amendment of a signed record
+   * @private
+   * @param {Object} record - Signed medical history instance
+   * @returns {APIError} 409 error
+   */
+  static signedError(record) {
+    return new APIError(409, 'Medical record is signed and can no longer be amended', {
+      signedAt: record.signedAt,
+      signedById: record.signedById
+    });
+  }
+
+  /**
+   * List a record's revisions, oldest first
+   * @param {string} medicalHistoryId - Medical history ID
+   * @returns {Promise<Array>} Revisions with their author
+   */
+  static getRevisions(medicalHistoryId) {
+    return MedicalHistoryRevision.findAll({
+      where: { medicalHistoryId },
+      include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['revision', 'ASC']]
+    });
+  }
+
+  /**
+   * Load one revision of a record
+   * @param {string} medicalHistoryId - Medical history ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object>} Revision
+   * @throws {APIError} 404 when the record has no such revision
+   */
+  static async findRevision(medicalHistoryId, revision) {
+    const found = await MedicalHistoryRevision.findOne({
+      where: { medicalHistoryId, revision },
+      include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName'] }]
+    });
+    if (!found) {
+      throw new APIError(404, `Revision ${revision} not found`);
+    }
+    return found;
+  }
+
+  /**
+   * Compare two revisions field by field
+   * @param {Object} from - Earlier revision
+   * @param {Object} to - Later revision
+   * @returns {Array} Changed fields ({ field, from, to })
+   */
+  static diff(from, to) {
+    return clinicalFields
+      .filter(field => JSON.stringify(from.snapshot[field]) !== JSON.stringify(to.snapshot[field]))
+      .map(field => ({
+        field,
+        from: from.snapshot[field],
+        to: to.snapshot[field]
+      }));
+  }
+
+  /**
+   * Copy the clinical fields of a record as stored in a revision
+   * @private
+   * @param {Object} record - Medical history instance
+   * @returns {Object} Clinical fields
+   */
+  static snapshot(record) {
+    const values = JSON.parse(JSON.stringify(record.get({ plain: true })));
+
+    return clinicalFields.reduce((snapshot, field) => ({
+      ...snapshot,
+      [field]: values[field] === undefined ? null : values[field]
+    }), {});
+  }
+}
+
+module.exports = MedicalRecordService;
@@ -0,0 +1,189 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const AppointmentLifecycleService = require('./appointment-lifecycle.service');
+const TimezoneService = require('./timezone.service');
+const { APIError } = require('../middleware/error.middleware');
+const { graceMinutes, rules } = require('../config/noShowPolicy');
+const { Appointment, AppointmentTransition, Branch, User } = require('../models');
+
+// Statuses of appointments the patient has not shown up for yet
+const UNATTENDED_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+class NoShowService {
+  /**
+   * Check whether the grace period after an appointment's start has passed
+   * @param {Object} appointment - Appointment with its branch (for the timezone)
+   * @param {Date} [now] - Current time
+   * @returns {boolean} True once the patient can no longer be checked in on time
+   */
+  static isOverdue(appointment, now = new Date()) {
+    return appointment.getStartInstant().getTime() + graceMinutes * 60 * 1000 <= now.getTime();
+  }
+
+  /**
+   * Mark appointments nobody checked in for as no-shows
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of appointments marked
+   */
+  static async markNoShows(now = new Date()) {
+    try {
+      // Start times are local to each branch, so the grace period is checked per appointment
+      const candidates = await Appointment.findAll({
+        where: {
+          status: { [Op.in]: UNATTENDED_STATUSES },
+          date: { [Op.lte]: TimezoneService.latestToday() }
+        },
+        include: [
+          {
+            model: Branch,
+            as: 'branch',
+            attributes: ['id', 'timezone']
+          }
+        ],
+        order: [['date', 'ASC'], ['startTime', 'ASC']]
+      });
+      const appointments = candidates.filter(appointment => this.isOverdue(appointment, now));
+
+      let marked = 0;
+      for (const appointment of appointments) {
+        try {
+          await AppointmentLifecycleService.transition(appointment, 'no_show', {
+            reason: `Not checked in within ${graceMinutes} minutes of the start time`
+          });
+          marked += 1;
+        } catch (error) {
+          // Keep going; the appointment is picked up again on the next run
+          LoggerService.error(`Error marking appointment ${appointment.id} as no-show:`, error);
+        }
+      }
+
+      if (marked) {
+        LoggerService.info(`Marked ${marked} appointments as no-shows`);
+      }
+      return marked;
+    } catch (error) {
+      LoggerService.error('Error marking no-shows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the policy actions that apply at a no-show count
+   * @param {number} noShowCount - Patient's no-show count
+   * @returns {Array<string>} Actions (see config/noShowPolicy.js)
+   */
+  static getActions(noShowCount) {
+    return rules
+      .filter(rule => noShowCount >= rule.threshold)
+      .map(rule => rule.action);
+  }
+
+  /**
+   * Describe a patient's standing under the no-show policy
+   * @param {Object} patient - Patient instance
+   * @returns {Object} Standing
+   */
+  static getStanding(patient) {
+    const actions = this.getActions(patient.noShowCount);
+
+    return {
+      patientId: patient.id,
+      noShowCount: patient.noShowCount,
+      noShowResetAt: patient.noShowResetAt,
+      actions,
+      confirmationRequired: actions.includes('require_confirmation'),
+      depositRequired: actions.includes('require_deposit'),
+      onlineBookingBlocked: actions.includes('block_online_booking'),
+      nextRule: rules
+        .filter(rule => rule.threshold > patient.noShowCount)
+        .sort((a, b) => a.threshold - b.threshold)[0] || null
+    };
+  }
+
+  /**
+   * Apply the no-show policy to a new booking
+   * @param {Object} patient - Patient instance
+   * @param {Object} user - User making the booking
+   * @returns {Object} Appointment fields ({ confirmationRequired, depositRequired })
+   * @throws {APIError} 403 when the patient books online while blocked
+   */
+  static checkBooking(patient, user) {
+    const standing = this.getStanding(patient);
+
+    if (standing.onlineBookingBlocked && user.role === 'patient') {
+      throw new APIError(
+        403,
+        'Online booking is disabled after repeated no-shows; please contact the clinic',
+        { noShowCount: standing.noShowCount }
+      );
+    }
+
+    return {
+      confirmationRequired: standing.confirmationRequired,
+      depositRequired: standing.depositRequired
+    };
+  }
+
+  /**
+   * Get the no-shows counted in a patient's current standing
+   * @param {Object} patient - Patient instance
+   * @returns {Promise<Array>} Missed appointments, most recent first
+   */
+  static getCountedNoShows(patient) {
+    // Go by when each appointment was marked, which later edits to it do not move
+    const marked = { toStatus: 'no_show' };
+    if (patient.noShowResetAt) marked.created_at = { [Op.gt]: patient.noShowResetAt };
+
+    return Appointment.findAll({
+      where: { patientId: patient.id, status: 'no_show' },
+      attributes: ['id', 'doctorId', 'branchId', 'date', 'startTime', 'endTime', 'type'],
+      include: [
+        {
+          model: AppointmentTransition,
+          as: 'transitions',
+          where: marked,
+          attributes: []
+        }
+      ],
+      order: [['date', 'DESC'], ['startTime', 'DESC']]
+    });
+  }
+
+  /**
+   * Clear a patient's no-show count
+   * @param {Object} patient - Patient instance
+   * @param {Object} user - Admin resetting the standing
+   * @param {string} reason - Reason for the reset
+   * @returns {Promise<Object>} Updated patient
+   */
+  static async resetStanding(patient, user, reason) {
+    try {
+      const previous = patient.noShowCount;
+      await patient.update({ noShowCount: 0, noShowResetAt: new Date() });
+
+      LoggerService.info(
+        `No-show count of patient ${patient.id} reset from ${previous} by ${user.id}: ${reason}`
+      );
+      return patient;
+    } catch (error) {
+      LoggerService.error('Error resetting no-show standing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a patient by ID
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Object>} Patient
+   * @throws {APIError} 404 when not found
+   */
+  static async findPatient(patientId) {
+    const patient = await User.findOne({ where: { id: patientId, role: 'patient' } });
+    if (!patient) {
+      throw new APIError(404, 'Patient not found');
+    }
+    return patient;
+  }
+}
+
+module.exports = NoShowService;
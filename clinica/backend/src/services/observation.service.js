@@ -0,0 +1,332 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const TimezoneService = require('./timezone.service');
+const vitalSigns = require('../config/vitalSigns');
+const { APIError } = require('../middleware/error.middleware');
+const {
+  Appointment,
+  MedicalHistory,
+  Observation,
+  User
+} = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Record columns that are also kept as observations
+const RECORD_MEASUREMENTS = {
+  weight: 'weight',
+  height: 'height',
+  oxygenSaturation: 'oxygen_saturation'
+};
+
+class ObservationService {
+  /**
+   * Record a patient's vital signs, e.g. at an encounter or by a nurse
+   * @param {string} patientId - Patient ID
+   * @param {Array} entries - Observations ({ type, value, unit, referenceRange, notes })
+   * @param {Object} context - Where the observations were taken
+   * @param {Object} context.user - User recording them
+   * @param {string} [context.appointmentId] - Appointment of the patient
+   * @param {string} [context.medicalHistoryId] - Medical record of the patient
+   * @param {Date} [context.observedAt=now] - When they were measured
+   * @returns {Promise<Array>} Created observations
+   * @throws {APIError} 404 for an unknown patient or encounter, 400 for invalid values
+   */
+  static async record(patientId, entries, context) {
+    const patient = await User.findOne({ where: { id: patientId, role: 'patient' } });
+    if (!patient) {
+      throw new APIError(404, 'Patient not found');
+    }
+    if (context.appointmentId) {
+      const appointment = await Appointment.findOne({
+        where: { id: context.appointmentId, patientId }
+      });
+      if (!appointment) {
+        throw new APIError(404, 'Appointment not found');
+      }
+    }
+    if (context.medicalHistoryId) {
+      const medicalHistory = await MedicalHistory.findOne({
+        where: { id: context.medicalHistoryId, patientId }
+      });
+      if (!medicalHistory) {
+        throw new APIError(404, 'Medical history record not found');
+      }
+    }
+
+    const observedAt = context.observedAt || new Date();
+    const rows = entries.map(entry => ({
+      ...this.build(entry),
+      patientId,
+      observedAt,
+      appointmentId: context.appointmentId || null,
+      medicalHistoryId: context.medicalHistoryId || null,
+      recordedById: context.user.id
+    }));
+
+    try {
+      return await Observation.bulkCreate(rows, { validate: true });
+    } catch (error) {
+      LoggerService.error('Error recording observations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn one entry into an observation in the type's unit with its flag
+   * @param {Object} entry - Observation ({ type, value, unit, referenceRange, notes })
+   * @returns {Object} Observation values
+   * @throws {APIError} 400 for an unknown type or unit, or a value out of bounds
+   */
+  static build(entry) {
+    const definition = vitalSigns[entry.type];
+    if (!definition || definition.derived) {
+      throw new APIError(400, `Unknown observation type: ${entry.type}`);
+    }
+
+    const unit = entry.unit || definition.unit;
+    const convert = unit === definition.unit
+      ? value => value
+      : (definition.conversions || {})[unit];
+    if (!convert) {
+      throw new APIError(400, `Unit ${unit} is not valid for ${entry.type}`, {
+        units: [definition.unit, ...Object.keys(definition.conversions || {})]
+      });
+    }
+
+    const value = Math.round(convert(Number(entry.value)) * 100) / 100;
+    if (!(value >= definition.min && value <= definition.max)) {
+      throw new APIError(400, `Value out of bounds for ${entry.type}`, {
+        type: entry.type,
+        value,
+        min: definition.min,
+        max: definition.max
+      });
+    }
+
+    // A range given with the entry is in the entry's unit, like its value
+    const bound = limit => (limit === null || limit === undefined ? null : convert(limit));
+    const range = entry.referenceRange
+      ? { low: bound(entry.referenceRange.low), high: bound(entry.referenceRange.high) }
+      : definition.referenceRange;
+    return {
+      type: entry.type,
+      value,
+      unit: definition.unit,
+      referenceLow: range ? range.low : null,
+      referenceHigh: range ? range.high : null,
+      flag: this.getFlag(value, range),
+      notes: entry.notes || null
+    };
+  }
+
+  /**
+   * Compare a value with a reference range
+   * @param {number} value - Value
+   * @param {Object|null} range - Range ({ low, high }); either bound may be missing
+   * @returns {string|null} low, normal or high; null without a range
+   */
+  static getFlag(value, range) {
+    if (!range) {
+      return null;
+    }
+    if (range.low !== null && range.low !== undefined && value < range.low) {
+      return 'low';
+    }
+    if (range.high !== null && range.high !== undefined && value > range.high) {
+      return 'high';
+    }
+    return 'normal';
+  }
+
+  /**
+   * Observations for the measurements written on a medical record
+   * @param {Object} record - Medical history instance
+   * @returns {Array} Observation values taken at the record's appointment
+   */
+  static fromMedicalHistory(record) {
+    return Object.keys(RECORD_MEASUREMENTS)
+      .filter(field => record[field] !== null && record[field] !== undefined)
+      .map(field => ({
+        ...this.build({ type: RECORD_MEASUREMENTS[field], value: record[field] }),
+        patientId: record.patientId,
+        observedAt: record.created_at || new Date(),
+        appointmentId: record.appointmentId,
+        medicalHistoryId: record.id,
+        recordedById: record.doctorId
+      }));
+  }
+
+  /**
+   * Replace the observations of measurements corrected by an amendment. The
+   * superseded values stay soft-deleted, so charts show one point per measurement.
+   * @param {Object} record - Amended medical history instance
+   * @param {Array<string>} fields - Fields the amendment changed
+   * @param {Object} options - Options
+   * @param {Object} options.user - Doctor amending the record
+   * @param {Object} [options.transaction] - Transaction
+   * @returns {Promise<Array>} Created observations
+   */
+  static async replaceFromMedicalHistory(record, fields, options) {
+    const types = fields.filter(field => RECORD_MEASUREMENTS[field])
+      .map(field => RECORD_MEASUREMENTS[field]);
+    if (!types.length) {
+      return [];
+    }
+
+    const { transaction } = options;
+    await Observation.destroy({
+      where: { medicalHistoryId: record.id, type: { [Op.in]: types } },
+      transaction
+    });
+
+    // Cleared measurements are only removed
+    const observations = this.fromMedicalHistory(record)
+      .filter(observation => types.includes(observation.type))
+      .map(observation => ({ ...observation, recordedById: options.user.id }));
+    return observations.length ? Observation.bulkCreate(observations, { transaction }) : [];
+  }
+
+  /**
+   * List a patient's observations
+   * @param {string} patientId - Patient ID
+   * @param {Object} [filters] - Filters
+   * @param {Array<string>} [filters.types] - Observation types
+   * @param {string} [filters.startDate] - From this date (inclusive, clinic time)
+   * @param {string} [filters.endDate] - Until this date (inclusive, clinic time)
+   * @returns {Promise<Array>} Observations, oldest first
+   */
+  static list(patientId, filters = {}) {
+    const where = { patientId };
+    if (filters.types && filters.types.length) {
+      where.type = { [Op.in]: filters.types };
+    }
+    if (filters.startDate || filters.endDate) {
+      where.observedAt = {
+        ...(filters.startDate && {
+          [Op.gte]: TimezoneService.toInstant(filters.startDate, '00:00')
+        }),
+        ...(filters.endDate && {
+          [Op.lt]: TimezoneService.toInstant(this.dayAfter(filters.endDate), '00:00')
+        })
+      };
+    }
+
+    return Observation.findAll({
+      where,
+      include: [{
+        model: User,
+        as: 'recordedBy',
+        attributes: ['id', 'firstName', 'lastName', 'role']
+      }],
+      order: [['observedAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Build one chart series per type from a patient's observations, BMI included
+   * when weights were recorded
+   * @param {string} patientId - Patient ID
+   * @param {Object} [filters] - Filters ({ types, startDate, endDate })
+   * @returns {Promise<Array>} Series ({ type, label, unit, referenceRange, points,
+   *   latest, outOfRange }); requested types are listed even without points
+   */
+  static async getSeries(patientId, filters = {}) {
+    try {
+      const requested = filters.types && filters.types.length ? filters.types : null;
+      const wantsBmi = !requested || requested.includes('bmi');
+      const observations = await this.list(patientId, {
+        ...filters,
+        types: requested && [
+          ...requested.filter(type => type !== 'bmi'),
+          ...(wantsBmi ? ['weight'] : [])
+        ]
+      });
+
+      const points = {};
+      observations.forEach(observation => {
+        points[observation.type] = [...(points[observation.type] || []), {
+          observationId: observation.id,
+          observedAt: observation.observedAt,
+          value: observation.value,
+          flag: observation.flag
+        }];
+      });
+      if (wantsBmi && points.weight) {
+        // Heights from before the range still apply to the weights in it
+        const heights = await this.list(patientId, { types: ['height'], endDate: filters.endDate });
+        points.bmi = this.getBmiPoints(points.weight, heights);
+      }
+
+      return Object.keys(vitalSigns)
+        .filter(type => (requested ? requested.includes(type) : points[type]))
+        .map(type => this.toSeries(type, points[type] || []));
+    } catch (error) {
+      LoggerService.error('Error building vital signs series:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Body mass index at each weight, with the latest height measured before it
+   * @private
+   * @param {Array} weights - Weight points, oldest first
+   * @param {Array} heights - Height observations, oldest first
+   * @returns {Array} BMI points
+   */
+  static getBmiPoints(weights, heights) {
+    const { referenceRange } = vitalSigns.bmi;
+
+    return weights.reduce((bmi, weight) => {
+      const height = heights
+        .filter(observation => observation.observedAt <= weight.observedAt)
+        .pop();
+      if (height) {
+        const meters = height.value / 100;
+        const value = Math.round((weight.value / (meters * meters)) * 10) / 10;
+        bmi.push({
+          observationId: weight.observationId,
+          observedAt: weight.observedAt,
+          value,
+          flag: this.getFlag(value, referenceRange)
+        });
+      }
+      return bmi;
+    }, []);
+  }
+
+  /**
+   * Shape the points of one type for charting
+   * @private
+   * @param {string} type - Observation type
+   * @param {Array} points - Points, oldest first
+   * @returns {Object} Series
+   */
+  static toSeries(type, points) {
+    const { label, unit, referenceRange } = vitalSigns[type];
+
+    return {
+      type,
+      label,
+      unit,
+      referenceRange,
+      points,
+      latest: points.length ? points[points.length - 1] : null,
+      outOfRange: points.filter(point => point.flag === 'low' || point.flag === 'high').length
+    };
+  }
+
+  /**
+   * Date after a date
+   * @private
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} Next date (YYYY-MM-DD)
+   */
+  static dayAfter(date) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + DAY_MS).toISOString().split('T')[0];
+  }
+}
+
+ObservationService.TYPES = vitalSigns;
+
+module.exports = ObservationService;
@@ -0,0 +1,233 @@
+const { Op } = require('sequelize');
+const PDFDocument = require('pdfkit');
+const LoggerService = require('./logger.service');
+const EmailService = require('./email.service');
+const SMSService = require('./sms.service');
+const TimezoneService = require('./timezone.service');
+const { APIError } = require('../middleware/error.middleware');
+const {
+  Appointment,
+  Branch,
+  MedicalHistory,
+  Prescription,
+  User
+} = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRESCRIPTION_INCLUDE = [
+  {
+    model: User,
+    as: 'patient',
+    attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+  },
+  {
+    model: User,
+    as: 'doctor',
+    attributes: ['id', 'firstName', 'lastName', 'specialization', 'licenseNumber']
+  },
+  {
+    model: MedicalHistory,
+    as: 'medicalHistory',
+    attributes: ['id', 'appointmentId'],
+    include: [{
+      model: Appointment,
+      as: 'appointment',
+      attributes: ['id', 'date'],
+      include: [{
+        model: Branch,
+        as: 'branch',
+        attributes: ['id', 'name', 'address', 'phone', 'timezone']
+      }]
+    }]
+  }
+];
+
+class PrescriptionService {
+  /**
+   * Prescribe a medication in a medical record and notify the patient with the PDF
+   * @param {Object} medicalHistory - Medical history instance
+   * @param {Object} data - Prescription ({ medication, dose, frequency, durationDays, instructions, startDate })
+   * @param {Object} user - Prescribing doctor
+   * @returns {Promise<Object>} Prescription with patient, doctor and branch
+   * @throws {APIError} 403 when the doctor did not write the record, 400 without a license number
+   */
+  static async create(medicalHistory, data, user) {
+    if (medicalHistory.doctorId !== user.id) {
+      throw new APIError(403, 'Only the doctor who wrote the medical record can prescribe in it');
+    }
+    if (!user.licenseNumber) {
+      throw new APIError(400, 'A professional license number is required to prescribe');
+    }
+
+    try {
+      const startDate = data.startDate || await this.getToday(medicalHistory);
+      const created = await Prescription.create({
+        medicalHistoryId: medicalHistory.id,
+        patientId: medicalHistory.patientId,
+        doctorId: user.id,
+        medication: data.medication,
+        dose: data.dose,
+        frequency: data.frequency,
+        durationDays: data.durationDays,
+        instructions: data.instructions,
+        startDate,
+        endDate: this.getEndDate(startDate, data.durationDays)
+      });
+
+      const prescription = await this.findById(created.id);
+      await this.notify(prescription);
+      return prescription;
+    } catch (error) {
+      LoggerService.error('Error creating prescription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a prescription with what its PDF prints
+   * @param {string} id - Prescription ID
+   * @returns {Promise<Object>} Prescription with patient, doctor and branch
+   * @throws {APIError} 404 when it does not exist
+   */
+  static async findById(id) {
+    const prescription = await Prescription.findByPk(id, { include: PRESCRIPTION_INCLUDE });
+    if (!prescription) {
+      throw new APIError(404, 'Prescription not found');
+    }
+    return prescription;
+  }
+
+  /**
+   * List a patient's prescriptions whose treatment has not ended
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Array>} Prescriptions, most recent first
+   */
+  static getActive(patientId) {
+    return Prescription.findAll({
+      where: {
+        patientId,
+        endDate: { [Op.gte]: TimezoneService.earliestToday() }
+      },
+      include: PRESCRIPTION_INCLUDE.filter(include => include.as === 'doctor'),
+      order: [['startDate', 'DESC'], ['medication', 'ASC']]
+    });
+  }
+
+  /**
+   * List the prescriptions of a medical record
+   * @param {string} medicalHistoryId - Medical history ID
+   * @returns {Promise<Array>} Prescriptions
+   */
+  static getByMedicalHistory(medicalHistoryId) {
+    return Prescription.findAll({
+      where: { medicalHistoryId },
+      order: [['startDate', 'ASC'], ['medication', 'ASC']]
+    });
+  }
+
+  /**
+   * Render the printable prescription
+   * @param {Object} prescription - Prescription with patient, doctor and branch
+   * @returns {Promise<Buffer>} PDF
+   */
+  static renderPdf(prescription) {
+    return new Promise((resolve, reject) => {
+      try {
+        const { patient, doctor } = prescription;
+        const { branch } = prescription.medicalHistory.appointment;
+        const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Header: prescribing doctor and branch
+        doc.fontSize(16).text(`Dr. ${doctor.firstName} ${doctor.lastName}`, { align: 'center' });
+        doc.fontSize(11)
+          .text(doctor.specialization || '', { align: 'center' })
+          .text(`Cédula profesional: ${doctor.licenseNumber}`, { align: 'center' })
+          .text(`${branch.name} - ${branch.address}`, { align: 'center' });
+        if (branch.phone) {
+          doc.text(`Tel. ${branch.phone}`, { align: 'center' });
+        }
+        doc.moveDown();
+
+        doc.fontSize(18).text('Receta Médica', { align: 'center' });
+        doc.moveDown();
+
+        doc.fontSize(12)
+          .text(`Paciente: ${patient.firstName} ${patient.lastName}`)
+          .text(`Fecha: ${prescription.startDate}`)
+          .moveDown();
+
+        doc.fontSize(14).text(prescription.medication);
+        doc.fontSize(12)
+          .text(`Dosis: ${prescription.dose}`)
+          .text(`Frecuencia: ${prescription.frequency}`)
+          .text(`Duración: ${prescription.durationDays} días (hasta el ${prescription.endDate})`);
+        if (prescription.instructions) {
+          doc.text(`Indicaciones: ${prescription.instructions}`);
+        }
+
+        // Signature line
+        doc.moveDown(4)
+          .text('______________________________', { align: 'center' })
+          .text(`Dr. ${doctor.firstName} ${doctor.lastName}`, { align: 'center' })
+          .text(`Cédula profesional: ${doctor.licenseNumber}`, { align: 'center' });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Send the patient the prescription by email (PDF attached) and SMS. A failed
+   * notification is logged and does not undo the prescription.
+   * @private
+   * @param {Object} prescription - Prescription with patient, doctor and branch
+   * @returns {Promise<void>}
+   */
+  static async notify(prescription) {
+    try {
+      await Promise.all([
+        EmailService.sendPrescriptionNotification(prescription, await this.renderPdf(prescription)),
+        SMSService.sendPrescriptionNotification(prescription)
+      ]);
+    } catch (error) {
+      LoggerService.error(`Error sending notification for prescription ${prescription.id}:`, error);
+    }
+  }
+
+  /**
+   * Today's date where the record's visit took place
+   * @private
+   * @param {Object} medicalHistory - Medical history instance
+   * @returns {Promise<string>} Date (YYYY-MM-DD)
+   */
+  static async getToday(medicalHistory) {
+    const appointment = await Appointment.findByPk(medicalHistory.appointmentId, {
+      include: [{ model: Branch, as: 'branch', attributes: ['id', 'timezone'] }]
+    });
+    return TimezoneService.today(appointment && appointment.branch
+      ? appointment.branch.timezone
+      : undefined);
+  }
+
+  /**
+   * Last day of a treatment
+   * @private
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {number} durationDays - Days of treatment
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  static getEndDate(startDate, durationDays) {
+    const start = new Date(`${startDate}T00:00:00Z`).getTime();
+    return new Date(start + (durationDays - 1) * DAY_MS).toISOString().split('T')[0];
+  }
+}
+
+module.exports = PrescriptionService;
@@ -1,8 +1,12 @@
 const Queue = require('bull');
-const { LoggerService } = require('./logger.service');
+const LoggerService = require('./logger.service');
 const EmailService = require('./email.service');
 const SMSService = require('./sms.service');
 const NotificationService = require('./notification.service');
+const WaitlistService = require('./waitlist.service');
+const NoShowService = require('./no-show.service');
+const ReminderService = require('./reminder.service');
+const MedicalRecordService = require('./medical-record.service');
 
 class QueueService {
   static queues = {
@@ -10,7 +14,10 @@ class QueueService {
     sms: new Queue('sms', process.env.REDIS_URL),
     notification: new Queue('notification', process.env.REDIS_URL),
     analysis: new Queue('analysis', process.env.REDIS_URL),
-    report: new Queue('report', process.env.REDIS_URL)
+    report: new Queue('report', process.env.REDIS_URL),
+    waitlist: new Queue('waitlist', process.env.REDIS_URL),
+    appointments: new Queue('appointments', process.env.REDIS_URL),
+    medicalRecords: new Queue('medical-records', process.env.REDIS_URL)
   };
 
   /**
@@ -18,6 +25,9 @@ class QueueService {
    */
   static init() {
     try {
+      // Reminders are queued on the email and SMS queues below
+      ReminderService.setQueueService(this);
+
       // Email queue processor
       this.queues.email.process(async (job) => {
         const { type, data } = job.data;
@@ -31,7 +41,7 @@ class QueueService {
             await EmailService.sendAppointmentConfirmation(data.appointment);
             break;
           case 'appointment_reminder':
-            await EmailService.sendAppointmentReminder(data.appointment);
+            await ReminderService.deliver(data.reminderId, data.scheduledFor);
             break;
           case 'medical_record':
             await EmailService.sendMedicalRecordUpdate(data.medicalHistory);
@@ -51,7 +61,7 @@ class QueueService {
             await SMSService.sendAppointmentConfirmation(data.appointment);
             break;
           case 'appointment_reminder':
-            await SMSService.sendAppointmentReminder(data.appointment);
+            await ReminderService.deliver(data.reminderId, data.scheduledFor);
             break;
           case 'verification_code':
             await SMSService.sendVerificationCode(data.phone, data.code);
@@ -115,6 +125,72 @@ class QueueService {
         }
       });
 
+      // Waitlist queue processor
+      this.queues.waitlist.process(async (job) => {
+        const { type } = job.data;
+        LoggerService.info(`Processing waitlist job: ${type}`);
+
+        switch (type) {
+          case 'expire_offers':
+            await WaitlistService.expireStaleOffers();
+            break;
+          default:
+            throw new Error(`Unknown waitlist type: ${type}`);
+        }
+      });
+
+      // Release lapsed slot holds every minute
+      this.queues.waitlist.add(
+        { type: 'expire_offers' },
+        { repeat: { every: 60 * 1000 }, jobId: 'expire_offers', removeOnComplete: true }
+      ).catch(error => {
+        LoggerService.error('Error scheduling expire_offers job:', error);
+      });
+
+      // Appointments queue processor
+      this.queues.appointments.process(async (job) => {
+        const { type } = job.data;
+        LoggerService.info(`Processing appointments job: ${type}`);
+
+        switch (type) {
+          case 'mark_no_shows':
+            await NoShowService.markNoShows();
+            break;
+          default:
+            throw new Error(`Unknown appointments type: ${type}`);
+        }
+      });
+
+      // Mark unattended appointments as no-shows every five minutes
+      this.queues.appointments.add(
+        { type: 'mark_no_shows' },
+        { repeat: { every: 5 * 60 * 1000 }, jobId: 'mark_no_shows', removeOnComplete: true }
+      ).catch(error => {
+        LoggerService.error('Error scheduling mark_no_shows job:', error);
+      });
+
+      // Medical records queue processor
+      this.queues.medicalRecords.process(async (job) => {
+        const { type } = job.data;
+        LoggerService.info(`Processing medical records job: ${type}`);
+
+        switch (type) {
+          case 'lock_records':
+            await MedicalRecordService.lockExpired();
+            break;
+          default:
+            throw new Error(`Unknown medical records type: ${type}`);
+        }
+      });
+
+      // Sign records whose amendment period is over every hour
+      this.queues.medicalRecords.add(
+        { type: 'lock_records' },
+        { repeat: { every: 60 * 60 * 1000 }, jobId: 'lock_records', removeOnComplete: true }
+      ).catch(error => {
+        LoggerService.error('Error scheduling lock_records job:', error);
+      });
+
       // Set up error handlers
       Object.values(this.queues).forEach(queue => {
         queue.on('error', error => {
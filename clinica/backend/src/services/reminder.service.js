@@ -0,0 +1,241 @@
+const LoggerService = require('./logger.service');
+const EmailService = require('./email.service');
+const SMSService = require('./sms.service');
+const { offsetMinutes, channels } = require('../config/reminders');
+const { Appointment, AppointmentReminder, Branch, User } = require('../models');
+
+// Statuses of appointments that still get reminders
+const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+const SENDERS = {
+  email: EmailService,
+  sms: SMSService
+};
+
+// Queue service for reminder jobs, set by QueueService when it starts
+let queueService = null;
+
+class ReminderService {
+  /**
+   * Use a queue service for reminder jobs. QueueService loads this service for its
+   * processors, so it hands itself over instead of being required here.
+   * @param {Object} service - QueueService
+   * @returns {void}
+   */
+  static setQueueService(service) {
+    queueService = service;
+  }
+
+  /**
+   * Get when each of an appointment's reminders goes out
+   * @param {Object} appointment - Appointment with its branch (for the timezone)
+   * @returns {Array<Object>} Reminders ({ channel, offsetMinutes, scheduledFor })
+   */
+  static getSchedule(appointment) {
+    const start = appointment.getStartInstant().getTime();
+
+    return offsetMinutes.flatMap(offset => channels.map(channel => ({
+      channel,
+      offsetMinutes: offset,
+      scheduledFor: new Date(start - offset * 60 * 1000)
+    })));
+  }
+
+  /**
+   * Bring an appointment's reminders in line with its time and status: new and
+   * moved reminders are queued, and those of cancelled or finished appointments
+   * are withdrawn
+   * @param {string} appointmentId - Appointment ID
+   * @returns {Promise<Array>} Reminders
+   */
+  static async sync(appointmentId) {
+    try {
+      const appointment = await Appointment.findByPk(appointmentId, {
+        include: [{ model: Branch, as: 'branch', attributes: ['id', 'timezone'] }]
+      });
+      const reminders = await AppointmentReminder.findAll({ where: { appointmentId } });
+      const current = [];
+
+      if (appointment && ACTIVE_STATUSES.includes(appointment.status)) {
+        const now = new Date();
+        for (const planned of this.getSchedule(appointment)) {
+          let reminder = reminders.find(existing => existing.channel === planned.channel &&
+            existing.offsetMinutes === planned.offsetMinutes);
+
+          // Unchanged reminders stay queued (or sent)
+          if (!reminder || reminder.scheduledFor.getTime() !== planned.scheduledFor.getTime()) {
+            if (reminder && reminder.status === 'pending') {
+              await this.dequeue(reminder);
+            }
+
+            const status = planned.scheduledFor > now ? 'pending' : 'skipped';
+            if (reminder) {
+              await reminder.update({ scheduledFor: planned.scheduledFor, status, sentAt: null });
+            } else {
+              reminder = await AppointmentReminder.create({ appointmentId, ...planned, status });
+            }
+            if (status === 'pending') {
+              await this.enqueue(reminder);
+            }
+          }
+          current.push(reminder);
+        }
+      }
+
+      // Reminders of inactive appointments, or of offsets no longer configured
+      for (const reminder of reminders) {
+        if (reminder.status === 'pending' && !current.includes(reminder)) {
+          await this.dequeue(reminder);
+          await reminder.update({ status: 'cancelled' });
+        }
+      }
+
+      return current;
+    } catch (error) {
+      LoggerService.error(`Error scheduling reminders for appointment ${appointmentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a reminder once; jobs for reminders that were already sent, moved or
+   * withdrawn do nothing
+   * @param {string} reminderId - Reminder ID
+   * @param {number} scheduledFor - Send time the job was queued for (ms since epoch)
+   * @returns {Promise<boolean>} True when the reminder was sent
+   */
+  static async deliver(reminderId, scheduledFor) {
+    // Claim the reminder so concurrent or repeated deliveries cannot both send it
+    const [claimed] = await AppointmentReminder.update(
+      { status: 'sent', sentAt: new Date() },
+      { where: { id: reminderId, status: 'pending', scheduledFor: new Date(scheduledFor) } }
+    );
+    if (!claimed) {
+      return false;
+    }
+
+    const reminder = await AppointmentReminder.findByPk(reminderId, {
+      include: [
+        {
+          model: Appointment,
+          as: 'appointment',
+          include: [
+            {
+              model: User,
+              as: 'patient',
+              attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+            },
+            { model: User, as: 'doctor', attributes: ['id', 'firstName', 'lastName'] },
+            { model: Branch, as: 'branch', attributes: ['id', 'name', 'address', 'timezone'] }
+          ]
+        }
+      ]
+    });
+    const { appointment } = reminder;
+
+    // Came out of a restart after the appointment had started or stopped being active
+    const started = appointment.getStartInstant() <= new Date();
+    if (!ACTIVE_STATUSES.includes(appointment.status) || started) {
+      await reminder.update({ status: 'skipped', sentAt: null });
+      return false;
+    }
+
+    try {
+      await SENDERS[reminder.channel].sendAppointmentReminder(appointment);
+    } catch (error) {
+      // Release the claim so the queue's next attempt can send it
+      await reminder.update({ status: 'pending', sentAt: null });
+      throw error;
+    }
+
+    // Bookkeeping rather than an edit: a bulk update leaves the version alone, so
+    // staff holding the appointment's ETag can still save their changes
+    await Appointment.update({ reminderSent: true }, { where: { id: appointment.id } });
+    LoggerService.info(
+      `Sent ${reminder.channel} reminder for appointment ${appointment.id} ` +
+      `(${reminder.offsetMinutes} minutes before)`
+    );
+    return true;
+  }
+
+  /**
+   * Queue every pending reminder again, e.g. after Redis lost its jobs; reminders
+   * still queued keep their job
+   * @returns {Promise<number>} Number of pending reminders
+   */
+  static async restorePending() {
+    try {
+      const reminders = await AppointmentReminder.findAll({ where: { status: 'pending' } });
+      for (const reminder of reminders) {
+        await this.enqueue(reminder);
+      }
+
+      LoggerService.info(`Restored ${reminders.length} pending appointment reminders`);
+      return reminders.length;
+    } catch (error) {
+      LoggerService.error('Error restoring appointment reminders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a delayed job for a reminder on its channel's queue
+   * @private
+   * @param {Object} reminder - Reminder instance
+   * @returns {Promise<Object>} Job
+   */
+  static enqueue(reminder) {
+    return this.getQueueService().addJob(
+      reminder.channel,
+      'appointment_reminder',
+      { reminderId: reminder.id, scheduledFor: reminder.scheduledFor.getTime() },
+      {
+        // The same reminder and time always get the same job, so queueing twice is harmless
+        jobId: this.getJobId(reminder),
+        delay: Math.max(0, reminder.scheduledFor.getTime() - Date.now())
+      }
+    );
+  }
+
+  /**
+   * Remove a reminder's queued job
+   * @private
+   * @param {Object} reminder - Reminder instance (with the send time it was queued for)
+   * @returns {Promise<void>}
+   */
+  static async dequeue(reminder) {
+    const queue = this.getQueueService().queues[reminder.channel];
+    const job = await queue.getJob(this.getJobId(reminder));
+    if (job) {
+      // A job that cannot be removed finds the reminder changed and does nothing
+      await job.remove().catch(error => {
+        LoggerService.error(`Error removing reminder job ${job.id}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Job ID of a reminder at its current send time
+   * @private
+   * @param {Object} reminder - Reminder instance
+   * @returns {string} Job ID
+   */
+  static getJobId(reminder) {
+    return `reminder:${reminder.id}:${reminder.scheduledFor.getTime()}`;
+  }
+
+  /**
+   * Queue service set by setQueueService
+   * @private
+   * @returns {Object} QueueService
+   * @throws {Error} When the queues have not been started
+   */
+  static getQueueService() {
+    if (!queueService) {
+      throw new Error('Reminder queue is not initialized');
+    }
+    return queueService;
+  }
+}
+
+module.exports = ReminderService;
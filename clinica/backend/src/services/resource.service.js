@@ -0,0 +1,215 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const UtilService = require('./util.service');
+const { requirements } = require('../config/resources');
+const { Resource, ResourceBooking, Service } = require('../models');
+
+class ResourceService {
+  /**
+   * Get the resource kinds an appointment needs
+   * @param {string} type - Appointment type (used when there is no catalog service)
+   * @param {Object} [service] - Catalog service
+   * @returns {Array<string>} Resource kinds (one entry per resource)
+   */
+  static getRequirements(type, service = null) {
+    if (service) {
+      return service.requiredResources || [];
+    }
+    return requirements[type] || [];
+  }
+
+  /**
+   * Get the minute range resources are held for, including the preparation and
+   * cleanup buffers
+   * @param {string} startTime - Start time (HH:mm)
+   * @param {string} endTime - End time (HH:mm)
+   * @param {Object} [service] - Catalog service
+   * @returns {Object} Range ({ start, end }) in minutes
+   */
+  static getHeldRange(startTime, endTime, service = null) {
+    const before = service ? service.bufferBefore || 0 : 0;
+    const after = service ? service.bufferAfter || 0 : 0;
+
+    return {
+      start: Math.max(UtilService.timeToMinutes(startTime) - before, 0),
+      end: Math.min(UtilService.timeToMinutes(endTime) + after, 24 * 60 - 1)
+    };
+  }
+
+  /**
+   * Load a branch's bookable resources with their bookings on a date
+   * @param {string} branchId - Branch ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.kinds] - Only load these kinds
+   * @param {Array<string>} [options.excludeAppointmentIds] - Ignore these appointments' bookings
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Array>} Resources ({ id, kind, name, busy }) with busy intervals in minutes
+   */
+  static async getResourceState(branchId, date, options = {}) {
+    const where = { branchId, status: 'active' };
+    if (options.kinds) where.kind = { [Op.in]: options.kinds };
+
+    const resources = await Resource.findAll({
+      where,
+      attributes: ['id', 'kind', 'name'],
+      order: [['name', 'ASC']],
+      transaction: options.transaction
+    });
+    if (!resources.length) {
+      return [];
+    }
+
+    const bookingWhere = {
+      resourceId: { [Op.in]: resources.map(resource => resource.id) },
+      date
+    };
+    if (options.excludeAppointmentIds && options.excludeAppointmentIds.length) {
+      // Group session bookings have no appointment and always count
+      bookingWhere[Op.or] = [
+        { appointmentId: null },
+        { appointmentId: { [Op.notIn]: options.excludeAppointmentIds } }
+      ];
+    }
+
+    const bookings = await ResourceBooking.findAll({
+      where: bookingWhere,
+      attributes: ['resourceId', 'startTime', 'endTime'],
+      transaction: options.transaction
+    });
+
+    return resources.map(resource => ({
+      id: resource.id,
+      kind: resource.kind,
+      name: resource.name,
+      busy: bookings
+        .filter(booking => booking.resourceId === resource.id)
+        .map(booking => ({
+          start: UtilService.timeToMinutes(booking.startTime),
+          end: UtilService.timeToMinutes(booking.endTime)
+        }))
+    }));
+  }
+
+  /**
+   * Pick one free resource for each required kind
+   * @param {Array<string>} kinds - Required kinds
+   * @param {Array<Object>} resources - Resource state (from getResourceState)
+   * @param {number} start - Start in minutes
+   * @param {number} end - End in minutes
+   * @returns {Object} { resourceIds } when every kind is covered, otherwise { missing }
+   */
+  static allocate(kinds, resources, start, end) {
+    const taken = new Set();
+    const resourceIds = [];
+
+    for (const kind of kinds) {
+      const free = resources.find(resource =>
+        resource.kind === kind &&
+        !taken.has(resource.id) &&
+        resource.busy.every(busy => busy.end <= start || busy.start >= end));
+
+      if (!free) {
+        return { missing: kind };
+      }
+      taken.add(free.id);
+      resourceIds.push(free.id);
+    }
+
+    return { resourceIds };
+  }
+
+  /**
+   * Reserve the resources an appointment needs
+   * @param {Object} appointment - Appointment instance
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} { bookings } or { missing } with the kind that is not free
+   */
+  static reserve(appointment, transaction) {
+    // Seats of a group session share the resources held by the session
+    if (appointment.groupSessionId) {
+      return Promise.resolve({ bookings: [] });
+    }
+
+    return this.hold(appointment, { appointmentId: appointment.id }, transaction);
+  }
+
+  /**
+   * Reserve the resources a group session needs, once for all its seats
+   * @param {Object} session - Group session instance
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} { bookings } or { missing } with the kind that is not free
+   */
+  static reserveForGroup(session, transaction) {
+    return this.hold(session, { groupSessionId: session.id }, transaction);
+  }
+
+  /**
+   * Book one free resource of each kind a booking's service or type needs
+   * @private
+   * @param {Object} booking - Appointment or group session
+   * @param {Object} owner - Owner fields ({ appointmentId } or { groupSessionId })
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} { bookings } or { missing } with the kind that is not free
+   */
+  static async hold(booking, owner, transaction) {
+    try {
+      const service = booking.serviceId
+        ? await Service.findByPk(booking.serviceId, { transaction })
+        : null;
+      const kinds = this.getRequirements(booking.type, service);
+      if (!kinds.length) {
+        return { bookings: [] };
+      }
+
+      const resources = await this.getResourceState(booking.branchId, booking.date, {
+        kinds,
+        excludeAppointmentIds: owner.appointmentId ? [owner.appointmentId] : [],
+        transaction
+      });
+      const held = this.getHeldRange(booking.startTime, booking.endTime, service);
+      const allocation = this.allocate(kinds, resources, held.start, held.end);
+      if (allocation.missing) {
+        return allocation;
+      }
+
+      const bookings = await ResourceBooking.bulkCreate(
+        allocation.resourceIds.map(resourceId => ({
+          resourceId,
+          ...owner,
+          date: booking.date,
+          startTime: UtilService.minutesToTime(held.start),
+          endTime: UtilService.minutesToTime(held.end)
+        })),
+        { transaction }
+      );
+
+      return { bookings };
+    } catch (error) {
+      LoggerService.error('Error reserving resources:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release the resources held by an appointment
+   * @param {string} appointmentId - Appointment ID
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<number>} Number of released bookings
+   */
+  static release(appointmentId, transaction = null) {
+    return ResourceBooking.destroy({ where: { appointmentId }, transaction });
+  }
+
+  /**
+   * Release the resources held by a group session
+   * @param {string} groupSessionId - Group session ID
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<number>} Number of released bookings
+   */
+  static releaseGroup(groupSessionId, transaction = null) {
+    return ResourceBooking.destroy({ where: { groupSessionId }, transaction });
+  }
+}
+
+module.exports = ResourceService;
@@ -2,14 +2,12 @@ const { Op } = require('sequelize');
 const { LoggerService } = require('./logger.service');
 const { Appointment, User, Branch } = require('../models');
 const { CacheService } = require('./cache.service');
+const AppointmentLifecycleService = require('./appointment-lifecycle.service');
+const AvailabilityService = require('./availability.service');
+const SessionCapService = require('./session-cap.service');
+const UtilService = require('./util.service');
 
 class ScheduleService {
-  static BUSINESS_HOURS = {
-    start: '09:00',
-    end: '17:00'
-  };
-
-  static APPOINTMENT_DURATION = 60; // minutes
   static CACHE_PREFIX = 'schedule:';
   static CACHE_TTL = 300; // 5 minutes
 
@@ -17,32 +15,17 @@ class ScheduleService {
    * Get doctor availability
    * @param {string} doctorId - Doctor ID
    * @param {string} date - Date to check
+   * @param {string} [branchId] - Restrict to a single branch
    * @returns {Promise<Array>} Available time slots
    */
-  static async getDoctorAvailability(doctorId, date) {
+  static async getDoctorAvailability(doctorId, date, branchId = null) {
     try {
-      const cacheKey = `${this.CACHE_PREFIX}availability:${doctorId}:${date}`;
+      const cacheKey = `${this.CACHE_PREFIX}availability:${doctorId}:${date}:${branchId || 'all'}`;
       const cached = CacheService.get(cacheKey);
       if (cached) return cached;
 
-      // Get doctor's appointments for the date
-      const appointments = await Appointment.findAll({
-        where: {
-          doctorId,
-          date,
-          status: {
-            [Op.notIn]: ['cancelled', 'rejected']
-          }
-        },
-        order: [['startTime', 'ASC']]
-      });
-
-      // Generate all possible time slots
-      const timeSlots = this.generateTimeSlots();
-
-      // Filter out booked slots
-      const availableSlots = timeSlots.filter(slot => {
-        return !appointments.some(app => app.startTime === slot);
+      const availableSlots = await AvailabilityService.getAvailableSlots(doctorId, date, {
+        branchId
       });
 
       CacheService.set(cacheKey, availableSlots, this.CACHE_TTL);
@@ -81,7 +64,7 @@ class ScheduleService {
             name: `${doctor.firstName} ${doctor.lastName}`,
             specialization: doctor.specialization
           },
-          availableSlots: await this.getDoctorAvailability(doctor.id, date)
+          availableSlots: await this.getDoctorAvailability(doctor.id, date, branchId)
         }))
       );
 
@@ -96,24 +79,28 @@ class ScheduleService {
   /**
    * Schedule appointment
    * @param {Object} data - Appointment data
+   * @param {Object} [user] - User booking it (system when omitted)
    * @returns {Promise<Object>} Created appointment
    */
-  static async scheduleAppointment(data) {
+  static async scheduleAppointment(data, user = null) {
     try {
-      const { doctorId, date, startTime } = data;
+      const { doctorId, branchId, date, startTime } = data;
+      const endTime = data.endTime || await this.calculateEndTime(doctorId, branchId, date, startTime);
 
       // Validate availability
-      const isAvailable = await this.checkAvailability(doctorId, date, startTime);
+      const isAvailable = await this.checkAvailability(doctorId, branchId, date, startTime, endTime);
       if (!isAvailable) {
         throw new Error('Selected time slot is not available');
       }
+      await SessionCapService.assert(data);
 
       // Create appointment
       const appointment = await Appointment.create({
         ...data,
-        endTime: this.calculateEndTime(startTime),
+        endTime,
         status: 'scheduled'
       });
+      await AppointmentLifecycleService.recordBooking(appointment, { user });
 
       // Clear availability cache
       this.clearAvailabilityCache(doctorId, date);
@@ -129,33 +116,45 @@ class ScheduleService {
    * Reschedule appointment
    * @param {string} appointmentId - Appointment ID
    * @param {Object} data - New appointment data
+   * @param {Object} [user] - User making the change (system when omitted)
    * @returns {Promise<Object>} Updated appointment
    */
-  static async rescheduleAppointment(appointmentId, data) {
+  static async rescheduleAppointment(appointmentId, data, user = null) {
     try {
       const appointment = await Appointment.findByPk(appointmentId);
       if (!appointment) {
         throw new Error('Appointment not found');
       }
 
-      const { doctorId, date, startTime } = data;
+      const {
+        doctorId = appointment.doctorId,
+        branchId = appointment.branchId,
+        date,
+        startTime
+      } = data;
+      const endTime = data.endTime || await this.calculateEndTime(doctorId, branchId, date, startTime);
 
       // Validate availability (excluding current appointment)
       const isAvailable = await this.checkAvailability(
         doctorId,
+        branchId,
         date,
         startTime,
+        endTime,
         appointmentId
       );
       if (!isAvailable) {
         throw new Error('Selected time slot is not available');
       }
+      await SessionCapService.assert(
+        { doctorId, serviceId: appointment.serviceId, date },
+        { excludeIds: [appointmentId] }
+      );
 
       // Update appointment
-      const updated = await appointment.update({
-        ...data,
-        endTime: this.calculateEndTime(startTime),
-        status: 'rescheduled'
+      const updated = await AppointmentLifecycleService.transition(appointment, 'rescheduled', {
+        user,
+        changes: { ...data, endTime }
       });
 
       // Clear availability cache
@@ -175,9 +174,10 @@ class ScheduleService {
    * Cancel appointment
    * @param {string} appointmentId - Appointment ID
    * @param {string} reason - Cancellation reason
+   * @param {Object} [user] - User making the change (system when omitted)
    * @returns {Promise<Object>} Cancelled appointment
    */
-  static async cancelAppointment(appointmentId, reason) {
+  static async cancelAppointment(appointmentId, reason, user = null) {
     try {
       const appointment = await Appointment.findByPk(appointmentId);
       if (!appointment) {
@@ -185,9 +185,10 @@ class ScheduleService {
       }
 
       // Update appointment
-      const cancelled = await appointment.update({
-        status: 'cancelled',
-        cancellationReason: reason
+      const cancelled = await AppointmentLifecycleService.transition(appointment, 'cancelled', {
+        user,
+        reason,
+        changes: { cancellationReason: reason }
       });
 
       // Clear availability cache
@@ -275,77 +276,69 @@ class ScheduleService {
   }
 
   /**
-   * Generate time slots
-   * @private
-   * @returns {Array} Time slots
-   */
-  static generateTimeSlots() {
-    const slots = [];
-    const [startHour] = this.BUSINESS_HOURS.start.split(':').map(Number);
-    const [endHour] = this.BUSINESS_HOURS.end.split(':').map(Number);
-
-    for (let hour = startHour; hour < endHour; hour++) {
-      for (let minute = 0; minute < 60; minute += this.APPOINTMENT_DURATION) {
-        slots.push(
-          `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
-        );
-      }
-    }
-
-    return slots;
-  }
-
-  /**
-   * Calculate end time
+   * Calculate end time from the doctor's slot duration at the branch
    * @private
+   * @param {string} doctorId - Doctor ID
+   * @param {string} branchId - Branch ID
+   * @param {string} date - Date
    * @param {string} startTime - Start time
-   * @returns {string} End time
+   * @returns {Promise<string>} End time
    */
-  static calculateEndTime(startTime) {
-    const [hours, minutes] = startTime.split(':').map(Number);
-    const totalMinutes = hours * 60 + minutes + this.APPOINTMENT_DURATION;
-    const endHours = Math.floor(totalMinutes / 60);
-    const endMinutes = totalMinutes % 60;
+  static async calculateEndTime(doctorId, branchId, date, startTime) {
+    const [template] = await AvailabilityService.getEffectiveTemplates(doctorId, date, branchId);
+    if (!template) {
+      throw new Error('Doctor has no availability at this branch on the selected date');
+    }
 
-    return `${String(endHours).padStart(2, '0')}:${String(endMinutes).padStart(2, '0')}`;
+    return UtilService.minutesToTime(
+      UtilService.timeToMinutes(startTime) + template.slotDuration
+    );
   }
 
   /**
    * Check availability
    * @private
    * @param {string} doctorId - Doctor ID
+   * @param {string} branchId - Branch ID
    * @param {string} date - Date
    * @param {string} startTime - Start time
+   * @param {string} endTime - End time
    * @param {string} [excludeAppointmentId] - Appointment ID to exclude
    * @returns {Promise<boolean>} Whether time slot is available
    */
-  static async checkAvailability(doctorId, date, startTime, excludeAppointmentId = null) {
-    const endTime = this.calculateEndTime(startTime);
-
-    const conflictingAppointment = await Appointment.findOne({
-      where: {
-        doctorId,
-        date,
-        status: {
-          [Op.notIn]: ['cancelled', 'rejected']
-        },
-        id: {
-          [Op.ne]: excludeAppointmentId
-        },
-        [Op.or]: [
-          {
-            startTime: {
-              [Op.between]: [startTime, endTime]
-            }
-          },
-          {
-            endTime: {
-              [Op.between]: [startTime, endTime]
-            }
-          }
-        ]
+  static async checkAvailability(
+    doctorId,
+    branchId,
+    date,
+    startTime,
+    endTime,
+    excludeAppointmentId = null
+  ) {
+    const withinWorkingHours = await AvailabilityService.isWithinWorkingHours(
+      doctorId,
+      branchId,
+      date,
+      startTime,
+      endTime
+    );
+    if (!withinWorkingHours) return false;
+
+    const where = {
+      doctorId,
+      date,
+      status: {
+        [Op.notIn]: ['cancelled']
+      },
+      startTime: {
+        [Op.lt]: endTime
+      },
+      endTime: {
+        [Op.gt]: startTime
       }
-    });
+    };
+    if (excludeAppointmentId) where.id = { [Op.ne]: excludeAppointmentId };
+
+    const conflictingAppointment = await Appointment.findOne({ where });
 
     return !conflictingAppointment;
   }
@@ -357,8 +350,7 @@ class ScheduleService {
    * @param {string} date - Date
    */
   static clearAvailabilityCache(doctorId, date) {
-    const cacheKey = `${this.CACHE_PREFIX}availability:${doctorId}:${date}`;
-    CacheService.delete(cacheKey);
+    CacheService.clearNamespace(`${this.CACHE_PREFIX}availability:${doctorId}:${date}`);
   }
 }
 
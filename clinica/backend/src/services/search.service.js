@@ -1,7 +1,8 @@
 const { Op } = require('sequelize');
-const { LoggerService } = require('./logger.service');
+const LoggerService = require('./logger.service');
+const Icd10Service = require('./icd10.service');
 const { User, Appointment, MedicalHistory, Branch } = require('../models');
-const { CacheService } = require('./cache.service');
+const CacheService = require('./cache.service');
 
 class SearchService {
   static CACHE_PREFIX = 'search:';
@@ -159,22 +160,39 @@ class SearchService {
 
   /**
    * Search medical histories
-   * @param {string} query - Search query
+   * @param {string} query - Search query; an ICD-10 code also matches coded diagnoses
    * @param {Object} options - Search options
+   * @param {string} [options.code] - Only records coded with this ICD-10 code
+   * @param {string} [options.chapter] - Only records with a code in this chapter
    * @returns {Promise<Object>} Search results
    */
   static async searchMedicalHistories(query, options = {}) {
     try {
-      const { page = 1, limit = 10, ...searchOptions } = options;
+      const {
+        page = 1,
+        limit = 10,
+        code,
+        chapter,
+        ...searchOptions
+      } = options;
       const offset = (page - 1) * limit;
 
-      const where = {
-        [Op.or]: [
+      const where = {};
+      if (query) {
+        const queryCode = Icd10Service.normalizeCode(query);
+        where[Op.or] = [
           { diagnosis: { [Op.iLike]: `%${query}%` } },
           { treatment: { [Op.iLike]: `%${query}%` } },
-          { symptoms: { [Op.contains]: [query] } }
-        ]
-      };
+          { symptoms: { [Op.iLike]: `%${query}%` } },
+          ...(queryCode ? [{ diagnosisCodes: { [Op.contains]: [{ code: queryCode }] } }] : [])
+        ];
+      }
+      const coded = [];
+      if (code) coded.push({ code: Icd10Service.normalizeCode(code) });
+      if (chapter) coded.push({ chapter });
+      if (coded.length) {
+        where[Op.and] = coded.map(entry => ({ diagnosisCodes: { [Op.contains]: [entry] } }));
+      }
 
       const { rows, count } = await MedicalHistory.findAndCountAll({
         where,
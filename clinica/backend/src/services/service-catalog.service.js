@@ -0,0 +1,97 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const UtilService = require('./util.service');
+const { APIError } = require('../middleware/error.middleware');
+const { Service, Branch, User, AvailabilityTemplate } = require('../models');
+
+class ServiceCatalogService {
+  /**
+   * Load an active service and check it can be booked with a doctor at a branch
+   * @param {string} serviceId - Service ID
+   * @param {Object} [doctor] - Doctor instance
+   * @param {string} [branchId] - Branch ID
+   * @returns {Promise<Object>} Service with its branches
+   * @throws {APIError} 404 when missing, 409 when the doctor or branch does not qualify
+   */
+  static async resolve(serviceId, doctor = null, branchId = null) {
+    const service = await Service.findOne({
+      where: { id: serviceId, status: 'active' },
+      include: [
+        {
+          model: Branch,
+          as: 'branches',
+          attributes: ['id', 'name'],
+          through: { attributes: [] }
+        }
+      ]
+    });
+
+    if (!service) {
+      throw new APIError(404, 'Service not found or inactive');
+    }
+
+    if (doctor && !service.isEligibleDoctor(doctor)) {
+      throw new APIError(
+        409,
+        `Service requires a doctor with the ${service.specialization} specialization`
+      );
+    }
+
+    if (branchId && !service.branches.some(branch => branch.id === branchId)) {
+      throw new APIError(409, 'Service is not offered at this branch');
+    }
+
+    return service;
+  }
+
+  /**
+   * Compute the end time of a session of a service
+   * @param {Object} service - Service instance
+   * @param {string} startTime - Start time (HH:mm)
+   * @returns {string} End time (HH:mm)
+   */
+  static getEndTime(service, startTime) {
+    return UtilService.minutesToTime(UtilService.timeToMinutes(startTime) + service.duration);
+  }
+
+  /**
+   * Get the active doctors who can perform a service
+   * @param {Object} service - Service instance with its branches
+   * @param {string} [branchId] - Only doctors with a schedule at this branch
+   * @returns {Promise<Array>} Doctors
+   */
+  static async getEligibleDoctors(service, branchId = null) {
+    try {
+      const branchIds = branchId ? [branchId] : service.branches.map(branch => branch.id);
+      const [today] = new Date().toISOString().split('T');
+
+      const where = { role: 'doctor', status: 'active' };
+      if (service.specialization) where.specialization = service.specialization;
+
+      return await User.findAll({
+        where,
+        attributes: ['id', 'firstName', 'lastName', 'specialization'],
+        include: [
+          {
+            model: AvailabilityTemplate,
+            as: 'availabilityTemplates',
+            attributes: ['branchId'],
+            where: {
+              branchId: { [Op.in]: branchIds },
+              [Op.or]: [
+                { effectiveTo: null },
+                { effectiveTo: { [Op.gte]: today } }
+              ]
+            }
+          }
+        ],
+        order: [['lastName', 'ASC'], ['firstName', 'ASC']]
+      });
+    } catch (error) {
+      LoggerService.error('Error getting eligible doctors:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ServiceCatalogService;
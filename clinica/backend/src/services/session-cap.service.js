@@ -0,0 +1,157 @@
+const { Op } = require('sequelize');
+const { APIError } = require('../middleware/error.middleware');
+const { Appointment, DoctorSessionCap, GroupSession, Service, User } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SessionCapService {
+  /**
+   * Get the Monday-to-Sunday week a date falls in
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Object} Range ({ startDate, endDate })
+   */
+  static getWeekRange(date) {
+    const day = new Date(`${date}T00:00:00Z`);
+    const monday = day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS;
+
+    return {
+      startDate: new Date(monday).toISOString().split('T')[0],
+      endDate: new Date(monday + 6 * DAY_MS).toISOString().split('T')[0]
+    };
+  }
+
+  /**
+   * Count a doctor's non-cancelled sessions of a route between two dates; a group
+   * session counts once however many seats it has
+   * @param {string} doctorId - Doctor ID
+   * @param {string} route - Administration route
+   * @param {string} startDate - First date (YYYY-MM-DD)
+   * @param {string} endDate - Last date (YYYY-MM-DD)
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.excludeIds] - Appointments to ignore (being moved)
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<number>} Sessions
+   */
+  static async countSessions(doctorId, route, startDate, endDate, options = {}) {
+    const date = { [Op.between]: [startDate, endDate] };
+    const where = {
+      doctorId,
+      date,
+      groupSessionId: null,
+      status: { [Op.ne]: 'cancelled' }
+    };
+    if (options.excludeIds && options.excludeIds.length) {
+      where.id = { [Op.notIn]: options.excludeIds };
+    }
+    const include = [{ model: Service, as: 'service', where: { route }, attributes: [] }];
+
+    const [appointments, groupSessions] = await Promise.all([
+      Appointment.count({ where, include, transaction: options.transaction }),
+      GroupSession.count({
+        where: { doctorId, date, status: 'scheduled' },
+        include,
+        transaction: options.transaction
+      })
+    ]);
+
+    return appointments + groupSessions;
+  }
+
+  /**
+   * Compare booked sessions against a cap
+   * @param {Object} cap - Cap ({ route, maxPerDay, maxPerWeek })
+   * @param {Object} booked - Sessions already booked ({ day, week })
+   * @returns {Object|null} Violation ({ rule, message, route, limit, booked }) or null
+   */
+  static evaluate(cap, booked) {
+    const route = cap.route.replace(/_/g, ' ');
+
+    if (cap.maxPerDay && booked.day >= cap.maxPerDay) {
+      return {
+        rule: 'daily_cap',
+        message: `Doctor takes at most ${cap.maxPerDay} ${route} sessions a day`,
+        route: cap.route,
+        limit: cap.maxPerDay,
+        booked: booked.day
+      };
+    }
+    if (cap.maxPerWeek && booked.week >= cap.maxPerWeek) {
+      return {
+        rule: 'weekly_cap',
+        message: `Doctor takes at most ${cap.maxPerWeek} ${route} sessions a week`,
+        route: cap.route,
+        limit: cap.maxPerWeek,
+        booked: booked.week
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a doctor can take one more session of a route on a date. Inside
+   * a transaction the doctor is locked first, so concurrent bookings cannot both
+   * take the last session.
+   * @param {string} doctorId - Doctor ID
+   * @param {string} route - Administration route
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Object} [options] - Options ({ excludeIds, transaction })
+   * @returns {Promise<Object|null>} Violation (see evaluate), or null when under the cap
+   */
+  static async check(doctorId, route, date, options = {}) {
+    const { transaction } = options;
+    const cap = await DoctorSessionCap.findOne({ where: { doctorId, route }, transaction });
+    if (!cap) {
+      return null;
+    }
+
+    if (transaction) {
+      await User.findByPk(doctorId, {
+        attributes: ['id'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+    }
+
+    const week = this.getWeekRange(date);
+    const day = await this.countSessions(doctorId, route, date, date, options);
+    const weekCount = cap.maxPerWeek
+      ? await this.countSessions(doctorId, route, week.startDate, week.endDate, options)
+      : 0;
+
+    return this.evaluate(cap, { day, week: weekCount });
+  }
+
+  /**
+   * Reject a booking that would take the doctor over their cap for the service's route
+   * @param {Object} data - Appointment data ({ doctorId, serviceId, date })
+   * @param {Object} [options] - Options ({ excludeIds, transaction })
+   * @returns {Promise<void>}
+   * @throws {APIError} 409 naming the cap reached
+   */
+  static async assert(data, options = {}) {
+    if (!data.serviceId) {
+      return;
+    }
+
+    const service = await Service.findByPk(data.serviceId, {
+      attributes: ['id', 'route'],
+      transaction: options.transaction
+    });
+    if (!service || !service.route) {
+      return;
+    }
+
+    const violation = await this.check(data.doctorId, service.route, data.date, options);
+    if (violation) {
+      throw new APIError(409, violation.message, {
+        rule: violation.rule,
+        route: violation.route,
+        limit: violation.limit,
+        booked: violation.booked
+      });
+    }
+  }
+}
+
+module.exports = SessionCapService;
@@ -0,0 +1,250 @@
+const LoggerService = require('./logger.service');
+const AvailabilityService = require('./availability.service');
+const ServiceCatalogService = require('./service-catalog.service');
+const TimezoneService = require('./timezone.service');
+const { APIError } = require('../middleware/error.middleware');
+const { Branch } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_DAYS = 14;
+// Each day searched queries every eligible doctor's agenda
+const MAX_DAYS = 31;
+
+// Local time ranges of the time-of-day preferences
+const TIME_OF_DAY = {
+  morning: { fromTime: '00:00', toTime: '12:00' },
+  afternoon: { fromTime: '12:00', toTime: '18:00' },
+  evening: { fromTime: '18:00', toTime: '23:59' }
+};
+
+class SlotFinderService {
+  /**
+   * Find the earliest bookable slots for a service with any eligible doctor at any
+   * branch offering it
+   * @param {Object} criteria - Search criteria
+   * @param {string} criteria.serviceId - Service ID
+   * @param {number} [criteria.limit=10] - Slots to return
+   * @param {string} criteria.startDate - First date searched (YYYY-MM-DD)
+   * @param {string} criteria.endDate - Last date searched (YYYY-MM-DD)
+   * @param {string} [criteria.specialization] - Only doctors with this specialization
+   * @param {string} [criteria.timeOfDay] - morning, afternoon or evening
+   * @param {string} [criteria.fromTime] - Earliest local start (HH:mm)
+   * @param {string} [criteria.toTime] - Latest local end (HH:mm)
+   * @param {number} [criteria.latitude] - Patient's latitude
+   * @param {number} [criteria.longitude] - Patient's longitude
+   * @param {number} [criteria.maxDistanceKm] - Only branches within this distance
+   * @param {string} [criteria.sort='time'] - time (earliest first) or distance (nearest first)
+   * @returns {Promise<Array>} Slots ({ doctor, branch, date, startTime, endTime, timezone,
+   *   startsAt, distanceKm })
+   */
+  static async findSlots(criteria) {
+    try {
+      const limit = criteria.limit || 10;
+      const sort = criteria.sort || 'time';
+      const window = this.getTimeWindow(criteria);
+      const origin = this.getOrigin(criteria);
+
+      const service = await ServiceCatalogService.resolve(criteria.serviceId);
+      const branches = this.filterBranches(
+        await Branch.findAll({
+          where: { id: service.branches.map(branch => branch.id), status: 'active' },
+          attributes: ['id', 'name', 'address', 'timezone', 'coordinates']
+        }),
+        origin,
+        criteria.maxDistanceKm
+      );
+      if (!branches.length) return [];
+
+      // Only doctors who work at one of the remaining branches
+      const branchIds = branches.map(entry => entry.branch.id);
+      const doctors = (await ServiceCatalogService.getEligibleDoctors(service))
+        .filter(doctor => !criteria.specialization ||
+          doctor.specialization === criteria.specialization)
+        .filter(doctor => doctor.availabilityTemplates
+          .some(template => branchIds.includes(template.branchId)));
+
+      const slots = [];
+      for (const date of this.getDates(criteria.startDate, criteria.endDate)) {
+        for (const doctor of doctors) {
+          const available = await AvailabilityService.getAvailableSlots(doctor.id, date, {
+            service
+          });
+
+          available.forEach(slot => {
+            const match = branches.find(entry => entry.branch.id === slot.branchId);
+            if (!match || !this.fitsWindow(slot, window)) return;
+
+            slots.push({
+              doctor: {
+                id: doctor.id,
+                firstName: doctor.firstName,
+                lastName: doctor.lastName,
+                specialization: doctor.specialization
+              },
+              branch: {
+                id: match.branch.id,
+                name: match.branch.name,
+                address: match.branch.address
+              },
+              date,
+              startTime: slot.startTime,
+              endTime: slot.endTime,
+              timezone: slot.timezone,
+              startsAt: slot.startsAt,
+              distanceKm: match.distanceKm
+            });
+          });
+        }
+
+        // Later dates cannot beat a full day's worth of earlier slots
+        if (sort === 'time' && slots.length >= limit) break;
+      }
+
+      return this.rank(slots, sort).slice(0, limit);
+    } catch (error) {
+      LoggerService.error('Error finding available slots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Order slots by start (nearest branch first at the same time) or by distance
+   * (earliest first at the same branch distance); branches without coordinates go last
+   * @param {Array} slots - Slots with startsAt and distanceKm
+   * @param {string} [sort='time'] - time or distance
+   * @returns {Array} Ranked slots
+   */
+  static rank(slots, sort = 'time') {
+    const byTime = (a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt);
+    const byDistance = (a, b) => {
+      const first = a.distanceKm === null ? Infinity : a.distanceKm;
+      const second = b.distanceKm === null ? Infinity : b.distanceKm;
+      return first === second ? 0 : first - second;
+    };
+
+    return [...slots].sort((a, b) => (sort === 'distance'
+      ? byDistance(a, b) || byTime(a, b)
+      : byTime(a, b) || byDistance(a, b)));
+  }
+
+  /**
+   * Local time range a slot must fall in; explicit times narrow the time of day
+   * @param {Object} criteria - Criteria ({ timeOfDay, fromTime, toTime })
+   * @returns {Object} Window ({ fromTime, toTime }) as HH:mm
+   */
+  static getTimeWindow(criteria) {
+    const base = TIME_OF_DAY[criteria.timeOfDay] || { fromTime: '00:00', toTime: '23:59' };
+
+    return {
+      fromTime: criteria.fromTime && criteria.fromTime > base.fromTime
+        ? criteria.fromTime
+        : base.fromTime,
+      toTime: criteria.toTime && criteria.toTime < base.toTime ? criteria.toTime : base.toTime
+    };
+  }
+
+  /**
+   * Check whether a slot starts and ends inside a time window
+   * @param {Object} slot - Slot ({ startTime, endTime }) in branch local time
+   * @param {Object} window - Window ({ fromTime, toTime })
+   * @returns {boolean} Whether it fits
+   */
+  static fitsWindow(slot, window) {
+    return slot.startTime >= window.fromTime && slot.endTime <= window.toTime;
+  }
+
+  /**
+   * Great-circle distance between two points (haversine)
+   * @param {Object} from - Point ({ latitude, longitude })
+   * @param {Object} to - Point ({ latitude, longitude })
+   * @returns {number} Distance in kilometres
+   */
+  static getDistanceKm(from, to) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Attach each branch's distance from the patient and drop those too far away
+   * @private
+   * @param {Array} branches - Branches with coordinates
+   * @param {Object|null} origin - Patient's position ({ latitude, longitude })
+   * @param {number} [maxDistanceKm] - Maximum distance
+   * @returns {Array} Entries ({ branch, distanceKm }); distanceKm is null when unknown
+   */
+  static filterBranches(branches, origin, maxDistanceKm) {
+    return branches
+      .map(branch => ({
+        branch,
+        distanceKm: origin && branch.coordinates
+          ? Math.round(this.getDistanceKm(origin, branch.coordinates) * 10) / 10
+          : null
+      }))
+      .filter(entry => !maxDistanceKm || (entry.distanceKm !== null &&
+        entry.distanceKm <= maxDistanceKm));
+  }
+
+  /**
+   * Patient's position, when both coordinates were given
+   * @private
+   * @param {Object} criteria - Criteria ({ latitude, longitude })
+   * @returns {Object|null} Position
+   */
+  static getOrigin(criteria) {
+    const { latitude, longitude } = criteria;
+    if (latitude === undefined || longitude === undefined) return null;
+    return { latitude, longitude };
+  }
+
+  /**
+   * List the dates of a range
+   * @private
+   * @param {string} startDate - First date (YYYY-MM-DD)
+   * @param {string} endDate - Last date (YYYY-MM-DD)
+   * @returns {Array<string>} Dates
+   */
+  static getDates(startDate, endDate) {
+    const dates = [];
+    const end = new Date(`${endDate}T00:00:00Z`).getTime();
+    for (let day = new Date(`${startDate}T00:00:00Z`).getTime(); day <= end; day += DAY_MS) {
+      dates.push(new Date(day).toISOString().split('T')[0]);
+    }
+    return dates;
+  }
+
+  /**
+   * Fill in the search range; by default two weeks from the earliest date that is
+   * still today in any branch
+   * @param {string} [startDate] - First date (YYYY-MM-DD)
+   * @param {string} [endDate] - Last date (YYYY-MM-DD)
+   * @returns {Object} Range ({ startDate, endDate })
+   * @throws {APIError} 400 when the range is reversed or longer than 31 days
+   */
+  static getRange(startDate, endDate) {
+    const from = startDate || TimezoneService.earliestToday();
+    const start = new Date(`${from}T00:00:00Z`).getTime();
+    const to = endDate ||
+      new Date(start + (DEFAULT_DAYS - 1) * DAY_MS).toISOString().split('T')[0];
+    const days = (new Date(`${to}T00:00:00Z`).getTime() - start) / DAY_MS + 1;
+
+    if (days < 1) {
+      throw new APIError(400, 'End date must not be before start date');
+    }
+    if (days > MAX_DAYS) {
+      throw new APIError(400, `Search at most ${MAX_DAYS} days at a time`);
+    }
+
+    return { startDate: from, endDate: to };
+  }
+}
+
+SlotFinderService.TIME_OF_DAY = TIME_OF_DAY;
+
+module.exports = SlotFinderService;
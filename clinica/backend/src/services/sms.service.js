@@ -1,5 +1,5 @@
 const twilio = require('twilio');
-const { LoggerService } = require('./logger.service');
+const LoggerService = require('./logger.service');
 
 class SMSService {
   static client = null;
@@ -72,7 +72,8 @@ class SMSService {
   static async sendAppointmentReminder(appointment) {
     const { patient, doctor } = appointment;
     const message = 
-      `Recordatorio: Tienes cita mañana\n` +
+      `Recordatorio de tu cita\n` +
+      `Fecha: ${appointment.date}\n` +
       `Hora: ${appointment.startTime}\n` +
       `Doctor: Dr. ${doctor.firstName} ${doctor.lastName}\n` +
       `Por favor llega 10 minutos antes.`;
@@ -97,6 +98,26 @@ class SMSService {
     return this.sendSMS(patient.phone, message);
   }
 
+  /**
+   * Send a freed slot offered to a waitlisted patient
+   * @param {Object} offer - Slot offer with patient, doctor and branch
+   * @param {string} url - Link to accept or decline the offer
+   * @param {string} code - Code identifying the offer in replies
+   * @returns {Promise<Object>} Send result
+   */
+  static async sendWaitlistOffer(offer, url, code) {
+    const { patient, doctor, branch } = offer;
+    const message =
+      `Se liberó un espacio:\n` +
+      `Fecha: ${offer.date}\n` +
+      `Hora: ${offer.startTime}\n` +
+      `Doctor: Dr. ${doctor.firstName} ${doctor.lastName}\n` +
+      `Sucursal: ${branch.name}\n` +
+      `Responde SI ${code} para aceptar o NO ${code} para rechazar, o entra a ${url}`;
+
+    return this.sendSMS(patient.phone, message);
+  }
+
   /**
    * Send prescription notification
    * @param {Object} prescription - Prescription object
@@ -0,0 +1,208 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const UtilService = require('./util.service');
+const TimezoneService = require('./timezone.service');
+const holidays = require('../config/holidays');
+const { Appointment, Branch, TimeOff, User } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFLICT_HORIZON_DAYS = 365; // recurring blocks are checked one year ahead
+
+class TimeOffService {
+  /**
+   * Get public holidays for a year
+   * @param {number} year - Calendar year
+   * @param {string} [country='MX'] - Holiday set
+   * @returns {Array} Holidays ({ date, name })
+   */
+  static getHolidays(year, country = 'MX') {
+    const definitions = holidays[country];
+    if (!definitions) {
+      throw new Error(`Unknown holiday set: ${country}`);
+    }
+
+    return definitions
+      .filter(def => !def.everyYears || (year - def.since) % def.everyYears === 0)
+      .map(def => {
+        let { day } = def;
+        if (def.nth) {
+          const firstWeekday = new Date(Date.UTC(year, def.month - 1, 1)).getUTCDay();
+          day = 1 + ((def.weekday - firstWeekday + 7) % 7) + (def.nth - 1) * 7;
+        }
+
+        return {
+          date: `${year}-${String(def.month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+          name: def.name
+        };
+      });
+  }
+
+  /**
+   * Load public holidays as branch closures
+   * @param {number} year - Calendar year
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.branchIds] - Branches to close (defaults to all active)
+   * @param {string} [options.country='MX'] - Holiday set
+   * @param {string} [options.createdBy] - User loading the holidays
+   * @returns {Promise<Array>} Created time-off records
+   */
+  static async loadHolidays(year, options = {}) {
+    try {
+      const { country = 'MX', createdBy = null } = options;
+      let { branchIds } = options;
+
+      if (!branchIds || !branchIds.length) {
+        const branches = await Branch.findAll({
+          where: { status: 'active' },
+          attributes: ['id']
+        });
+        branchIds = branches.map(branch => branch.id);
+      }
+
+      const yearHolidays = this.getHolidays(year, country);
+      const existing = await TimeOff.findAll({
+        where: {
+          doctorId: null,
+          branchId: { [Op.in]: branchIds },
+          type: 'holiday',
+          startDate: { [Op.in]: yearHolidays.map(holiday => holiday.date) }
+        },
+        attributes: ['branchId', 'startDate']
+      });
+      const loaded = new Set(existing.map(block => `${block.branchId}:${block.startDate}`));
+
+      const records = [];
+      branchIds.forEach(branchId => {
+        yearHolidays.forEach(holiday => {
+          if (loaded.has(`${branchId}:${holiday.date}`)) return;
+          records.push({
+            branchId,
+            type: 'holiday',
+            reason: holiday.name,
+            startDate: holiday.date,
+            endDate: holiday.date,
+            createdBy
+          });
+        });
+      });
+
+      const created = await TimeOff.bulkCreate(records, { validate: true });
+      LoggerService.info(`Loaded ${created.length} ${country} holiday closures for ${year}`);
+      return created;
+    } catch (error) {
+      LoggerService.error('Error loading holidays:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the blocks affecting a doctor on a date
+   * @param {string} doctorId - Doctor ID
+   * @param {Array<string>} branchIds - Branches the doctor could work at
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Time-off records occurring on the date
+   */
+  static async getBlocksOn(doctorId, branchIds, date) {
+    const blocks = await TimeOff.findAll({
+      where: {
+        startDate: { [Op.lte]: date },
+        [Op.and]: [
+          {
+            [Op.or]: [
+              { recurrence: { [Op.ne]: 'none' } },
+              { endDate: { [Op.gte]: date } }
+            ]
+          },
+          {
+            [Op.or]: [
+              { recurrenceUntil: null },
+              { recurrenceUntil: { [Op.gte]: date } }
+            ]
+          },
+          {
+            [Op.or]: [
+              { doctorId },
+              { doctorId: null, branchId: { [Op.in]: branchIds } }
+            ]
+          }
+        ]
+      }
+    });
+
+    return blocks.filter(block => block.occursOn(date));
+  }
+
+  /**
+   * Get the blocked intervals that apply at a branch
+   * @param {Array} blocks - Time-off records occurring on the day
+   * @param {string} branchId - Branch ID
+   * @returns {Array} Blocked intervals in minutes
+   */
+  static getBlockedIntervals(blocks, branchId) {
+    return blocks
+      .filter(block => !block.branchId || block.branchId === branchId)
+      .map(block => (block.isFullDay()
+        ? { start: 0, end: 24 * 60 }
+        : {
+          start: UtilService.timeToMinutes(block.startTime),
+          end: UtilService.timeToMinutes(block.endTime)
+        }));
+  }
+
+  /**
+   * Find existing appointments that fall inside a block
+   * @param {Object} timeOff - Time-off record
+   * @returns {Promise<Array>} Conflicting appointments
+   */
+  static async findConflicts(timeOff) {
+    try {
+      // A block can span branches in several zones; start from the earliest local today
+      const today = TimezoneService.earliestToday();
+      const from = timeOff.startDate > today ? timeOff.startDate : today;
+      let until = timeOff.endDate;
+      if (timeOff.recurrence !== 'none') {
+        const [horizon] = new Date(Date.now() + CONFLICT_HORIZON_DAYS * DAY_MS)
+          .toISOString()
+          .split('T');
+        until = timeOff.recurrenceUntil && timeOff.recurrenceUntil < horizon
+          ? timeOff.recurrenceUntil
+          : horizon;
+      }
+
+      const where = {
+        date: { [Op.between]: [from, until] },
+        status: { [Op.notIn]: ['cancelled'] }
+      };
+      if (timeOff.doctorId) where.doctorId = timeOff.doctorId;
+      if (timeOff.branchId) where.branchId = timeOff.branchId;
+      if (!timeOff.isFullDay()) {
+        where.startTime = { [Op.lt]: timeOff.endTime };
+        where.endTime = { [Op.gt]: timeOff.startTime };
+      }
+
+      const appointments = await Appointment.findAll({
+        where,
+        include: [
+          {
+            model: User,
+            as: 'patient',
+            attributes: ['id', 'firstName', 'lastName', 'phone', 'email']
+          },
+          {
+            model: User,
+            as: 'doctor',
+            attributes: ['id', 'firstName', 'lastName']
+          }
+        ],
+        order: [['date', 'ASC'], ['startTime', 'ASC']]
+      });
+
+      return appointments.filter(appointment => timeOff.occursOn(appointment.date));
+    } catch (error) {
+      LoggerService.error('Error finding time off conflicts:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TimeOffService;
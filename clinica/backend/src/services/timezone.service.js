@@ -0,0 +1,150 @@
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Zone used when a branch has none (e.g. appointments loaded without their branch)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Mexico_City';
+// The calendar dates here are the earliest and latest dates current somewhere on Earth
+const EARLIEST_TIMEZONE = 'Etc/GMT+12';
+const LATEST_TIMEZONE = 'Etc/GMT-14';
+
+const formatters = {};
+
+class TimezoneService {
+  /**
+   * Zone used when none is known
+   * @returns {string} IANA timezone
+   */
+  static getDefault() {
+    return DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Check an IANA timezone name
+   * @param {string} timezone - Timezone (e.g. America/Tijuana)
+   * @returns {boolean} Whether the runtime knows the zone
+   */
+  static isValid(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone }).format();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the wall-clock date and time of an instant in a zone
+   * @param {Date} instant - Instant
+   * @param {string} [timezone] - IANA timezone
+   * @returns {Object} Local parts ({ date: YYYY-MM-DD, time: HH:mm:ss, day: monday..sunday })
+   */
+  static getLocalParts(instant, timezone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    this.getFormatter(timezone).formatToParts(instant).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+
+    return {
+      date,
+      time: `${parts.hour}:${parts.minute}:${parts.second}`,
+      day: DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]
+    };
+  }
+
+  /**
+   * Get the current date and time in a zone
+   * @param {string} [timezone] - IANA timezone
+   * @returns {Object} Local parts (see getLocalParts)
+   */
+  static now(timezone = DEFAULT_TIMEZONE) {
+    return this.getLocalParts(new Date(), timezone);
+  }
+
+  /**
+   * Get today's date in a zone
+   * @param {string} [timezone] - IANA timezone
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  static today(timezone = DEFAULT_TIMEZONE) {
+    return this.now(timezone).date;
+  }
+
+  /**
+   * Earliest calendar date that is still today anywhere; dates before it are past
+   * in every branch
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  static earliestToday() {
+    return this.today(EARLIEST_TIMEZONE);
+  }
+
+  /**
+   * Latest calendar date that is already today somewhere; dates after it are future
+   * in every branch
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  static latestToday() {
+    return this.today(LATEST_TIMEZONE);
+  }
+
+  /**
+   * Convert a wall-clock date and time in a zone to an instant
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} time - Time (HH:mm or HH:mm:ss)
+   * @param {string} [timezone] - IANA timezone
+   * @returns {Date} Instant
+   */
+  static toInstant(date, time, timezone = DEFAULT_TIMEZONE) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    // Take the zone's offset at the guess, then correct once in case the guess
+    // landed on the other side of a DST change
+    let instant = wallClock - this.getOffsetMinutes(new Date(wallClock), timezone) * 60000;
+    const offset = this.getOffsetMinutes(new Date(instant), timezone);
+    instant = wallClock - offset * 60000;
+
+    return new Date(instant);
+  }
+
+  /**
+   * Offset of a zone from UTC at an instant
+   * @param {Date} instant - Instant
+   * @param {string} [timezone] - IANA timezone
+   * @returns {number} Offset in minutes (negative west of UTC)
+   */
+  static getOffsetMinutes(instant, timezone = DEFAULT_TIMEZONE) {
+    const { date, time } = this.getLocalParts(instant, timezone);
+    const asUTC = Date.parse(`${date}T${time}Z`);
+
+    return Math.round((asUTC - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * Cached formatter for a zone
+   * @private
+   * @param {string} timezone - IANA timezone
+   * @returns {Intl.DateTimeFormat} Formatter
+   */
+  static getFormatter(timezone) {
+    if (!formatters[timezone]) {
+      formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+    return formatters[timezone];
+  }
+}
+
+module.exports = TimezoneService;
@@ -0,0 +1,382 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const TimezoneService = require('./timezone.service');
+const { APIError } = require('../middleware/error.middleware');
+const {
+  sequelize,
+  MedicalHistory,
+  Observation,
+  TreatmentPlan,
+  TreatmentPlanStep,
+  User
+} = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLAN_INCLUDE = [
+  { model: User, as: 'patient', attributes: ['id', 'firstName', 'lastName'] },
+  { model: User, as: 'doctor', attributes: ['id', 'firstName', 'lastName'] },
+  {
+    model: TreatmentPlanStep,
+    as: 'steps',
+    include: [{
+      model: MedicalHistory,
+      as: 'medicalHistory',
+      attributes: ['id', 'appointmentId', 'ozoneConcentration', 'ozoneVolume', 'created_at']
+    }]
+  }
+];
+
+class TreatmentPlanService {
+  /**
+   * Plan a course of treatment. Session n is planned intervalDays after session
+   * n - 1, starting on startDate.
+   * @param {Object} data - Plan ({ patientId, protocol, treatmentRoute, startDate,
+   *   intervalDays, steps: [{ concentration, volume, notes }], targetOutcomes, notes })
+   * @param {Object} user - Doctor writing the plan
+   * @returns {Promise<Object>} Plan with its steps
+   * @throws {APIError} 404 for an unknown patient
+   */
+  static async create(data, user) {
+    const patient = await User.findOne({
+      where: { id: data.patientId, role: 'patient', status: 'active' }
+    });
+    if (!patient) {
+      throw new APIError(404, 'Patient not found');
+    }
+
+    try {
+      const intervalDays = data.intervalDays || 7;
+      const plan = await sequelize.transaction(async (transaction) => {
+        const created = await TreatmentPlan.create({
+          patientId: data.patientId,
+          doctorId: user.id,
+          protocol: data.protocol,
+          treatmentRoute: data.treatmentRoute,
+          startDate: data.startDate,
+          intervalDays,
+          plannedSessions: data.steps.length,
+          targetOutcomes: data.targetOutcomes || [],
+          notes: data.notes
+        }, { transaction });
+
+        await TreatmentPlanStep.bulkCreate(data.steps.map((step, index) => ({
+          treatmentPlanId: created.id,
+          sessionNumber: index + 1,
+          plannedDate: this.addDays(data.startDate, index * intervalDays),
+          concentration: step.concentration,
+          volume: step.volume,
+          notes: step.notes
+        })), { validate: true, transaction });
+
+        return created;
+      });
+
+      return this.findById(plan.id);
+    } catch (error) {
+      LoggerService.error('Error creating treatment plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a plan with its steps and the records that delivered them
+   * @param {string} id - Treatment plan ID
+   * @returns {Promise<Object>} Plan
+   * @throws {APIError} 404 when it does not exist
+   */
+  static async findById(id) {
+    const plan = await TreatmentPlan.findByPk(id, {
+      include: PLAN_INCLUDE,
+      order: [[{ model: TreatmentPlanStep, as: 'steps' }, 'sessionNumber', 'ASC']]
+    });
+    if (!plan) {
+      throw new APIError(404, 'Treatment plan not found');
+    }
+    return plan;
+  }
+
+  /**
+   * List a patient's plans
+   * @param {string} patientId - Patient ID
+   * @param {string} [status] - Only plans in this status
+   * @returns {Promise<Array>} Plans, most recent first
+   */
+  static list(patientId, status) {
+    return TreatmentPlan.findAll({
+      where: { patientId, ...(status && { status }) },
+      include: PLAN_INCLUDE.filter(include => include.as === 'doctor'),
+      order: [['startDate', 'DESC']]
+    });
+  }
+
+  /**
+   * Check that a medical record can deliver a planned session
+   * @param {string} stepId - Treatment plan step ID
+   * @param {string} patientId - Patient of the record
+   * @param {Object} transaction - Transaction writing the record
+   * @returns {Promise<Object>} Step with its plan
+   * @throws {APIError} 404 for an unknown step, 400 for another patient's plan,
+   *   409 when the plan is not active or the session was already delivered
+   */
+  static async assertDeliverable(stepId, patientId, transaction) {
+    // The step is locked so a second record for the session waits for the first
+    const step = await TreatmentPlanStep.findByPk(stepId, {
+      include: [{ model: TreatmentPlan, as: 'treatmentPlan' }],
+      transaction,
+      lock: { level: transaction.LOCK.UPDATE, of: TreatmentPlanStep }
+    });
+    if (!step) {
+      throw new APIError(404, 'Treatment plan session not found');
+    }
+    if (step.treatmentPlan.patientId !== patientId) {
+      throw new APIError(400, 'Treatment plan session belongs to another patient');
+    }
+    if (step.treatmentPlan.status !== 'active') {
+      throw new APIError(409, `Treatment plan is ${step.treatmentPlan.status}`);
+    }
+
+    // Looked up after the lock so a record committed meanwhile is seen
+    const delivered = await MedicalHistory.findOne({
+      where: { treatmentPlanStepId: stepId },
+      attributes: ['id'],
+      transaction
+    });
+    if (delivered) {
+      throw new APIError(409, `Session ${step.sessionNumber} was already delivered`, {
+        medicalHistoryId: delivered.id
+      });
+    }
+    return step;
+  }
+
+  /**
+   * Mark a plan as completed once every planned session has been delivered
+   * @param {string} treatmentPlanId - Treatment plan ID
+   * @param {Object} transaction - Transaction of the record that delivered a session
+   * @returns {Promise<boolean>} Whether the plan was completed
+   */
+  static async completeIfDelivered(treatmentPlanId, transaction) {
+    try {
+      // Records for two sessions count in turn, so the later one sees both
+      const plan = await TreatmentPlan.findByPk(treatmentPlanId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const delivered = await MedicalHistory.count({
+        include: [{
+          model: TreatmentPlanStep,
+          as: 'treatmentPlanStep',
+          where: { treatmentPlanId },
+          required: true
+        }],
+        transaction
+      });
+      if (plan.status !== 'active' || delivered < plan.plannedSessions) {
+        return false;
+      }
+
+      await plan.update({ status: 'completed' }, { transaction });
+      return true;
+    } catch (error) {
+      LoggerService.error('Error completing treatment plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a plan; sessions planned from today on are no longer due
+   * @param {Object} plan - Treatment plan instance
+   * @param {string} reason - Why the plan is cancelled
+   * @returns {Promise<Object>} Updated plan
+   * @throws {APIError} 409 when the plan is not active
+   */
+  static cancel(plan, reason) {
+    if (plan.status !== 'active') {
+      throw new APIError(409, `Treatment plan is ${plan.status}`);
+    }
+
+    return plan.update({
+      status: 'cancelled',
+      cancelledOn: TimezoneService.earliestToday(),
+      cancellationReason: reason
+    });
+  }
+
+  /**
+   * Compare a plan with what was delivered: planned and delivered dose per
+   * session, missed sessions, adherence and the target outcomes
+   * @param {Object} plan - Plan with its steps and their records (see findById)
+   * @returns {Promise<Object>} Progress ({ sessions, summary, outcomes })
+   */
+  static async getProgress(plan) {
+    try {
+      const progress = this.buildProgress(plan, TimezoneService.earliestToday());
+      const outcomes = await Promise.all(plan.targetOutcomes.map(async (outcome) => {
+        const latest = outcome.observationType
+          ? await Observation.findOne({
+            where: {
+              patientId: plan.patientId,
+              type: outcome.observationType,
+              observedAt: { [Op.gte]: TimezoneService.toInstant(plan.startDate, '00:00') }
+            },
+            order: [['observedAt', 'DESC']]
+          })
+          : null;
+        return this.evaluateOutcome(outcome, latest);
+      }));
+
+      return { ...progress, outcomes };
+    } catch (error) {
+      LoggerService.error('Error building treatment plan progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lay out each session of a plan as delivered, missed, upcoming or cancelled.
+   * Adherence is the share of the sessions due so far that were delivered.
+   * @param {Object} plan - Plan with its steps and their records
+   * @param {string} today - Date (YYYY-MM-DD); sessions planned before it are due
+   * @returns {Object} Progress ({ sessions, summary })
+   */
+  static buildProgress(plan, today) {
+    const sessions = [...plan.steps]
+      .sort((a, b) => a.sessionNumber - b.sessionNumber)
+      .map(step => {
+        const record = step.medicalHistory;
+        const planned = {
+          concentration: step.concentration,
+          volume: step.volume,
+          dose: step.getDose()
+        };
+        const delivered = record ? this.getDelivered(record) : null;
+
+        return {
+          stepId: step.id,
+          sessionNumber: step.sessionNumber,
+          plannedDate: step.plannedDate,
+          status: delivered ? 'delivered' : this.getPendingStatus(plan, step, today),
+          planned,
+          delivered,
+          doseDifference: delivered && delivered.dose !== null
+            ? Math.round((delivered.dose - planned.dose) * 100) / 100
+            : null
+        };
+      });
+
+    const count = status => sessions.filter(session => session.status === status).length;
+    const due = sessions.filter(session => ['delivered', 'missed'].includes(session.status));
+    const plannedDose = this.sum(due.map(session => session.planned.dose));
+    const deliveredDose = this.sum(due
+      .filter(session => session.delivered)
+      .map(session => session.delivered.dose || 0));
+
+    return {
+      sessions,
+      summary: {
+        plannedSessions: sessions.length,
+        delivered: count('delivered'),
+        missed: count('missed'),
+        upcoming: count('upcoming'),
+        cancelled: count('cancelled'),
+        adherence: due.length ? this.percent(count('delivered'), due.length) : null,
+        plannedDose,
+        deliveredDose,
+        doseDelivery: plannedDose ? this.percent(deliveredDose, plannedDose) : null
+      }
+    };
+  }
+
+  /**
+   * Check a target outcome against the latest observation since the plan started
+   * @param {Object} outcome - Target ({ description, observationType, comparison, target })
+   * @param {Object|null} observation - Latest observation of that type
+   * @returns {Object} Outcome with { latest, met }; met is null until it can be told
+   */
+  static evaluateOutcome(outcome, observation) {
+    if (!outcome.observationType || !observation) {
+      return { ...outcome, latest: null, met: null };
+    }
+
+    return {
+      ...outcome,
+      latest: { value: observation.value, observedAt: observation.observedAt },
+      met: outcome.comparison === 'at_least'
+        ? observation.value >= outcome.target
+        : observation.value <= outcome.target
+    };
+  }
+
+  /**
+   * Dose given in a session record
+   * @private
+   * @param {Object} record - Medical history with ozoneConcentration and ozoneVolume
+   * @returns {Object} Delivered ({ medicalHistoryId, date, concentration, volume, dose })
+   */
+  static getDelivered(record) {
+    const { ozoneConcentration: concentration, ozoneVolume: volume } = record;
+    const createdAt = record.get('created_at');
+    const recorded = value => value !== null && value !== undefined;
+
+    return {
+      medicalHistoryId: record.id,
+      date: createdAt ? new Date(createdAt).toISOString().split('T')[0] : null,
+      concentration,
+      volume,
+      dose: recorded(concentration) && recorded(volume)
+        ? Math.round(concentration * volume * 100) / 100
+        : null
+    };
+  }
+
+  /**
+   * Status of a session without a record
+   * @private
+   * @param {Object} plan - Treatment plan
+   * @param {Object} step - Treatment plan step
+   * @param {string} today - Date (YYYY-MM-DD)
+   * @returns {string} missed, upcoming or cancelled
+   */
+  static getPendingStatus(plan, step, today) {
+    if (plan.status === 'cancelled' && step.plannedDate >= plan.cancelledOn) {
+      return 'cancelled';
+    }
+    return step.plannedDate < today ? 'missed' : 'upcoming';
+  }
+
+  /**
+   * Add up doses
+   * @private
+   * @param {Array<number>} values - Values
+   * @returns {number} Sum, rounded to hundredths
+   */
+  static sum(values) {
+    return Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+  }
+
+  /**
+   * Share of a whole
+   * @private
+   * @param {number} part - Part
+   * @param {number} whole - Whole
+   * @returns {number} Percentage with one decimal
+   */
+  static percent(part, whole) {
+    return Math.round((part / whole) * 1000) / 10;
+  }
+
+  /**
+   * Date some days after another
+   * @private
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} days - Days to add
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  static addDays(date, days) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS)
+      .toISOString().split('T')[0];
+  }
+}
+
+module.exports = TreatmentPlanService;
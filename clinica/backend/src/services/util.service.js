@@ -220,6 +220,27 @@ class UtilService {
     }
   }
 
+  /**
+   * Convert time of day to minutes since midnight
+   * @param {string} time - Time (HH:mm or HH:mm:ss)
+   * @returns {number} Minutes since midnight
+   */
+  static timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Convert minutes since midnight to time of day
+   * @param {number} totalMinutes - Minutes since midnight
+   * @returns {string} Time (HH:mm)
+   */
+  static minutesToTime(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
   /**
    * Get time slots
    * @param {string} startTime - Start time (HH:mm)
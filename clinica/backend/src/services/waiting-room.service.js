@@ -0,0 +1,232 @@
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const AppointmentLifecycleService = require('./appointment-lifecycle.service');
+const TimezoneService = require('./timezone.service');
+const { APIError } = require('../middleware/error.middleware');
+const { Appointment, Branch, User } = require('../models');
+
+const MINUTE_MS = 60 * 1000;
+const QUEUE_STATUSES = ['checked_in', 'in_progress'];
+
+// Emits the branch ID whenever its waiting room changes
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+AppointmentLifecycleService.events.on('transition', ({ appointment, from, to }) => {
+  if (QUEUE_STATUSES.includes(from) || QUEUE_STATUSES.includes(to)) {
+    changes.emit('change', appointment.branchId);
+  }
+});
+
+class WaitingRoomService {
+  /**
+   * Check a patient in at the front desk
+   * @param {Object} branch - Branch the patient arrived at
+   * @param {Object} appointment - Appointment with its branch
+   * @param {Object} options - Options
+   * @param {Object} options.user - Front desk user
+   * @param {string} options.method - manual or qr
+   * @returns {Promise<Object>} Checked-in appointment
+   * @throws {APIError} 409 when the appointment is at another branch or on another day
+   */
+  static async checkIn(branch, appointment, options) {
+    if (appointment.branchId !== branch.id) {
+      throw new APIError(409, 'Appointment is at another branch', {
+        branchId: appointment.branchId
+      });
+    }
+    if (appointment.date !== TimezoneService.today(branch.timezone)) {
+      throw new APIError(409, 'Patients can only check in on the day of the appointment', {
+        date: appointment.date
+      });
+    }
+
+    await AppointmentLifecycleService.transition(appointment, 'checked_in', {
+      user: options.user,
+      metadata: {
+        method: options.method,
+        latenessMinutes: this.getLatenessMinutes(appointment, new Date())
+      }
+    });
+
+    LoggerService.info(`Patient checked in for appointment ${appointment.id} (${options.method})`);
+    return appointment;
+  }
+
+  /**
+   * Call the next waiting patient of a doctor in, or a given one
+   * @param {Object} branch - Branch
+   * @param {Object} doctor - Doctor calling
+   * @param {string} [appointmentId] - Patient to call instead of the next in line
+   * @returns {Promise<Object>} Appointment now in progress
+   * @throws {APIError} 404 when nobody is waiting for the doctor
+   */
+  static async callNext(branch, doctor, appointmentId = null) {
+    const where = {
+      branchId: branch.id,
+      doctorId: doctor.id,
+      date: TimezoneService.today(branch.timezone),
+      status: 'checked_in'
+    };
+    if (appointmentId) where.id = appointmentId;
+
+    const appointment = await Appointment.findOne({
+      where,
+      include: [{ model: Branch, as: 'branch', attributes: ['id', 'name', 'timezone'] }],
+      order: [['startTime', 'ASC'], ['checkedInAt', 'ASC']]
+    });
+    if (!appointment) {
+      throw new APIError(404, appointmentId
+        ? 'Patient is not waiting for this doctor'
+        : 'No patients are waiting');
+    }
+
+    await AppointmentLifecycleService.transition(appointment, 'in_progress', {
+      user: doctor,
+      metadata: { waitedMinutes: this.getWaitingMinutes(appointment, new Date()) }
+    });
+
+    return appointment;
+  }
+
+  /**
+   * Get today's waiting room of a branch: patients waiting, in order, and those
+   * with a doctor
+   * @param {Object} branch - Branch
+   * @param {Object} [options] - Options
+   * @param {string} [options.doctorId] - Only this doctor's patients
+   * @param {Date} [options.now] - Current time
+   * @returns {Promise<Object>} Queue ({ branchId, date, generatedAt, summary, waiting,
+   *   inConsultation })
+   */
+  static async getQueue(branch, options = {}) {
+    try {
+      const where = {
+        branchId: branch.id,
+        date: TimezoneService.today(branch.timezone),
+        status: { [Op.in]: QUEUE_STATUSES }
+      };
+      if (options.doctorId) where.doctorId = options.doctorId;
+
+      const appointments = await Appointment.findAll({
+        where,
+        include: [
+          { model: User, as: 'patient', attributes: ['id', 'firstName', 'lastName'] },
+          { model: User, as: 'doctor', attributes: ['id', 'firstName', 'lastName'] },
+          { model: Branch, as: 'branch', attributes: ['id', 'timezone'] }
+        ],
+        order: [['startTime', 'ASC'], ['checkedInAt', 'ASC']]
+      });
+
+      return this.buildQueue(branch, appointments, options.now || new Date());
+    } catch (error) {
+      LoggerService.error('Error loading waiting room:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Arrange a branch's checked-in appointments into a queue
+   * @param {Object} branch - Branch
+   * @param {Array} appointments - Checked-in and in-progress appointments, in start order
+   * @param {Date} now - Current time
+   * @returns {Object} Queue (see getQueue)
+   */
+  static buildQueue(branch, appointments, now) {
+    const waiting = appointments
+      .filter(appointment => appointment.status === 'checked_in')
+      .map((appointment, index) => ({
+        position: index + 1,
+        ...this.describe(appointment, now)
+      }));
+    const inConsultation = appointments
+      .filter(appointment => appointment.status === 'in_progress')
+      .map(appointment => this.describe(appointment, now));
+    const waits = waiting.map(entry => entry.waitingMinutes);
+
+    return {
+      branchId: branch.id,
+      date: TimezoneService.today(branch.timezone),
+      generatedAt: now.toISOString(),
+      summary: {
+        waiting: waiting.length,
+        inConsultation: inConsultation.length,
+        averageWaitMinutes: waits.length
+          ? Math.round(waits.reduce((sum, minutes) => sum + minutes, 0) / waits.length)
+          : 0,
+        longestWaitMinutes: waits.length ? Math.max(...waits) : 0
+      },
+      waiting,
+      inConsultation
+    };
+  }
+
+  /**
+   * Describe a queue entry
+   * @private
+   * @param {Object} appointment - Appointment with patient, doctor and branch
+   * @param {Date} now - Current time
+   * @returns {Object} Entry
+   */
+  static describe(appointment, now) {
+    const { patient, doctor } = appointment;
+
+    return {
+      appointmentId: appointment.id,
+      patient: { id: patient.id, firstName: patient.firstName, lastName: patient.lastName },
+      doctor: { id: doctor.id, firstName: doctor.firstName, lastName: doctor.lastName },
+      startTime: appointment.startTime.slice(0, 5),
+      endTime: appointment.endTime.slice(0, 5),
+      checkedInAt: appointment.checkedInAt,
+      calledAt: appointment.calledAt,
+      latenessMinutes: this.getLatenessMinutes(appointment, appointment.checkedInAt),
+      waitingMinutes: this.getWaitingMinutes(appointment, now),
+      // How far past the appointment's start a patient still waiting is
+      overdueMinutes: appointment.status === 'checked_in'
+        ? Math.max(0, this.getLatenessMinutes(appointment, now))
+        : 0
+    };
+  }
+
+  /**
+   * Minutes between the appointment's start and an instant; negative when early
+   * @param {Object} appointment - Appointment with its branch
+   * @param {Date} instant - Instant (e.g. arrival)
+   * @returns {number|null} Minutes late, or null without an instant
+   */
+  static getLatenessMinutes(appointment, instant) {
+    if (!instant) return null;
+    return Math.round((new Date(instant) - appointment.getStartInstant()) / MINUTE_MS);
+  }
+
+  /**
+   * Minutes the patient waited between checking in and being called (or now)
+   * @param {Object} appointment - Appointment instance
+   * @param {Date} now - Current time
+   * @returns {number} Minutes waited
+   */
+  static getWaitingMinutes(appointment, now) {
+    if (!appointment.checkedInAt) return 0;
+    const until = appointment.calledAt || now;
+    return Math.max(0, Math.round((new Date(until) - new Date(appointment.checkedInAt)) /
+      MINUTE_MS));
+  }
+
+  /**
+   * Listen for changes to a branch's waiting room
+   * @param {string} branchId - Branch ID
+   * @param {Function} listener - Called on every change
+   * @returns {Function} Stops listening
+   */
+  static subscribe(branchId, listener) {
+    const onChange = (changedBranchId) => {
+      if (changedBranchId === branchId) listener();
+    };
+    changes.on('change', onChange);
+
+    return () => changes.off('change', onChange);
+  }
+}
+
+module.exports = WaitingRoomService;
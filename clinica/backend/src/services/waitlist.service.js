@@ -0,0 +1,377 @@
+const { Op } = require('sequelize');
+const LoggerService = require('./logger.service');
+const UtilService = require('./util.service');
+const TimezoneService = require('./timezone.service');
+const EmailService = require('./email.service');
+const SMSService = require('./sms.service');
+const AppointmentNotificationService = require('./appointment-notification.service');
+const AvailabilityService = require('./availability.service');
+const BookingService = require('./booking.service');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, Appointment, Branch, SlotOffer, User, WaitlistEntry } = require('../models');
+
+const DEFAULT_HOLD_MINUTES = 30;
+const ACCEPT_WORDS = ['SI', 'SÍ', 'S', 'ACEPTO', 'YES'];
+const DECLINE_WORDS = ['NO', 'N', 'RECHAZO'];
+
+class WaitlistService {
+  /**
+   * Minutes a freed slot is held for the patient it was offered to
+   * @returns {number} Hold time in minutes
+   */
+  static getHoldMinutes() {
+    return parseInt(process.env.WAITLIST_OFFER_HOLD_MINUTES, 10) || DEFAULT_HOLD_MINUTES;
+  }
+
+  /**
+   * Offer the slot of a cancelled appointment to the waitlist
+   * @param {Object} appointment - Cancelled appointment
+   * @returns {Promise<Object|null>} Created offer, or null when nobody matches
+   */
+  static async handleSlotReleased(appointment) {
+    try {
+      // Nobody can take a slot that has already started at the branch
+      const branch = await Branch.findByPk(appointment.branchId, {
+        attributes: ['id', 'timezone']
+      });
+      const timezone = branch ? branch.timezone : undefined;
+      const startsAt = TimezoneService.toInstant(appointment.date, appointment.startTime, timezone);
+      if (startsAt <= new Date()) {
+        return null;
+      }
+
+      return await this.offerNext({
+        doctorId: appointment.doctorId,
+        branchId: appointment.branchId,
+        date: appointment.date,
+        startTime: appointment.startTime.slice(0, 5),
+        endTime: appointment.endTime.slice(0, 5),
+        sourceAppointmentId: appointment.id
+      });
+    } catch (error) {
+      LoggerService.error('Error offering released slot to the waitlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Offer a free slot to the next matching waitlisted patient. Slots the doctor
+   * no longer works (time off, closures, changed hours) are not offered.
+   * @param {Object} slot - Slot ({ doctorId, branchId, date, startTime, endTime, sourceAppointmentId })
+   * @returns {Promise<Object|null>} Created offer, or null when nobody matches
+   */
+  static async offerNext(slot) {
+    const { doctorId, date, startTime, endTime } = slot;
+
+    const taken = await AvailabilityService.findOverlappingAppointment(
+      { doctorId }, date, startTime, endTime
+    );
+    const held = await AvailabilityService.findActiveHold(doctorId, date, startTime, endTime);
+    if (taken || held) {
+      return null;
+    }
+    const working = await AvailabilityService.isWithinWorkingHours(
+      doctorId, slot.branchId, date, startTime, endTime
+    );
+    if (!working) {
+      return null;
+    }
+
+    const entry = await this.findNextCandidate(slot);
+    if (!entry) {
+      return null;
+    }
+
+    const offer = await sequelize.transaction(async (transaction) => {
+      await entry.update({ status: 'offered' }, { transaction });
+
+      return SlotOffer.create({
+        waitlistEntryId: entry.id,
+        patientId: entry.patientId,
+        doctorId,
+        branchId: slot.branchId,
+        date,
+        startTime,
+        endTime,
+        sourceAppointmentId: slot.sourceAppointmentId || null,
+        token: UtilService.generateRandomString(24),
+        expiresAt: new Date(Date.now() + this.getHoldMinutes() * 60 * 1000)
+      }, { transaction });
+    });
+
+    await this.notifyOffer(offer);
+    LoggerService.info(`Slot ${date} ${startTime} offered to waitlist entry ${entry.id}`);
+
+    return offer;
+  }
+
+  /**
+   * Find the highest-priority waiting entry that matches a slot
+   * @private
+   * @param {Object} slot - Slot ({ doctorId, branchId, date, startTime, endTime })
+   * @returns {Promise<Object|null>} Waitlist entry
+   */
+  static async findNextCandidate(slot) {
+    const { doctorId, branchId, date, startTime, endTime } = slot;
+
+    // Patients who were already offered this slot are skipped
+    const previous = await SlotOffer.findAll({
+      where: { doctorId, date, startTime },
+      attributes: ['patientId']
+    });
+
+    const entries = await WaitlistEntry.findAll({
+      where: {
+        status: 'waiting',
+        startDate: { [Op.lte]: date },
+        endDate: { [Op.gte]: date },
+        patientId: { [Op.notIn]: previous.map(offer => offer.patientId) },
+        [Op.and]: [
+          { [Op.or]: [{ doctorId: null }, { doctorId }] },
+          { [Op.or]: [{ branchId: null }, { branchId }] }
+        ]
+      },
+      order: [['priority', 'DESC'], ['created_at', 'ASC']]
+    });
+
+    for (const entry of entries) {
+      if (!entry.matches(slot)) continue;
+
+      const busy = await AvailabilityService.findOverlappingAppointment(
+        { patientId: entry.patientId }, date, startTime, endTime
+      );
+      if (!busy) return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Accept an offer and book the slot through the regular booking checks. The
+   * patient gets the usual booking confirmation once it is committed.
+   * @param {Object} offer - Slot offer
+   * @param {string} [via='link'] - Response channel ('link' or 'sms')
+   * @returns {Promise<Object|null>} Booked appointment, or null when the slot was lost
+   */
+  static async acceptOffer(offer, via = 'link') {
+    let appointment;
+    try {
+      appointment = await sequelize.transaction(async (transaction) => {
+        const locked = await SlotOffer.findByPk(offer.id, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+        if (!locked.isOpen()) {
+          return null;
+        }
+
+        const { doctorId, patientId, date, startTime, endTime } = locked;
+        const busy = await AvailabilityService.findOverlappingAppointment(
+          { patientId }, date, startTime, endTime, { transaction }
+        );
+        if (busy) {
+          throw new APIError(409, 'Patient already has an appointment at this time');
+        }
+
+        // The freed slot keeps the service it was sized for (duration, buffers, route)
+        const entry = await WaitlistEntry.findByPk(locked.waitlistEntryId, { transaction });
+        const source = locked.sourceAppointmentId
+          ? await Appointment.findByPk(locked.sourceAppointmentId, {
+            attributes: ['id', 'serviceId', 'type'],
+            transaction
+          })
+          : null;
+        const serviceId = source ? source.serviceId : null;
+
+        // The offer link or SMS reply comes from the patient it was sent to
+        const booked = await BookingService.book({
+          patientId,
+          doctorId,
+          branchId: locked.branchId,
+          date,
+          startTime,
+          endTime,
+          type: serviceId ? source.type : entry.type,
+          serviceId
+        }, { id: patientId, role: 'patient' }, {
+          reason: 'Waitlist offer accepted',
+          metadata: { slotOfferId: locked.id, respondedVia: via },
+          transaction
+        });
+
+        await locked.update({
+          status: 'accepted',
+          appointmentId: booked.id,
+          respondedAt: new Date(),
+          respondedVia: via
+        }, { transaction });
+        await entry.update({ status: 'booked' }, { transaction });
+
+        return booked;
+      });
+    } catch (error) {
+      // The slot was taken, or a room, device or session cap ran out, while the
+      // offer was open
+      if (error instanceof APIError && error.statusCode === 409) {
+        await this.closeOffer(offer, { status: 'expired' });
+        return null;
+      }
+      LoggerService.error('Error accepting slot offer:', error);
+      throw error;
+    }
+
+    if (appointment) {
+      await AppointmentNotificationService.notify([appointment], 'booked');
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Decline an offer and pass the slot to the next patient
+   * @param {Object} offer - Slot offer
+   * @param {string} [via='link'] - Response channel ('link' or 'sms')
+   * @returns {Promise<Object|null>} Offer made to the next patient
+   */
+  static async declineOffer(offer, via = 'link') {
+    try {
+      await this.closeOffer(offer, {
+        status: 'declined',
+        respondedAt: new Date(),
+        respondedVia: via
+      });
+      return await this.offerNext(offer);
+    } catch (error) {
+      LoggerService.error('Error declining slot offer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Expire offers whose hold has lapsed and pass their slots on
+   * @returns {Promise<number>} Number of expired offers
+   */
+  static async expireStaleOffers() {
+    try {
+      const offers = await SlotOffer.findAll({
+        where: {
+          status: 'pending',
+          expiresAt: { [Op.lte]: new Date() }
+        },
+        order: [['expiresAt', 'ASC']]
+      });
+
+      for (const offer of offers) {
+        await this.closeOffer(offer, { status: 'expired' });
+        await this.offerNext(offer);
+      }
+
+      return offers.length;
+    } catch (error) {
+      LoggerService.error('Error expiring slot offers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close an offer and put its patient back on the waitlist
+   * @private
+   * @param {Object} offer - Slot offer
+   * @param {Object} changes - Offer fields to update
+   * @returns {Promise<void>}
+   */
+  static async closeOffer(offer, changes) {
+    await sequelize.transaction(async (transaction) => {
+      await offer.update(changes, { transaction });
+      await WaitlistEntry.update(
+        { status: 'waiting' },
+        { where: { id: offer.waitlistEntryId, status: 'offered' }, transaction }
+      );
+    });
+  }
+
+  /**
+   * Find the pending offer an SMS reply refers to
+   * @param {string} phone - Sender phone number
+   * @param {string} [code] - Offer code included in the reply
+   * @returns {Promise<Object|null>} Slot offer
+   */
+  static async findOfferForReply(phone, code = null) {
+    const digits = String(phone).replace(/\D/g, '').slice(-10);
+    if (!digits) {
+      return null;
+    }
+
+    const offers = await SlotOffer.findAll({
+      where: { status: 'pending' },
+      include: [
+        {
+          model: User,
+          as: 'patient',
+          attributes: ['id', 'phone'],
+          where: { phone: { [Op.like]: `%${digits}` } }
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    return offers.find(offer => !code || this.getReplyCode(offer) === code) || null;
+  }
+
+  /**
+   * Parse an SMS reply to an offer
+   * @param {string} body - Message body
+   * @returns {Object|null} Reply ({ accept, code }) or null when not understood
+   */
+  static parseReply(body) {
+    const [word, code] = String(body || '').trim().toUpperCase().split(/\s+/);
+
+    if (ACCEPT_WORDS.includes(word)) {
+      return { accept: true, code: code || null };
+    }
+    if (DECLINE_WORDS.includes(word)) {
+      return { accept: false, code: code || null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Short code identifying an offer in SMS replies
+   * @param {Object} offer - Slot offer
+   * @returns {string} Reply code
+   */
+  static getReplyCode(offer) {
+    return offer.token.slice(0, 6).toUpperCase();
+  }
+
+  /**
+   * Send the offer to the patient by email and SMS
+   * @private
+   * @param {Object} offer - Slot offer
+   * @returns {Promise<void>}
+   */
+  static async notifyOffer(offer) {
+    try {
+      const details = await SlotOffer.findByPk(offer.id, {
+        include: [
+          { model: User, as: 'patient', attributes: ['id', 'firstName', 'email', 'phone'] },
+          { model: User, as: 'doctor', attributes: ['id', 'firstName', 'lastName'] },
+          { model: Branch, as: 'branch', attributes: ['id', 'name', 'address', 'timezone'] }
+        ]
+      });
+      const url = `${process.env.FRONTEND_URL}/waitlist/offers/${offer.token}`;
+      const code = this.getReplyCode(offer);
+
+      await Promise.all([
+        EmailService.sendWaitlistOffer(details, url),
+        SMSService.sendWaitlistOffer(details, url, code)
+      ]);
+    } catch (error) {
+      // The hold still expires on schedule, so a failed notification only delays the slot
+      LoggerService.error('Error notifying slot offer:', error);
+    }
+  }
+}
+
+module.exports = WaitlistService;
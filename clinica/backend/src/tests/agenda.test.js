@@ -0,0 +1,146 @@
+const AgendaService = require('../services/agenda.service');
+const AvailabilityService = require('../services/availability.service');
+const TimeOffService = require('../services/time-off.service');
+const {
+  Appointment,
+  AvailabilityTemplate,
+  Branch,
+  GroupSession,
+  TimeOff
+} = require('../models');
+
+describe('Agenda Tests', () => {
+  const none = [];
+  const template = AvailabilityTemplate.build({
+    doctorId: 'doctor-1',
+    branchId: 'branch-1',
+    weeklySchedule: {
+      monday: [{ start: '09:00', end: '13:00' }, { start: '15:00', end: '19:00' }],
+      tuesday: none,
+      wednesday: none,
+      thursday: none,
+      friday: none,
+      saturday: none,
+      sunday: none
+    },
+    effectiveFrom: '2024-01-01',
+    branch: {
+      id: 'branch-1',
+      name: 'Centro',
+      timezone: 'America/Mexico_City',
+      operatingHours: { monday: { open: '08:00', close: '18:00' } }
+    }
+  }, { include: [{ model: Branch, as: 'branch' }] });
+  const meeting = TimeOff.build({
+    id: 'block-1',
+    type: 'other',
+    reason: 'Junta de personal',
+    startDate: '2024-06-03',
+    endDate: '2024-06-03',
+    startTime: '10:00',
+    endTime: '11:00',
+    recurrence: 'none'
+  });
+
+  beforeEach(() => {
+    jest.spyOn(AvailabilityService, 'getEffectiveTemplates').mockResolvedValue([template]);
+    jest.spyOn(TimeOffService, 'getBlocksOn').mockImplementation((doctorId, branchIds, date) =>
+      Promise.resolve([meeting].filter(block => block.occursOn(date))));
+    jest.spyOn(Appointment, 'findAll').mockResolvedValue([
+      Appointment.build({ id: 'a-1', date: '2024-06-03', startTime: '09:00', endTime: '10:00' }),
+      Appointment.build({ id: 'a-2', date: '2024-06-03', startTime: '15:00', endTime: '15:30' })
+    ]);
+    jest.spyOn(GroupSession, 'findAll').mockResolvedValue([
+      GroupSession.build({ id: 'g-1', date: '2024-06-03', startTime: '16:00', endTime: '17:00' })
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should cover Monday to Sunday in the week view', () => {
+    expect(AgendaService.getRange('week', '2024-06-05')).toEqual({
+      startDate: '2024-06-03',
+      endDate: '2024-06-09'
+    });
+    expect(AgendaService.getRange('day', '2024-06-05')).toEqual({
+      startDate: '2024-06-05',
+      endDate: '2024-06-05'
+    });
+  });
+
+  it('should lay out working hours, blocked time and free gaps', async () => {
+    const { days } = await AgendaService.getAgenda('doctor-1', '2024-06-03', '2024-06-03');
+    const [branch] = days[0].branches;
+
+    expect(days[0].appointments).toHaveLength(2);
+    expect(days[0].groupSessions).toHaveLength(1);
+    // The doctor's 15-19 shift is clipped to the branch closing at 18:00
+    expect(branch.working).toEqual([
+      { startTime: '09:00', endTime: '13:00' },
+      { startTime: '15:00', endTime: '18:00' }
+    ]);
+    expect(branch.blocked).toEqual([{
+      timeOffId: 'block-1',
+      type: 'other',
+      reason: 'Junta de personal',
+      startTime: '10:00',
+      endTime: '11:00'
+    }]);
+    expect(branch.gaps).toEqual([
+      { startTime: '11:00', endTime: '13:00' },
+      { startTime: '15:30', endTime: '16:00' },
+      { startTime: '17:00', endTime: '18:00' }
+    ]);
+  });
+
+  it('should measure utilization against the hours left after blocked time', async () => {
+    const { days } = await AgendaService.getAgenda('doctor-1', '2024-06-03', '2024-06-03');
+
+    expect(days[0].branches[0]).toEqual(expect.objectContaining({
+      workingMinutes: 420,
+      blockedMinutes: 60,
+      availableMinutes: 360,
+      bookedMinutes: 150,
+      utilization: 41.7
+    }));
+  });
+
+  it('should add up each branch over the week', async () => {
+    const agenda = await AgendaService.getAgenda('doctor-1', '2024-06-03', '2024-06-09');
+
+    expect(agenda.days).toHaveLength(7);
+    expect(agenda.days[1].branches).toEqual([]);
+    expect(agenda.branches).toEqual([{
+      branchId: 'branch-1',
+      name: 'Centro',
+      workingMinutes: 420,
+      blockedMinutes: 60,
+      availableMinutes: 360,
+      bookedMinutes: 150,
+      utilization: 41.7
+    }]);
+  });
+
+  it('should report no utilization for a day off', async () => {
+    jest.spyOn(TimeOffService, 'getBlocksOn').mockResolvedValue([
+      TimeOff.build({
+        type: 'vacation',
+        startDate: '2024-06-03',
+        endDate: '2024-06-07',
+        recurrence: 'none'
+      })
+    ]);
+
+    const { days } = await AgendaService.getAgenda('doctor-1', '2024-06-03', '2024-06-03');
+
+    expect(days[0].branches[0]).toEqual(expect.objectContaining({
+      blockedMinutes: 420,
+      availableMinutes: 0,
+      bookedMinutes: 0,
+      utilization: null
+    }));
+    expect(days[0].branches[0].gaps).toEqual([]);
+  });
+});
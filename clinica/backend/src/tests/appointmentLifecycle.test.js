@@ -0,0 +1,65 @@
+const AppointmentLifecycleService = require('../services/appointment-lifecycle.service');
+const { sequelize, AppointmentTransition } = require('../models');
+
+describe('Appointment Lifecycle Tests', () => {
+  it('should follow the visit from booking to completion', () => {
+    const path = ['scheduled', 'confirmed', 'checked_in', 'in_progress', 'completed'];
+
+    path.slice(1).forEach((to, index) => {
+      expect(AppointmentLifecycleService.canTransition(path[index], to, 'doctor')).toBe(true);
+    });
+  });
+
+  it('should only let staff check in and complete appointments', () => {
+    expect(AppointmentLifecycleService.canTransition('confirmed', 'checked_in', 'patient'))
+      .toBe(false);
+    expect(AppointmentLifecycleService.canTransition('in_progress', 'completed', 'patient'))
+      .toBe(false);
+    expect(AppointmentLifecycleService.canTransition('confirmed', 'cancelled', 'patient'))
+      .toBe(true);
+  });
+
+  it('should let automated jobs mark no-shows and nothing else', () => {
+    expect(AppointmentLifecycleService.getAllowedTransitions('confirmed', 'system'))
+      .toEqual(['no_show']);
+    expect(AppointmentLifecycleService.getRole(null)).toBe('system');
+  });
+
+  it('should not reopen finished appointments', () => {
+    ['completed', 'cancelled', 'no_show'].forEach(status => {
+      expect(AppointmentLifecycleService.getAllowedTransitions(status, 'admin')).toEqual([]);
+    });
+  });
+
+  it('should reject moves outside the lifecycle with 409 and role violations with 403', () => {
+    const patient = { id: 'patient-1', role: 'patient' };
+
+    expect(() => AppointmentLifecycleService.assertTransition(
+      { status: 'completed' }, 'scheduled', patient
+    )).toThrow(expect.objectContaining({
+      statusCode: 409,
+      details: { allowedTransitions: [] }
+    }));
+
+    expect(() => AppointmentLifecycleService.assertTransition(
+      { status: 'checked_in' }, 'in_progress', patient
+    )).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('should read the timeline oldest first by its creation column', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+
+    await AppointmentLifecycleService.getTimeline('appointment-1');
+
+    expect(query.mock.calls[0][0]).toContain('ORDER BY "AppointmentTransition"."created_at" ASC');
+  });
+
+  it('should only index columns the transitions table has', () => {
+    const columns = Object.values(AppointmentTransition.getAttributes())
+      .map(attribute => attribute.field);
+
+    AppointmentTransition.options.indexes.forEach((index) => {
+      expect(columns).toEqual(expect.arrayContaining(index.fields));
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const AppointmentSeriesController = require('../controllers/appointmentSeries.controller');
+const AppointmentLifecycleService = require('../services/appointment-lifecycle.service');
+const AppointmentNotificationService = require('../services/appointment-notification.service');
+const AppointmentSeriesService = require('../services/appointment-series.service');
+const AvailabilityService = require('../services/availability.service');
+const BookingService = require('../services/booking.service');
+const { APIError } = require('../middleware/error.middleware');
+const WaitlistService = require('../services/waitlist.service');
+const {
+  sequelize,
+  Appointment,
+  AppointmentSeries,
+  Branch,
+  CancellationPolicy
+} = require('../models');
+
+describe('Appointment Series Tests', () => {
+  describe('Recurrence Rule', () => {
+    it('should book twice a week until the session count is reached', () => {
+      const dates = AppointmentSeriesService.expandRule({
+        startDate: '2024-06-03', // Monday
+        weekdays: ['monday', 'thursday'],
+        count: 5
+      });
+
+      expect(dates).toEqual([
+        '2024-06-03',
+        '2024-06-06',
+        '2024-06-10',
+        '2024-06-13',
+        '2024-06-17'
+      ]);
+    });
+
+    it('should skip weeks according to the interval', () => {
+      const dates = AppointmentSeriesService.expandRule({
+        startDate: '2024-06-05', // Wednesday
+        weekdays: ['monday', 'friday'],
+        interval: 2,
+        count: 4
+      });
+
+      expect(dates).toEqual(['2024-06-07', '2024-06-17', '2024-06-21', '2024-07-01']);
+    });
+
+    it('should stop at the until date', () => {
+      const dates = AppointmentSeriesService.expandRule({
+        startDate: '2024-06-03',
+        weekdays: ['tuesday'],
+        until: '2024-06-20'
+      });
+
+      expect(dates).toEqual(['2024-06-04', '2024-06-11', '2024-06-18']);
+    });
+
+    it('should reject an end date that expands past the session cap', () => {
+      expect(() => AppointmentSeriesService.expandRule({
+        startDate: '2024-06-03',
+        weekdays: ['monday', 'thursday'],
+        until: '2025-06-30'
+      })).toThrow(expect.objectContaining({
+        statusCode: 400,
+        details: { maxSessions: 52, maxSpanDays: 730 }
+      }));
+    });
+
+    it('should reject a session count the rule cannot fit in the maximum span', () => {
+      expect(() => AppointmentSeriesService.expandRule({
+        startDate: '2024-06-03',
+        weekdays: ['monday'],
+        interval: 8,
+        count: 20
+      })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('Moving Sessions', () => {
+    it('should shift "this and following" sessions by the same number of days', () => {
+      const anchor = { id: 'a', date: '2024-06-06', startTime: '10:00:00', endTime: '10:45:00' };
+      const next = { id: 'b', date: '2024-06-10', startTime: '10:00:00', endTime: '10:45:00' };
+
+      const moves = AppointmentSeriesService.buildMoves(anchor, [anchor, next], {
+        date: '2024-06-07',
+        startTime: '16:00',
+        endTime: '16:45'
+      });
+
+      expect(moves).toEqual([
+        { appointmentId: 'a', date: '2024-06-07', startTime: '16:00', endTime: '16:45' },
+        { appointmentId: 'b', date: '2024-06-11', startTime: '16:00', endTime: '16:45' }
+      ]);
+    });
+  });
+
+  describe('Booking', () => {
+    const transaction = {};
+    const base = {
+      patientId: 'patient-1',
+      doctorId: 'doctor-1',
+      branchId: 'branch-1',
+      serviceId: 'service-1',
+      type: 'follow_up'
+    };
+    const proposal = { date: '2099-06-03', startTime: '10:00', endTime: '10:45' };
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(work => work(transaction));
+      jest.spyOn(AppointmentNotificationService, 'notify').mockResolvedValue([]);
+    });
+
+    it('should book every available session through the booking checks', async () => {
+      jest.spyOn(AppointmentSeries, 'create')
+        .mockImplementation(data => Promise.resolve(AppointmentSeries.build(data)));
+      const book = jest.spyOn(BookingService, 'book')
+        .mockImplementation(data => Promise.resolve({ id: `session-${data.seriesIndex}` }));
+
+      await AppointmentSeriesService.createSeries(
+        {
+          ...base,
+          startDate: '2099-06-03',
+          weekdays: ['wednesday'],
+          startTime: '10:00',
+          endTime: '10:45'
+        },
+        [
+          { ...proposal, available: true },
+          { ...proposal, date: '2099-06-10', available: false },
+          { ...proposal, date: '2099-06-17', available: true }
+        ]
+      );
+
+      expect(book).toHaveBeenCalledTimes(2);
+      expect(book.mock.calls.map(([data]) => [data.date, data.seriesIndex, data.serviceId]))
+        .toEqual([['2099-06-03', 1, 'service-1'], ['2099-06-17', 3, 'service-1']]);
+      expect(book.mock.calls[0][2]).toEqual({ transaction });
+      expect(AppointmentNotificationService.notify)
+        .toHaveBeenCalledWith([{ id: 'session-1' }, { id: 'session-3' }], 'booked');
+    });
+
+    it('should report a session over the doctor\'s cap in the preview', async () => {
+      jest.spyOn(AvailabilityService, 'isWithinWorkingHours').mockResolvedValue(true);
+      jest.spyOn(BookingService, 'checkSlot').mockRejectedValue(new APIError(
+        409,
+        'Doctor takes at most 6 intravenous sessions a day',
+        { rule: 'daily_cap' }
+      ));
+
+      await expect(AppointmentSeriesService.findConflict(base, proposal)).resolves.toEqual({
+        reason: 'Doctor takes at most 6 intravenous sessions a day',
+        appointmentId: null
+      });
+    });
+  });
+
+  describe('Notifications', () => {
+    const series = { id: 'series-1', update: jest.fn() };
+    const sessions = [{ id: 'a' }, { id: 'b' }];
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(work => work({}));
+      jest.spyOn(AppointmentLifecycleService, 'transition')
+        .mockImplementation(session => Promise.resolve(session));
+      jest.spyOn(AppointmentNotificationService, 'notify').mockResolvedValue([]);
+      jest.spyOn(WaitlistService, 'handleSlotReleased').mockResolvedValue(null);
+    });
+
+    it('should send each patient a cancellation for every cancelled session', async () => {
+      await AppointmentSeriesService.cancelSessions(series, sessions, 'Viaje', true);
+
+      expect(AppointmentNotificationService.notify).toHaveBeenCalledTimes(1);
+      expect(AppointmentNotificationService.notify).toHaveBeenCalledWith(sessions, 'cancelled');
+    });
+  });
+
+  describe('Cancellation Policy', () => {
+    // A session two hours from now, inside the default 24-hour notice
+    const [date, time] = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString().split('T');
+    const session = Appointment.build(
+      {
+        id: 'session-1',
+        seriesId: 'series-1',
+        branchId: 'branch-1',
+        type: 'follow_up',
+        status: 'scheduled',
+        date,
+        startTime: time.slice(0, 5),
+        endTime: '23:59',
+        branch: { id: 'branch-1', timezone: 'UTC' }
+      },
+      { include: [{ model: Branch, as: 'branch' }] }
+    );
+    const series = { id: 'series-1', patientId: 'patient-1', status: 'active' };
+    const cancel = (user, body = {}) => {
+      const next = jest.fn();
+      return AppointmentSeriesController.cancel(
+        { params: { id: 'series-1' }, body: { reason: 'Viaje', ...body }, user },
+        { json: jest.fn() },
+        next
+      ).then(() => next);
+    };
+
+    beforeEach(() => {
+      jest.spyOn(AppointmentSeriesController, 'findAccessibleSeries').mockResolvedValue(series);
+      jest.spyOn(AppointmentSeriesService, 'getAffectedSessions').mockResolvedValue([session]);
+      jest.spyOn(AppointmentSeriesService, 'cancelSessions').mockResolvedValue([session]);
+      jest.spyOn(CancellationPolicy, 'findAll').mockResolvedValue([]);
+    });
+
+    it('should refuse a patient cancelling a session within the notice period', async () => {
+      const next = await cancel({ id: 'patient-1', role: 'patient' });
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        statusCode: 403,
+        details: expect.objectContaining({ rule: 'cancel_notice' })
+      }));
+      expect(AppointmentSeriesService.cancelSessions).not.toHaveBeenCalled();
+    });
+
+    it('should let an admin override the policy and log it on the session', async () => {
+      const admin = { id: 'admin-1', role: 'admin' };
+      await cancel(admin, { overrideReason: 'Hospitalización' });
+
+      const [[, , , , , policies]] = AppointmentSeriesService.cancelSessions.mock.calls;
+      expect(policies['session-1'].override).toEqual({
+        reason: 'Hospitalización',
+        waived: ['cancel_notice'],
+        by: 'admin-1'
+      });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const AvailabilityService = require('../services/availability.service');
+const TimeOffService = require('../services/time-off.service');
+const ResourceService = require('../services/resource.service');
+const { TimeOff } = require('../models');
+
+describe('Availability Tests', () => {
+  describe('Interval Arithmetic', () => {
+    it('should intersect doctor intervals with branch hours', () => {
+      const doctor = [{ start: 480, end: 720 }, { start: 900, end: 1140 }]; // 08-12, 15-19
+      const branch = [{ start: 540, end: 1080 }]; // 09-18
+
+      expect(AvailabilityService.intersectIntervals(doctor, branch)).toEqual([
+        { start: 540, end: 720 },
+        { start: 900, end: 1080 }
+      ]);
+    });
+
+    it('should return no intervals when the branch is closed', () => {
+      const doctor = [{ start: 540, end: 780 }];
+
+      expect(AvailabilityService.intersectIntervals(doctor, [])).toEqual([]);
+    });
+
+    it('should subtract booked appointments, including ones that straddle an edge', () => {
+      const free = AvailabilityService.subtractIntervals(
+        [{ start: 540, end: 780 }],
+        [{ start: 510, end: 570 }, { start: 660, end: 690 }]
+      );
+
+      expect(free).toEqual([
+        { start: 570, end: 660 },
+        { start: 690, end: 780 }
+      ]);
+    });
+  });
+
+  describe('Slot Generation', () => {
+    it('should only emit slots that fit entirely in the interval', () => {
+      const slots = AvailabilityService.generateSlots([{ start: 540, end: 650 }], 30);
+
+      expect(slots).toEqual([
+        { start: 540, end: 570 },
+        { start: 570, end: 600 },
+        { start: 600, end: 630 }
+      ]);
+    });
+
+    it('should step by the template slot length for longer services', () => {
+      const slots = AvailabilityService.generateSlots([{ start: 540, end: 660 }], 60, 30);
+
+      expect(slots).toEqual([
+        { start: 540, end: 600 },
+        { start: 570, end: 630 },
+        { start: 600, end: 660 }
+      ]);
+    });
+  });
+
+  describe('Branch Hours', () => {
+    const branch = {
+      operatingHours: {
+        monday: { open: '09:00', close: '18:00' },
+        sunday: { open: null, close: null }
+      }
+    };
+
+    it('should read operating hours for the weekday of the date', () => {
+      expect(AvailabilityService.getBranchIntervals(branch, '2024-06-03')).toEqual([
+        { start: 540, end: 1080 }
+      ]);
+    });
+
+    it('should treat days without hours as closed', () => {
+      expect(AvailabilityService.getBranchIntervals(branch, '2024-06-02')).toEqual([]);
+    });
+  });
+
+  describe('Time Off', () => {
+    it('should compute movable Mexican holidays for the year', () => {
+      const dates = TimeOffService.getHolidays(2024).map(holiday => holiday.date);
+
+      expect(dates).toEqual(expect.arrayContaining([
+        '2024-01-01',
+        '2024-02-05',
+        '2024-03-18',
+        '2024-10-01',
+        '2024-11-18',
+        '2024-12-25'
+      ]));
+      expect(TimeOffService.getHolidays(2025).map(holiday => holiday.date))
+        .not.toContain('2025-10-01');
+    });
+
+    it('should repeat weekly blocks until the recurrence end', () => {
+      const block = TimeOff.build({
+        doctorId: 'doctor',
+        type: 'other',
+        startDate: '2024-06-07',
+        endDate: '2024-06-07',
+        recurrence: 'weekly',
+        recurrenceUntil: '2024-06-30'
+      });
+
+      expect(block.occursOn('2024-06-14')).toBe(true);
+      expect(block.occursOn('2024-06-13')).toBe(false);
+      expect(block.occursOn('2024-07-05')).toBe(false);
+    });
+
+    it('should only block the partial-day window at the matching branch', () => {
+      const blocks = [
+        TimeOff.build({
+          doctorId: 'doctor',
+          branchId: 'branch-a',
+          type: 'congress',
+          startDate: '2024-06-07',
+          endDate: '2024-06-07',
+          startTime: '14:00',
+          endTime: '18:00'
+        })
+      ];
+
+      expect(TimeOffService.getBlockedIntervals(blocks, 'branch-a')).toEqual([
+        { start: 840, end: 1080 }
+      ]);
+      expect(TimeOffService.getBlockedIntervals(blocks, 'branch-b')).toEqual([]);
+    });
+  });
+
+  describe('Resources', () => {
+    const resources = [
+      { id: 'room-1', kind: 'room', busy: [{ start: 540, end: 600 }] },
+      { id: 'room-2', kind: 'room', busy: [] },
+      { id: 'generator-1', kind: 'ozone_generator', busy: [{ start: 570, end: 630 }] }
+    ];
+
+    it('should pick a free resource of each required kind', () => {
+      expect(ResourceService.allocate(['room'], resources, 540, 570)).toEqual({
+        resourceIds: ['room-2']
+      });
+      expect(ResourceService.allocate(['room', 'ozone_generator'], resources, 630, 660)).toEqual({
+        resourceIds: ['room-1', 'generator-1']
+      });
+    });
+
+    it('should report the kind that is not free', () => {
+      expect(ResourceService.allocate(['room', 'ozone_generator'], resources, 600, 630)).toEqual({
+        missing: 'ozone_generator'
+      });
+      expect(ResourceService.allocate(['room', 'room', 'room'], resources, 660, 690)).toEqual({
+        missing: 'room'
+      });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { ExclusionConstraintError } = require('sequelize');
+const BookingService = require('../services/booking.service');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, ensureDatabaseObjects } = require('../models');
+
+describe('Booking Tests', () => {
+  it('should name the conflicting appointment in the 409 details', () => {
+    const error = BookingService.conflictError({
+      id: 'appointment-1',
+      date: '2024-06-12',
+      startTime: '10:00:00',
+      endTime: '11:00:00',
+      status: 'confirmed',
+      patientId: 'patient-1'
+    });
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.statusCode).toBe(409);
+    expect(error.details).toEqual({
+      conflictingAppointment: {
+        id: 'appointment-1',
+        date: '2024-06-12',
+        startTime: '10:00:00',
+        endTime: '11:00:00',
+        status: 'confirmed'
+      }
+    });
+  });
+
+  it('should leave violations of other exclusion constraints untouched', async () => {
+    const error = new ExclusionConstraintError({ constraint: 'room_no_overlap' });
+
+    await expect(BookingService.toConflictError(error, {})).resolves.toBe(error);
+  });
+
+  it('should create the overlap constraints without syncing the models', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+
+    await ensureDatabaseObjects();
+
+    const sql = query.mock.calls.map(([statement]) => statement).join('\n');
+    expect(sql).toContain('ADD CONSTRAINT appointment_doctor_no_overlap');
+    expect(sql).toContain('ALTER TABLE resource_bookings ADD CONSTRAINT');
+  });
+});
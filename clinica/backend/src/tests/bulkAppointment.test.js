@@ -0,0 +1,136 @@
+const BulkAppointmentService = require('../services/bulk-appointment.service');
+const AppointmentLifecycleService = require('../services/appointment-lifecycle.service');
+const AppointmentNotificationService = require('../services/appointment-notification.service');
+const WaitlistService = require('../services/waitlist.service');
+const { sequelize } = require('../models');
+
+const buildAppointment = (overrides = {}) => ({
+  id: 'appointment-1',
+  doctorId: 'doctor-1',
+  branchId: 'branch-1',
+  date: '2024-06-28',
+  startTime: '10:00:00',
+  endTime: '10:30:00',
+  patient: { firstName: 'Ana', lastName: 'López', email: 'ana@example.com' },
+  doctor: { firstName: 'Luis', lastName: 'Pérez' },
+  branch: { name: 'Centro', timezone: 'America/Mexico_City' },
+  ...overrides
+});
+
+describe('Bulk Appointment Tests', () => {
+  describe('Moves', () => {
+    it('should shift dates across month ends and keep local times', () => {
+      const [move] = BulkAppointmentService.buildMoves([buildAppointment()], { shiftDays: 7 });
+
+      expect(move).toMatchObject({
+        doctorId: 'doctor-1',
+        branchId: 'branch-1',
+        date: '2024-07-05',
+        startTime: '10:00',
+        endTime: '10:30'
+      });
+    });
+
+    it('should move to another doctor on the same day', () => {
+      const [move] = BulkAppointmentService.buildMoves([buildAppointment()], {
+        doctorId: 'doctor-2'
+      });
+
+      expect(move.doctorId).toBe('doctor-2');
+      expect(move.date).toBe('2024-06-28');
+    });
+
+    it('should shift dates backwards', () => {
+      const [move] = BulkAppointmentService.buildMoves([buildAppointment()], { shiftDays: -28 });
+
+      expect(move.date).toBe('2024-05-31');
+    });
+  });
+
+  describe('Cancelling', () => {
+    it('should offer the freed slots to the waitlist once the cancellations commit', async () => {
+      const steps = [];
+      const appointments = [
+        buildAppointment(),
+        buildAppointment({ id: 'appointment-2', groupSessionId: 'group-1' }),
+        buildAppointment({ id: 'appointment-3', startTime: '11:00:00', endTime: '11:30:00' })
+      ];
+      jest.spyOn(BulkAppointmentService, 'findAppointments').mockResolvedValue(appointments);
+      jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => {
+        await work({});
+        steps.push('commit');
+      });
+      jest.spyOn(AppointmentLifecycleService, 'transition').mockResolvedValue();
+      jest.spyOn(AppointmentNotificationService, 'notify')
+        .mockResolvedValue(appointments.map(appointment => appointment.id));
+      const offer = jest.spyOn(WaitlistService, 'handleSlotReleased')
+        .mockImplementation((appointment) => {
+          steps.push(`offer ${appointment.id}`);
+          return Promise.resolve(appointment.id === 'appointment-1' ? { id: 'offer-1' } : null);
+        });
+
+      const report = await BulkAppointmentService.cancel({}, {
+        reason: 'Cierre de la sucursal',
+        user: { id: 'admin-1', role: 'admin' }
+      });
+
+      // Seats leave the doctor busy with the rest of the group
+      expect(steps).toEqual(['commit', 'offer appointment-1', 'offer appointment-3']);
+      expect(offer).toHaveBeenCalledTimes(2);
+      expect(report.summary.cancelled).toBe(3);
+    });
+
+    it('should keep the cancellations when offering a slot fails', async () => {
+      jest.spyOn(BulkAppointmentService, 'findAppointments')
+        .mockResolvedValue([buildAppointment()]);
+      jest.spyOn(sequelize, 'transaction').mockImplementation(work => work({}));
+      jest.spyOn(AppointmentLifecycleService, 'transition').mockResolvedValue();
+      jest.spyOn(AppointmentNotificationService, 'notify').mockResolvedValue([]);
+      jest.spyOn(WaitlistService, 'handleSlotReleased').mockRejectedValue(new Error('Redis down'));
+
+      const report = await BulkAppointmentService.cancel({}, {
+        reason: 'Cierre de la sucursal',
+        user: { id: 'admin-1', role: 'admin' }
+      });
+
+      expect(report.summary.cancelled).toBe(1);
+    });
+  });
+
+  describe('Report', () => {
+    it('should label moves by whether anything changes', () => {
+      expect(BulkAppointmentService.getMoveResult(true, true)).toBe('would_move');
+      expect(BulkAppointmentService.getMoveResult(false, true)).toBe('conflict');
+      expect(BulkAppointmentService.getMoveResult(true, false)).toBe('moved');
+      expect(BulkAppointmentService.getMoveResult(false, false)).toBe('skipped');
+    });
+
+    it('should count results and notifications', () => {
+      const appointment = buildAppointment();
+      const rows = BulkAppointmentService.markNotified([
+        BulkAppointmentService.describe(appointment, { result: 'moved' }),
+        BulkAppointmentService.describe(buildAppointment({ id: 'appointment-2' }), {
+          result: 'skipped',
+          reason: 'Doctor is not available at this time'
+        })
+      ], ['appointment-1']);
+
+      const report = BulkAppointmentService.buildReport(rows, false);
+
+      expect(report.dryRun).toBe(false);
+      expect(report.summary).toEqual({ matched: 2, moved: 1, skipped: 1, notified: 1 });
+    });
+
+    it('should quote CSV fields with commas and quotes', () => {
+      const row = BulkAppointmentService.describe(buildAppointment({
+        patient: { firstName: 'Ana "Anita"', lastName: 'López, Jr.', email: 'ana@example.com' }
+      }), { result: 'would_cancel' });
+
+      const [header, line] = BulkAppointmentService.toCsv({ results: [row] }).split('\r\n');
+
+      expect(header.startsWith('appointmentId,patient,patientEmail')).toBe(true);
+      expect(line).toContain('"Ana ""Anita"" López, Jr."');
+      expect(line).toContain(',would_cancel,,,false');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const CalendarService = require('../services/calendar.service');
+const { Appointment, Branch, User } = require('../models');
+
+describe('Calendar Tests', () => {
+  const buildAppointment = (values = {}) => Appointment.build(
+    {
+      id: '6f1c2a0e-7d4b-4c1e-9a51-3b8e2f0d9c11',
+      date: '2024-01-15',
+      startTime: '09:00:00',
+      endTime: '09:45:00',
+      type: 'follow_up',
+      status: 'scheduled',
+      patient: { id: 'patient-1', firstName: 'Ana', lastName: 'López', email: 'ana@example.com' },
+      doctor: { id: 'doctor-1', firstName: 'Luis', lastName: 'Pérez' },
+      branch: {
+        id: 'branch-1',
+        name: 'Centro',
+        address: 'Av. Juárez 10, Col. Centro',
+        timezone: 'America/Tijuana'
+      },
+      ...values
+    },
+    {
+      include: [
+        { model: User, as: 'patient' },
+        { model: User, as: 'doctor' },
+        { model: Branch, as: 'branch' }
+      ]
+    }
+  );
+
+  it('should send invitations with UTC times in the branch timezone', () => {
+    const ics = CalendarService.buildInvitation(buildAppointment());
+
+    expect(ics).toContain('METHOD:REQUEST\r\n');
+    expect(ics).toContain('UID:6f1c2a0e-7d4b-4c1e-9a51-3b8e2f0d9c11@clinica-ozonoterapia\r\n');
+    // 09:00 in Tijuana in January is 17:00 UTC
+    expect(ics).toContain('DTSTART:20240115T170000Z\r\n');
+    expect(ics).toContain('DTEND:20240115T174500Z\r\n');
+    expect(ics).toContain('STATUS:TENTATIVE\r\n');
+    expect(ics).toContain('ATTENDEE;CN="Ana López";ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:ana@exa');
+  });
+
+  it('should cancel the same event with a higher sequence', () => {
+    const ics = CalendarService.buildInvitation(
+      buildAppointment({ status: 'cancelled', calendarSequence: 2 }),
+      'CANCEL'
+    );
+
+    expect(ics).toContain('METHOD:CANCEL\r\n');
+    expect(ics).toContain('UID:6f1c2a0e-7d4b-4c1e-9a51-3b8e2f0d9c11@clinica-ozonoterapia\r\n');
+    expect(ics).toContain('SEQUENCE:2\r\n');
+    expect(ics).toContain('STATUS:CANCELLED\r\n');
+  });
+
+  it('should name the patient in doctor feeds', () => {
+    const doctor = { role: 'doctor', firstName: 'Luis', lastName: 'Pérez' };
+    const ics = CalendarService.buildFeed(doctor, [buildAppointment({ status: 'confirmed' })]);
+
+    expect(ics).toContain('METHOD:PUBLISH\r\n');
+    expect(ics).toContain('X-WR-CALNAME:Agenda Dr. Luis Pérez\r\n');
+    expect(ics).toContain('SUMMARY:Consulta de seguimiento: Ana López\r\n');
+    expect(ics).toContain('STATUS:CONFIRMED\r\n');
+    expect(ics).not.toContain('ATTENDEE');
+  });
+
+  it('should escape text values', () => {
+    expect(CalendarService.escapeText('Av. Juárez 10, Col. Centro; 2do piso\nSala 1'))
+      .toBe('Av. Juárez 10\\, Col. Centro\\; 2do piso\\nSala 1');
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'ñ'.repeat(100)}`;
+    const folded = CalendarService.foldLine(line).split('\r\n');
+
+    folded.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    expect(folded.map((part, i) => (i ? part.slice(1) : part)).join('')).toBe(line);
+  });
+});
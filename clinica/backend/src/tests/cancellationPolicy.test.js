@@ -0,0 +1,127 @@
+const CancellationPolicyService = require('../services/cancellation-policy.service');
+const { Appointment, Branch } = require('../models');
+
+const buildAppointment = () => Appointment.build(
+  {
+    id: 'appointment-1',
+    branchId: 'branch-1',
+    type: 'first_visit',
+    date: '2024-01-15',
+    startTime: '09:00:00',
+    endTime: '09:30:00',
+    branch: { id: 'branch-1', timezone: 'America/Tijuana' }
+  },
+  { include: [{ model: Branch, as: 'branch' }] }
+);
+
+const buildPolicy = (overrides = {}) => ({
+  id: 'policy-1',
+  name: 'Primera consulta',
+  cancelNoticeHours: 48,
+  lateCancellationFee: null,
+  rescheduleNoticeHours: 24,
+  maxPatientReschedules: 1,
+  ...overrides
+});
+
+// 09:00 in Tijuana in January is 17:00 UTC; this is 30 hours before
+const NOW = new Date('2024-01-14T11:00:00Z');
+
+describe('Cancellation Policy Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should prefer service policies over branch and appointment type policies', () => {
+    const forType = buildPolicy({ id: 'type', appointmentType: 'first_visit' });
+    const forBranch = buildPolicy({ id: 'branch', branchId: 'branch-1' });
+    const forService = buildPolicy({ id: 'service', serviceId: 'service-1' });
+
+    expect(CancellationPolicyService.select([forType, forService, forBranch]).id).toBe('service');
+    expect(CancellationPolicyService.select([forType, forBranch]).id).toBe('branch');
+    expect(CancellationPolicyService.select([]).name).toBe('Default');
+  });
+
+  it('should refuse a cancellation within the notice period', () => {
+    const evaluation = CancellationPolicyService.evaluate(
+      buildPolicy(),
+      buildAppointment(),
+      'cancel',
+      { role: 'patient', now: NOW }
+    );
+
+    expect(evaluation.allowed).toBe(false);
+    expect(evaluation.violations.map(violation => violation.rule)).toEqual(['cancel_notice']);
+  });
+
+  it('should charge the late cancellation fee instead of refusing when one is set', () => {
+    const evaluation = CancellationPolicyService.evaluate(
+      buildPolicy({ lateCancellationFee: '350.00' }),
+      buildAppointment(),
+      'cancel',
+      { role: 'patient', now: NOW }
+    );
+
+    expect(evaluation.allowed).toBe(true);
+    expect(evaluation.fee).toBe(350);
+  });
+
+  it('should limit how often the patient reschedules but not staff', () => {
+    const context = { patientReschedules: 1, now: NOW };
+
+    const patient = CancellationPolicyService.evaluate(
+      buildPolicy(),
+      buildAppointment(),
+      'reschedule',
+      { ...context, role: 'patient' }
+    );
+    const doctor = CancellationPolicyService.evaluate(
+      buildPolicy(),
+      buildAppointment(),
+      'reschedule',
+      { ...context, role: 'doctor' }
+    );
+
+    expect(patient.violations.map(violation => violation.rule)).toEqual(['reschedule_limit']);
+    expect(doctor.allowed).toBe(true);
+  });
+
+  it('should name the rule that blocks the action', async () => {
+    jest.spyOn(CancellationPolicyService, 'resolve').mockResolvedValue(buildPolicy({
+      cancelNoticeHours: 10000
+    }));
+
+    await expect(CancellationPolicyService.enforce(buildAppointment(), 'cancel', {
+      user: { id: 'patient-1', role: 'patient' }
+    })).rejects.toMatchObject({
+      statusCode: 403,
+      details: { rule: 'cancel_notice', policy: { id: 'policy-1' } }
+    });
+  });
+
+  it('should let admins override the policy with a reason', async () => {
+    jest.spyOn(CancellationPolicyService, 'resolve').mockResolvedValue(buildPolicy({
+      cancelNoticeHours: 10000,
+      lateCancellationFee: 500
+    }));
+
+    const evaluation = await CancellationPolicyService.enforce(buildAppointment(), 'cancel', {
+      user: { id: 'admin-1', role: 'admin' },
+      overrideReason: 'Emergencia médica'
+    });
+
+    expect(evaluation.fee).toBeNull();
+    expect(evaluation.override).toEqual({
+      reason: 'Emergencia médica',
+      waived: ['late_cancellation_fee'],
+      by: 'admin-1'
+    });
+  });
+
+  it('should not let patients override the policy', async () => {
+    await expect(CancellationPolicyService.enforce(buildAppointment(), 'cancel', {
+      user: { id: 'patient-1', role: 'patient' },
+      overrideReason: 'Please'
+    })).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
@@ -0,0 +1,118 @@
+const { OptimisticLockError } = require('sequelize');
+const ConcurrencyService = require('../services/concurrency.service');
+const { APIError } = require('../middleware/error.middleware');
+const { Appointment, MedicalHistory } = require('../models');
+
+describe('Concurrency Tests', () => {
+  const request = (headers = {}) => ({ get: name => headers[name] });
+  const response = () => ({ set: jest.fn() });
+  const etagOf = version => expect.stringMatching(new RegExp(`^"${version}-[0-9a-f]{16}"$`));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should version appointments and medical records', () => {
+    expect(Appointment.build({}).version).toBe(0);
+    expect(MedicalHistory.build({}).version).toBe(0);
+    expect(ConcurrencyService.getETag(Appointment.build({ version: 3 }))).toEqual(etagOf(3));
+  });
+
+  it('should change the ETag when an included association changes', () => {
+    const include = [{ association: Appointment.associations.doctor }];
+    const before = Appointment.build(
+      { id: 'appointment-1', version: 3, doctor: { id: 'doctor-1', lastName: 'Ruiz' } },
+      { include }
+    );
+    const after = Appointment.build(
+      { id: 'appointment-1', version: 3, doctor: { id: 'doctor-1', lastName: 'Ruiz Soto' } },
+      { include }
+    );
+
+    expect(ConcurrencyService.getETag(after)).not.toBe(ConcurrencyService.getETag(before));
+  });
+
+  it('should require If-Match to change a record', () => {
+    const appointment = Appointment.build({ id: 'appointment-1', version: 2 });
+
+    let error;
+    try {
+      ConcurrencyService.assertMatch(request(), response(), appointment, 'appointment');
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.statusCode).toBe(428);
+  });
+
+  it('should accept the current ETag or a wildcard', () => {
+    const appointment = Appointment.build({ id: 'appointment-1', version: 2 });
+
+    expect(() => ConcurrencyService.assertMatch(
+      request({ 'If-Match': `"1-0123456789abcdef", ${ConcurrencyService.getETag(appointment)}` }),
+      response(),
+      appointment,
+      'appointment'
+    )).not.toThrow();
+    expect(() => ConcurrencyService.assertMatch(
+      request({ 'If-Match': '*' }), response(), appointment, 'appointment'
+    )).not.toThrow();
+  });
+
+  it('should accept an ETag read with other associations at the same version', () => {
+    const appointment = Appointment.build({ id: 'appointment-1', version: 2 });
+
+    expect(() => ConcurrencyService.assertMatch(
+      request({ 'If-Match': '"2-0123456789abcdef"' }), response(), appointment, 'appointment'
+    )).not.toThrow();
+  });
+
+  it('should answer a stale ETag with 412 and the current record', () => {
+    const appointment = Appointment.build({ id: 'appointment-1', version: 5 });
+    const res = response();
+
+    let error;
+    try {
+      ConcurrencyService.assertMatch(
+        request({ 'If-Match': '"4-0123456789abcdef"' }), res, appointment, 'appointment'
+      );
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.statusCode).toBe(412);
+    expect(error.details).toEqual({ appointment });
+    expect(res.set).toHaveBeenCalledWith('ETag', etagOf(5));
+  });
+
+  it('should send the new ETag after a write', async () => {
+    const record = MedicalHistory.build({ id: 'record-1', version: 1 });
+    const res = response();
+
+    await ConcurrencyService.save(res, record, 'medicalHistory', () => {
+      record.version = 2;
+      return Promise.resolve(record);
+    });
+
+    expect(res.set).toHaveBeenCalledWith('ETag', etagOf(2));
+  });
+
+  it('should turn a write that lost a race into 412 with the reloaded record', async () => {
+    const record = MedicalHistory.build({ id: 'record-1', version: 1 });
+    const reload = jest.spyOn(record, 'reload').mockImplementation(() => {
+      record.version = 2;
+      return Promise.resolve(record);
+    });
+    const res = response();
+
+    const error = await ConcurrencyService.save(res, record, 'medicalHistory', () =>
+      Promise.reject(new OptimisticLockError({ modelName: 'MedicalHistory' }))
+    ).catch(err => err);
+
+    expect(reload).toHaveBeenCalled();
+    expect(error.statusCode).toBe(412);
+    expect(error.details).toEqual({ medicalHistory: record });
+    expect(res.set).toHaveBeenCalledWith('ETag', etagOf(2));
+  });
+});
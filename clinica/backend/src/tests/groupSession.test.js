@@ -0,0 +1,163 @@
+const GroupSessionController = require('../controllers/groupSession.controller');
+const GroupSessionService = require('../services/group-session.service');
+const AppointmentLifecycleService = require('../services/appointment-lifecycle.service');
+const AvailabilityService = require('../services/availability.service');
+const BookingService = require('../services/booking.service');
+const ResourceService = require('../services/resource.service');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, Appointment, Branch, GroupSession } = require('../models');
+
+describe('Group Session Tests', () => {
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+  const buildSession = (values = {}) => GroupSession.build({
+    id: 'group-1',
+    doctorId: 'doctor-1',
+    branchId: 'branch-1',
+    serviceId: 'service-1',
+    type: 'follow_up',
+    date: '2099-06-12',
+    startTime: '10:00',
+    endTime: '11:00',
+    capacity: 4,
+    branch: { id: 'branch-1', name: 'Centro', timezone: 'America/Mexico_City' },
+    ...values
+  }, { include: [{ model: Branch, as: 'branch' }] });
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback(transaction));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should count free seats only while the session is scheduled', () => {
+    expect(GroupSessionService.getSeats(buildSession(), 3)).toEqual({
+      capacity: 4,
+      taken: 3,
+      available: 1
+    });
+    expect(GroupSessionService.getSeats(buildSession({ status: 'cancelled' }), 1).available)
+      .toBe(0);
+  });
+
+  it('should count taken seats per session', async () => {
+    jest.spyOn(Appointment, 'count').mockResolvedValue([
+      { groupSessionId: 'group-1', count: '3' },
+      { groupSessionId: 'group-2', count: '1' }
+    ]);
+
+    await expect(GroupSessionService.countSeats(['group-1', 'group-2', 'group-3']))
+      .resolves.toEqual({ 'group-1': 3, 'group-2': 1 });
+  });
+
+  it('should refuse a seat in a full session', async () => {
+    const session = buildSession({ capacity: 2 });
+    jest.spyOn(GroupSession, 'findByPk').mockResolvedValue(session);
+    jest.spyOn(GroupSessionService, 'countSeats').mockResolvedValue({ 'group-1': 2 });
+    const create = jest.spyOn(Appointment, 'create');
+
+    const error = await GroupSessionService.addParticipant(session, 'patient-1')
+      .catch(err => err);
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.statusCode).toBe(409);
+    expect(error.details).toEqual({ capacity: 2 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a second seat for the same patient', async () => {
+    const session = buildSession();
+    jest.spyOn(GroupSession, 'findByPk').mockResolvedValue(session);
+    jest.spyOn(GroupSessionService, 'countSeats').mockResolvedValue({ 'group-1': 1 });
+    jest.spyOn(AvailabilityService, 'findOverlappingAppointment')
+      .mockResolvedValue(Appointment.build({ id: 'seat-1', groupSessionId: 'group-1' }));
+
+    await expect(GroupSessionService.addParticipant(session, 'patient-1'))
+      .rejects.toThrow('Patient already has a seat in this session');
+  });
+
+  it('should give each participant their own appointment in the session slot', async () => {
+    const session = buildSession();
+    jest.spyOn(GroupSession, 'findByPk').mockResolvedValue(session);
+    jest.spyOn(GroupSessionService, 'countSeats').mockResolvedValue({});
+    jest.spyOn(AvailabilityService, 'findOverlappingAppointment').mockResolvedValue(null);
+    const create = jest.spyOn(Appointment, 'create')
+      .mockImplementation(values => Promise.resolve(Appointment.build(values)));
+    const record = jest.spyOn(AppointmentLifecycleService, 'recordBooking').mockResolvedValue();
+
+    await GroupSessionService.addParticipant(session, 'patient-1', {
+      requirements: { confirmationRequired: true, depositRequired: false }
+    });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      patientId: 'patient-1',
+      doctorId: 'doctor-1',
+      branchId: 'branch-1',
+      serviceId: 'service-1',
+      date: '2099-06-12',
+      startTime: '10:00',
+      endTime: '11:00',
+      groupSessionId: 'group-1',
+      confirmationRequired: true
+    }), { transaction });
+    expect(record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      metadata: { groupSessionId: 'group-1' }
+    }));
+  });
+
+  it('should check in present participants and mark absent ones as no-shows', async () => {
+    const seat = (id, status) => Appointment.build({ id, groupSessionId: 'group-1', status });
+    const present = seat('seat-1', 'confirmed');
+    const absent = seat('seat-2', 'scheduled');
+    const seen = seat('seat-3', 'completed');
+    jest.spyOn(Appointment, 'findAll').mockResolvedValue([present, absent, seen]);
+    const transition = jest.spyOn(AppointmentLifecycleService, 'transition')
+      .mockImplementation(appointment => Promise.resolve(appointment));
+
+    await GroupSessionService.recordAttendance(buildSession(), [
+      { appointmentId: 'seat-1', attended: true },
+      { appointmentId: 'seat-2', attended: false },
+      { appointmentId: 'seat-3', attended: true }
+    ], { id: 'doctor-1', role: 'doctor' });
+
+    expect(transition).toHaveBeenCalledTimes(2);
+    expect(transition).toHaveBeenCalledWith(present, 'checked_in', expect.anything());
+    expect(transition).toHaveBeenCalledWith(absent, 'no_show', expect.anything());
+  });
+
+  it('should reject attendance for appointments outside the session', async () => {
+    jest.spyOn(Appointment, 'findAll').mockResolvedValue([]);
+
+    await expect(GroupSessionService.recordAttendance(buildSession(), [
+      { appointmentId: 'other', attended: true }
+    ], { id: 'doctor-1', role: 'doctor' })).rejects.toThrow('not a seat in this session');
+  });
+
+  it('should let seats share the resources held by their session', async () => {
+    const seat = Appointment.build({ id: 'seat-1', groupSessionId: 'group-1' });
+
+    await expect(ResourceService.reserve(seat)).resolves.toEqual({ bookings: [] });
+  });
+
+  it('should not move a single seat out of its session', async () => {
+    const seat = Appointment.build({ id: 'seat-1', groupSessionId: 'group-1' });
+
+    const error = await BookingService.reschedule(seat, { date: '2099-06-13' })
+      .catch(err => err);
+
+    expect(error.statusCode).toBe(409);
+    expect(error.details).toEqual({ groupSessionId: 'group-1' });
+  });
+
+  it('should list the roster in the order seats were booked', async () => {
+    jest.spyOn(GroupSession, 'findByPk').mockResolvedValue(buildSession());
+    jest.spyOn(GroupSessionService, 'countSeats').mockResolvedValue({ 'group-1': 0 });
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+
+    const data = await GroupSessionController.describe('group-1', true);
+
+    expect(data.participants).toEqual([]);
+    expect(query.mock.calls[0][0]).toContain('ORDER BY "Appointment"."created_at" ASC');
+  });
+});
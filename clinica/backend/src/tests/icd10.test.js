@@ -0,0 +1,123 @@
+const Icd10Service = require('../services/icd10.service');
+const AnalysisService = require('../services/analysis.service');
+const { Icd10Code, MedicalHistory } = require('../models');
+
+describe('ICD-10 Tests', () => {
+  const lumbalgia = { code: 'M54.5', description: 'Lumbago no especificado', chapter: 'XIII' };
+  const gonartrosis = {
+    code: 'M17.9',
+    description: 'Gonartrosis, no especificada',
+    chapter: 'XIII'
+  };
+  const hipertension = {
+    code: 'I10',
+    description: 'Hipertensión esencial (primaria)',
+    chapter: 'IX'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Icd10Code, 'findAll').mockResolvedValue(
+      [lumbalgia, gonartrosis, hipertension].map(values => Icd10Code.build(values))
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should normalize codes as written by hand', () => {
+    expect(Icd10Service.normalizeCode('m545')).toBe('M54.5');
+    expect(Icd10Service.normalizeCode(' M54.5 ')).toBe('M54.5');
+    expect(Icd10Service.normalizeCode('i10')).toBe('I10');
+    expect(Icd10Service.normalizeCode('lumbalgia')).toBeNull();
+  });
+
+  it('should refresh descriptions and the update time of imported codes', async () => {
+    const bulkCreate = jest.spyOn(Icd10Code, 'bulkCreate').mockResolvedValue([]);
+
+    await expect(Icd10Service.importCodes([lumbalgia, hipertension])).resolves.toBe(2);
+
+    const [[, { updateOnDuplicate }]] = bulkCreate.mock.calls;
+    expect(updateOnDuplicate).toEqual(['description', 'chapter', 'updated_at']);
+    expect(Object.keys(Icd10Code.getAttributes()))
+      .toEqual(expect.arrayContaining(updateOnDuplicate));
+  });
+
+  it('should find the chapter of a code by its category', () => {
+    expect(Icd10Service.getChapter('M54.5').chapter).toBe('XIII');
+    expect(Icd10Service.getChapter('I10').chapter).toBe('IX');
+    expect(Icd10Service.getChapter('A00').chapter).toBe('I');
+  });
+
+  it('should read catalog files with quoted descriptions and a header', () => {
+    const csv = '\uFEFFcodigo;descripcion\r\n'
+      + 'M545;Lumbago no especificado\r\n'
+      + '"M17.9";"Gonartrosis; no especificada"\r\n'
+      + 'XYZ;Línea inválida\r\n';
+
+    expect(Icd10Service.parseCsv(csv)).toEqual([
+      lumbalgia,
+      { ...gonartrosis, description: 'Gonartrosis; no especificada' }
+    ]);
+  });
+
+  it('should make the first diagnosis primary unless another is marked', async () => {
+    expect(await Icd10Service.resolve([{ code: 'm545' }, { code: 'I10' }])).toEqual([
+      { ...lumbalgia, primary: true },
+      { ...hipertension, primary: false }
+    ]);
+    expect(await Icd10Service.resolve([{ code: 'M54.5' }, { code: 'I10', primary: true }]))
+      .toEqual([
+        { ...lumbalgia, primary: false },
+        { ...hipertension, primary: true }
+      ]);
+  });
+
+  it('should reject unknown, repeated or several primary codes', async () => {
+    const unknown = await Icd10Service.resolve([{ code: 'M54.5' }, { code: 'Z99.9' }])
+      .catch(error => error);
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.details).toEqual({ unknown: ['Z99.9'] });
+
+    await expect(Icd10Service.resolve([{ code: 'M54.5' }, { code: 'm545' }]))
+      .rejects.toThrow('repeated');
+    await expect(Icd10Service.resolve([
+      { code: 'M54.5', primary: true },
+      { code: 'I10', primary: true }
+    ])).rejects.toThrow('Only one diagnosis can be primary');
+  });
+
+  it('should count diagnoses by code and chapter whatever the free text says', () => {
+    const records = [
+      { diagnosis: 'Lumbalgia', codes: [{ ...lumbalgia, primary: true }] },
+      {
+        diagnosis: 'lumbalgia crónica',
+        codes: [{ ...lumbalgia, primary: true }, { ...gonartrosis, primary: false }]
+      },
+      { diagnosis: 'HTA', codes: [{ ...hipertension, primary: true }] },
+      { diagnosis: 'Revisión', codes: [] }
+    ].map(({ diagnosis, codes }) => MedicalHistory.build({
+      diagnosis,
+      diagnosisCodes: codes,
+      treatmentRoute: 'subcutánea'
+    }));
+
+    const summary = AnalysisService.summarizeDiagnoses(records);
+
+    expect(summary.byCode).toEqual([
+      { ...lumbalgia, count: 2, primary: 2 },
+      { ...hipertension, count: 1, primary: 1 },
+      { ...gonartrosis, count: 1, primary: 0 }
+    ]);
+    // A record with two codes in the same chapter counts once for it
+    expect(summary.byChapter).toEqual([
+      { chapter: 'XIII', title: expect.any(String), count: 2 },
+      { chapter: 'IX', title: expect.any(String), count: 1 }
+    ]);
+    expect(summary.uncoded).toBe(1);
+    expect(summary.treatmentRoutes).toEqual({ subcutánea: 4 });
+    expect(AnalysisService.getMostCommonConditions(records, 1)).toEqual([
+      { code: 'M54.5', description: 'Lumbago no especificado', count: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,260 @@
+const { Op } = require('sequelize');
+const MedicalRecordService = require('../services/medical-record.service');
+const TreatmentPlanService = require('../services/treatment-plan.service');
+const { APIError } = require('../middleware/error.middleware');
+const { lockAfterHours } = require('../config/medicalRecords');
+const {
+  sequelize,
+  MedicalHistory,
+  MedicalHistoryRevision,
+  Observation
+} = require('../models');
+
+describe('Medical Record Tests', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+  const doctor = { id: 'doctor-1', role: 'doctor' };
+  const buildRecord = (values = {}) => MedicalHistory.build({
+    id: 'record-1',
+    patientId: 'patient-1',
+    doctorId: 'doctor-1',
+    appointmentId: 'appointment-1',
+    symptoms: 'Dolor lumbar',
+    diagnosis: 'Lumbalgia',
+    treatment: 'Ozono paravertebral',
+    created_at: new Date(),
+    ...values
+  }, { isNewRecord: false, raw: true });
+
+  let create;
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback(transaction));
+    create = jest.spyOn(MedicalHistoryRevision, 'create')
+      .mockImplementation(values => Promise.resolve(MedicalHistoryRevision.build(values)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should go by the stored signature, not the age of the record', () => {
+    const recent = buildRecord();
+    const old = buildRecord({ created_at: new Date(Date.now() - (lockAfterHours + 1) * HOUR_MS) });
+    const signed = buildRecord({ signedAt: new Date(), signedById: 'doctor-1' });
+
+    expect(recent.isSigned()).toBe(false);
+    expect(recent.isLockDue()).toBe(false);
+    expect(old.isSigned()).toBe(false);
+    expect(old.isLockDue()).toBe(true);
+    expect(signed.isSigned()).toBe(true);
+    expect(signed.isLockDue()).toBe(false);
+  });
+
+  it('should store the signature and the signer when the author signs', async () => {
+    const record = buildRecord();
+    const update = jest.spyOn(record, 'update').mockImplementation(values => {
+      record.set(values);
+      return Promise.resolve(record);
+    });
+
+    await MedicalRecordService.sign(record, doctor);
+
+    expect(update).toHaveBeenCalledWith({
+      signedAt: expect.any(Date),
+      signedById: 'doctor-1'
+    });
+    await expect(MedicalRecordService.sign(record, doctor)).rejects.toThrow('already signed');
+  });
+
+  it('should lock records past the amendment period in their author\'s name', async () => {
+    const update = jest.spyOn(MedicalHistory, 'update').mockResolvedValue([3]);
+
+    await expect(MedicalRecordService.lockExpired()).resolves.toBe(3);
+
+    const [[values, { where }]] = update.mock.calls;
+    expect(values.signedAt).toBeInstanceOf(Date);
+    expect(values.signedById).toEqual(sequelize.col('doctor_id'));
+    expect(where.signedAt).toBeNull();
+    expect(Date.now() - where.created_at[Op.lte].getTime())
+      .toBeGreaterThanOrEqual(lockAfterHours * HOUR_MS);
+  });
+
+  it('should store each amendment as a new revision with its reason and author', async () => {
+    const record = buildRecord();
+    jest.spyOn(MedicalHistoryRevision, 'max').mockResolvedValue(2);
+    const save = jest.spyOn(record, 'save').mockResolvedValue(record);
+
+    const revision = await MedicalRecordService.amend(record, {
+      diagnosis: 'Hernia discal L4-L5'
+    }, { reason: 'Resultado de resonancia', user: doctor });
+
+    expect(save).toHaveBeenCalledWith({ transaction });
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(revision).toEqual(expect.objectContaining({
+      medicalHistoryId: 'record-1',
+      revision: 3,
+      changedFields: ['diagnosis'],
+      reason: 'Resultado de resonancia',
+      authorId: 'doctor-1'
+    }));
+    expect(revision.snapshot.diagnosis).toBe('Hernia discal L4-L5');
+    expect(revision.snapshot.symptoms).toBe('Dolor lumbar');
+  });
+
+  it('should deliver a plan session in the transaction that writes the record', async () => {
+    const steps = [];
+    const assertDeliverable = jest.spyOn(TreatmentPlanService, 'assertDeliverable')
+      .mockImplementation((stepId) => {
+        steps.push(stepId);
+        return Promise.resolve({ id: stepId, treatmentPlanId: 'plan-1' });
+      });
+    const complete = jest.spyOn(TreatmentPlanService, 'completeIfDelivered')
+      .mockResolvedValue(true);
+    const write = jest.spyOn(MedicalHistory, 'create').mockImplementation(values => {
+      expect(steps).toEqual(['step-1']);
+      return Promise.resolve(buildRecord(values));
+    });
+
+    await MedicalRecordService.create({
+      patientId: 'patient-1',
+      doctorId: 'doctor-1',
+      treatmentPlanStepId: 'step-1'
+    });
+
+    expect(assertDeliverable).toHaveBeenCalledWith('step-1', 'patient-1', transaction);
+    expect(write).toHaveBeenCalledWith(expect.any(Object), { transaction });
+    expect(complete).toHaveBeenCalledWith('plan-1', transaction);
+  });
+
+  it('should not write a record for a session that cannot be delivered', async () => {
+    jest.spyOn(TreatmentPlanService, 'assertDeliverable')
+      .mockRejectedValue(new APIError(409, 'Session 1 was already delivered'));
+    const write = jest.spyOn(MedicalHistory, 'create');
+
+    await expect(MedicalRecordService.create({
+      patientId: 'patient-1',
+      doctorId: 'doctor-1',
+      treatmentPlanStepId: 'step-1'
+    })).rejects.toThrow('already delivered');
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  it('should keep the original of records written before revisions existed', async () => {
+    const record = buildRecord();
+    jest.spyOn(MedicalHistoryRevision, 'max').mockResolvedValue(null);
+    jest.spyOn(record, 'save').mockResolvedValue(record);
+
+    await MedicalRecordService.amend(record, { treatment: 'Autohemoterapia menor' }, {
+      reason: 'Cambio de protocolo',
+      user: doctor
+    });
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[0][0]).toEqual(expect.objectContaining({
+      revision: 1,
+      authorId: 'doctor-1',
+      snapshot: expect.objectContaining({ treatment: 'Ozono paravertebral' })
+    }));
+    expect(create.mock.calls[1][0]).toEqual(expect.objectContaining({
+      revision: 2,
+      snapshot: expect.objectContaining({ treatment: 'Autohemoterapia menor' })
+    }));
+  });
+
+  it('should refuse to amend a signed record', async () => {
+    const record = buildRecord({ signedAt: new Date(), signedById: 'doctor-1' });
+    const save = jest.spyOn(record, 'save');
+
+    const error = await MedicalRecordService.amend(record, { diagnosis: 'Otro' }, {
+      reason: 'Corrección',
+      user: doctor
+    }).catch(err => err);
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.statusCode).toBe(409);
+    expect(error.details.signedById).toBe('doctor-1');
+    expect(save).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should lock a record the lock job has not reached before refusing it', async () => {
+    const record = buildRecord({
+      created_at: new Date(Date.now() - (lockAfterHours + 1) * HOUR_MS)
+    });
+    const lock = jest.spyOn(MedicalHistory, 'update').mockResolvedValue([1]);
+    const save = jest.spyOn(record, 'save');
+
+    const error = await MedicalRecordService.amend(record, { diagnosis: 'Otro' }, {
+      reason: 'Corrección',
+      user: doctor
+    }).catch(err => err);
+
+    expect(lock).toHaveBeenCalledWith(
+      { signedAt: expect.any(Date), signedById: 'doctor-1' },
+      { where: { id: 'record-1', signedAt: null } }
+    );
+    expect(error.statusCode).toBe(409);
+    expect(record.signedById).toBe('doctor-1');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('should replace the observations of corrected measurements', async () => {
+    const record = buildRecord({ weight: 82, oxygenSaturation: 97 });
+    jest.spyOn(MedicalHistoryRevision, 'max').mockResolvedValue(1);
+    jest.spyOn(record, 'save').mockResolvedValue(record);
+    const destroy = jest.spyOn(Observation, 'destroy').mockResolvedValue(1);
+    const bulkCreate = jest.spyOn(Observation, 'bulkCreate').mockResolvedValue([]);
+    await MedicalRecordService.amend(record, { weight: 80.5, diagnosis: 'Hernia discal' }, {
+      reason: 'Báscula mal calibrada',
+      user: doctor
+    });
+
+    expect(destroy).toHaveBeenCalledWith({
+      where: { medicalHistoryId: 'record-1', type: { [Op.in]: ['weight'] } },
+      transaction
+    });
+    expect(bulkCreate).toHaveBeenCalledWith([expect.objectContaining({
+      type: 'weight',
+      value: 80.5,
+      medicalHistoryId: 'record-1',
+      observedAt: record.created_at,
+      recordedById: 'doctor-1'
+    })], { transaction });
+  });
+
+  it('should reject an amendment that changes nothing and keep the record as stored', async () => {
+    const record = buildRecord();
+    const save = jest.spyOn(record, 'save');
+
+    await expect(MedicalRecordService.amend(record, { diagnosis: 'Lumbalgia' }, {
+      reason: 'Sin cambios',
+      user: doctor
+    })).rejects.toThrow('Amendment does not change the record');
+    expect(save).not.toHaveBeenCalled();
+    expect(record.diagnosis).toBe('Lumbalgia');
+  });
+
+  it('should diff any two revisions field by field', () => {
+    const from = MedicalHistoryRevision.build({
+      revision: 1,
+      snapshot: { diagnosis: 'Lumbalgia', allergies: [], weight: 80 }
+    });
+    const to = MedicalHistoryRevision.build({
+      revision: 3,
+      snapshot: { diagnosis: 'Hernia discal', allergies: ['Penicilina'], weight: 80 }
+    });
+
+    expect(MedicalRecordService.diff(from, to)).toEqual([
+      { field: 'allergies', from: [], to: ['Penicilina'] },
+      { field: 'diagnosis', from: 'Lumbalgia', to: 'Hernia discal' }
+    ]);
+  });
+
+  it('should not let revisions be changed or deleted', async () => {
+    await expect(MedicalHistoryRevision.update({ reason: 'Otro' }, { where: { revision: 1 } }))
+      .rejects.toThrow('cannot be changed');
+    await expect(MedicalHistoryRevision.destroy({ where: { revision: 1 } }))
+      .rejects.toThrow('cannot be changed');
+  });
+});
@@ -0,0 +1,68 @@
+const NoShowService = require('../services/no-show.service');
+const { sequelize, Appointment, Branch } = require('../models');
+
+describe('No-Show Policy Tests', () => {
+  const buildAppointment = timezone => Appointment.build(
+    {
+      date: '2024-06-12',
+      startTime: '10:00:00',
+      endTime: '10:30:00',
+      branch: { id: 'branch-1', timezone }
+    },
+    { include: [{ model: Branch, as: 'branch' }] }
+  );
+
+  it('should only count appointments past the grace period', () => {
+    // 10:00 in Mexico City is 16:00 UTC
+    const appointment = buildAppointment('America/Mexico_City');
+
+    expect(NoShowService.isOverdue(appointment, new Date('2024-06-12T16:29:00Z'))).toBe(false);
+    expect(NoShowService.isOverdue(appointment, new Date('2024-06-12T16:30:00Z'))).toBe(true);
+  });
+
+  it('should wait for the start time in the branch timezone', () => {
+    // 10:00 in Tijuana is 17:00 UTC, an hour after the same wall time in Mexico City
+    const appointment = buildAppointment('America/Tijuana');
+
+    expect(NoShowService.isOverdue(appointment, new Date('2024-06-12T16:30:00Z'))).toBe(false);
+    expect(NoShowService.isOverdue(appointment, new Date('2024-06-12T17:30:00Z'))).toBe(true);
+  });
+
+  it('should escalate the policy as no-shows add up', () => {
+    expect(NoShowService.getActions(1)).toEqual([]);
+    expect(NoShowService.getActions(2)).toEqual(['require_confirmation']);
+    expect(NoShowService.getActions(3)).toEqual(['require_confirmation', 'block_online_booking']);
+  });
+
+  it('should describe the next rule the patient would reach', () => {
+    const standing = NoShowService.getStanding({ id: 'patient-1', noShowCount: 2 });
+
+    expect(standing.confirmationRequired).toBe(true);
+    expect(standing.onlineBookingBlocked).toBe(false);
+    expect(standing.nextRule).toEqual({ threshold: 3, action: 'block_online_booking' });
+  });
+
+  it('should block online booking but let staff book for the patient', () => {
+    const patient = { id: 'patient-1', noShowCount: 3 };
+
+    expect(() => NoShowService.checkBooking(patient, { id: 'patient-1', role: 'patient' }))
+      .toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(NoShowService.checkBooking(patient, { id: 'admin-1', role: 'admin' })).toEqual({
+      confirmationRequired: true,
+      depositRequired: false
+    });
+  });
+
+  it('should count no-shows by when they were marked, not when last edited', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+    const resetAt = new Date('2024-06-01T12:00:00Z');
+
+    await NoShowService.getCountedNoShows({ id: 'patient-1', noShowResetAt: resetAt });
+
+    const [[sql]] = query.mock.calls;
+    expect(sql).toContain('INNER JOIN "appointment_transitions" AS "transitions"');
+    expect(sql).toContain('"transitions"."to_status" = \'no_show\'');
+    expect(sql).toContain('"transitions"."created_at" > \'2024-06-01 12:00:00.000 +00:00\'');
+    expect(sql).not.toContain('updated_at');
+  });
+});
@@ -0,0 +1,136 @@
+const ObservationService = require('../services/observation.service');
+const { APIError } = require('../middleware/error.middleware');
+const {
+  Appointment,
+  MedicalHistory,
+  Observation,
+  User
+} = require('../models');
+
+describe('Observation Tests', () => {
+  const nurse = { id: 'nurse-1', role: 'nurse' };
+  const observation = (type, value, observedAt, flag = null) => Observation.build({
+    id: `${type}-${observedAt}`,
+    patientId: 'patient-1',
+    type,
+    value,
+    flag,
+    observedAt: new Date(observedAt)
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store values in the type unit and flag them against the reference range', () => {
+    expect(ObservationService.build({ type: 'glucose', value: 7, unit: 'mmol/L' })).toEqual({
+      type: 'glucose',
+      value: 126.11,
+      unit: 'mg/dL',
+      referenceLow: 70,
+      referenceHigh: 99,
+      flag: 'high',
+      notes: null
+    });
+    expect(ObservationService.build({ type: 'oxygen_saturation', value: 91 }).flag).toBe('low');
+    expect(ObservationService.build({ type: 'heart_rate', value: 72 }).flag).toBe('normal');
+    expect(ObservationService.build({ type: 'weight', value: 80 }).flag).toBeNull();
+  });
+
+  it('should read a range given with the observation in its own unit', () => {
+    const reading = ObservationService.build({
+      type: 'temperature',
+      value: 99.5,
+      unit: '°F',
+      referenceRange: { low: 97, high: 99 }
+    });
+
+    expect(reading.value).toBe(37.5);
+    expect(reading.referenceHigh).toBeCloseTo(37.22);
+    expect(reading.flag).toBe('high');
+  });
+
+  it('should reject unknown units and impossible values', () => {
+    expect(() => ObservationService.build({ type: 'glucose', value: 90, unit: 'g/L' }))
+      .toThrow('Unit g/L is not valid for glucose');
+    expect(() => ObservationService.build({ type: 'pain_scale', value: 12 }))
+      .toThrow('Value out of bounds for pain_scale');
+    expect(() => ObservationService.build({ type: 'bmi', value: 24 }))
+      .toThrow('Unknown observation type: bmi');
+  });
+
+  it('should only take observations at an appointment of the same patient', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(User.build({ id: 'patient-1', role: 'patient' }));
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue(null);
+    const bulkCreate = jest.spyOn(Observation, 'bulkCreate');
+
+    const entries = [{ type: 'heart_rate', value: 80 }];
+    const error = await ObservationService.record('patient-1', entries, {
+      user: nurse,
+      appointmentId: 'appointment-of-someone-else'
+    }).catch(err => err);
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.statusCode).toBe(404);
+    expect(bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it('should keep the measurements written on a medical record', () => {
+    const record = MedicalHistory.build({
+      id: 'record-1',
+      patientId: 'patient-1',
+      doctorId: 'doctor-1',
+      appointmentId: 'appointment-1',
+      weight: 82.5,
+      oxygenSaturation: 97
+    });
+
+    expect(ObservationService.fromMedicalHistory(record)).toEqual([
+      expect.objectContaining({
+        type: 'weight',
+        value: 82.5,
+        medicalHistoryId: 'record-1',
+        appointmentId: 'appointment-1',
+        recordedById: 'doctor-1'
+      }),
+      expect.objectContaining({ type: 'oxygen_saturation', value: 97, flag: 'normal' })
+    ]);
+  });
+
+  it('should chart each type with its flags and derive BMI from earlier heights', async () => {
+    const findAll = jest.spyOn(Observation, 'findAll')
+      .mockResolvedValueOnce([
+        observation('systolic_pressure', 150, '2024-06-03T15:00:00Z', 'high'),
+        observation('weight', 90, '2024-06-03T15:00:00Z'),
+        observation('systolic_pressure', 125, '2024-06-10T15:00:00Z', 'normal'),
+        observation('weight', 80, '2024-06-10T15:00:00Z')
+      ])
+      .mockResolvedValueOnce([observation('height', 180, '2024-01-15T15:00:00Z')]);
+
+    const series = await ObservationService.getSeries('patient-1', { startDate: '2024-06-01' });
+
+    expect(findAll).toHaveBeenCalledTimes(2);
+    expect(series.map(({ type }) => type)).toEqual(['systolic_pressure', 'weight', 'bmi']);
+    expect(series[0]).toEqual(expect.objectContaining({
+      unit: 'mmHg',
+      referenceRange: { low: 90, high: 129 },
+      outOfRange: 1,
+      latest: expect.objectContaining({ value: 125, flag: 'normal' })
+    }));
+    expect(series[2].points.map(({ value, flag }) => ({ value, flag }))).toEqual([
+      { value: 27.8, flag: 'high' },
+      { value: 24.7, flag: 'normal' }
+    ]);
+  });
+
+  it('should list requested types even when nothing was recorded', async () => {
+    jest.spyOn(Observation, 'findAll').mockResolvedValue([]);
+
+    const series = await ObservationService.getSeries('patient-1', { types: ['glucose', 'bmi'] });
+
+    expect(series).toEqual([
+      expect.objectContaining({ type: 'glucose', points: [], latest: null, outOfRange: 0 }),
+      expect.objectContaining({ type: 'bmi', points: [], latest: null, outOfRange: 0 })
+    ]);
+  });
+});
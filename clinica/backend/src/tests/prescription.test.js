@@ -0,0 +1,200 @@
+const { Op } = require('sequelize');
+const AuthController = require('../controllers/auth.controller');
+const PrescriptionService = require('../services/prescription.service');
+const EmailService = require('../services/email.service');
+const SMSService = require('../services/sms.service');
+const TimezoneService = require('../services/timezone.service');
+const { APIError } = require('../middleware/error.middleware');
+const {
+  Appointment,
+  Branch,
+  MedicalHistory,
+  Prescription,
+  User
+} = require('../models');
+
+describe('Prescription Tests', () => {
+  const doctor = User.build({
+    id: 'doctor-1',
+    firstName: 'Ana',
+    lastName: 'Ruiz',
+    role: 'doctor',
+    specialization: 'Ozonoterapia',
+    licenseNumber: '12345678'
+  });
+  const record = MedicalHistory.build({
+    id: 'record-1',
+    patientId: 'patient-1',
+    doctorId: 'doctor-1',
+    appointmentId: 'appointment-1'
+  });
+  const medication = {
+    medication: 'Paracetamol 500 mg',
+    dose: '1 tableta',
+    frequency: 'Cada 8 horas',
+    durationDays: 7,
+    instructions: 'Tomar después de los alimentos'
+  };
+  const buildPrescription = (values = {}) => Prescription.build({
+    id: 'prescription-1',
+    medicalHistoryId: 'record-1',
+    patientId: 'patient-1',
+    doctorId: 'doctor-1',
+    ...medication,
+    startDate: '2024-06-03',
+    endDate: '2024-06-09',
+    patient: {
+      id: 'patient-1',
+      firstName: 'Luis',
+      lastName: 'Pérez',
+      email: 'luis@example.com',
+      phone: '+525512345678'
+    },
+    doctor: doctor.get({ plain: true }),
+    medicalHistory: {
+      id: 'record-1',
+      appointment: {
+        id: 'appointment-1',
+        date: '2024-06-03',
+        branch: {
+          id: 'branch-1',
+          name: 'Centro',
+          address: 'Av. Reforma 1',
+          timezone: 'America/Mexico_City'
+        }
+      }
+    },
+    ...values
+  }, {
+    include: [
+      { model: User, as: 'patient' },
+      { model: User, as: 'doctor' },
+      {
+        model: MedicalHistory,
+        as: 'medicalHistory',
+        include: [{
+          model: Appointment,
+          as: 'appointment',
+          include: [{ model: Branch, as: 'branch' }]
+        }]
+      }
+    ]
+  });
+
+  let create;
+  let email;
+  let sms;
+
+  beforeEach(() => {
+    create = jest.spyOn(Prescription, 'create').mockImplementation(values =>
+      Promise.resolve(Prescription.build({ id: 'prescription-1', ...values })));
+    jest.spyOn(Prescription, 'findByPk').mockResolvedValue(buildPrescription());
+    email = jest.spyOn(EmailService, 'sendPrescriptionNotification').mockResolvedValue({});
+    sms = jest.spyOn(SMSService, 'sendPrescriptionNotification').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run the treatment until the last of its days', async () => {
+    await PrescriptionService.create(record, { ...medication, startDate: '2024-06-28' }, doctor);
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      medicalHistoryId: 'record-1',
+      patientId: 'patient-1',
+      doctorId: 'doctor-1',
+      startDate: '2024-06-28',
+      endDate: '2024-07-04'
+    }));
+  });
+
+  it('should start today where the visit took place by default', async () => {
+    jest.spyOn(Appointment, 'findByPk').mockResolvedValue(Appointment.build({
+      id: 'appointment-1',
+      branch: { id: 'branch-1', timezone: 'America/Tijuana' }
+    }, { include: [{ model: Branch, as: 'branch' }] }));
+    const today = jest.spyOn(TimezoneService, 'today').mockReturnValue('2024-06-03');
+
+    await PrescriptionService.create(record, medication, doctor);
+
+    expect(today).toHaveBeenCalledWith('America/Tijuana');
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      startDate: '2024-06-03',
+      endDate: '2024-06-09'
+    }));
+  });
+
+  it('should only let the doctor who wrote the record prescribe', async () => {
+    const other = User.build({ id: 'doctor-2', role: 'doctor', licenseNumber: '87654321' });
+
+    const error = await PrescriptionService.create(record, medication, other).catch(err => err);
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.statusCode).toBe(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should require the professional license number to prescribe', async () => {
+    const unlicensed = User.build({ id: 'doctor-1', role: 'doctor' });
+
+    await expect(PrescriptionService.create(record, medication, unlicensed))
+      .rejects.toThrow('professional license number');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should not let doctors change their own license number', async () => {
+    const self = User.build({ id: 'doctor-1', role: 'doctor', licenseNumber: '12345678' });
+    const save = jest.spyOn(self, 'save').mockResolvedValue(self);
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+
+    await AuthController.updateProfile(
+      { user: self, body: { licenseNumber: '00000000' } }, res, next
+    );
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    expect(save).not.toHaveBeenCalled();
+    expect(self.licenseNumber).toBe('12345678');
+  });
+
+  it('should let administrators set a doctor\'s license number', async () => {
+    const unlicensed = User.build({ id: 'doctor-2', role: 'doctor' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(unlicensed);
+    const update = jest.spyOn(unlicensed, 'update').mockResolvedValue(unlicensed);
+    const res = { json: jest.fn() };
+
+    await AuthController.updateLicense(
+      { params: { id: 'doctor-2' }, body: { licenseNumber: '87654321' } }, res, jest.fn()
+    );
+
+    expect(User.findOne).toHaveBeenCalledWith({ where: { id: 'doctor-2', role: 'doctor' } });
+    expect(update).toHaveBeenCalledWith({ licenseNumber: '87654321' });
+    expect(res.json).toHaveBeenCalled();
+  });
+
+  it('should send the patient the PDF and keep the prescription if sending fails', async () => {
+    sms.mockRejectedValue(new Error('Twilio down'));
+
+    const prescription = await PrescriptionService.create(record, {
+      ...medication,
+      startDate: '2024-06-03'
+    }, doctor);
+
+    expect(prescription.id).toBe('prescription-1');
+    expect(email).toHaveBeenCalledWith(prescription, expect.any(Buffer));
+    expect(email.mock.calls[0][1].subarray(0, 4).toString()).toBe('%PDF');
+  });
+
+  it('should list prescriptions still running anywhere today', async () => {
+    jest.spyOn(TimezoneService, 'earliestToday').mockReturnValue('2024-06-05');
+    const findAll = jest.spyOn(Prescription, 'findAll').mockResolvedValue([]);
+
+    await PrescriptionService.getActive('patient-1');
+
+    expect(findAll.mock.calls[0][0].where).toEqual({
+      patientId: 'patient-1',
+      endDate: { [Op.gte]: '2024-06-05' }
+    });
+  });
+});
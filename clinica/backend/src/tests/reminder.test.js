@@ -0,0 +1,92 @@
+const ReminderService = require('../services/reminder.service');
+const EmailService = require('../services/email.service');
+const { Appointment, AppointmentReminder, Branch } = require('../models');
+
+describe('Appointment Reminder Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should schedule a reminder per channel and offset before the local start', () => {
+    const appointment = Appointment.build(
+      {
+        date: '2024-01-15',
+        startTime: '09:00:00',
+        endTime: '09:30:00',
+        branch: { id: 'branch-1', timezone: 'America/Tijuana' }
+      },
+      { include: [{ model: Branch, as: 'branch' }] }
+    );
+
+    // 09:00 in Tijuana in January is 17:00 UTC
+    expect(ReminderService.getSchedule(appointment).map(reminder => ({
+      ...reminder,
+      scheduledFor: reminder.scheduledFor.toISOString()
+    }))).toEqual([
+      { channel: 'email', offsetMinutes: 2880, scheduledFor: '2024-01-13T17:00:00.000Z' },
+      { channel: 'sms', offsetMinutes: 2880, scheduledFor: '2024-01-13T17:00:00.000Z' },
+      { channel: 'email', offsetMinutes: 120, scheduledFor: '2024-01-15T15:00:00.000Z' },
+      { channel: 'sms', offsetMinutes: 120, scheduledFor: '2024-01-15T15:00:00.000Z' }
+    ]);
+  });
+
+  it('should not send a reminder that was already sent or moved', async () => {
+    jest.spyOn(AppointmentReminder, 'update').mockResolvedValue([0]);
+    const send = jest.spyOn(EmailService, 'sendAppointmentReminder').mockResolvedValue({});
+
+    await expect(ReminderService.deliver('reminder-1', Date.now())).resolves.toBe(false);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should flag the appointment without bumping its version', async () => {
+    const appointment = Appointment.build(
+      {
+        id: 'appointment-1',
+        status: 'scheduled',
+        date: '2099-01-15',
+        startTime: '09:00:00',
+        endTime: '09:30:00',
+        version: 4,
+        branch: { id: 'branch-1', timezone: 'America/Tijuana' }
+      },
+      { include: [{ model: Branch, as: 'branch' }] }
+    );
+    const reminder = AppointmentReminder.build({ id: 'reminder-1', channel: 'email' });
+    reminder.appointment = appointment;
+    jest.spyOn(AppointmentReminder, 'update').mockResolvedValue([1]);
+    jest.spyOn(AppointmentReminder, 'findByPk').mockResolvedValue(reminder);
+    jest.spyOn(EmailService, 'sendAppointmentReminder').mockResolvedValue({});
+    const flag = jest.spyOn(Appointment, 'update').mockResolvedValue([1]);
+    const save = jest.spyOn(appointment, 'update');
+
+    await expect(ReminderService.deliver('reminder-1', Date.now())).resolves.toBe(true);
+    expect(flag).toHaveBeenCalledWith(
+      { reminderSent: true },
+      { where: { id: 'appointment-1' } }
+    );
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('should queue reminders on the queue service it was handed', async () => {
+    const queueService = { addJob: jest.fn().mockResolvedValue({ id: 'job-1' }) };
+    const reminder = {
+      id: 'reminder-1',
+      channel: 'sms',
+      scheduledFor: new Date(Date.now() + 60 * 60 * 1000)
+    };
+
+    ReminderService.setQueueService(queueService);
+    try {
+      await ReminderService.enqueue(reminder);
+    } finally {
+      ReminderService.setQueueService(null);
+    }
+
+    expect(queueService.addJob).toHaveBeenCalledWith(
+      'sms',
+      'appointment_reminder',
+      { reminderId: 'reminder-1', scheduledFor: reminder.scheduledFor.getTime() },
+      expect.objectContaining({ jobId: `reminder:reminder-1:${reminder.scheduledFor.getTime()}` })
+    );
+  });
+});
@@ -0,0 +1,36 @@
+const ServiceCatalogService = require('../services/service-catalog.service');
+const ResourceService = require('../services/resource.service');
+const { Service } = require('../models');
+
+describe('Service Catalog Tests', () => {
+  const service = Service.build({
+    name: 'Autohemoterapia mayor',
+    duration: 45,
+    bufferAfter: 15,
+    price: 1200,
+    specialization: 'Ozonoterapia',
+    requiredResources: ['room', 'autohemotherapy_station']
+  });
+
+  it('should compute the end time from the service duration', () => {
+    expect(ServiceCatalogService.getEndTime(service, '09:30')).toBe('10:15');
+  });
+
+  it('should only accept doctors with the required specialization', () => {
+    expect(service.isEligibleDoctor({ specialization: 'Ozonoterapia' })).toBe(true);
+    expect(service.isEligibleDoctor({ specialization: 'Medicina General' })).toBe(false);
+    expect(Service.build({ name: 'Consulta', duration: 30, price: 500 })
+      .isEligibleDoctor({ specialization: 'Medicina General' })).toBe(true);
+  });
+
+  it('should hold resources through the cleanup buffer', () => {
+    expect(ResourceService.getRequirements('follow_up', service)).toEqual([
+      'room',
+      'autohemotherapy_station'
+    ]);
+    expect(ResourceService.getHeldRange('09:30', '10:15', service)).toEqual({
+      start: 570,
+      end: 630
+    });
+  });
+});
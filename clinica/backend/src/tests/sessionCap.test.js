@@ -0,0 +1,140 @@
+const SessionCapService = require('../services/session-cap.service');
+const AvailabilityService = require('../services/availability.service');
+const ResourceService = require('../services/resource.service');
+const { APIError } = require('../middleware/error.middleware');
+const { DoctorSessionCap, Service } = require('../models');
+
+describe('Session Cap Tests', () => {
+  const cap = DoctorSessionCap.build({
+    doctorId: 'doctor-1',
+    route: 'intravenous',
+    maxPerDay: 4,
+    maxPerWeek: 12
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run weeks from Monday to Sunday', () => {
+    expect(SessionCapService.getWeekRange('2024-06-12')).toEqual({
+      startDate: '2024-06-10',
+      endDate: '2024-06-16'
+    });
+    expect(SessionCapService.getWeekRange('2024-06-16')).toEqual({
+      startDate: '2024-06-10',
+      endDate: '2024-06-16'
+    });
+  });
+
+  it('should report the daily cap before the weekly one', () => {
+    expect(SessionCapService.evaluate(cap, { day: 3, week: 11 })).toBeNull();
+    expect(SessionCapService.evaluate(cap, { day: 4, week: 12 })).toMatchObject({
+      rule: 'daily_cap',
+      route: 'intravenous',
+      limit: 4,
+      booked: 4
+    });
+    expect(SessionCapService.evaluate(cap, { day: 1, week: 12 })).toMatchObject({
+      rule: 'weekly_cap',
+      limit: 12,
+      booked: 12
+    });
+  });
+
+  it('should ignore limits that are not set', () => {
+    const daily = DoctorSessionCap.build({ route: 'rectal', maxPerDay: 6 });
+
+    expect(SessionCapService.evaluate(daily, { day: 5, week: 40 })).toBeNull();
+  });
+
+  it('should require a daily or weekly limit', async () => {
+    await expect(DoctorSessionCap.build({ doctorId: 'doctor-1', route: 'topical' }).validate())
+      .rejects.toThrow('A daily or weekly limit is required');
+  });
+
+  it('should not count sessions for uncapped routes', async () => {
+    jest.spyOn(DoctorSessionCap, 'findOne').mockResolvedValue(null);
+    const count = jest.spyOn(SessionCapService, 'countSessions');
+
+    await expect(SessionCapService.check('doctor-1', 'topical', '2024-06-12')).resolves.toBeNull();
+    expect(count).not.toHaveBeenCalled();
+  });
+
+  it('should count the day and the week, leaving out appointments being moved', async () => {
+    jest.spyOn(DoctorSessionCap, 'findOne').mockResolvedValue(cap);
+    const count = jest.spyOn(SessionCapService, 'countSessions')
+      .mockResolvedValueOnce(2)
+      .mockResolvedValueOnce(12);
+
+    const violation = await SessionCapService.check('doctor-1', 'intravenous', '2024-06-12', {
+      excludeIds: ['appointment-1']
+    });
+
+    expect(violation).toMatchObject({ rule: 'weekly_cap', booked: 12 });
+    expect(count).toHaveBeenCalledWith('doctor-1', 'intravenous', '2024-06-12', '2024-06-12', {
+      excludeIds: ['appointment-1']
+    });
+    expect(count).toHaveBeenCalledWith('doctor-1', 'intravenous', '2024-06-10', '2024-06-16', {
+      excludeIds: ['appointment-1']
+    });
+  });
+
+  it('should refuse a booking over the cap with a 409 naming it', async () => {
+    jest.spyOn(Service, 'findByPk').mockResolvedValue(Service.build({
+      name: 'Autohemoterapia mayor',
+      duration: 45,
+      price: 1200,
+      route: 'intravenous'
+    }));
+    jest.spyOn(SessionCapService, 'check').mockResolvedValue(
+      SessionCapService.evaluate(cap, { day: 4, week: 4 })
+    );
+
+    const error = await SessionCapService.assert({
+      doctorId: 'doctor-1',
+      serviceId: 'service-1',
+      date: '2024-06-12'
+    }).catch(err => err);
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.statusCode).toBe(409);
+    expect(error.details).toEqual({
+      rule: 'daily_cap',
+      route: 'intravenous',
+      limit: 4,
+      booked: 4
+    });
+  });
+
+  it('should offer no slots to a doctor at the cap', async () => {
+    jest.spyOn(SessionCapService, 'check').mockResolvedValue({ rule: 'daily_cap' });
+    const intervals = jest.spyOn(AvailabilityService, 'getWorkingIntervals');
+    const service = Service.build({
+      name: 'Autohemoterapia mayor',
+      duration: 45,
+      price: 1200,
+      route: 'intravenous'
+    });
+
+    await expect(AvailabilityService.getAvailableSlots('doctor-1', '2024-06-12', { service }))
+      .resolves.toEqual([]);
+    expect(intervals).not.toHaveBeenCalled();
+  });
+
+  it('should hold resources through the preparation buffer', () => {
+    const service = Service.build({
+      name: 'Insuflación rectal',
+      duration: 20,
+      bufferBefore: 10,
+      bufferAfter: 15,
+      price: 600
+    });
+
+    expect(ResourceService.getHeldRange('09:00', '09:20', service)).toEqual({
+      start: 530,
+      end: 575
+    });
+    expect(ResourceService.getHeldRange('00:05', '00:25', service).start).toBe(0);
+  });
+});
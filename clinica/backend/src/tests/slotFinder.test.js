@@ -0,0 +1,66 @@
+const SlotFinderService = require('../services/slot-finder.service');
+
+const CDMX = { latitude: 19.4326, longitude: -99.1332 };
+const GUADALAJARA = { latitude: 20.6597, longitude: -103.3496 };
+
+describe('Slot Finder Tests', () => {
+  it('should measure the distance between two points', () => {
+    expect(SlotFinderService.getDistanceKm(CDMX, GUADALAJARA)).toBeCloseTo(461, -1);
+    expect(SlotFinderService.getDistanceKm(CDMX, CDMX)).toBe(0);
+  });
+
+  it('should drop branches beyond the maximum distance or without coordinates', () => {
+    const branches = [
+      { id: 'cdmx', coordinates: CDMX },
+      { id: 'gdl', coordinates: GUADALAJARA },
+      { id: 'unknown', coordinates: null }
+    ];
+
+    const near = SlotFinderService.filterBranches(branches, CDMX, 100);
+    const all = SlotFinderService.filterBranches(branches, CDMX);
+
+    expect(near.map(entry => entry.branch.id)).toEqual(['cdmx']);
+    expect(all.map(entry => entry.distanceKm)).toEqual([0, 461.1, null]);
+  });
+
+  it('should narrow the time of day with explicit times', () => {
+    expect(SlotFinderService.getTimeWindow({ timeOfDay: 'afternoon', toTime: '16:00' }))
+      .toEqual({ fromTime: '12:00', toTime: '16:00' });
+    expect(SlotFinderService.getTimeWindow({ fromTime: '08:30' }))
+      .toEqual({ fromTime: '08:30', toTime: '23:59' });
+  });
+
+  it('should keep only slots inside the time window', () => {
+    const window = { fromTime: '12:00', toTime: '18:00' };
+
+    expect(SlotFinderService.fitsWindow({ startTime: '11:30', endTime: '12:30' }, window))
+      .toBe(false);
+    expect(SlotFinderService.fitsWindow({ startTime: '17:00', endTime: '18:00' }, window))
+      .toBe(true);
+  });
+
+  it('should rank by time and then by distance, or the other way round', () => {
+    const slots = [
+      { id: 'late-near', startsAt: '2024-06-03T17:00:00.000Z', distanceKm: 2 },
+      { id: 'early-far', startsAt: '2024-06-03T15:00:00.000Z', distanceKm: 20 },
+      { id: 'early-near', startsAt: '2024-06-03T15:00:00.000Z', distanceKm: 2 },
+      { id: 'early-unknown', startsAt: '2024-06-03T15:00:00.000Z', distanceKm: null }
+    ];
+
+    expect(SlotFinderService.rank(slots).map(slot => slot.id))
+      .toEqual(['early-near', 'early-far', 'early-unknown', 'late-near']);
+    expect(SlotFinderService.rank(slots, 'distance').map(slot => slot.id))
+      .toEqual(['early-near', 'late-near', 'early-far', 'early-unknown']);
+  });
+
+  it('should default to two weeks and refuse longer searches', () => {
+    expect(SlotFinderService.getRange('2024-06-25')).toEqual({
+      startDate: '2024-06-25',
+      endDate: '2024-07-08'
+    });
+    expect(() => SlotFinderService.getRange('2024-06-01', '2024-07-15'))
+      .toThrow('Search at most 31 days at a time');
+    expect(() => SlotFinderService.getRange('2024-06-10', '2024-06-01'))
+      .toThrow('End date must not be before start date');
+  });
+});
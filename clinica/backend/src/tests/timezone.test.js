@@ -0,0 +1,70 @@
+const TimezoneService = require('../services/timezone.service');
+const { Appointment, Branch } = require('../models');
+
+describe('Timezone Tests', () => {
+  it('should convert branch wall-clock times to UTC instants', () => {
+    expect(TimezoneService.toInstant('2024-01-15', '09:00', 'America/Mexico_City').toISOString())
+      .toBe('2024-01-15T15:00:00.000Z');
+    expect(TimezoneService.toInstant('2024-01-15', '09:00', 'America/Cancun').toISOString())
+      .toBe('2024-01-15T14:00:00.000Z');
+    expect(TimezoneService.toInstant('2024-01-15', '09:00', 'America/Tijuana').toISOString())
+      .toBe('2024-01-15T17:00:00.000Z');
+  });
+
+  it('should follow daylight saving time where the zone observes it', () => {
+    // Tijuana moves to UTC-7 on the second Sunday of March
+    expect(TimezoneService.toInstant('2024-03-09', '09:00', 'America/Tijuana').toISOString())
+      .toBe('2024-03-09T17:00:00.000Z');
+    expect(TimezoneService.toInstant('2024-03-11', '09:00', 'America/Tijuana').toISOString())
+      .toBe('2024-03-11T16:00:00.000Z');
+    // Mexico City has no DST since 2022
+    expect(TimezoneService.toInstant('2024-07-01', '09:00', 'America/Mexico_City').toISOString())
+      .toBe('2024-07-01T15:00:00.000Z');
+  });
+
+  it('should give the local date and time of an instant', () => {
+    const instant = new Date('2024-01-16T03:30:00Z');
+
+    expect(TimezoneService.getLocalParts(instant, 'America/Mexico_City')).toEqual({
+      date: '2024-01-15',
+      time: '21:30:00',
+      day: 'monday'
+    });
+    expect(TimezoneService.getLocalParts(instant, 'UTC').date).toBe('2024-01-16');
+  });
+
+  it('should only accept known IANA timezones', () => {
+    expect(TimezoneService.isValid('America/Tijuana')).toBe(true);
+    expect(TimezoneService.isValid('Mars/Olympus_Mons')).toBe(false);
+    expect(TimezoneService.isValid('')).toBe(false);
+  });
+
+  it('should check opening hours in the branch timezone', () => {
+    const branch = Branch.build({
+      name: 'Tijuana',
+      timezone: 'America/Tijuana',
+      operatingHours: { monday: { open: '09:00', close: '18:00' } }
+    });
+
+    // 17:00 UTC on a January Monday is 09:00 in Tijuana
+    expect(branch.isOpenAt(new Date('2024-01-15T17:00:00Z'))).toBe(true);
+    expect(branch.isOpenAt(new Date('2024-01-15T16:00:00Z'))).toBe(false);
+  });
+
+  it('should expose local and UTC times on appointments with their branch', () => {
+    const appointment = Appointment.build(
+      {
+        date: '2024-01-15',
+        startTime: '09:00:00',
+        endTime: '09:30:00',
+        branch: { id: 'branch-1', timezone: 'America/Cancun' }
+      },
+      { include: [{ model: Branch, as: 'branch' }] }
+    );
+    const json = appointment.toJSON();
+
+    expect(json.timezone).toBe('America/Cancun');
+    expect(new Date(json.startsAt).toISOString()).toBe('2024-01-15T14:00:00.000Z');
+    expect(new Date(json.endsAt).toISOString()).toBe('2024-01-15T14:30:00.000Z');
+  });
+});
@@ -0,0 +1,198 @@
+const TreatmentPlanService = require('../services/treatment-plan.service');
+const { APIError } = require('../middleware/error.middleware');
+const {
+  sequelize,
+  MedicalHistory,
+  Observation,
+  TreatmentPlan,
+  TreatmentPlanStep,
+  User
+} = require('../models');
+
+describe('Treatment Plan Tests', () => {
+  const doctor = { id: 'doctor-1', role: 'doctor' };
+  const ramp = [
+    { concentration: 20, volume: 100 },
+    { concentration: 30, volume: 100 },
+    { concentration: 40, volume: 100 },
+    { concentration: 40, volume: 150 }
+  ];
+  const record = (id, values) => MedicalHistory.build({
+    id,
+    created_at: new Date('2024-06-03T16:00:00Z'),
+    ...values
+  }, { isNewRecord: false, raw: true });
+  const buildPlan = (values = {}, records = {}) => {
+    const plan = TreatmentPlan.build({
+      id: 'plan-1',
+      patientId: 'patient-1',
+      doctorId: 'doctor-1',
+      protocol: 'Autohemoterapia mayor',
+      treatmentRoute: 'intravenosa',
+      startDate: '2024-06-03',
+      intervalDays: 7,
+      plannedSessions: 4,
+      status: 'active',
+      ...values
+    });
+    plan.steps = ramp.map((step, index) => {
+      const built = TreatmentPlanStep.build({
+        id: `step-${index + 1}`,
+        treatmentPlanId: 'plan-1',
+        sessionNumber: index + 1,
+        plannedDate: ['2024-06-03', '2024-06-10', '2024-06-17', '2024-06-24'][index],
+        ...step
+      });
+      built.medicalHistory = records[index + 1] || null;
+      return built;
+    });
+    return plan;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should plan each session an interval after the previous one', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(User.build({ id: 'patient-1', role: 'patient' }));
+    jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback({}));
+    jest.spyOn(TreatmentPlan, 'create').mockImplementation(values =>
+      Promise.resolve(TreatmentPlan.build({ id: 'plan-1', ...values })));
+    const bulkCreate = jest.spyOn(TreatmentPlanStep, 'bulkCreate').mockResolvedValue([]);
+    jest.spyOn(TreatmentPlan, 'findByPk').mockResolvedValue(buildPlan());
+
+    await TreatmentPlanService.create({
+      patientId: 'patient-1',
+      protocol: 'Autohemoterapia mayor',
+      treatmentRoute: 'intravenosa',
+      startDate: '2024-06-28',
+      intervalDays: 3,
+      steps: ramp.slice(0, 3)
+    }, doctor);
+
+    expect(TreatmentPlan.create).toHaveBeenCalledWith(expect.objectContaining({
+      doctorId: 'doctor-1',
+      plannedSessions: 3
+    }), expect.anything());
+    expect(bulkCreate.mock.calls[0][0].map(({ sessionNumber, plannedDate, concentration }) =>
+      ({ sessionNumber, plannedDate, concentration }))).toEqual([
+      { sessionNumber: 1, plannedDate: '2024-06-28', concentration: 20 },
+      { sessionNumber: 2, plannedDate: '2024-07-01', concentration: 30 },
+      { sessionNumber: 3, plannedDate: '2024-07-04', concentration: 40 }
+    ]);
+  });
+
+  it('should let each session be delivered once, for the plan patient only', async () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    const step = values => TreatmentPlanStep.build({
+      id: 'step-1',
+      sessionNumber: 1,
+      treatmentPlan: { id: 'plan-1', patientId: 'patient-1', status: 'active', ...values }
+    }, {
+      include: [{ model: TreatmentPlan, as: 'treatmentPlan' }]
+    });
+    const findByPk = jest.spyOn(TreatmentPlanStep, 'findByPk');
+    const findRecord = jest.spyOn(MedicalHistory, 'findOne').mockResolvedValue(null);
+    const attempt = () => TreatmentPlanService.assertDeliverable('step-1', 'patient-1', transaction)
+      .catch(error => error);
+
+    findByPk.mockResolvedValueOnce(step({ patientId: 'patient-2' }));
+    expect((await attempt()).statusCode).toBe(400);
+
+    findByPk.mockResolvedValueOnce(step({ status: 'cancelled' }));
+    expect((await attempt()).statusCode).toBe(409);
+
+    findByPk.mockResolvedValueOnce(step({}));
+    findRecord.mockResolvedValueOnce({ id: 'record-1' });
+    const delivered = await attempt();
+    expect(delivered).toBeInstanceOf(APIError);
+    expect(delivered.message).toBe('Session 1 was already delivered');
+
+    findByPk.mockResolvedValueOnce(step({}));
+    expect((await attempt()).id).toBe('step-1');
+    expect(findByPk).toHaveBeenLastCalledWith('step-1', expect.objectContaining({
+      transaction,
+      lock: { level: 'UPDATE', of: TreatmentPlanStep }
+    }));
+    expect(findRecord).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: { treatmentPlanStepId: 'step-1' },
+      transaction
+    }));
+  });
+
+  it('should compare planned and delivered dose and count missed sessions', () => {
+    const plan = buildPlan({}, {
+      1: record('record-1', { ozoneConcentration: 20, ozoneVolume: 100 }),
+      3: record('record-3', { ozoneConcentration: 35, ozoneVolume: 100 })
+    });
+
+    const { sessions, summary } = TreatmentPlanService.buildProgress(plan, '2024-06-20');
+
+    expect(sessions.map(session => session.status))
+      .toEqual(['delivered', 'missed', 'delivered', 'upcoming']);
+    expect(sessions[2]).toEqual(expect.objectContaining({
+      planned: { concentration: 40, volume: 100, dose: 4000 },
+      delivered: expect.objectContaining({ medicalHistoryId: 'record-3', dose: 3500 }),
+      doseDifference: -500
+    }));
+    expect(summary).toEqual({
+      plannedSessions: 4,
+      delivered: 2,
+      missed: 1,
+      upcoming: 1,
+      cancelled: 0,
+      adherence: 66.7,
+      plannedDose: 9000,
+      deliveredDose: 5500,
+      doseDelivery: 61.1
+    });
+  });
+
+  it('should stop counting sessions as due once the plan is cancelled', () => {
+    const plan = buildPlan({ status: 'cancelled', cancelledOn: '2024-06-12' }, {
+      1: record('record-1', { ozoneConcentration: 20, ozoneVolume: 100 })
+    });
+
+    const { sessions, summary } = TreatmentPlanService.buildProgress(plan, '2024-07-01');
+
+    expect(sessions.map(session => session.status))
+      .toEqual(['delivered', 'missed', 'cancelled', 'cancelled']);
+    expect(summary.adherence).toBe(50);
+  });
+
+  it('should report no adherence before any session is due', () => {
+    const { summary } = TreatmentPlanService.buildProgress(buildPlan(), '2024-06-01');
+
+    expect(summary).toEqual(expect.objectContaining({
+      upcoming: 4,
+      adherence: null,
+      doseDelivery: null
+    }));
+  });
+
+  it('should check target outcomes against the latest observation', async () => {
+    jest.spyOn(Observation, 'findOne').mockResolvedValue(Observation.build({
+      type: 'pain_scale',
+      value: 2,
+      observedAt: new Date('2024-06-17T16:00:00Z')
+    }));
+    const plan = buildPlan({
+      targetOutcomes: [
+        {
+          description: 'Dolor ≤ 3',
+          observationType: 'pain_scale',
+          comparison: 'at_most',
+          target: 3
+        },
+        { description: 'Volver a caminar 30 minutos' }
+      ]
+    });
+
+    const { outcomes } = await TreatmentPlanService.getProgress(plan);
+
+    expect(outcomes).toEqual([
+      expect.objectContaining({ met: true, latest: expect.objectContaining({ value: 2 }) }),
+      expect.objectContaining({ description: 'Volver a caminar 30 minutos', met: null })
+    ]);
+  });
+});
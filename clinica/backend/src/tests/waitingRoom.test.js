@@ -0,0 +1,109 @@
+const jwt = require('jsonwebtoken');
+const WaitingRoomService = require('../services/waiting-room.service');
+const CheckInCodeService = require('../services/check-in-code.service');
+const { Appointment, Branch, User } = require('../models');
+
+const BRANCH = { id: 'branch-1', timezone: 'America/Mexico_City' };
+
+const buildAppointment = (overrides = {}) => Appointment.build(
+  {
+    id: 'appointment-1',
+    branchId: BRANCH.id,
+    date: '2024-06-03',
+    startTime: '10:00:00',
+    endTime: '10:30:00',
+    status: 'checked_in',
+    patient: { id: 'patient-1', firstName: 'Ana', lastName: 'López' },
+    doctor: { id: 'doctor-1', firstName: 'Luis', lastName: 'Pérez' },
+    branch: BRANCH,
+    ...overrides
+  },
+  {
+    include: [
+      { model: User, as: 'patient' },
+      { model: User, as: 'doctor' },
+      { model: Branch, as: 'branch' }
+    ]
+  }
+);
+
+describe('Waiting Room Tests', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  it('should queue waiting patients with their wait and lateness', () => {
+    // 10:00 in Mexico City is 16:00 UTC
+    const now = new Date('2024-06-03T16:20:00Z');
+    const queue = WaitingRoomService.buildQueue(BRANCH, [
+      buildAppointment({ checkedInAt: new Date('2024-06-03T15:50:00Z') }),
+      buildAppointment({
+        id: 'appointment-2',
+        startTime: '10:30:00',
+        endTime: '11:00:00',
+        checkedInAt: new Date('2024-06-03T16:35:00Z')
+      }),
+      buildAppointment({
+        id: 'appointment-3',
+        status: 'in_progress',
+        startTime: '09:30:00',
+        checkedInAt: new Date('2024-06-03T15:25:00Z'),
+        calledAt: new Date('2024-06-03T15:40:00Z')
+      })
+    ], now);
+
+    expect(queue.waiting.map(entry => ({
+      position: entry.position,
+      latenessMinutes: entry.latenessMinutes,
+      overdueMinutes: entry.overdueMinutes
+    }))).toEqual([
+      { position: 1, latenessMinutes: -10, overdueMinutes: 20 },
+      { position: 2, latenessMinutes: 5, overdueMinutes: 0 }
+    ]);
+    expect(queue.waiting[0].waitingMinutes).toBe(30);
+    expect(queue.inConsultation[0].waitingMinutes).toBe(15);
+    expect(queue.summary).toMatchObject({ waiting: 2, inConsultation: 1, longestWaitMinutes: 30 });
+  });
+
+  it('should refuse check-in at another branch', async () => {
+    await expect(WaitingRoomService.checkIn(
+      { id: 'branch-2', timezone: 'America/Mexico_City' },
+      buildAppointment({ status: 'confirmed' }),
+      { user: { id: 'admin-1', role: 'admin' }, method: 'manual' }
+    )).rejects.toMatchObject({ statusCode: 409, message: 'Appointment is at another branch' });
+  });
+
+  it('should refuse check-in on another day', async () => {
+    await expect(WaitingRoomService.checkIn(
+      BRANCH,
+      buildAppointment({ status: 'confirmed', date: '2020-01-01' }),
+      { user: { id: 'admin-1', role: 'admin' }, method: 'manual' }
+    )).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should stamp the arrival when the appointment is checked in', async () => {
+    const appointment = buildAppointment({ status: 'confirmed' });
+    appointment.status = 'checked_in';
+    const options = { fields: ['status'] };
+
+    await Appointment.runHooks('beforeUpdate', appointment, options);
+
+    expect(appointment.checkedInAt).toBeInstanceOf(Date);
+    expect(options.fields).toContain('checkedInAt');
+  });
+
+  it('should read back the appointment from its check-in code', () => {
+    const appointment = buildAppointment({ date: '2999-01-01' });
+
+    expect(CheckInCodeService.verify(CheckInCodeService.issue(appointment)))
+      .toBe('appointment-1');
+  });
+
+  it('should not accept other tokens as check-in codes', () => {
+    const loginToken = jwt.sign({ id: 'user-1' }, process.env.JWT_SECRET);
+
+    expect(() => CheckInCodeService.verify(loginToken)).toThrow('Invalid or expired check-in code');
+    expect(() => CheckInCodeService.verify(CheckInCodeService.issue(buildAppointment())))
+      .toThrow('Invalid or expired check-in code');
+  });
+});
@@ -0,0 +1,243 @@
+const express = require('express');
+const request = require('supertest');
+const twilio = require('twilio');
+const AppointmentNotificationService = require('../services/appointment-notification.service');
+const AvailabilityService = require('../services/availability.service');
+const BookingService = require('../services/booking.service');
+const EmailService = require('../services/email.service');
+const WaitlistService = require('../services/waitlist.service');
+const WaitlistController = require('../controllers/waitlist.controller');
+const { APIError } = require('../middleware/error.middleware');
+const { sequelize, Appointment, SlotOffer, WaitlistEntry } = require('../models');
+
+describe('Waitlist Tests', () => {
+  const slot = {
+    doctorId: 'doctor-a',
+    branchId: 'branch-a',
+    date: '2024-06-12',
+    startTime: '10:00',
+    endTime: '10:30'
+  };
+
+  describe('Slot Matching', () => {
+    it('should match entries without doctor or branch preference', () => {
+      const entry = WaitlistEntry.build({
+        patientId: 'patient',
+        startDate: '2024-06-10',
+        endDate: '2024-06-14'
+      });
+
+      expect(entry.matches(slot)).toBe(true);
+    });
+
+    it('should respect the preferred doctor and date range', () => {
+      const entry = WaitlistEntry.build({
+        patientId: 'patient',
+        doctorId: 'doctor-b',
+        startDate: '2024-06-10',
+        endDate: '2024-06-14'
+      });
+
+      expect(entry.matches(slot)).toBe(false);
+      expect(entry.matches({ ...slot, doctorId: 'doctor-b', date: '2024-06-15' })).toBe(false);
+    });
+
+    it('should only match slots that fit in the time-of-day window', () => {
+      const entry = WaitlistEntry.build({
+        patientId: 'patient',
+        startDate: '2024-06-10',
+        endDate: '2024-06-14',
+        timeFrom: '08:00',
+        timeTo: '10:15'
+      });
+
+      expect(entry.matches(slot)).toBe(false);
+      expect(entry.matches({ ...slot, startTime: '09:00:00', endTime: '09:30:00' })).toBe(true);
+    });
+  });
+
+  describe('SMS Replies', () => {
+    it('should read accept and decline words with an optional code', () => {
+      expect(WaitlistService.parseReply(' si a1b2c3 ')).toEqual({ accept: true, code: 'A1B2C3' });
+      expect(WaitlistService.parseReply('Sí')).toEqual({ accept: true, code: null });
+      expect(WaitlistService.parseReply('NO')).toEqual({ accept: false, code: null });
+    });
+
+    it('should ignore replies it does not understand', () => {
+      expect(WaitlistService.parseReply('quizá mañana')).toBeNull();
+      expect(WaitlistService.parseReply(undefined)).toBeNull();
+    });
+  });
+
+  describe('Offering Slots', () => {
+    it('should not offer a slot the doctor no longer works', async () => {
+      jest.spyOn(AvailabilityService, 'findOverlappingAppointment').mockResolvedValue(null);
+      jest.spyOn(AvailabilityService, 'findActiveHold').mockResolvedValue(null);
+      const working = jest.spyOn(AvailabilityService, 'isWithinWorkingHours')
+        .mockResolvedValue(false);
+      const candidates = jest.spyOn(WaitlistService, 'findNextCandidate');
+
+      await expect(WaitlistService.offerNext(slot)).resolves.toBeNull();
+      expect(working).toHaveBeenCalledWith('doctor-a', 'branch-a', '2024-06-12', '10:00', '10:30');
+      expect(candidates).not.toHaveBeenCalled();
+    });
+
+    it('should show the hold deadline on the branch clock', async () => {
+      const send = jest.spyOn(EmailService, 'sendEmail').mockResolvedValue({});
+      const offer = SlotOffer.build({
+        ...slot,
+        patientId: 'patient',
+        expiresAt: new Date('2024-06-11T17:30:00Z')
+      });
+      offer.patient = { firstName: 'Ana', email: 'ana@example.com' };
+      offer.doctor = { firstName: 'Luis', lastName: 'Pérez' };
+      offer.branch = { name: 'Centro', address: 'Calle 1', timezone: 'America/Tijuana' };
+
+      await EmailService.sendWaitlistOffer(offer, 'https://example.com/offer');
+
+      expect(send.mock.calls[0][0].html).toContain('hasta el 2024-06-11 a las 10:30.');
+    });
+  });
+
+  describe('Queue Order', () => {
+    let queries;
+
+    beforeEach(() => {
+      // Capture the SQL Sequelize generates instead of running it
+      queries = [];
+      jest.spyOn(sequelize, 'query').mockImplementation((sql) => {
+        queries.push(sql);
+        return Promise.resolve([]);
+      });
+    });
+
+    it('should offer slots to the oldest entry of the highest priority', async () => {
+      await expect(WaitlistService.findNextCandidate(slot)).resolves.toBeNull();
+
+      const [, entries] = queries;
+      expect(entries).toContain(
+        'ORDER BY "WaitlistEntry"."priority" DESC, "WaitlistEntry"."created_at" ASC'
+      );
+    });
+
+    it('should match SMS replies to the most recent offer', async () => {
+      await expect(WaitlistService.findOfferForReply('+52 664 123 4567')).resolves.toBeNull();
+
+      expect(queries[0]).toContain('ORDER BY "SlotOffer"."created_at" DESC');
+    });
+
+    it('should list entries in the order they are offered slots', async () => {
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await WaitlistController.getAll({ query: {}, user: { role: 'admin' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(queries[0]).toContain(
+        'ORDER BY "WaitlistEntry"."priority" DESC, "WaitlistEntry"."created_at" ASC'
+      );
+    });
+  });
+
+  describe('Accepting Offers', () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    const offer = SlotOffer.build({
+      id: 'offer-1',
+      waitlistEntryId: 'entry-1',
+      patientId: 'patient-1',
+      branchId: 'branch-a',
+      sourceAppointmentId: 'cancelled-1',
+      status: 'pending',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...slot
+    });
+    const entry = WaitlistEntry.build({ id: 'entry-1', type: 'follow_up' });
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(work => work(transaction));
+      jest.spyOn(SlotOffer, 'findByPk').mockResolvedValue(offer);
+      jest.spyOn(offer, 'update').mockResolvedValue(offer);
+      jest.spyOn(entry, 'update').mockResolvedValue(entry);
+      jest.spyOn(WaitlistEntry, 'findByPk').mockResolvedValue(entry);
+      jest.spyOn(WaitlistEntry, 'update').mockResolvedValue([1]);
+      jest.spyOn(AvailabilityService, 'findOverlappingAppointment').mockResolvedValue(null);
+      jest.spyOn(Appointment, 'findByPk').mockResolvedValue({
+        id: 'cancelled-1',
+        serviceId: 'service-1',
+        type: 'first_visit'
+      });
+      jest.spyOn(AppointmentNotificationService, 'notify').mockResolvedValue([]);
+    });
+
+    it('should book through the booking checks and confirm after commit', async () => {
+      const appointment = { id: 'appointment-1' };
+      const book = jest.spyOn(BookingService, 'book').mockResolvedValue(appointment);
+
+      await expect(WaitlistService.acceptOffer(offer, 'sms')).resolves.toBe(appointment);
+
+      expect(book).toHaveBeenCalledWith(
+        expect.objectContaining({ patientId: 'patient-1', serviceId: 'service-1' }),
+        { id: 'patient-1', role: 'patient' },
+        expect.objectContaining({ transaction })
+      );
+      expect(AppointmentNotificationService.notify).toHaveBeenCalledWith([appointment], 'booked');
+    });
+
+    it('should put the patient back on the waitlist when the booking is refused', async () => {
+      jest.spyOn(BookingService, 'book')
+        .mockRejectedValue(new APIError(409, 'Doctor takes at most 4 sessions a day'));
+
+      await expect(WaitlistService.acceptOffer(offer)).resolves.toBeNull();
+
+      expect(offer.update).toHaveBeenCalledWith({ status: 'expired' }, { transaction });
+      expect(AppointmentNotificationService.notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('SMS Webhook', () => {
+    const authToken = 'test-auth-token';
+    const body = { From: '+525512345678', Body: 'SI' };
+    let app;
+
+    beforeAll(() => {
+      // The webhook reads the auth token when the routes are loaded
+      process.env.TWILIO_AUTH_TOKEN = authToken;
+      app = express();
+      app.use(express.urlencoded({ extended: false }));
+      app.use('/api/waitlist', require('../routes/waitlist.routes'));
+    });
+
+    it('should reject replies without a valid Twilio signature', async () => {
+      const spy = jest.spyOn(WaitlistService, 'findOfferForReply');
+
+      await request(app)
+        .post('/api/waitlist/sms-reply')
+        .set('Host', 'clinica.test')
+        .set('X-Twilio-Signature', 'forged')
+        .type('form')
+        .send(body)
+        .expect(403);
+
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    it('should answer replies signed by Twilio', async () => {
+      jest.spyOn(WaitlistService, 'findOfferForReply').mockResolvedValue(null);
+      const signature = twilio.getExpectedTwilioSignature(
+        authToken,
+        'http://clinica.test/api/waitlist/sms-reply',
+        body
+      );
+
+      const response = await request(app)
+        .post('/api/waitlist/sms-reply')
+        .set('Host', 'clinica.test')
+        .set('X-Twilio-Signature', signature)
+        .type('form')
+        .send(body)
+        .expect(200);
+
+      expect(response.text).toContain('No encontramos una oferta vigente');
+    });
+  });
+});